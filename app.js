@@ -10,6 +10,7 @@ const cookieParser = require("cookie-parser");
 const path = require("path");
 // const connectDB = require("./config/database");
 const apiRoutes = require("./routes/api");
+const requestId = require("./middleware/requestId");
 const scheduledJobs = require("./jobs/scheduledTasks");
 
 // Initialize express app
@@ -24,6 +25,11 @@ app.use(
   cors({
     origin: process.env.CORS_ORIGIN || "*",
     credentials: true,
+    exposedHeaders: [
+      "X-Request-Id",
+      "X-Impersonated-By",
+      "X-Impersonation-Expires",
+    ],
   })
 );
 
@@ -35,8 +41,16 @@ const limiter = rateLimit({
 });
 app.use("/api/v1", limiter);
 
-// Body parser
-app.use(express.json({ limit: "10mb" }));
+// Body parser. The raw body is kept for checking webhook signatures, which
+// are computed over the bytes Paystack sent.
+app.use(
+  express.json({
+    limit: "10mb",
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // Cookie parser
@@ -53,6 +67,10 @@ app.use(
   })
 );
 
+// Request ids and request context (after the body parsers, which would
+// otherwise lose the context)
+app.use(requestId);
+
 // Logging
 if (process.env.NODE_ENV === "development") {
   app.use(morgan("dev"));
@@ -27,9 +27,12 @@ const uploadToCloudinary = async (file, folder) => {
   }
 };
 
-const deleteFromCloudinary = async (publicId) => {
+const deleteFromCloudinary = async (publicId, resourceType = "image") => {
   try {
-    await cloudinary.uploader.destroy(publicId);
+    await cloudinary.uploader.destroy(publicId, {
+      resource_type: resourceType,
+      invalidate: true,
+    });
     return true;
   } catch (error) {
     console.error(`Error deleting from Cloudinary: ${error.message}`);
@@ -37,8 +40,34 @@ const deleteFromCloudinary = async (publicId) => {
   }
 };
 
+// Recover the public ID and resource type of a file from its delivery URL,
+// for records that only stored the URL
+const getPublicIdFromUrl = (url) => {
+  const match =
+    /^https?:\/\/res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+)$/.exec(
+      url || ""
+    );
+  if (!match) return null;
+
+  const [, resourceType, path] = match;
+  return {
+    resourceType,
+    // Raw files keep their extension in the public ID
+    publicId: resourceType === "raw" ? path : path.replace(/\.[^/.]+$/, ""),
+  };
+};
+
+// Delete a file given only its delivery URL; false if it isn't ours or failed
+const deleteFromCloudinaryByUrl = async (url) => {
+  const file = getPublicIdFromUrl(url);
+  if (!file) return false;
+  return deleteFromCloudinary(file.publicId, file.resourceType);
+};
+
 module.exports = {
   cloudinary,
   uploadToCloudinary,
   deleteFromCloudinary,
+  getPublicIdFromUrl,
+  deleteFromCloudinaryByUrl,
 };
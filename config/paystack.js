@@ -1,5 +1,7 @@
 // config/paystack.js
 const https = require("https");
+const crypto = require("crypto");
+const { toMinorUnits, DEFAULT_CURRENCY } = require("../utils/helpers");
 
 class PaystackConfig {
   constructor() {
@@ -7,6 +9,30 @@ class PaystackConfig {
     this.secretKey = process.env.PAYSTACK_SECRET_KEY;
   }
 
+  /**
+   * Check a webhook's x-paystack-signature: the HMAC-SHA512 of the raw
+   * request body, keyed with the secret key
+   * @param {Buffer} payload - Raw request body
+   * @param {String} signature - x-paystack-signature header
+   * @returns {Boolean} Whether the webhook came from Paystack
+   */
+  verifySignature(payload, signature) {
+    if (!this.secretKey || !payload || typeof signature !== "string") {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac("sha512", this.secretKey)
+      .update(payload)
+      .digest();
+    const received = Buffer.from(signature, "hex");
+
+    return (
+      received.length === expected.length &&
+      crypto.timingSafeEqual(received, expected)
+    );
+  }
+
   /**
    * Initialize a transaction
    * @param {Object} data - Transaction data (email, amount, etc.)
@@ -16,7 +42,9 @@ class PaystackConfig {
     return new Promise((resolve, reject) => {
       const params = JSON.stringify({
         email: data.email,
-        amount: data.amount * 100, // Paystack expects amount in kobo
+        // Paystack expects amounts in the currency's subunit (e.g. kobo)
+        amount: toMinorUnits(data.amount, data.currency),
+        currency: data.currency || DEFAULT_CURRENCY,
         callback_url: data.callbackUrl,
         reference: data.reference || "",
         metadata: data.metadata || {},
@@ -101,7 +129,8 @@ class PaystackConfig {
     return new Promise((resolve, reject) => {
       const params = JSON.stringify({
         source: "balance",
-        amount: data.amount * 100,
+        amount: toMinorUnits(data.amount, data.currency),
+        currency: data.currency || DEFAULT_CURRENCY,
         recipient: data.recipientCode,
         reason: data.reason || "Payment",
       });
@@ -151,7 +180,7 @@ class PaystackConfig {
         name: data.name,
         account_number: data.accountNumber,
         bank_code: data.bankCode,
-        currency: data.currency || "NGN",
+        currency: data.currency || DEFAULT_CURRENCY,
       });
 
       const options = {
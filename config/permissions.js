@@ -0,0 +1,58 @@
+// config/permissions.js
+
+/**
+ * Catalogue of company-scoped permissions that can be granted through roles
+ */
+const PERMISSIONS = {
+  "company:view": "View company details",
+  "company:manage": "Update company profile, balance and security policy",
+  "members:manage": "Add and remove employer accounts",
+  "employees:view": "View employees and their records",
+  "employees:invite": "Invite employees and manage pending invitations",
+  "employees:manage": "Update employee schedules, wages and contracts",
+  "employees:terminate": "Terminate employees",
+  "departments:manage": "Create departments and assign employees to them",
+  "branches:manage": "Manage branch locations, geofences and remote work",
+  "roles:assign": "Assign company roles to members",
+  "apikeys:manage": "Create, rotate and revoke integration API keys",
+  "audit:view": "View and export the company audit log",
+  "attendance:view": "View attendance and efficiency reports",
+  "payments:view": "View company payments",
+  "payments:approve": "Approve or decline daily payments",
+  "projects:manage": "Create, update and assign projects",
+  "recruitment:manage": "Manage jobs, interviews and applications",
+  "billing:manage": "View invoices and pay the platform subscription",
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+/**
+ * Permissions for members without any assigned company role, keyed by user role.
+ * Keeps employers working as before until the company defines its own roles.
+ */
+const DEFAULT_ROLE_PERMISSIONS = {
+  employer: ALL_PERMISSIONS,
+  employee: [],
+};
+
+/**
+ * Permissions that may be granted to integration API keys as scopes.
+ * Account and access management stays with human users.
+ */
+const API_KEY_SCOPES = ALL_PERMISSIONS.filter(
+  (permission) =>
+    ![
+      "company:manage",
+      "members:manage",
+      "roles:assign",
+      "apikeys:manage",
+      "billing:manage",
+    ].includes(permission)
+);
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  API_KEY_SCOPES,
+};
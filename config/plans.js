@@ -0,0 +1,41 @@
+// config/plans.js
+
+/**
+ * Subscription plans companies are billed on. New companies start on the
+ * trial and move to per_seat when it ends. per_seat is billed monthly in
+ * arrears for each active employee, in the company's currency.
+ */
+const PLANS = {
+  trial: {
+    name: "Free trial",
+    trialDays: 14,
+  },
+  per_seat: {
+    name: "Per active employee",
+    pricePerSeat: {
+      NGN: 1500,
+      GHS: 15,
+      KES: 130,
+      ZAR: 20,
+    },
+  },
+};
+
+const DEFAULT_PLAN = "trial";
+const PAID_PLAN = "per_seat";
+
+/**
+ * Collection timeline: invoices are due INVOICE_DUE_DAYS after they're
+ * issued, and companies with overdue invoices keep full access for
+ * GRACE_PERIOD_DAYS more before being restricted
+ */
+const INVOICE_DUE_DAYS = 7;
+const GRACE_PERIOD_DAYS = 7;
+
+module.exports = {
+  PLANS,
+  DEFAULT_PLAN,
+  PAID_PLAN,
+  INVOICE_DUE_DAYS,
+  GRACE_PERIOD_DAYS,
+};
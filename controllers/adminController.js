@@ -1,14 +1,45 @@
+const mongoose = require("mongoose");
 const User = require("../models/User");
 const Company = require("../models/Company");
 const Payment = require("../models/Payment");
+const Role = require("../models/Role");
+const Invoice = require("../models/Invoice");
+const { PERMISSIONS } = require("../config/permissions");
 const emailService = require("../services/emailService");
+const loginProtectionService = require("../services/loginProtectionService");
+const companyService = require("../services/companyService");
+const impersonationService = require("../services/impersonationService");
+const auditService = require("../services/auditService");
+const anonymizationService = require("../services/anonymizationService");
+const companyVerificationService = require("../services/companyVerificationService");
+const ledgerService = require("../services/ledgerService");
+const exchangeRateService = require("../services/exchangeRateService");
+const reportService = require("../services/reportService");
+const billingService = require("../services/billingService");
+const {
+  validateData,
+  companyRegistrationSchema,
+  companyReviewSchema,
+  companyRejectionSchema,
+  companyReviewNoteSchema,
+  ledgerAdjustmentSchema,
+  trialExtensionSchema,
+  exchangeRateSchema,
+  twoFactorPolicySchema,
+  roleSchema,
+  impersonationSchema,
+  erasureRequestSchema,
+} = require("../utils/validators");
 
 /**
  * Get all companies
  */
 exports.getAllCompanies = async (req, res) => {
   try {
-    const companies = await Company.find()
+    // e.g. ?status=under_review for the verification queue
+    const query = req.query.status ? { status: String(req.query.status) } : {};
+
+    const companies = await Company.find(query)
       .populate("owner", "fullName email")
       .select("-__v");
 
@@ -19,17 +50,41 @@ exports.getAllCompanies = async (req, res) => {
   }
 };
 
+/**
+ * Create a company managed by one or more employer accounts
+ */
+exports.createCompany = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(
+      req.body,
+      companyRegistrationSchema
+    );
+    if (!isValid) {
+      return res.status(400).json({ message: errors[0] });
+    }
+
+    const company = await companyService.createCompany(req.body);
+
+    res.status(201).json({ message: "Company created successfully", company });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Create company error:", error);
+    res.status(500).json({ message: "Server error while creating company" });
+  }
+};
+
 /**
  * Get company details
  */
 exports.getCompanyById = async (req, res) => {
   try {
-    const { companyId } = req.params;
-
-    const company = await Company.findById(companyId)
+    const company = await Company.findById(req.params.id)
       .populate("owner", "fullName email")
-      .populate("employees", "fullName email role")
-      .select("-__v");
+      .populate("members.userId", "firstName lastName email")
+      .populate("verification.reviewNotes.author", "firstName lastName email")
+      .select("-__v +verification.reviewNotes");
 
     if (!company) {
       return res.status(404).json({ message: "Company not found" });
@@ -43,65 +98,389 @@ exports.getCompanyById = async (req, res) => {
 };
 
 /**
- * Approve company
+ * Approve a company under review, unblocking payroll
  */
 exports.approveCompany = async (req, res) => {
+  await reviewCompany(req, res, "approved", companyReviewSchema, "note");
+};
+
+/**
+ * Reject a company under review; the employer can fix and resubmit
+ */
+exports.rejectCompany = async (req, res) => {
+  await reviewCompany(req, res, "rejected", companyRejectionSchema, "reason");
+};
+
+/**
+ * Suspend an approved company, blocking payroll again
+ */
+exports.suspendCompany = async (req, res) => {
+  await reviewCompany(req, res, "suspended", companyRejectionSchema, "reason");
+};
+
+/**
+ * Lift a company's suspension
+ */
+exports.reinstateCompany = async (req, res) => {
+  await reviewCompany(req, res, "approved", companyReviewSchema, "note");
+};
+
+const reviewCompany = async (req, res, status, schema, noteField) => {
+  try {
+    const { isValid, errors } = validateData(req.body, schema);
+    if (!isValid) {
+      return res.status(400).json({ message: errors[0] });
+    }
+
+    const company = await companyVerificationService.reviewCompany(
+      req.user,
+      req.params.id,
+      { status, note: req.body[noteField] }
+    );
+
+    res.status(200).json({ message: `Company ${status}`, company });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Review company error:", error);
+    res.status(500).json({ message: "Server error while reviewing company" });
+  }
+};
+
+/**
+ * Add an internal reviewer note to a company
+ */
+exports.addCompanyReviewNote = async (req, res) => {
   try {
-    const { companyId } = req.params;
+    const { isValid, errors } = validateData(req.body, companyReviewNoteSchema);
+    if (!isValid) {
+      return res.status(400).json({ message: errors[0] });
+    }
+
+    const reviewNotes = await companyVerificationService.addReviewNote(
+      req.user,
+      req.params.id,
+      req.body.note
+    );
 
-    const company = await Company.findById(companyId);
+    res.status(201).json({ message: "Note added", reviewNotes });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Add company review note error:", error);
+    res.status(500).json({ message: "Server error while adding note" });
+  }
+};
+
+/**
+ * Get a company's ledger statement, with its cached and derived balances
+ */
+exports.getCompanyLedger = async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id);
     if (!company) {
       return res.status(404).json({ message: "Company not found" });
     }
 
-    company.status = "approved";
-    company.approvedAt = Date.now();
-    company.approvedBy = req.user._id;
-    await company.save();
+    const [statement, ledgerBalance] = await Promise.all([
+      ledgerService.getStatement(company, {
+        startDate: req.query.startDate,
+        endDate: req.query.endDate,
+      }),
+      ledgerService.getBalance(company),
+    ]);
+
+    res.status(200).json({
+      cachedBalance: company.balance,
+      ledgerBalance,
+      ledgerDrift: company.ledgerDrift,
+      statement,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Get company ledger error:", error);
+    res.status(500).json({ message: "Server error while fetching ledger" });
+  }
+};
+
+/**
+ * Credit or debit a company's wallet by hand
+ */
+exports.adjustCompanyBalance = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, ledgerAdjustmentSchema);
+    if (!isValid) {
+      return res.status(400).json({ message: errors[0] });
+    }
 
-    // Notify company owner
-    await emailService.sendCompanyApprovalEmail(
-      company.owner.email,
-      company.name
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: "Company not found" });
+    }
+
+    const entry = await ledgerService.recordAdjustment(
+      company,
+      req.body.amount,
+      { reason: req.body.reason, user: req.user }
     );
 
-    res.status(200).json({ message: "Company approved successfully", company });
+    res.status(201).json({
+      message: "Balance adjusted",
+      entry,
+      balance: await ledgerService.getBalance(company),
+    });
   } catch (error) {
-    console.error("Approve company error:", error);
-    res.status(500).json({ message: "Server error while approving company" });
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Adjust company balance error:", error);
+    res.status(500).json({ message: "Server error while adjusting balance" });
   }
 };
 
 /**
- * Reject company
+ * Reset a company's cached balance to its ledger balance after drift
  */
-exports.rejectCompany = async (req, res) => {
+exports.resyncCompanyBalance = async (req, res) => {
   try {
-    const { companyId } = req.params;
-    const { reason } = req.body;
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: "Company not found" });
+    }
+
+    const { before, after } = await ledgerService.resync(company, req.user);
+
+    res.status(200).json({
+      message: "Balance resynced with ledger",
+      before,
+      after,
+    });
+  } catch (error) {
+    console.error("Resync company balance error:", error);
+    res.status(500).json({ message: "Server error while resyncing balance" });
+  }
+};
 
-    const company = await Company.findById(companyId);
+/**
+ * List subscription invoices across companies
+ */
+exports.getInvoices = async (req, res) => {
+  try {
+    // e.g. ?status=open for unpaid invoices
+    const query = {};
+    if (req.query.status) query.status = String(req.query.status);
+    if (mongoose.isValidObjectId(req.query.companyId)) {
+      query.companyId = req.query.companyId;
+    }
+
+    const invoices = await Invoice.find(query)
+      .populate("companyId", "name contactEmail")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({ count: invoices.length, invoices });
+  } catch (error) {
+    console.error("Get invoices error:", error);
+    res.status(500).json({ message: "Server error while fetching invoices" });
+  }
+};
+
+/**
+ * Extend or restart a company's free trial
+ */
+exports.extendCompanyTrial = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, trialExtensionSchema);
+    if (!isValid) {
+      return res.status(400).json({ message: errors[0] });
+    }
+
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: "Company not found" });
+    }
+
+    const subscription = await billingService.extendTrial(
+      company,
+      new Date(req.body.trialEndsAt),
+      req.user
+    );
+
+    res.status(200).json({
+      message: "Trial extended successfully",
+      subscription,
+    });
+  } catch (error) {
+    console.error("Extend company trial error:", error);
+    res.status(500).json({ message: "Server error while extending trial" });
+  }
+};
+
+/**
+ * Set a company's two-factor policy
+ */
+exports.updateCompanySecurity = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { isValid, errors } = validateData(req.body, twoFactorPolicySchema);
+    if (!isValid) {
+      return res.status(400).json({ message: errors[0] });
+    }
+
+    const company = await Company.findById(id);
     if (!company) {
       return res.status(404).json({ message: "Company not found" });
     }
 
-    company.status = "rejected";
-    company.rejectionReason = reason;
-    company.rejectedAt = Date.now();
-    company.rejectedBy = req.user._id;
+    company.security = {
+      twoFactorRequired: req.body.twoFactorRequired,
+      twoFactorRoles: req.body.twoFactorRoles || [],
+    };
     await company.save();
 
-    // Notify company owner
-    await emailService.sendCompanyRejectionEmail(
-      company.owner.email,
-      company.name,
-      reason
+    res
+      .status(200)
+      .json({ message: "Company security policy updated", company });
+  } catch (error) {
+    console.error("Update company security error:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while updating security policy" });
+  }
+};
+
+/**
+ * List the permissions that can be granted through company roles
+ */
+exports.getPermissionCatalogue = async (req, res) => {
+  const permissions = Object.entries(PERMISSIONS).map(
+    ([key, description]) => ({ key, description })
+  );
+
+  res.status(200).json({ permissions });
+};
+
+/**
+ * Get the roles defined for a company
+ */
+exports.getCompanyRoles = async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: "Company not found" });
+    }
+
+    const roles = await Role.find({ companyId: company._id }).sort({ name: 1 });
+
+    res.status(200).json({ roles });
+  } catch (error) {
+    console.error("Get company roles error:", error);
+    res.status(500).json({ message: "Server error while fetching roles" });
+  }
+};
+
+/**
+ * Create a role for a company
+ */
+exports.createCompanyRole = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, roleSchema);
+    if (!isValid) {
+      return res.status(400).json({ message: errors[0] });
+    }
+
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: "Company not found" });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    const existingRole = await Role.findOne({ companyId: company._id, name });
+    if (existingRole) {
+      return res
+        .status(400)
+        .json({ message: "A role with this name already exists" });
+    }
+
+    const role = await Role.create({
+      companyId: company._id,
+      name,
+      description,
+      permissions,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({ message: "Role created successfully", role });
+  } catch (error) {
+    console.error("Create company role error:", error);
+    res.status(500).json({ message: "Server error while creating role" });
+  }
+};
+
+/**
+ * Update a role definition
+ */
+exports.updateCompanyRole = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, roleSchema);
+    if (!isValid) {
+      return res.status(400).json({ message: errors[0] });
+    }
+
+    const role = await Role.findById(req.params.roleId);
+    if (!role) {
+      return res.status(404).json({ message: "Role not found" });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    const duplicate = await Role.findOne({
+      companyId: role.companyId,
+      name,
+      _id: { $ne: role._id },
+    });
+    if (duplicate) {
+      return res
+        .status(400)
+        .json({ message: "A role with this name already exists" });
+    }
+
+    role.name = name;
+    role.description = description;
+    role.permissions = permissions;
+    await role.save();
+
+    res.status(200).json({ message: "Role updated successfully", role });
+  } catch (error) {
+    console.error("Update company role error:", error);
+    res.status(500).json({ message: "Server error while updating role" });
+  }
+};
+
+/**
+ * Delete a role and remove it from every member holding it
+ */
+exports.deleteCompanyRole = async (req, res) => {
+  try {
+    const role = await Role.findByIdAndDelete(req.params.roleId);
+    if (!role) {
+      return res.status(404).json({ message: "Role not found" });
+    }
+
+    await User.updateMany(
+      { companyRoles: role._id },
+      { $pull: { companyRoles: role._id } }
     );
 
-    res.status(200).json({ message: "Company rejected successfully", company });
+    res.status(200).json({ message: "Role deleted successfully" });
   } catch (error) {
-    console.error("Reject company error:", error);
-    res.status(500).json({ message: "Server error while rejecting company" });
+    console.error("Delete company role error:", error);
+    res.status(500).json({ message: "Server error while deleting role" });
   }
 };
 
@@ -164,6 +543,192 @@ exports.getUserById = async (req, res) => {
   }
 };
 
+/**
+ * Get accounts locked after repeated failed logins
+ */
+exports.getLockedAccounts = async (req, res) => {
+  try {
+    const users = await loginProtectionService.findLockedAccounts();
+
+    res.status(200).json({ users });
+  } catch (error) {
+    console.error("Get locked accounts error:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while fetching locked accounts" });
+  }
+};
+
+/**
+ * Clear a login lockout
+ */
+exports.unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    await loginProtectionService.unlock(user);
+
+    res.status(200).json({ message: "User account unlocked successfully" });
+  } catch (error) {
+    console.error("Unlock user error:", error);
+    res.status(500).json({ message: "Server error while unlocking user" });
+  }
+};
+
+/**
+ * Start a time-boxed session acting as another user
+ */
+exports.impersonateUser = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, impersonationSchema);
+    if (!isValid) {
+      return res.status(400).json({ message: errors[0] });
+    }
+
+    const { accessToken, session, user } =
+      await impersonationService.startImpersonation(
+        req.user,
+        req.params.id,
+        req.body,
+        req
+      );
+
+    res.status(201).json({
+      message: `Now acting as ${user.email}`,
+      token: accessToken,
+      expiresAt: session.expiresAt,
+      sessionId: session._id,
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Impersonate user error:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while starting impersonation" });
+  }
+};
+
+/**
+ * List impersonation sessions
+ */
+exports.getImpersonationSessions = async (req, res) => {
+  try {
+    const { adminId, userId } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const result = await impersonationService.listSessions({
+      adminId,
+      userId,
+      page,
+      limit,
+    });
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error("Get impersonation sessions error:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while fetching impersonation sessions" });
+  }
+};
+
+/**
+ * Get every recorded action of an impersonation session
+ */
+exports.getImpersonationLog = async (req, res) => {
+  try {
+    const logs = await impersonationService.getSessionLog(
+      req.params.sessionId
+    );
+
+    res.status(200).json({ logs });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Get impersonation log error:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while fetching impersonation log" });
+  }
+};
+
+/**
+ * Queue the erasure of a former employee's personal data
+ */
+exports.requestUserErasure = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, erasureRequestSchema);
+    if (!isValid) {
+      return res.status(400).json({ message: errors[0] });
+    }
+
+    const request = await anonymizationService.requestErasure(
+      req.user,
+      req.params.id,
+      req.body
+    );
+
+    await auditService.record({
+      action: "user.erasure_requested",
+      target: { type: "User", id: request.userId },
+      metadata: { erasureRequestId: request._id, reason: request.reason },
+      req,
+    });
+
+    res.status(202).json({
+      message: "Erasure queued. Personal data will be removed shortly.",
+      request,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Request user erasure error:", error);
+    res.status(500).json({ message: "Server error while requesting erasure" });
+  }
+};
+
+/**
+ * Get right-to-erasure requests and their outcome
+ */
+exports.getErasureRequests = async (req, res) => {
+  try {
+    const { status, userId } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const result = await anonymizationService.listRequests({
+      status,
+      userId,
+      page,
+      limit,
+    });
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error("Get erasure requests error:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while fetching erasure requests" });
+  }
+};
+
 /**
  * Disable user
  */
@@ -285,6 +850,8 @@ exports.resolvePaymentDispute = async (req, res) => {
         .json({ message: "This dispute has already been resolved" });
     }
 
+    const before = { status: payment.status, disputeResolved: false };
+
     // Update payment
     payment.disputeResolved = true;
     payment.disputeResolvedAt = Date.now();
@@ -304,6 +871,16 @@ exports.resolvePaymentDispute = async (req, res) => {
 
     await payment.save();
 
+    await auditService.record({
+      action: "payment.dispute_resolved",
+      target: { type: "Payment", id: payment._id },
+      companyId: payment.companyId,
+      before,
+      after: { status: payment.status, disputeResolved: true },
+      metadata: { resolution, notes },
+      req,
+    });
+
     // Notify employer and employee
     const employer = await User.findById(payment.employer);
     const employee = await User.findById(payment.employee);
@@ -337,6 +914,9 @@ exports.getDashboardStats = async (req, res) => {
     const pendingCompanies = await Company.countDocuments({
       status: "pending",
     });
+    const companiesUnderReview = await Company.countDocuments({
+      status: "under_review",
+    });
     const totalEmployers = await User.countDocuments({ role: "employer" });
     const totalEmployees = await User.countDocuments({ role: "employee" });
     const activeDisputes = await Payment.countDocuments({
@@ -360,6 +940,7 @@ exports.getDashboardStats = async (req, res) => {
       stats: {
         totalCompanies,
         pendingCompanies,
+        companiesUnderReview,
         totalEmployers,
         totalEmployees,
         activeDisputes,
@@ -367,10 +948,123 @@ exports.getDashboardStats = async (req, res) => {
       recentUsers,
       recentCompanies,
     });
-  } catch (error) {r
-    console.error("Get dashboard stats error:", eror);
+  } catch (error) {
+    console.error("Get dashboard stats error:", error);
     res
       .status(500)
       .json({ message: "Server error while fetching dashboard stats" });
   }
 };
+
+/**
+ * List stored exchange rates
+ */
+exports.getExchangeRates = async (req, res) => {
+  try {
+    const rates = await exchangeRateService.listRates({
+      base: req.query.base,
+      quote: req.query.quote,
+    });
+
+    res.status(200).json({ count: rates.length, rates });
+  } catch (error) {
+    console.error("Get exchange rates error:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while fetching exchange rates" });
+  }
+};
+
+/**
+ * Record the exchange rate between two currencies
+ */
+exports.createExchangeRate = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, exchangeRateSchema);
+    if (!isValid) {
+      return res.status(400).json({ message: errors[0] });
+    }
+
+    const rate = await exchangeRateService.setRate(req.user, req.body);
+
+    res.status(201).json({ message: "Exchange rate recorded", rate });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Create exchange rate error:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while recording exchange rate" });
+  }
+};
+
+/**
+ * Payment totals across companies, converted into one reporting currency
+ */
+exports.getPaymentAnalytics = async (req, res) => {
+  try {
+    const { companyId, startDate, endDate } = req.query;
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate
+      ? new Date(startDate)
+      : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const match = { date: { $gte: start, $lte: end } };
+    if (companyId) {
+      if (!mongoose.isValidObjectId(companyId)) {
+        return res.status(400).json({ message: "Invalid company ID" });
+      }
+      match.companyId = new mongoose.Types.ObjectId(companyId);
+    }
+
+    // Converted at the rates in force at the end of the period
+    const totals = await reportService.getPaymentTotals(
+      match,
+      req.query.currency,
+      end
+    );
+
+    res.status(200).json({ startDate: start, endDate: end, ...totals });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Get payment analytics error:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while fetching payment analytics" });
+  }
+};
+
+/**
+ * List audit events across the platform
+ */
+exports.getAuditEvents = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const result = await auditService.listEvents(req.query, { page, limit });
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error("Get audit events error:", error);
+    res.status(500).json({ message: "Server error while fetching audit events" });
+  }
+};
+
+/**
+ * Export audit events as CSV
+ */
+exports.exportAuditEvents = async (req, res) => {
+  try {
+    await auditService.exportCsv(req.query, res);
+  } catch (error) {
+    console.error("Export audit events error:", error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ message: "Server error while exporting audit events" });
+  }
+};
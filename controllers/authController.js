@@ -1,8 +1,74 @@
 const User = require("../models/User");
-const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const crypto = require("crypto");
 const emailService = require("../services/emailService");
+const sessionService = require("../services/sessionService");
+const twoFactorService = require("../services/twoFactorService");
+const loginProtectionService = require("../services/loginProtectionService");
+const invitationService = require("../services/invitationService");
+const oidcService = require("../services/oidcService");
+const impersonationService = require("../services/impersonationService");
+
+const REFRESH_COOKIE = "refreshToken";
+const ACCOUNT_LOCKED_MESSAGE =
+  "Account temporarily locked due to too many failed login attempts";
+const INVALID_CREDENTIALS_MESSAGE = "Invalid credentials";
+// Compared against when there's no password to check, so unknown emails take
+// as long to reject as wrong passwords (hash of a random, discarded value)
+const DUMMY_PASSWORD_HASH =
+  "$2a$10$nNti0f2.oul1PQ00DJ.Eu..ZrQk8FGtb58dhQ2uUylzdFzTJjzcH.";
+const REFRESH_COOKIE_MAX_AGE =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "30", 10) * 24 * 60 * 60 * 1000;
+
+/**
+ * Store the refresh token in an httpOnly cookie scoped to the auth routes
+ */
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+    path: "/api/v1/auth",
+    maxAge: REFRESH_COOKIE_MAX_AGE,
+  });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, { path: "/api/v1/auth" });
+};
+
+/**
+ * Start a session for an authenticated user and send the login response
+ */
+const completeLogin = async (req, res, user, extra = {}) => {
+  // Start a session and issue access/refresh tokens
+  const { accessToken, refreshToken } = await sessionService.createSession(
+    user,
+    req
+  );
+
+  // Update last login time
+  await loginProtectionService.recordSuccess(user);
+  user.lastLogin = Date.now();
+  await user.save();
+
+  setRefreshCookie(res, refreshToken);
+
+  res.status(200).json({
+    token: accessToken,
+    refreshToken,
+    user: {
+      id: user._id,
+      fullName: user.fullName,
+      email: user.email,
+      role: user.role,
+      profileImage: user.profileImage,
+      emailVerified: user.isEmailVerified,
+      twoFactorEnabled: user.twoFactor.enabled,
+    },
+    ...extra,
+  });
+};
 
 /**
  * Register a new user
@@ -35,7 +101,7 @@ exports.register = async (req, res) => {
       role: role || "employee", // Default to employee if not specified
       verificationToken,
       verificationTokenExpiry,
-      emailVerified: false,
+      isEmailVerified: false,
     });
 
     await user.save();
@@ -62,18 +128,48 @@ exports.login = async (req, res) => {
 
     // Find user
     const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: "Invalid credentials" });
+
+    // Until the password is verified every failure gets the same response,
+    // so it doesn't reveal which emails have accounts, which are locked or
+    // which use single sign-on. Invited employees have no password until they
+    // accept the invitation, and erased accounts have none at all.
+    const hasPassword =
+      user && !user.isInvited && !user.anonymizedAt && !!user.password;
+    const isMatch = await bcrypt.compare(
+      String(password || ""),
+      hasPassword ? user.password : DUMMY_PASSWORD_HASH
+    );
+    if (!hasPassword) {
+      return res.status(400).json({ message: INVALID_CREDENTIALS_MESSAGE });
+    }
+
+    // Locked and throttled accounts are refused whatever the password; the
+    // owner is emailed an unlock link when their account locks
+    if (
+      user.isLocked() ||
+      loginProtectionService.getRemainingDelay(user) > 0
+    ) {
+      return res.status(400).json({ message: INVALID_CREDENTIALS_MESSAGE });
     }
 
-    // Check password
-    const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
-      return res.status(400).json({ message: "Invalid credentials" });
+      await loginProtectionService.recordFailure(user);
+      return res.status(400).json({ message: INVALID_CREDENTIALS_MESSAGE });
+    }
+
+    // Companies using SSO can turn off password logins for their domains
+    if (
+      user.authProvider === "oidc" ||
+      (user.role !== "admin" && (await oidcService.isEnforcedFor(user)))
+    ) {
+      return res.status(403).json({
+        message: "Please sign in with your company's single sign-on",
+        ssoRequired: true,
+      });
     }
 
     // Check if email is verified
-    if (!user.emailVerified) {
+    if (!user.isEmailVerified) {
       return res.status(403).json({
         message: "Please verify your email before logging in",
         verificationRequired: true,
@@ -81,28 +177,29 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "24h" }
-    );
+    // Users with 2FA enabled finish logging in at /login/2fa
+    if (user.twoFactor.enabled) {
+      return res.status(200).json({
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.createChallengeToken(
+          user,
+          "2fa_verify"
+        ),
+      });
+    }
 
-    // Update last login time
-    user.lastLogin = Date.now();
-    await user.save();
+    // Users who must have 2FA but haven't enrolled yet enroll first
+    if (await twoFactorService.isRequired(user)) {
+      return res.status(200).json({
+        twoFactorSetupRequired: true,
+        challengeToken: twoFactorService.createChallengeToken(
+          user,
+          "2fa_setup"
+        ),
+      });
+    }
 
-    res.status(200).json({
-      token,
-      user: {
-        id: user._id,
-        fullName: user.fullName,
-        email: user.email,
-        role: user.role,
-        profileImage: user.profileImage,
-        emailVerified: user.emailVerified,
-      },
-    });
+    await completeLogin(req, res, user);
   } catch (error) {
     console.error("Login error:", error);
     res.status(500).json({ message: "Server error during login" });
@@ -128,7 +225,7 @@ exports.verifyEmail = async (req, res) => {
     }
 
     // Update user
-    user.emailVerified = true;
+    user.isEmailVerified = true;
     user.verificationToken = undefined;
     user.verificationTokenExpiry = undefined;
     await user.save();
@@ -154,7 +251,7 @@ exports.resendVerification = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    if (user.emailVerified) {
+    if (user.isEmailVerified) {
       return res.status(400).json({ message: "Email already verified" });
     }
 
@@ -247,6 +344,9 @@ exports.resetPassword = async (req, res) => {
     user.resetTokenExpiry = undefined;
     await user.save();
 
+    // Whoever had the old password should not stay logged in
+    await sessionService.revokeAllForUser(user._id, "password_changed");
+
     res.status(200).json({ message: "Password reset successfully" });
   } catch (error) {
     console.error("Reset password error:", error);
@@ -278,7 +378,19 @@ exports.changePassword = async (req, res) => {
     user.password = hashedPassword;
     await user.save();
 
-    res.status(200).json({ message: "Password changed successfully" });
+    // Log out every device and start a fresh session for this one
+    await sessionService.revokeAllForUser(user._id, "password_changed");
+    const { accessToken, refreshToken } = await sessionService.createSession(
+      user,
+      req
+    );
+    setRefreshCookie(res, refreshToken);
+
+    res.status(200).json({
+      message: "Password changed successfully",
+      token: accessToken,
+      refreshToken,
+    });
   } catch (error) {
     console.error("Change password error:", error);
     res.status(500).json({ message: "Server error during password change" });
@@ -305,11 +417,557 @@ exports.getCurrentUser = async (req, res) => {
   }
 };
 
+/**
+ * Refresh access token
+ * Rotates the refresh token on every use
+ */
+exports.refreshToken = async (req, res) => {
+  try {
+    const presentedToken = req.body.refreshToken || req.cookies[REFRESH_COOKIE];
+
+    if (!presentedToken) {
+      return res.status(401).json({ message: "Refresh token is required" });
+    }
+
+    let rotated;
+    try {
+      rotated = await sessionService.rotateRefreshToken(presentedToken, req);
+    } catch (rotationError) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ message: rotationError.message });
+    }
+
+    const user = await User.findById(rotated.session.userId);
+    if (!user || !user.isActive) {
+      await sessionService.revokeSession(rotated.session._id, "admin");
+      clearRefreshCookie(res);
+      return res.status(401).json({ message: "Account is not active" });
+    }
+
+    setRefreshCookie(res, rotated.refreshToken);
+
+    res.status(200).json({
+      token: sessionService.generateAccessToken(user, rotated.session),
+      refreshToken: rotated.refreshToken,
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({ message: "Server error during token refresh" });
+  }
+};
+
 /**
  * Logout
+ * Revokes the session behind the current access token
  */
 exports.logout = async (req, res) => {
-  // In a real implementation, you might want to blacklist the token
-  // or maintain a list of active tokens per user
-  res.status(200).json({ message: "Logged out successfully" });
+  try {
+    await sessionService.revokeSession(req.session._id, "logout");
+    clearRefreshCookie(res);
+
+    res.status(200).json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ message: "Server error during logout" });
+  }
+};
+
+/**
+ * Logout from all devices
+ */
+exports.logoutAll = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllForUser(
+      req.user._id,
+      "logout_all"
+    );
+    clearRefreshCookie(res);
+
+    res
+      .status(200)
+      .json({ message: "Logged out from all devices", sessionsRevoked: revoked });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({ message: "Server error during logout" });
+  }
+};
+
+/**
+ * List active sessions of the current user
+ */
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listActiveSessions(req.user._id);
+
+    res.status(200).json({
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        impersonated: !!session.impersonatedBy,
+        current: session._id.toString() === req.session._id.toString(),
+      })),
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({ message: "Server error while fetching sessions" });
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const sessions = await sessionService.listActiveSessions(req.user._id);
+    const session = sessions.find((s) => s._id.toString() === sessionId);
+
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    await sessionService.revokeSession(session._id, "logout");
+
+    res.status(200).json({ message: "Session revoked successfully" });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({ message: "Server error while revoking session" });
+  }
+};
+
+/**
+ * Complete login with a TOTP or backup code
+ */
+exports.verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({
+        message: "Challenge token and a verification or backup code are required",
+      });
+    }
+
+    let user;
+    try {
+      user = await twoFactorService.verifyChallengeToken(
+        challengeToken,
+        "2fa_verify"
+      );
+    } catch (challengeError) {
+      return res.status(401).json({ message: challengeError.message });
+    }
+
+    if (user.isLocked()) {
+      return res.status(423).json({
+        message: ACCOUNT_LOCKED_MESSAGE,
+        lockedUntil: user.loginSecurity.lockUntil,
+      });
+    }
+
+    // Code guesses are throttled like password guesses
+    const retryAfter = loginProtectionService.getRemainingDelay(user);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        message: `Too many failed attempts. Try again in ${retryAfter} seconds`,
+        retryAfter,
+      });
+    }
+
+    const isValid = await twoFactorService.verifySecondFactor(user, {
+      code,
+      backupCode,
+    });
+    if (!isValid) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      const result = await loginProtectionService.recordFailure(user);
+      if (result.locked) {
+        return res.status(423).json({
+          message: ACCOUNT_LOCKED_MESSAGE,
+          lockedUntil: result.lockUntil,
+        });
+      }
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    await completeLogin(req, res, user, {
+      backupCodesRemaining: backupCode
+        ? user.twoFactor.backupCodes.length
+        : undefined,
+    });
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    res.status(500).json({ message: "Server error during login" });
+  }
+};
+
+/**
+ * Start 2FA enrollment during login (when 2FA is enforced)
+ */
+exports.setupTwoFactorAtLogin = async (req, res) => {
+  try {
+    let user;
+    try {
+      user = await twoFactorService.verifyChallengeToken(
+        req.body.challengeToken,
+        "2fa_setup"
+      );
+    } catch (challengeError) {
+      return res.status(401).json({ message: challengeError.message });
+    }
+
+    const enrollment = await twoFactorService.beginEnrollment(user);
+
+    res.status(200).json(enrollment);
+  } catch (error) {
+    console.error("Two-factor setup error:", error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Confirm enforced 2FA enrollment and finish logging in
+ */
+exports.enableTwoFactorAtLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    let user;
+    try {
+      user = await twoFactorService.verifyChallengeToken(
+        challengeToken,
+        "2fa_setup"
+      );
+    } catch (challengeError) {
+      return res.status(401).json({ message: challengeError.message });
+    }
+
+    let backupCodes;
+    try {
+      backupCodes = await twoFactorService.confirmEnrollment(user, code);
+    } catch (enrollError) {
+      return res.status(400).json({ message: enrollError.message });
+    }
+
+    await completeLogin(req, res, user, { backupCodes });
+  } catch (error) {
+    console.error("Two-factor enable error:", error);
+    res.status(500).json({ message: "Server error during login" });
+  }
+};
+
+/**
+ * Start 2FA enrollment for the logged-in user
+ */
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const enrollment = await twoFactorService.beginEnrollment(user);
+
+    res.status(200).json(enrollment);
+  } catch (error) {
+    console.error("Two-factor setup error:", error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+/**
+ * Confirm 2FA enrollment for the logged-in user
+ */
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+twoFactor.pendingSecret"
+    );
+
+    let backupCodes;
+    try {
+      backupCodes = await twoFactorService.confirmEnrollment(
+        user,
+        req.body.code
+      );
+    } catch (enrollError) {
+      return res.status(400).json({ message: enrollError.message });
+    }
+
+    res.status(200).json({
+      message: "Two-factor authentication enabled",
+      backupCodes,
+    });
+  } catch (error) {
+    console.error("Two-factor enable error:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while enabling two-factor authentication" });
+  }
+};
+
+/**
+ * Disable 2FA (requires password and a current code)
+ */
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id).select(
+      "+twoFactor.secret +twoFactor.backupCodes"
+    );
+
+    if (!user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (await twoFactorService.isRequired(user)) {
+      return res.status(403).json({
+        message: "Two-factor authentication is required for your account",
+      });
+    }
+
+    const isMatch = await bcrypt.compare(password || "", user.password);
+    const isValid =
+      isMatch && (await twoFactorService.verifySecondFactor(user, { code }));
+    if (!isValid) {
+      return res
+        .status(400)
+        .json({ message: "Invalid password or verification code" });
+    }
+
+    await twoFactorService.disable(user);
+
+    res.status(200).json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("Two-factor disable error:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while disabling two-factor authentication" });
+  }
+};
+
+/**
+ * Regenerate backup codes (requires a current code)
+ */
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+twoFactor.secret +twoFactor.backupCodes"
+    );
+
+    const isValid = await twoFactorService.verifySecondFactor(user, {
+      code: req.body.code,
+    });
+    if (!isValid) {
+      return res.status(400).json({ message: "Invalid verification code" });
+    }
+
+    const backupCodes = await twoFactorService.regenerateBackupCodes(user);
+
+    res.status(200).json({ backupCodes });
+  } catch (error) {
+    console.error("Regenerate backup codes error:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while regenerating backup codes" });
+  }
+};
+
+/**
+ * Unlock an account from the link in the lockout email
+ */
+exports.unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const user = await loginProtectionService.unlockWithToken(token);
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired unlock token" });
+    }
+
+    res
+      .status(200)
+      .json({ message: "Account unlocked successfully. You can now log in." });
+  } catch (error) {
+    console.error("Unlock account error:", error);
+    res.status(500).json({ message: "Server error while unlocking account" });
+  }
+};
+
+/**
+ * Get invitation details so the invitee can review the contract
+ */
+exports.getInvitation = async (req, res) => {
+  try {
+    const invitation = await invitationService.getByToken(req.params.token);
+    const employee = invitation.employeeId;
+
+    res.status(200).json({
+      invitation: {
+        email: invitation.email,
+        expiresAt: invitation.expiresAt,
+        contractUrl: invitation.contractUrl,
+        company: invitation.companyId,
+        invitedBy: invitation.invitedBy,
+        employee: {
+          firstName: employee.firstName,
+          lastName: employee.lastName,
+          designation: employee.designation,
+          salary: employee.salary,
+          workSchedule: employee.workSchedule,
+        },
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Get invitation error:", error);
+    res.status(500).json({ message: "Server error while fetching invitation" });
+  }
+};
+
+/**
+ * Accept an invitation, set a password and sign the new employee in
+ */
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const { password, acceptContract } = req.body;
+
+    const user = await invitationService.acceptInvitation(req.params.token, {
+      password,
+      acceptContract,
+    });
+
+    // Company policy may require 2FA enrollment before the first session
+    if (await twoFactorService.isRequired(user)) {
+      return res.status(200).json({
+        message: "Invitation accepted successfully",
+        twoFactorSetupRequired: true,
+        challengeToken: twoFactorService.createChallengeToken(
+          user,
+          "2fa_setup"
+        ),
+      });
+    }
+
+    await completeLogin(req, res, user, {
+      message: "Invitation accepted successfully",
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Accept invitation error:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while accepting invitation" });
+  }
+};
+
+/**
+ * Tell the login screen whether an email should sign in through SSO
+ */
+exports.discoverSso = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const result = await oidcService.discover(email);
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error("SSO discovery error:", error);
+    res.status(500).json({ message: "Server error during SSO discovery" });
+  }
+};
+
+/**
+ * Start an SSO login and return the identity provider's authorization URL
+ */
+exports.startSso = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const { authorizationUrl, state } = await oidcService.startLogin(email);
+
+    res.status(200).json({ authorizationUrl, state });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("SSO start error:", error);
+    res.status(500).json({ message: "Server error while starting SSO" });
+  }
+};
+
+/**
+ * Start linking the signed-in user's account to their company's identity
+ * provider. The provider redirects back to the usual SSO callback.
+ */
+exports.linkSso = async (req, res) => {
+  try {
+    const { authorizationUrl, state } = await oidcService.startLink(req.user);
+
+    res.status(200).json({ authorizationUrl, state });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("SSO link error:", error);
+    res.status(500).json({ message: "Server error while linking SSO" });
+  }
+};
+
+/**
+ * Complete an SSO login with the code and state the provider redirected with
+ */
+exports.completeSso = async (req, res) => {
+  try {
+    const { code, state } = req.body;
+    if (!code || !state) {
+      return res.status(400).json({ message: "Code and state are required" });
+    }
+
+    const user = await oidcService.completeLogin({ code, state });
+
+    // Second factors are the identity provider's responsibility
+    await completeLogin(req, res, user);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("SSO callback error:", error);
+    res.status(500).json({ message: "Server error while completing SSO" });
+  }
+};
+
+/**
+ * End the current impersonation session and return to the admin's own session
+ */
+exports.endImpersonation = async (req, res) => {
+  try {
+    await impersonationService.endImpersonation(req.session, req);
+
+    res.status(200).json({ message: "Impersonation ended" });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("End impersonation error:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while ending impersonation" });
+  }
 };
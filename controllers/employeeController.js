@@ -2,9 +2,37 @@ const User = require('../models/User');
 const Document = require('../models/Document');
 const Project = require('../models/Project');
 const Attendance = require('../models/Attendance');
+const Company = require('../models/Company');
 const { cloudinaryUpload } = require('../config/cloudinary');
-const { validateDocument } = require('../utils/validators');
+const {
+  validateDocument,
+  validateData,
+  attendanceCorrectionSchema,
+  clockPositionSchema
+} = require('../utils/validators');
+const { getLocalDay } = require('../utils/helpers');
 const { compareFaces } = require('../services/faceService');
+const dataExportService = require('../services/dataExportService');
+const paymentService = require('../services/paymentService');
+const auditService = require('../services/auditService');
+const branchService = require('../services/branchService');
+
+// Device position sent with clock-in/out as form fields, or null if absent
+const getClockPosition = (body) => {
+  if (body.latitude === undefined || body.longitude === undefined) return null;
+  return {
+    latitude: Number(body.latitude),
+    longitude: Number(body.longitude),
+    address: body.address
+  };
+};
+
+const outsideFenceMessage = (fence, action) => {
+  const where = fence.distance === null
+    ? 'Share your location'
+    : `You are ${fence.distance}m away`;
+  return `${where}. You must be within ${fence.branch.radius}m of ${fence.branch.name} to ${action}.`;
+};
 
 /**
  * Update verification documents
@@ -36,6 +64,7 @@ exports.uploadVerificationDocument = async (req, res) => {
     const document = new Document({
       user: req.user.id,
       type,
+      documentNumber: req.body.documentNumber,
       description,
       fileUrl: result.secure_url,
       status: 'pending' // Pending verification
@@ -77,14 +106,27 @@ exports.updateRemittanceInfo = async (req, res) => {
       });
     }
     
+    // Payouts go to a Paystack transfer recipient for the account
+    let recipient;
+    try {
+      recipient = await paymentService.createRecipient(req.user, bankCode, accountNumber);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Could not register this bank account for payouts'
+      });
+    }
+    
+    // Account number and recipient code are encrypted by the User model
     const user = await User.findByIdAndUpdate(
       req.user.id,
       {
-        remittanceInfo: {
+        bankDetails: {
           bankName,
           accountNumber,
           accountName,
-          bankCode
+          bankCode,
+          recipientCode: recipient.recipient_code
         }
       },
       { new: true }
@@ -93,7 +135,7 @@ exports.updateRemittanceInfo = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Remittance information updated successfully',
-      data: user.remittanceInfo
+      data: user.toJSON().bankDetails
     });
   } catch (error) {
     console.error('Error updating remittance info:', error);
@@ -101,6 +143,23 @@ exports.updateRemittanceInfo = async (req, res) => {
   }
 };
 
+/**
+ * Get remittance information, with the account number masked
+ */
+exports.getRemittanceInfo = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('bankDetails');
+    
+    res.status(200).json({
+      success: true,
+      data: user.toJSON().bankDetails || {}
+    });
+  } catch (error) {
+    console.error('Error fetching remittance info:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
 /**
  * Clock in
  */
@@ -111,6 +170,11 @@ exports.clockIn = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Face image is required' });
     }
     
+    const { isValid, errors } = validateData(req.body, clockPositionSchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+    
     const user = await User.findById(req.user.id);
     if (!user.profilePicture) {
       return res.status(400).json({ 
@@ -119,6 +183,19 @@ exports.clockIn = async (req, res) => {
       });
     }
     
+    // Check the device position against the employee's branch geofence
+    const company = await Company.findById(user.companyId);
+    const position = getClockPosition(req.body);
+    const fence = await branchService.checkPosition(user, company, position);
+    
+    if (fence && !fence.withinFence && fence.enforcement === 'reject') {
+      return res.status(403).json({ 
+        success: false, 
+        message: outsideFenceMessage(fence, 'clock in'),
+        distance: fence.distance
+      });
+    }
+    
     // Upload face image
     const result = await cloudinaryUpload(req.file.path, 'face-recognition');
     
@@ -132,37 +209,50 @@ exports.clockIn = async (req, res) => {
       });
     }
     
-    // Check if already clocked in
-    const existingAttendance = await Attendance.findOne({
-      employee: req.user.id,
-      date: {
-        $gte: new Date().setHours(0, 0, 0, 0),
-        $lt: new Date().setHours(23, 59, 59, 999)
-      },
-      clockOutTime: null
+    // Today's record in the employee's time zone; monitoring may have
+    // already created it
+    const { start, end } = getLocalDay(
+      new Date(),
+      user.timezone || company.timezone
+    );
+    let attendance = await Attendance.findOne({
+      employeeId: user._id,
+      date: { $gte: start, $lt: end }
     });
     
-    if (existingAttendance) {
+    if (attendance && attendance.clockInTime) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Already clocked in. Please clock out first.' 
+        message: attendance.clockOutTime
+          ? 'Already clocked out for today.'
+          : 'Already clocked in. Please clock out first.' 
       });
     }
     
-    // Create attendance record
-    const attendance = new Attendance({
-      employee: req.user.id,
-      company: user.company,
-      date: new Date(),
-      clockInTime: new Date(),
-      faceImageIn: result.secure_url
-    });
+    if (!attendance) {
+      attendance = new Attendance({ employeeId: user._id, date: start });
+    }
+    
+    attendance.clockInTime = new Date();
+    attendance.clockInImage = result.secure_url;
+    attendance.status = 'present';
+    attendance.location = position || undefined;
+    
+    if (fence) {
+      attendance.geofence = {
+        branchId: fence.branch._id,
+        clockInDistance: fence.distance,
+        outsideFence: !fence.withinFence
+      };
+    }
     
     await attendance.save();
     
     res.status(200).json({
       success: true,
-      message: 'Clocked in successfully',
+      message: fence && !fence.withinFence
+        ? 'Clocked in outside your branch. This has been flagged for review.'
+        : 'Clocked in successfully',
       data: attendance
     });
   } catch (error) {
@@ -181,8 +271,26 @@ exports.clockOut = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Face image is required' });
     }
     
+    const { isValid, errors } = validateData(req.body, clockPositionSchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+    
     const user = await User.findById(req.user.id);
     
+    // Check the device position against the employee's branch geofence
+    const company = await Company.findById(user.companyId);
+    const position = getClockPosition(req.body);
+    const fence = await branchService.checkPosition(user, company, position);
+    
+    if (fence && !fence.withinFence && fence.enforcement === 'reject') {
+      return res.status(403).json({ 
+        success: false, 
+        message: outsideFenceMessage(fence, 'clock out'),
+        distance: fence.distance
+      });
+    }
+    
     // Upload face image
     const result = await cloudinaryUpload(req.file.path, 'face-recognition');
     
@@ -196,13 +304,15 @@ exports.clockOut = async (req, res) => {
       });
     }
     
-    // Find current attendance record
+    // Find today's open attendance record in the employee's time zone
+    const { start, end } = getLocalDay(
+      new Date(),
+      user.timezone || company.timezone
+    );
     const attendance = await Attendance.findOne({
-      employee: req.user.id,
-      date: {
-        $gte: new Date().setHours(0, 0, 0, 0),
-        $lt: new Date().setHours(23, 59, 59, 999)
-      },
+      employeeId: user._id,
+      date: { $gte: start, $lt: end },
+      clockInTime: { $ne: null },
       clockOutTime: null
     });
     
@@ -215,14 +325,25 @@ exports.clockOut = async (req, res) => {
     
     // Update attendance record
     attendance.clockOutTime = new Date();
-    attendance.faceImageOut = result.secure_url;
-    attendance.hoursWorked = (attendance.clockOutTime - attendance.clockInTime) / (1000 * 60 * 60);
+    attendance.clockOutImage = result.secure_url;
+    attendance.workingHours = Number(
+      ((attendance.clockOutTime - attendance.clockInTime) / (1000 * 60 * 60)).toFixed(2)
+    );
+    attendance.clockOutLocation = position || undefined;
+    
+    if (fence) {
+      attendance.geofence.branchId = fence.branch._id;
+      attendance.geofence.clockOutDistance = fence.distance;
+      if (!fence.withinFence) attendance.geofence.outsideFence = true;
+    }
     
     await attendance.save();
     
     res.status(200).json({
       success: true,
-      message: 'Clocked out successfully',
+      message: fence && !fence.withinFence
+        ? 'Clocked out outside your branch. This has been flagged for review.'
+        : 'Clocked out successfully',
       data: attendance
     });
   } catch (error) {
@@ -231,6 +352,124 @@ exports.clockOut = async (req, res) => {
   }
 };
 
+/**
+ * Request a correction to an attendance record, reviewed by the supervisor
+ */
+exports.requestAttendanceCorrection = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, attendanceCorrectionSchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+    
+    const attendance = await Attendance.findOne({
+      _id: req.params.id,
+      employeeId: req.user._id
+    });
+    
+    if (!attendance) {
+      return res.status(404).json({ success: false, message: 'Attendance record not found' });
+    }
+    
+    const hasPending = attendance.correctionRequests.some(c => c.status === 'pending');
+    if (hasPending) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'A correction request for this record is already pending' 
+      });
+    }
+    
+    const { clockInTime, clockOutTime, reason } = req.body;
+    
+    attendance.correctionRequests.push({
+      requestedClockInTime: clockInTime,
+      requestedClockOutTime: clockOutTime,
+      reason
+    });
+    
+    await attendance.save();
+    
+    res.status(201).json({
+      success: true,
+      message: 'Correction request submitted for supervisor review',
+      data: attendance.correctionRequests[attendance.correctionRequests.length - 1]
+    });
+  } catch (error) {
+    console.error('Error requesting attendance correction:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Request a copy of all personal data held about the employee
+ */
+exports.requestDataExport = async (req, res) => {
+  try {
+    const request = await dataExportService.requestExport(req.user);
+
+    await auditService.record({
+      action: 'data_export.requested',
+      target: { type: 'User', id: req.user._id },
+      companyId: req.user.companyId,
+      req
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Your export is being prepared. We will email you a download link when it is ready.',
+      data: request
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error requesting data export:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * List the employee's data export requests
+ */
+exports.getDataExports = async (req, res) => {
+  try {
+    const requests = await dataExportService.listRequests(req.user);
+
+    res.status(200).json({ success: true, data: requests });
+  } catch (error) {
+    console.error('Error fetching data exports:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Download a prepared data export using the token from the email
+ */
+exports.downloadDataExport = async (req, res) => {
+  try {
+    const { filePath, fileName } = await dataExportService.getDownload(
+      req.user,
+      req.params.id,
+      req.query.token
+    );
+
+    await auditService.record({
+      action: 'data_export.downloaded',
+      target: { type: 'DataExportRequest', id: req.params.id },
+      companyId: req.user.companyId,
+      req
+    });
+
+    res.download(filePath, fileName);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error downloading data export:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
 /**
  * Submit daily progress report
  */
@@ -2,128 +2,315 @@ const User = require("../models/User");
 const Company = require("../models/Company");
 const Project = require("../models/Project");
 const Payment = require("../models/Payment");
-const { generatePdf } = require("../services/pdfService");
-const { sendEmployeeInvite } = require("../services/emailService");
+const Role = require("../models/Role");
+const LedgerEntry = require("../models/LedgerEntry");
+const sessionService = require("../services/sessionService");
+const invitationService = require("../services/invitationService");
+const employeeImportService = require("../services/employeeImportService");
+const companyService = require("../services/companyService");
+const permissionService = require("../services/permissionService");
+const apiKeyService = require("../services/apiKeyService");
+const oidcService = require("../services/oidcService");
+const auditService = require("../services/auditService");
+const retentionService = require("../services/retentionService");
+const departmentService = require("../services/departmentService");
+const branchService = require("../services/branchService");
+const holidayService = require("../services/holidayService");
+const reportService = require("../services/reportService");
+const ledgerService = require("../services/ledgerService");
+const paymentService = require("../services/paymentService");
+const billingService = require("../services/billingService");
+const companyVerificationService = require("../services/companyVerificationService");
+const { deleteFromCloudinary } = require("../config/cloudinary");
+const { getBranding } = require("../utils/helpers");
 const {
-  validateEmployeeInvite,
   validateProject,
+  validateData,
+  employeeInvitationSchema,
+  twoFactorPolicySchema,
+  retentionPolicySchema,
+  companyTimezoneSchema,
+  employeeTimezoneSchema,
+  companyCurrencySchema,
+  companyBrandingSchema,
+  companyDocumentSchema,
+  ssoConnectionSchema,
+  ssoDomainVerificationSchema,
+  roleAssignmentSchema,
+  departmentSchema,
+  departmentUpdateSchema,
+  departmentAssignmentSchema,
+  branchSchema,
+  branchUpdateSchema,
+  branchAssignmentSchema,
+  geofencePolicySchema,
+  holidaySchema,
+  holidayUpdateSchema,
+  holidayImportSchema,
+  holidayPolicySchema,
+  ownershipTransferSchema,
+  apiKeySchema,
+  wageSchema,
 } = require("../utils/validators");
-const { cloudinaryUpload } = require("../config/cloudinary");
 
 /**
  * Invite an employee
  */
 exports.inviteEmployee = async (req, res) => {
   try {
-    const {
-      email,
-      firstName,
-      lastName,
-      role,
-      workPeriod,
-      supervisor,
-      leaves,
-      benefits,
-      wages,
-      balance,
-      workingDays,
-      breakPeriod,
-      designation,
-    } = req.body;
-
-    const { error } = validateEmployeeInvite(req.body);
-    if (error) {
-      return res
-        .status(400)
-        .json({ success: false, message: error.details[0].message });
+    const company = await Company.findForUser(req.user);
+    if (!company) {
+      return res.status(400).json({
+        success: false,
+        message: "Employer not associated with a company",
+      });
     }
 
-    // Check if user exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
+    const data = { ...req.body, companyId: String(company._id) };
+    const { isValid, errors } = validateData(data, employeeInvitationSchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const { invitation, employee } = await invitationService.createInvitation({
+      company,
+      inviter: req.user,
+      data,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Employee invited successfully",
+      data: {
+        invitationId: invitation._id,
+        employeeId: employee._id,
+        email: invitation.email,
+        contractUrl: invitation.contractUrl,
+        expiresAt: invitation.expiresAt,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
       return res
-        .status(400)
-        .json({ success: false, message: "Email already registered" });
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
     }
+    console.error("Error inviting employee:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
 
-    // Get employer's company
-    const employer = await User.findById(req.user.id).populate("company");
-    if (!employer.company) {
+/**
+ * Invite employees from an uploaded CSV. With ?dryRun=true each row is only
+ * validated; otherwise the invitations are created in the background.
+ */
+exports.importEmployees = async (req, res) => {
+  try {
+    if (!req.file) {
       return res
         .status(400)
-        .json({
-          success: false,
-          message: "Employer not associated with a company",
-        });
+        .json({ success: false, message: "A CSV file is required" });
     }
 
-    // Create employment contract PDF
-    const contractData = {
-      employeeName: `${firstName} ${lastName}`,
-      employeeEmail: email,
-      employerName: employer.firstName + " " + employer.lastName,
-      companyName: employer.company.name,
-      role: designation,
-      workPeriod,
-      supervisor,
-      wages,
-      benefits,
-      leaves,
-      workingDays,
-      startDate: new Date().toISOString(),
-    };
+    const csv = req.file.buffer.toString("utf8");
+
+    if (req.query.dryRun === "true") {
+      const report = await employeeImportService.previewImport(
+        req.company,
+        csv
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: report.invalidRows
+          ? `${report.invalidRows} of ${report.totalRows} rows have errors`
+          : `All ${report.totalRows} rows are valid`,
+        data: report,
+      });
+    }
 
-    const pdfBuffer = await generatePdf("employmentContract", contractData);
-    const pdfResult = await cloudinaryUpload(
-      pdfBuffer,
-      "contracts",
-      `contract_${email}`
+    const employeeImport = await employeeImportService.startImport(
+      req.company,
+      req.user,
+      { csv, fileName: req.file.originalname }
     );
 
-    // Create temporary employee record
-    const employee = new User({
-      email,
-      firstName,
-      lastName,
-      role: "employee",
-      isInvited: true,
-      company: employer.company._id,
-      employmentDetails: {
-        workPeriod,
-        supervisor,
-        leaves,
-        benefits,
-        wages,
-        balance: balance || 0,
-        workingDays,
-        breakPeriod,
-        designation,
-        contractUrl: pdfResult.secure_url,
-        dailyRate: wages / (workingDays.length * 4), // Approximate daily rate
+    await auditService.record({
+      action: "employee_import.started",
+      target: { type: "EmployeeImport", id: employeeImport._id },
+      companyId: req.company._id,
+      metadata: {
+        fileName: employeeImport.fileName,
+        totalRows: employeeImport.totalRows,
       },
+      req,
     });
 
-    await employee.save();
+    res.status(202).json({
+      success: true,
+      message: "Import queued; invitations will be sent shortly",
+      data: employeeImport,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error importing employees:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get the progress of an employee import
+ */
+exports.getEmployeeImport = async (req, res) => {
+  try {
+    const employeeImport = await employeeImportService.getImport(
+      req.company,
+      req.params.id
+    );
+
+    res.status(200).json({ success: true, data: employeeImport });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error fetching employee import:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
 
-    // Send invitation email
-    await sendEmployeeInvite(email, {
-      employerName: `${employer.firstName} ${employer.lastName}`,
-      companyName: employer.company.name,
-      role: designation,
-      contractUrl: pdfResult.secure_url,
+/**
+ * Download the rows of an employee import that couldn't be invited, with the
+ * reason for each
+ */
+exports.downloadEmployeeImportErrors = async (req, res) => {
+  try {
+    const { fileName, csv } = await employeeImportService.getErrorCsv(
+      req.company,
+      req.params.id
+    );
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.status(200).send(csv);
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error exporting employee import errors:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * List the company's employee invitations
+ */
+exports.getInvitations = async (req, res) => {
+  try {
+    const company = await Company.findForUser(req.user);
+    if (!company) {
+      return res.status(400).json({
+        success: false,
+        message: "Employer not associated with a company",
+      });
+    }
+
+    const invitations = await invitationService.listInvitations(
+      company,
+      req.query.status
+    );
+
+    res.status(200).json({ success: true, data: invitations });
+  } catch (error) {
+    console.error("Error fetching invitations:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Resend an invitation with a fresh link
+ */
+exports.resendInvitation = async (req, res) => {
+  try {
+    const company = await Company.findForUser(req.user);
+    if (!company) {
+      return res.status(400).json({
+        success: false,
+        message: "Employer not associated with a company",
+      });
+    }
+
+    const invitation = await invitationService.resendInvitation(
+      company,
+      req.params.id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Invitation resent successfully",
+      data: invitation,
     });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error resending invitation:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
 
-    res.status(201).json({
+/**
+ * Revoke an outstanding invitation
+ */
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const company = await Company.findForUser(req.user);
+    if (!company) {
+      return res.status(400).json({
+        success: false,
+        message: "Employer not associated with a company",
+      });
+    }
+
+    const invitation = await invitationService.revokeInvitation(
+      company,
+      req.params.id,
+      req.user
+    );
+
+    res.status(200).json({
       success: true,
-      message: "Employee invited successfully",
-      data: {
-        employeeId: employee._id,
-        email,
-        contractUrl: pdfResult.secure_url,
-      },
+      message: "Invitation revoked successfully",
+      data: invitation,
     });
   } catch (error) {
-    console.error("Error inviting employee:", error);
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error revoking invitation:", error);
     res
       .status(500)
       .json({ success: false, message: "Server error", error: error.message });
@@ -144,8 +331,7 @@ exports.terminateEmployee = async (req, res) => {
       });
     }
 
-    // Check if employee exists and belongs to employer's company
-    const employer = await User.findById(req.user.id);
+    // Check if employee exists and belongs to the company
     const employee = await User.findById(employeeId);
 
     if (!employee) {
@@ -160,7 +346,7 @@ exports.terminateEmployee = async (req, res) => {
         .json({ success: false, message: "User is not an employee" });
     }
 
-    if (employee.company.toString() !== employer.company.toString()) {
+    if (!req.company._id.equals(employee.companyId)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to terminate this employee",
@@ -177,6 +363,19 @@ exports.terminateEmployee = async (req, res) => {
 
     await employee.save();
 
+    await auditService.record({
+      action: "employee.terminated",
+      target: { type: "User", id: employee._id },
+      companyId: req.company._id,
+      before: { isActive: true },
+      after: { isActive: false },
+      metadata: { reason },
+      req,
+    });
+
+    // Log the employee out everywhere
+    await sessionService.revokeAllForUser(employee._id, "terminated");
+
     res.status(200).json({
       success: true,
       message: "Employee terminated successfully",
@@ -204,13 +403,11 @@ exports.createProject = async (req, res) => {
         .json({ success: false, message: error.details[0].message });
     }
 
-    // Verify assignees belong to employer's company
-    const employer = await User.findById(req.user.id);
-
+    // Verify assignees belong to the company
     if (assignees && assignees.length > 0) {
       const employees = await User.find({
         _id: { $in: assignees },
-        company: employer.company,
+        companyId: req.company._id,
       });
 
       if (employees.length !== assignees.length) {
@@ -227,7 +424,7 @@ exports.createProject = async (req, res) => {
       description,
       startDate,
       endDate,
-      company: employer.company,
+      companyId: req.company._id,
       createdBy: req.user.id,
       assignees: assignees || [],
       milestones: milestones || [],
@@ -262,8 +459,7 @@ exports.setMonthlySalary = async (req, res) => {
       });
     }
 
-    // Check if employee exists and belongs to employer's company
-    const employer = await User.findById(req.user.id);
+    // Check if employee exists and belongs to the company
     const employee = await User.findById(employeeId);
 
     if (!employee) {
@@ -272,7 +468,7 @@ exports.setMonthlySalary = async (req, res) => {
         .json({ success: false, message: "Employee not found" });
     }
 
-    if (employee.company.toString() !== employer.company.toString()) {
+    if (!req.company._id.equals(employee.companyId)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to update this employee",
@@ -307,6 +503,68 @@ exports.setMonthlySalary = async (req, res) => {
   }
 };
 
+/**
+ * Change an employee's monthly salary and/or daily pay rate
+ */
+exports.setWages = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, wageSchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const employee = await User.findOne({
+      _id: req.params.id,
+      companyId: req.company._id,
+      role: "employee",
+    });
+    if (!employee) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Employee not found" });
+    }
+
+    const wages = () => ({
+      salary: employee.salary,
+      payPerDay: employee.payPerDay,
+      currency: employee.wageCurrency || req.company.currency,
+    });
+    const before = wages();
+
+    if (req.body.salary !== undefined) {
+      employee.salary = req.body.salary;
+    }
+    if (req.body.payPerDay !== undefined) {
+      employee.payPerDay = req.body.payPerDay;
+    }
+    if (req.body.currency !== undefined) {
+      employee.wageCurrency = req.body.currency;
+    }
+
+    await employee.save();
+
+    await auditService.record({
+      action: "employee.wages_changed",
+      target: { type: "User", id: employee._id },
+      companyId: req.company._id,
+      before,
+      after: wages(),
+      req,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Wages updated successfully",
+      data: { employeeId: employee._id, ...wages() },
+    });
+  } catch (error) {
+    console.error("Error setting wages:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
 /**
  * Set working days
  */
@@ -335,8 +593,7 @@ exports.setWorkingDays = async (req, res) => {
       });
     }
 
-    // Check if employee exists and belongs to employer's company
-    const employer = await User.findById(req.user.id);
+    // Check if employee exists and belongs to the company
     const employee = await User.findById(employeeId);
 
     if (!employee) {
@@ -345,7 +602,7 @@ exports.setWorkingDays = async (req, res) => {
         .json({ success: false, message: "Employee not found" });
     }
 
-    if (employee.company.toString() !== employer.company.toString()) {
+    if (!req.company._id.equals(employee.companyId)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to update this employee",
@@ -406,8 +663,7 @@ exports.setBreakPeriod = async (req, res) => {
       });
     }
 
-    // Check if employee exists and belongs to employer's company
-    const employer = await User.findById(req.user.id);
+    // Check if employee exists and belongs to the company
     const employee = await User.findById(employeeId);
 
     if (!employee) {
@@ -416,7 +672,7 @@ exports.setBreakPeriod = async (req, res) => {
         .json({ success: false, message: "Employee not found" });
     }
 
-    if (employee.company.toString() !== employer.company.toString()) {
+    if (!req.company._id.equals(employee.companyId)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to update this employee",
@@ -448,9 +704,10 @@ exports.setBreakPeriod = async (req, res) => {
 };
 
 /**
- * Add balance
+ * Start a Paystack checkout to add balance. The wallet is credited when
+ * Paystack confirms the charge; admins correct balances with adjustments.
  */
-exports.addBalance = async (req, res) => {
+exports.addCompanyBalance = async (req, res) => {
   try {
     const { amount } = req.body;
 
@@ -461,29 +718,52 @@ exports.addBalance = async (req, res) => {
       });
     }
 
-    // Update employer's company balance
-    const employer = await User.findById(req.user.id).populate("company");
+    const checkout = await paymentService.startTopUp(
+      req.company,
+      req.user,
+      parseFloat(amount)
+    );
 
-    if (!employer.company) {
-      return res.status(400).json({
-        success: false,
-        message: "Employer not associated with a company",
-      });
+    res.status(200).json({
+      success: true,
+      message: "Complete the payment to add it to your balance",
+      data: checkout,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
     }
+    console.error("Error adding balance:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
 
-    const company = await Company.findById(employer.company._id);
-    company.balance += parseFloat(amount);
-    await company.save();
+/**
+ * Get the company wallet statement for a period
+ */
+exports.getCompanyStatement = async (req, res) => {
+  try {
+    const statement = await ledgerService.getStatement(req.company, {
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+    });
 
     res.status(200).json({
       success: true,
-      message: "Balance added successfully",
-      data: {
-        newBalance: company.balance,
-      },
+      count: statement.entries.length,
+      data: statement,
     });
   } catch (error) {
-    console.error("Error adding balance:", error);
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error fetching company statement:", error);
     res
       .status(500)
       .json({ success: false, message: "Server error", error: error.message });
@@ -511,7 +791,7 @@ exports.processDailyPayment = async (req, res) => {
       });
     }
 
-    // Check if payment exists and belongs to employer's company
+    // Check if payment exists and belongs to the company
     const payment = await Payment.findById(paymentId);
 
     if (!payment) {
@@ -520,12 +800,7 @@ exports.processDailyPayment = async (req, res) => {
         .json({ success: false, message: "Payment not found" });
     }
 
-    const employer = await User.findById(req.user.id);
-
-    // Check if payment is for an employee of the employer's company
-    const employee = await User.findById(payment.employee);
-
-    if (employee.company.toString() !== employer.company.toString()) {
+    if (!req.company._id.equals(payment.companyId)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to process this payment",
@@ -595,13 +870,11 @@ exports.setupAutomatedInterview = async (req, res) => {
     }
 
     // Create interview
-    const employer = await User.findById(req.user.id);
-
     const interview = new Interview({
       title,
       description,
       jobPosition,
-      company: employer.company,
+      companyId: req.company._id,
       createdBy: req.user.id,
       questions: questions.map((q) => ({
         text: q.text,
@@ -624,3 +897,1669 @@ exports.setupAutomatedInterview = async (req, res) => {
       .json({ success: false, message: "Server error", error: error.message });
   }
 };
+
+/**
+ * Update company two-factor policy
+ */
+exports.updateSecurityPolicy = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, twoFactorPolicySchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const company = await Company.findForUser(req.user);
+    if (!company) {
+      return res.status(400).json({
+        success: false,
+        message: "Employer not associated with a company",
+      });
+    }
+
+    const before = {
+      twoFactorRequired: company.security.twoFactorRequired,
+      twoFactorRoles: [...(company.security.twoFactorRoles || [])],
+    };
+
+    company.security = {
+      twoFactorRequired: req.body.twoFactorRequired,
+      twoFactorRoles: req.body.twoFactorRoles || [],
+    };
+    await company.save();
+
+    await auditService.record({
+      action: "company.security_updated",
+      target: { type: "Company", id: company._id },
+      companyId: company._id,
+      before,
+      after: {
+        twoFactorRequired: company.security.twoFactorRequired,
+        twoFactorRoles: [...company.security.twoFactorRoles],
+      },
+      req,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Security policy updated successfully",
+      data: company.security,
+    });
+  } catch (error) {
+    console.error("Error updating security policy:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Set the time zone the company's working hours, payroll and reports run in
+ */
+exports.updateCompanyTimezone = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, companyTimezoneSchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const before = { timezone: req.company.timezone };
+    req.company.timezone = req.body.timezone;
+    await req.company.save();
+
+    await auditService.record({
+      action: "company.timezone_updated",
+      target: { type: "Company", id: req.company._id },
+      companyId: req.company._id,
+      before,
+      after: { timezone: req.company.timezone },
+      req,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Time zone updated successfully",
+      data: { timezone: req.company.timezone },
+    });
+  } catch (error) {
+    console.error("Error updating company time zone:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Change the currency the company wallet is held in and wages default to
+ */
+exports.updateCompanyCurrency = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, companyCurrencySchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    // Ledger entries are in the company's currency, so it can't change
+    // once the wallet has been used
+    if (await LedgerEntry.exists({ companyId: req.company._id })) {
+      return res.status(409).json({
+        success: false,
+        message: "Currency cannot be changed once the wallet has transactions",
+      });
+    }
+
+    const before = { currency: req.company.currency };
+    req.company.currency = req.body.currency;
+    await req.company.save();
+
+    await auditService.record({
+      action: "company.currency_updated",
+      target: { type: "Company", id: req.company._id },
+      companyId: req.company._id,
+      before,
+      after: { currency: req.company.currency },
+      req,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Currency updated successfully",
+      data: { currency: req.company.currency },
+    });
+  } catch (error) {
+    console.error("Error updating company currency:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get the brand settings applied to the company's documents and emails
+ */
+exports.getCompanyBranding = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: getBranding(req.company),
+    });
+  } catch (error) {
+    console.error("Error fetching company branding:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Update the company's logo, primary colour, letterhead footer and email
+ * sender name
+ */
+exports.updateCompanyBranding = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, companyBrandingSchema);
+    if (!isValid) {
+      if (req.file) await deleteFromCloudinary(req.file.filename);
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const company = req.company;
+    const before = getBranding(company);
+    const branding = { ...company.toObject().branding };
+
+    for (const field of ["primaryColor", "footer", "senderName"]) {
+      if (req.body[field] !== undefined) {
+        branding[field] = req.body[field] || undefined;
+      }
+    }
+
+    if (req.file) {
+      if (branding.logoPublicId) {
+        await deleteFromCloudinary(branding.logoPublicId);
+      }
+      company.logo = req.file.path;
+      branding.logoPublicId = req.file.filename;
+    }
+
+    // Payslips rendered before this are regenerated on next download
+    branding.updatedAt = new Date();
+    company.branding = branding;
+    await company.save();
+
+    const after = getBranding(company);
+    await auditService.record({
+      action: "company.branding_updated",
+      target: { type: "Company", id: company._id },
+      companyId: company._id,
+      before,
+      after,
+      req,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Branding updated successfully",
+      data: after,
+    });
+  } catch (error) {
+    console.error("Error updating company branding:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Set the time zone an employee's schedule is read in, or clear it to
+ * follow the company's
+ */
+exports.setEmployeeTimezone = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, employeeTimezoneSchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const employee = await User.findOne({
+      _id: req.params.id,
+      companyId: req.company._id,
+      role: "employee",
+    });
+    if (!employee) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Employee not found" });
+    }
+
+    const before = { timezone: employee.timezone || null };
+    employee.timezone = req.body.timezone || undefined;
+    await employee.save();
+
+    await auditService.record({
+      action: "employee.timezone_updated",
+      target: { type: "User", id: employee._id },
+      companyId: req.company._id,
+      before,
+      after: { timezone: employee.timezone || null },
+      req,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Employee time zone updated successfully",
+      data: {
+        employeeId: employee._id,
+        timezone: employee.timezone || null,
+        effectiveTimezone: employee.timezone || req.company.timezone,
+      },
+    });
+  } catch (error) {
+    console.error("Error updating employee time zone:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get the company's verification (KYB) status and documents
+ */
+exports.getCompanyVerification = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: companyVerificationService.getVerification(req.company),
+    });
+  } catch (error) {
+    console.error("Error fetching company verification:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Upload a CAC registration or supporting document for verification
+ */
+exports.uploadVerificationDocument = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Please upload a document" });
+    }
+
+    const { isValid, errors } = validateData(req.body, companyDocumentSchema);
+    if (!isValid) {
+      await deleteFromCloudinary(req.file.filename);
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const document = await companyVerificationService.addDocument(
+      req.company,
+      req.file,
+      req.body.type,
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Document uploaded successfully",
+      data: document,
+    });
+  } catch (error) {
+    // The file is already on Cloudinary; don't leave it orphaned
+    if (req.file) {
+      await deleteFromCloudinary(req.file.filename);
+    }
+
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error uploading verification document:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Remove a verification document before the company is submitted for review
+ */
+exports.deleteVerificationDocument = async (req, res) => {
+  try {
+    await companyVerificationService.removeDocument(
+      req.company,
+      req.params.documentId
+    );
+
+    res
+      .status(200)
+      .json({ success: true, message: "Document removed successfully" });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error removing verification document:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Submit the company's documents for review
+ */
+exports.submitCompanyVerification = async (req, res) => {
+  try {
+    const company = await companyVerificationService.submitForReview(
+      req.company,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Company submitted for review",
+      data: companyVerificationService.getVerification(company),
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error submitting company verification:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get the company's data retention periods
+ */
+exports.getRetentionPolicy = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: retentionService.getPolicy(req.company),
+    });
+  } catch (error) {
+    console.error("Error fetching retention policy:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Update how long each class of personal data is kept. Data older than the
+ * new periods is purged on the next weekly run.
+ */
+exports.updateRetentionPolicy = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, retentionPolicySchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const { before, after } = await retentionService.updatePolicy(
+      req.company,
+      req.body
+    );
+
+    await auditService.record({
+      action: "company.retention_updated",
+      target: { type: "Company", id: req.company._id },
+      companyId: req.company._id,
+      before,
+      after,
+      req,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Retention policy updated successfully",
+      data: after,
+    });
+  } catch (error) {
+    console.error("Error updating retention policy:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * List the company's departments
+ */
+exports.getDepartments = async (req, res) => {
+  try {
+    const departments = await departmentService.listDepartments(req.company);
+
+    res
+      .status(200)
+      .json({ success: true, count: departments.length, data: departments });
+  } catch (error) {
+    console.error("Error fetching departments:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Create a department
+ */
+exports.createDepartment = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, departmentSchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const department = await departmentService.createDepartment(
+      req.company,
+      req.user,
+      req.body
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Department created successfully",
+      data: department,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error creating department:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Update a department's name, head, parent department or cost center
+ */
+exports.updateDepartment = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, departmentUpdateSchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const department = await departmentService.updateDepartment(
+      req.company,
+      req.params.id,
+      req.body
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Department updated successfully",
+      data: department,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error updating department:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Delete a department, leaving its employees unassigned
+ */
+exports.deleteDepartment = async (req, res) => {
+  try {
+    await departmentService.deleteDepartment(req.company, req.params.id);
+
+    res
+      .status(200)
+      .json({ success: true, message: "Department deleted successfully" });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error deleting department:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Move an employee into a department, or out of one with a null departmentId
+ */
+exports.assignEmployeeDepartment = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(
+      req.body,
+      departmentAssignmentSchema
+    );
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const employee = await departmentService.assignEmployee(
+      req.company,
+      req.params.id,
+      req.body.departmentId
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Employee department updated successfully",
+      data: { _id: employee._id, department: employee.department || null },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error assigning employee department:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get the company's department hierarchy and reporting tree
+ */
+exports.getOrgChart = async (req, res) => {
+  try {
+    const chart = await departmentService.getOrgChart(req.company);
+
+    res.status(200).json({ success: true, data: chart });
+  } catch (error) {
+    console.error("Error building org chart:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * List the company's branches and its geofence enforcement rule
+ */
+exports.getBranches = async (req, res) => {
+  try {
+    const branches = await branchService.listBranches(req.company);
+
+    res.status(200).json({
+      success: true,
+      count: branches.length,
+      data: {
+        policy: branchService.getPolicy(req.company),
+        branches,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching branches:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Create a branch with its geofence
+ */
+exports.createBranch = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, branchSchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const branch = await branchService.createBranch(
+      req.company,
+      req.user,
+      req.body
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Branch created successfully",
+      data: branch,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error creating branch:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Update a branch's name, address, coordinates or geofence radius
+ */
+exports.updateBranch = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, branchUpdateSchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const branch = await branchService.updateBranch(
+      req.company,
+      req.params.id,
+      req.body
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Branch updated successfully",
+      data: branch,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error updating branch:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Delete a branch, leaving its employees unassigned
+ */
+exports.deleteBranch = async (req, res) => {
+  try {
+    await branchService.deleteBranch(req.company, req.params.id);
+
+    res
+      .status(200)
+      .json({ success: true, message: "Branch deleted successfully" });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error deleting branch:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Change whether clock-ins outside a branch's geofence are flagged or
+ * rejected
+ */
+exports.updateGeofencePolicy = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, geofencePolicySchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const { before, after } = await branchService.updatePolicy(
+      req.company,
+      req.body
+    );
+
+    await auditService.record({
+      action: "company.geofence_policy_updated",
+      target: { type: "Company", id: req.company._id },
+      companyId: req.company._id,
+      before,
+      after,
+      req,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Geofence policy updated successfully",
+      data: after,
+    });
+  } catch (error) {
+    console.error("Error updating geofence policy:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Assign an employee to a branch (null unassigns) and/or allow them to
+ * clock in remotely
+ */
+exports.assignEmployeeBranch = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, branchAssignmentSchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const employee = await branchService.assignEmployee(
+      req.company,
+      req.params.id,
+      req.body
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Employee branch updated successfully",
+      data: {
+        _id: employee._id,
+        branch: employee.branch || null,
+        remoteAllowed: employee.remoteAllowed,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error assigning employee branch:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get the company's holidays for a year (the current year by default) and
+ * its holiday pay rule
+ */
+exports.getHolidays = async (req, res) => {
+  try {
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+    const holidays = await holidayService.listHolidays(req.company, year);
+
+    res.status(200).json({
+      success: true,
+      count: holidays.length,
+      data: {
+        year,
+        policy: holidayService.getPolicy(req.company),
+        holidays,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching holidays:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Add a company holiday
+ */
+exports.createHoliday = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, holidaySchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const holiday = await holidayService.createHoliday(
+      req.company,
+      req.user,
+      req.body
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Holiday added successfully",
+      data: holiday,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error adding holiday:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Update a holiday's name, date or pay rule
+ */
+exports.updateHoliday = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, holidayUpdateSchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const holiday = await holidayService.updateHoliday(
+      req.company,
+      req.params.id,
+      req.body
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Holiday updated successfully",
+      data: holiday,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error updating holiday:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Remove a holiday from the company calendar
+ */
+exports.deleteHoliday = async (req, res) => {
+  try {
+    await holidayService.deleteHoliday(req.company, req.params.id);
+
+    res
+      .status(200)
+      .json({ success: true, message: "Holiday removed successfully" });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error removing holiday:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Add a year's public holidays from the bundled calendar
+ */
+exports.importHolidays = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, holidayImportSchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const result = await holidayService.importPublicHolidays(
+      req.company,
+      req.body.year
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${result.imported} public holidays`,
+      data: result,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error importing holidays:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Change whether holidays are paid by default
+ */
+exports.updateHolidayPolicy = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, holidayPolicySchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const { before, after } = await holidayService.updatePolicy(
+      req.company,
+      req.body
+    );
+
+    await auditService.record({
+      action: "company.holiday_policy_updated",
+      target: { type: "Company", id: req.company._id },
+      companyId: req.company._id,
+      before,
+      after,
+      req,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Holiday policy updated successfully",
+      data: after,
+    });
+  } catch (error) {
+    console.error("Error updating holiday policy:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get the company's single sign-on configuration
+ */
+exports.getSsoConnection = async (req, res) => {
+  try {
+    const connection = await oidcService.getConnection(req.company);
+
+    res.status(200).json({
+      success: true,
+      data: connection && {
+        ...connection.toJSON(),
+        domainVerification: oidcService.getDomainVerification(connection),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching SSO configuration:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Create or update the company's OpenID Connect single sign-on configuration
+ */
+exports.updateSsoConnection = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, ssoConnectionSchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const connection = await oidcService.saveConnection(
+      req.company,
+      req.body,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Single sign-on configuration saved successfully",
+      data: {
+        ...connection.toJSON(),
+        domainVerification: oidcService.getDomainVerification(connection),
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error saving SSO configuration:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Verify ownership of a single sign-on domain through its DNS TXT record
+ */
+exports.verifySsoDomain = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(
+      req.body,
+      ssoDomainVerificationSchema
+    );
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const connection = await oidcService.verifyDomain(
+      req.company,
+      req.body.domain
+    );
+
+    await auditService.record({
+      action: "sso.domain_verified",
+      target: { type: "SsoConnection", id: connection._id },
+      companyId: req.company._id,
+      metadata: { domain: req.body.domain.toLowerCase() },
+      req,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Domain verified successfully",
+      data: {
+        ...connection.toJSON(),
+        domainVerification: oidcService.getDomainVerification(connection),
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error verifying SSO domain:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Remove the company's single sign-on configuration
+ */
+exports.deleteSsoConnection = async (req, res) => {
+  try {
+    await oidcService.deleteConnection(req.company);
+
+    res
+      .status(200)
+      .json({ success: true, message: "Single sign-on has been disabled" });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error removing SSO configuration:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * List the roles defined for the company
+ */
+exports.getCompanyRoles = async (req, res) => {
+  try {
+    const roles = await Role.find({ companyId: req.company._id }).sort({
+      name: 1,
+    });
+
+    res.status(200).json({ success: true, data: roles });
+  } catch (error) {
+    console.error("Error fetching company roles:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Replace the company roles assigned to an employee
+ */
+exports.assignEmployeeRoles = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, roleAssignmentSchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const { roleIds } = req.body;
+
+    const employee = await User.findOne({
+      _id: req.params.id,
+      companyId: req.company._id,
+    });
+    if (!employee) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Employee not found" });
+    }
+
+    const roles = await Role.find({
+      _id: { $in: roleIds },
+      companyId: req.company._id,
+    });
+    if (roles.length !== roleIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: "One or more roles do not belong to your company",
+      });
+    }
+
+    // Members can't grant permissions they don't hold themselves
+    const granted = roles.flatMap((role) => role.permissions);
+    if (granted.some((permission) => !req.permissions.includes(permission))) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot assign permissions you do not have",
+      });
+    }
+
+    const before = { companyRoles: employee.companyRoles.map(String) };
+
+    employee.companyRoles = roles.map((role) => role._id);
+    await employee.save();
+
+    await auditService.record({
+      action: "employee.roles_assigned",
+      target: { type: "User", id: employee._id },
+      companyId: req.company._id,
+      before,
+      after: { companyRoles: employee.companyRoles.map(String) },
+      req,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Employee roles updated successfully",
+      data: { employeeId: employee._id, roles },
+    });
+  } catch (error) {
+    console.error("Error assigning employee roles:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * List the employer accounts that manage the company
+ */
+exports.getCompanyMembers = async (req, res) => {
+  try {
+    await req.company.populate(
+      "members.userId",
+      "firstName lastName email profileImage lastLogin"
+    );
+
+    res.status(200).json({ success: true, data: req.company.members });
+  } catch (error) {
+    console.error("Error fetching company members:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Add an existing employer account to the company
+ */
+exports.addCompanyMember = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Email is required" });
+    }
+
+    const user = await companyService.addMember(req.company, email, req.user);
+
+    await auditService.record({
+      action: "company.member_added",
+      target: { type: "User", id: user._id },
+      companyId: req.company._id,
+      req,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Employer added to company successfully",
+      data: {
+        userId: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error adding company member:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Remove an employer account from the company
+ */
+exports.removeCompanyMember = async (req, res) => {
+  try {
+    await companyService.removeMember(req.company, req.params.userId);
+
+    await auditService.record({
+      action: "company.member_removed",
+      target: { type: "User", id: req.params.userId },
+      companyId: req.company._id,
+      req,
+    });
+
+    res
+      .status(200)
+      .json({ success: true, message: "Employer removed from company" });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error removing company member:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Transfer company ownership to another employer member (owner only)
+ */
+exports.transferOwnership = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, ownershipTransferSchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    if (!permissionService.isOwner(req.user, req.company)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the company owner can transfer ownership",
+      });
+    }
+
+    const isMatch = await req.user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Password is incorrect" });
+    }
+
+    const previousOwner = req.company.owner;
+    const company = await companyService.transferOwnership(
+      req.company,
+      req.body.userId
+    );
+
+    await auditService.record({
+      action: "company.ownership_transferred",
+      target: { type: "Company", id: company._id },
+      companyId: company._id,
+      before: { owner: previousOwner },
+      after: { owner: company.owner },
+      req,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Company ownership transferred successfully",
+      data: { companyId: company._id, owner: company.owner },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error transferring ownership:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get the company's subscription plan, status and this month's estimate
+ */
+exports.getSubscription = async (req, res) => {
+  try {
+    const subscription = await billingService.getSubscription(req.company);
+
+    res.status(200).json({ success: true, data: subscription });
+  } catch (error) {
+    console.error("Error fetching subscription:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * List the company's subscription invoices
+ */
+exports.getInvoices = async (req, res) => {
+  try {
+    const invoices = await billingService.listInvoices(req.company, {
+      status: req.query.status,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: invoices.length,
+      data: invoices,
+    });
+  } catch (error) {
+    console.error("Error fetching invoices:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get a single subscription invoice
+ */
+exports.getInvoice = async (req, res) => {
+  try {
+    const invoice = await billingService.getInvoice(req.company, req.params.id);
+
+    res.status(200).json({ success: true, data: invoice });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error fetching invoice:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Start a Paystack checkout for an open invoice
+ */
+exports.payInvoice = async (req, res) => {
+  try {
+    const checkout = await billingService.payInvoice(
+      req.company,
+      req.params.id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Payment initialized",
+      data: checkout,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error paying invoice:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * List the company's integration API keys
+ */
+exports.getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await apiKeyService.listKeys(req.company);
+
+    res.status(200).json({ success: true, data: apiKeys });
+  } catch (error) {
+    console.error("Error fetching API keys:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Create a scoped API key. The key itself is only shown in this response.
+ */
+exports.createApiKey = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, apiKeySchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    // Keys can't carry permissions their creator doesn't hold
+    const { scopes } = req.body;
+    if (scopes.some((scope) => !req.permissions.includes(scope))) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot grant scopes you do not have",
+      });
+    }
+
+    const { apiKey, key } = await apiKeyService.createKey({
+      company: req.company,
+      creator: req.user,
+      name: req.body.name,
+      scopes,
+      expiresInDays: req.body.expiresInDays,
+    });
+
+    await auditService.record({
+      action: "apikey.created",
+      target: { type: "ApiKey", id: apiKey._id },
+      companyId: req.company._id,
+      metadata: { name: apiKey.name, scopes: apiKey.scopes },
+      req,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "API key created. Store it now, it will not be shown again.",
+      data: { apiKey, key },
+    });
+  } catch (error) {
+    console.error("Error creating API key:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Rotate an API key, keeping the old key valid for a grace period
+ */
+exports.rotateApiKey = async (req, res) => {
+  try {
+    const { apiKey, key } = await apiKeyService.rotateKey(
+      req.company,
+      req.params.id,
+      req.user,
+      req.body.graceHours
+    );
+
+    await auditService.record({
+      action: "apikey.rotated",
+      target: { type: "ApiKey", id: req.params.id },
+      companyId: req.company._id,
+      metadata: { replacedBy: apiKey._id },
+      req,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "API key rotated. Store the new key now, it will not be shown again.",
+      data: { apiKey, key },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error rotating API key:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Revoke an API key immediately
+ */
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revokeKey(
+      req.company,
+      req.params.id,
+      req.user
+    );
+
+    await auditService.record({
+      action: "apikey.revoked",
+      target: { type: "ApiKey", id: apiKey._id },
+      companyId: req.company._id,
+      req,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "API key revoked successfully",
+      data: apiKey,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error revoking API key:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * List the company's audit events
+ */
+exports.getAuditEvents = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const result = await auditService.listEvents(
+      { ...req.query, companyId: req.company._id },
+      { page, limit }
+    );
+
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error("Error fetching audit events:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Export the company's audit events as CSV
+ */
+exports.exportAuditEvents = async (req, res) => {
+  try {
+    await auditService.exportCsv(
+      { ...req.query, companyId: req.company._id },
+      res
+    );
+  } catch (error) {
+    console.error("Error exporting audit events:", error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get attendance records for the company, optionally for one employee or
+ * department (including its sub-departments)
+ */
+exports.getAttendanceReports = async (req, res) => {
+  try {
+    const { employeeId, department, startDate, endDate } = req.query;
+
+    const attendance = await reportService.getAttendanceReport(req.company, {
+      employeeId,
+      department,
+      startDate,
+      endDate,
+    });
+
+    res
+      .status(200)
+      .json({ success: true, count: attendance.length, data: attendance });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error fetching attendance reports:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+/**
+ * Get efficiency summaries per employee, optionally for one department
+ */
+exports.getEmployeeEfficiencyReports = async (req, res) => {
+  try {
+    const { department, startDate, endDate } = req.query;
+
+    const efficiency = await reportService.getEfficiencyReport(req.company, {
+      department,
+      startDate,
+      endDate,
+    });
+
+    res.status(200).json({ success: true, data: efficiency });
+  } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    console.error("Error fetching efficiency reports:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error", error: error.message });
+  }
+};
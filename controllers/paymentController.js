@@ -1,9 +1,9 @@
 const Payment = require('../models/Payment');
 const User = require('../models/User');
-const Company = require('../models/Company');
-const Attendance = require('../models/Attendance');
-const { processPayment } = require('../services/paymentService');
-const { sendPaymentNotification } = require('../services/emailService');
+const paymentService = require('../services/paymentService');
+const departmentService = require('../services/departmentService');
+const reportService = require('../services/reportService');
+const paystack = require('../config/paystack');
 
 /**
  * Process daily payments for all eligible employees
@@ -19,117 +19,13 @@ exports.processDailyPayments = async (req, res) => {
       });
     }
     
-    const today = new Date();
-    const dayName = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'][today.getDay()];
-    
-    // Find all employees who:
-    // 1. Have clocked in and out today
-    // 2. Today is in their working days
-    // 3. Have remittance information set
-    const attendanceRecords = await Attendance.find({
-      date: {
-        $gte: new Date().setHours(0, 0, 0, 0),
-        $lt: new Date().setHours(23, 59, 59, 999)
-      },
-      clockInTime: { $exists: true },
-      clockOutTime: { $exists: true }
-    });
-    
-    const employeeIds = attendanceRecords.map(record => record.employee);
-    
-    const employeesWithPaymentInfo = await User.find({
-      _id: { $in: employeeIds },
-      'employmentDetails.workingDays': dayName,
-      'remittanceInfo.accountNumber': { $exists: true },
-      'remittanceInfo.bankName': { $exists: true }
-    }).populate('company');
-    
-    // Process payments
-    const processedPayments = [];
-    
-    for (const employee of employeesWithPaymentInfo) {
-      // Skip if payment already processed today
-      const existingPayment = await Payment.findOne({
-        employee: employee._id,
-        date: {
-          $gte: new Date().setHours(0, 0, 0, 0),
-          $lt: new Date().setHours(23, 59, 59, 999)
-        }
-      });
-      
-      if (existingPayment) {
-        continue;
-      }
-      
-      // Get employee's daily rate
-      const dailyRate = employee.employmentDetails.dailyRate || 
-                         (employee.employmentDetails.wages / 
-                          (employee.employmentDetails.workingDays.length * 4));
-      
-      // Check if company has sufficient balance
-      const company = await Company.findById(employee.company);
-      
-      if (company.balance < dailyRate) {
-        // Create failed payment record
-        const failedPayment = new Payment({
-          employee: employee._id,
-          company: employee.company,
-          amount: dailyRate,
-          status: 'failed',
-          failureReason: 'Insufficient company balance',
-          date: new Date()
-        });
-        
-        await failedPayment.save();
-        processedPayments.push(failedPayment);
-        continue;
-      }
-      
-      // Find employee's attendance record for today
-      const attendance = attendanceRecords.find(
-        record => record.employee.toString() === employee._id.toString()
-      );
-      
-      // Create payment
-      const payment = new Payment({
-        employee: employee._id,
-        company: employee.company,
-        amount: dailyRate,
-        date: new Date(),
-        status: 'pending',
-        attendance: attendance._id,
-        remittanceDetails: {
-          bankName: employee.remittanceInfo.bankName,
-          accountNumber: employee.remittanceInfo.accountNumber,
-          accountName: employee.remittanceInfo.accountName,
-          bankCode: employee.remittanceInfo.bankCode
-        }
-      });
-      
-      await payment.save();
-      processedPayments.push(payment);
-      
-      // Send notification to employer
-      const employer = await User.findOne({
-        company: employee.company,
-        role: 'employer'
-      });
-      
-      if (employer) {
-        await sendPaymentNotification(employer.email, {
-          employeeName: `${employee.firstName} ${employee.lastName}`,
-          amount: dailyRate,
-          date: new Date().toDateString(),
-          paymentId: payment._id
-        });
-      }
-    }
+    // Holidays are paid or skipped according to each company's holiday rule
+    const summary = await paymentService.createDailyPayments(new Date());
     
     res.status(200).json({
       success: true,
       message: 'Daily payments processed',
-      count: processedPayments.length,
-      data: processedPayments
+      data: summary
     });
   } catch (error) {
     console.error('Error processing daily payments:', error);
@@ -142,16 +38,14 @@ exports.processDailyPayments = async (req, res) => {
  */
 exports.getCompanyPayments = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    
     // Query params
-    const { startDate, endDate, status, employee } = req.query;
+    const { startDate, endDate, status, employee, department } = req.query;
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 10;
     const skip = (page - 1) * limit;
     
-    // Build query
-    const query = { company: user.company };
+    // Build query (req.company is set by requirePermission)
+    const query = { companyId: req.company._id };
     
     if (startDate && endDate) {
       query.date = {
@@ -165,12 +59,18 @@ exports.getCompanyPayments = async (req, res) => {
     }
     
     if (employee) {
-      query.employee = employee;
+      query.employeeId = employee;
+    }
+    
+    // Department filter covers its sub-departments too
+    if (department) {
+      const employeeIds = await departmentService.getEmployeeIds(req.company, department);
+      query.$and = [{ employeeId: { $in: employeeIds } }];
     }
     
     // Execute query
     const payments = await Payment.find(query)
-      .populate('employee', 'firstName lastName email')
+      .populate('employeeId', 'firstName lastName email')
       .sort('-date')
       .skip(skip)
       .limit(limit);
@@ -186,11 +86,74 @@ exports.getCompanyPayments = async (req, res) => {
       data: payments
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error('Error getting company payments:', error);
     res.status(500).json({ success: false, message: 'Server error', error: error.message });
   }
 };
 
+/**
+ * Approve a pending payment for the current company
+ */
+exports.approvePayment = async (req, res) => {
+  try {
+    const payment = await paymentService.approvePayment(
+      req.params.id,
+      req.user,
+      req.company
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: 'Payment approved successfully',
+      data: payment
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error approving payment:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Decline a pending payment for the current company
+ */
+exports.declinePayment = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    
+    if (!reason) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Reason is required when declining a payment' 
+      });
+    }
+    
+    const payment = await paymentService.declinePayment(
+      req.params.id,
+      req.user,
+      req.company,
+      reason
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: 'Payment declined successfully',
+      data: payment
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error declining payment:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
 /**
  * Get payments for an employee
  */
@@ -240,7 +203,27 @@ exports.getEmployeePayments = async (req, res) => {
 };
 
 /**
- * Process a payment (for admin review of declined payments)
+ * Get the branded payslip PDF for a payment
+ */
+exports.getPayslip = async (req, res) => {
+  try {
+    const payslip = await paymentService.getPayslip(req.params.paymentId);
+    
+    res.status(200).json({
+      success: true,
+      data: payslip
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error getting payslip:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+/**
+ * Approve or reject a payment the employer declined (admin review)
  */
 exports.finalizePayment = async (req, res) => {
   try {
@@ -252,7 +235,7 @@ exports.finalizePayment = async (req, res) => {
       });
     }
     
-    const { paymentId, action } = req.body;
+    const { paymentId, action, reason } = req.body;
     
     if (!paymentId || !action || !['approve', 'reject'].includes(action)) {
       return res.status(400).json({ 
@@ -261,65 +244,13 @@ exports.finalizePayment = async (req, res) => {
       });
     }
     
-    // Find payment
-    const payment = await Payment.findById(paymentId);
-    
-    if (!payment) {
-      return res.status(404).json({ success: false, message: 'Payment not found' });
-    }
-    
-    // Only process payments that require admin review
-    if (!payment.requiresAdminReview) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'This payment does not require admin review' 
-      });
-    }
-    
-    if (action === 'approve') {
-      // Process payment
-      const company = await Company.findById(payment.company);
-      
-      // Check balance
-      if (company.balance < payment.amount) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Insufficient company balance' 
-        });
-      }
-      
-      try {
-        // Process payment via Paystack
-        const paymentResult = await processPayment({
-          amount: payment.amount * 100, // Convert to kobo
-          email: payment.employee.email,
-          reference: `pay_${payment._id}`,
-          recipient: payment.remittanceDetails.accountNumber,
-          bankCode: payment.remittanceDetails.bankCode
-        });
-        
-        // Update payment
-        payment.status = 'approved';
-        payment.approvedBy = req.user.id;
-        payment.approvedAt = Date.now();
-        payment.transactionReference = paymentResult.reference;
-        
-        // Deduct from company balance
-        company.balance -= payment.amount;
-        await company.save();
-      } catch (payError) {
-        payment.status = 'failed';
-        payment.failureReason = payError.message;
-      }
-    } else {
-      // Reject payment
-      payment.status = 'rejected';
-      payment.rejectedBy = req.user.id;
-      payment.rejectedAt = Date.now();
-    }
-    
-    payment.requiresAdminReview = false;
-    await payment.save();
+    // Pays out through the ledger like an employer approval
+    const payment = await paymentService.processAdminPaymentReview(
+      paymentId,
+      req.user,
+      action === 'approve',
+      reason
+    );
     
     res.status(200).json({
       success: true,
@@ -327,14 +258,45 @@ exports.finalizePayment = async (req, res) => {
       data: payment
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error('Error finalizing payment:', error);
     res.status(500).json({ success: false, message: 'Server error', error: error.message });
   }
 };
 
 /**
- * Get payment statistics
+ * Receive Paystack webhooks: confirmed charges credit top-ups and pay
+ * invoices, and transfer results complete or reverse payouts
  */
+exports.paystackWebhook = async (req, res) => {
+  // The body parsers and sanitizers rewrite req.body, so the signed raw body
+  // is what gets read
+  if (!paystack.verifySignature(req.rawBody, req.headers['x-paystack-signature'])) {
+    return res.status(401).json({ success: false, message: 'Invalid signature' });
+  }
+  
+  try {
+    const event = JSON.parse(req.rawBody.toString('utf8'));
+    
+    if (event.event === 'transfer.failed') {
+      const handled = await paymentService.handleFailedTransferWebhook(event);
+      // Paystack retries webhooks that don't succeed
+      if (!handled) {
+        return res.status(500).json({ success: false, message: 'Webhook not processed' });
+      }
+    } else {
+      await paymentService.verifyPaymentWebhook(event);
+    }
+    
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Error handling Paystack webhook:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
 /**
  * Get payment statistics
  */
@@ -414,15 +376,11 @@ exports.getPaymentStats = async (req, res) => {
       { $sort: { _id: 1 } }
     ]);
     
-    // Calculate overall summary
-    const totalAmount = await Payment.aggregate([
-      { $match: query },
-      { $group: {
-        _id: null,
-        total: { $sum: '$amount' },
-        count: { $sum: 1 }
-      }}
-    ]);
+    // Calculate overall summary, converting other currencies at stored rates
+    const summary = await reportService.getPaymentTotals(
+      query,
+      req.query.currency
+    );
     
     // Get payment methods breakdown
     const methodStats = await Payment.aggregate([
@@ -441,10 +399,13 @@ exports.getPaymentStats = async (req, res) => {
         byStatus: formattedStats,
         byDay: dailyStats,
         byMethod: methodStats,
-        summary: totalAmount.length ? totalAmount[0] : { total: 0, count: 0 }
+        summary
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error('Error getting payment stats:', error);
     res.status(500).json({ success: false, message: 'Server error', error: error.message });
   }
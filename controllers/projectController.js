@@ -1,5 +1,6 @@
 const Project = require("../models/Project");
 const User = require("../models/User");
+const Company = require("../models/Company");
 const {
   validateProject,
   validateProjectUpdate,
@@ -10,9 +11,15 @@ const {
  */
 exports.getCompanyProjects = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
+    const company = await Company.findForUser(req.user);
 
-    const projects = await Project.find({ company: user.company })
+    if (!company) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Not associated with a company" });
+    }
+
+    const projects = await Project.find({ companyId: company._id })
       .populate("assignees", "firstName lastName email")
       .populate("createdBy", "firstName lastName");
 
@@ -49,10 +56,10 @@ exports.getProject = async (req, res) => {
     }
 
     // Check if user has access to this project
-    const user = await User.findById(req.user.id);
+    const company = await Company.findForUser(req.user);
 
     if (
-      project.company.toString() !== user.company.toString() &&
+      !(company && company._id.equals(project.companyId)) &&
       !project.assignees.some((a) => a._id.toString() === req.user.id) &&
       project.createdBy._id.toString() !== req.user.id
     ) {
@@ -89,13 +96,13 @@ exports.createProject = async (req, res) => {
     const { name, description, startDate, endDate, assignees, milestones } =
       req.body;
 
-    const user = await User.findById(req.user.id);
+    const company = await Company.findForUser(req.user);
 
     // Verify assignees belong to the same company
     if (assignees && assignees.length > 0) {
       const employees = await User.find({
         _id: { $in: assignees },
-        company: user.company,
+        companyId: company._id,
       });
 
       if (employees.length !== assignees.length) {
@@ -111,7 +118,7 @@ exports.createProject = async (req, res) => {
       description,
       startDate,
       endDate,
-      company: user.company,
+      companyId: company._id,
       createdBy: req.user.id,
       assignees: assignees || [],
       milestones: milestones || [],
@@ -164,10 +171,10 @@ exports.updateProject = async (req, res) => {
     }
 
     // Check if user is authorized to update
-    const user = await User.findById(req.user.id);
+    const company = await Company.findForUser(req.user);
 
     if (
-      project.company.toString() !== user.company.toString() &&
+      !(company && company._id.equals(project.companyId)) &&
       project.createdBy.toString() !== req.user.id
     ) {
       return res.status(403).json({
@@ -180,7 +187,7 @@ exports.updateProject = async (req, res) => {
     if (assignees && assignees.length > 0) {
       const employees = await User.find({
         _id: { $in: assignees },
-        company: user.company,
+        companyId: company._id,
       });
 
       if (employees.length !== assignees.length) {
@@ -237,10 +244,10 @@ exports.deleteProject = async (req, res) => {
     }
 
     // Check if user is authorized to delete
-    const user = await User.findById(req.user.id);
+    const company = await Company.findForUser(req.user);
 
     if (
-      project.company.toString() !== user.company.toString() &&
+      !(company && company._id.equals(project.companyId)) &&
       project.createdBy.toString() !== req.user.id
     ) {
       return res.status(403).json({
@@ -286,10 +293,10 @@ exports.addMilestone = async (req, res) => {
     }
 
     // Check if user is authorized
-    const user = await User.findById(req.user.id);
+    const company = await Company.findForUser(req.user);
 
     if (
-      project.company.toString() !== user.company.toString() &&
+      !(company && company._id.equals(project.companyId)) &&
       project.createdBy.toString() !== req.user.id
     ) {
       return res.status(403).json({
@@ -338,10 +345,10 @@ exports.updateMilestone = async (req, res) => {
     }
 
     // Check if user is authorized
-    const user = await User.findById(req.user.id);
+    const company = await Company.findForUser(req.user);
 
     if (
-      project.company.toString() !== user.company.toString() &&
+      !(company && company._id.equals(project.companyId)) &&
       project.createdBy.toString() !== req.user.id &&
       !project.assignees.includes(req.user.id)
     ) {
@@ -0,0 +1,205 @@
+const supervisorService = require("../services/supervisorService");
+const {
+  validateData,
+  reviewDecisionSchema,
+} = require("../utils/validators");
+
+/**
+ * Send a service error with its status code, or a generic server error
+ */
+const handleError = (res, error, context) => {
+  if (error.statusCode) {
+    return res
+      .status(error.statusCode)
+      .json({ success: false, message: error.message });
+  }
+
+  console.error(`Error ${context}:`, error);
+  res
+    .status(500)
+    .json({ success: false, message: "Server error", error: error.message });
+};
+
+/**
+ * List the supervisor's direct reports
+ */
+exports.getTeam = async (req, res) => {
+  try {
+    const team = await supervisorService.getDirectReports(req.user._id);
+
+    res.status(200).json({ success: true, count: team.length, data: team });
+  } catch (error) {
+    handleError(res, error, "fetching team");
+  }
+};
+
+/**
+ * Get a single direct report
+ */
+exports.getTeamMember = async (req, res) => {
+  try {
+    const employee = await supervisorService.getDirectReport(
+      req.user._id,
+      req.params.id
+    );
+
+    res.status(200).json({ success: true, data: employee });
+  } catch (error) {
+    handleError(res, error, "fetching team member");
+  }
+};
+
+/**
+ * Get attendance and daily progress reports for the team
+ */
+exports.getTeamAttendance = async (req, res) => {
+  try {
+    const { employeeId, startDate, endDate } = req.query;
+
+    const attendance = await supervisorService.getTeamAttendance(
+      req.user._id,
+      {
+        employeeId,
+        startDate,
+        endDate,
+        outsideFence: req.query.outsideFence === "true",
+      }
+    );
+
+    res
+      .status(200)
+      .json({ success: true, count: attendance.length, data: attendance });
+  } catch (error) {
+    handleError(res, error, "fetching team attendance");
+  }
+};
+
+/**
+ * Get efficiency summaries for the team
+ */
+exports.getTeamEfficiency = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const efficiency = await supervisorService.getTeamEfficiency(
+      req.user._id,
+      { startDate, endDate }
+    );
+
+    res.status(200).json({ success: true, data: efficiency });
+  } catch (error) {
+    handleError(res, error, "fetching team efficiency");
+  }
+};
+
+/**
+ * List pending daily payments for the team
+ */
+exports.getPendingPayments = async (req, res) => {
+  try {
+    const payments = await supervisorService.getPendingPayments(req.user._id);
+
+    res
+      .status(200)
+      .json({ success: true, count: payments.length, data: payments });
+  } catch (error) {
+    handleError(res, error, "fetching team payments");
+  }
+};
+
+/**
+ * Approve a direct report's daily payment
+ */
+exports.approvePayment = async (req, res) => {
+  try {
+    const payment = await supervisorService.reviewPayment(
+      req.user,
+      req.params.id,
+      "approve"
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Payment approved successfully",
+      data: payment,
+    });
+  } catch (error) {
+    handleError(res, error, "approving payment");
+  }
+};
+
+/**
+ * Decline a direct report's daily payment
+ */
+exports.declinePayment = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "Reason is required when declining a payment",
+      });
+    }
+
+    const payment = await supervisorService.reviewPayment(
+      req.user,
+      req.params.id,
+      "decline",
+      reason
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Payment declined successfully",
+      data: payment,
+    });
+  } catch (error) {
+    handleError(res, error, "declining payment");
+  }
+};
+
+/**
+ * List attendance correction requests awaiting review
+ */
+exports.getPendingCorrections = async (req, res) => {
+  try {
+    const records = await supervisorService.getPendingCorrections(
+      req.user._id
+    );
+
+    res
+      .status(200)
+      .json({ success: true, count: records.length, data: records });
+  } catch (error) {
+    handleError(res, error, "fetching correction requests");
+  }
+};
+
+/**
+ * Approve or reject an attendance correction request
+ */
+exports.reviewCorrection = async (req, res) => {
+  try {
+    const { isValid, errors } = validateData(req.body, reviewDecisionSchema);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors[0] });
+    }
+
+    const attendance = await supervisorService.reviewCorrection(
+      req.user,
+      req.params.attendanceId,
+      req.params.correctionId,
+      req.body
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Correction ${
+        req.body.action === "approve" ? "approved" : "rejected"
+      } successfully`,
+      data: attendance,
+    });
+  } catch (error) {
+    handleError(res, error, "reviewing correction");
+  }
+};
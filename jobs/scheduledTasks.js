@@ -17,41 +17,65 @@ const Company = require("../models/Company");
 const Payment = require("../models/Payment");
 const Attendance = require("../models/Attendance");
 const Project = require("../models/Project");
+const Invitation = require("../models/Invitation");
 
 // Services
 const emailService = require("../services/emailService");
 const faceService = require("../services/faceService");
 const paymentService = require("../services/paymentService");
+const invitationService = require("../services/invitationService");
+const dataExportService = require("../services/dataExportService");
+const employeeImportService = require("../services/employeeImportService");
+const anonymizationService = require("../services/anonymizationService");
+const retentionService = require("../services/retentionService");
+const holidayService = require("../services/holidayService");
+const ledgerService = require("../services/ledgerService");
+const billingService = require("../services/billingService");
 
 // Utils
 const {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  toLocalTime,
+  getLocalDay,
   isWorkingDay,
   generateRandomMonitoringTimes,
   calculateEfficiency,
   isWorkingHour,
-  calculateDailyPayRate,
 } = require("../utils/helpers");
 
 // Keep track of monitoring jobs for each employee
 const monitoringJobs = new Map();
 
+// How often local daily tasks are checked (see runAtLocalTime)
+const LOCAL_TASK_INTERVAL_MINUTES = 15;
+
 /**
  * Initialize all scheduled tasks
  */
 function initScheduledTasks() {
-  // Run at midnight to schedule employee monitoring for the day
-  cron.schedule("0 0 * * *", scheduleEmployeeMonitoring);
+  // Local daily tasks are checked every 15 minutes and run for the employees
+  // whose local time has just reached them (see runAtLocalTime)
+
+  // Run at each employee's midnight to schedule monitoring for the day
+  cron.schedule("*/15 * * * *", () =>
+    runAtLocalTime("00:00", scheduleEmployeeMonitoring)
+  );
 
-  // Run at end of business day to process daily payments
-  cron.schedule("0 18 * * *", processDailyPayments);
+  // Run at each employee's end of business day to process daily payments
+  cron.schedule("*/15 * * * *", () =>
+    runAtLocalTime("18:00", processDailyPayments)
+  );
 
-  // Run at end of business day to send efficiency reports
-  cron.schedule("0 18 * * *", sendEfficiencyReports);
+  // Run at each employee's end of business day to send efficiency reports
+  cron.schedule("*/15 * * * *", () =>
+    runAtLocalTime("18:00", sendEfficiencyReports)
+  );
 
-  // Run at midnight to handle payment approvals that weren't acted upon
+  // Run at midnight to approve payments that weren't acted upon
   cron.schedule("0 0 * * *", handlePendingPayments);
 
-  // Run weekly to clean up old data
+  // Run weekly to enforce data retention policies and clean up old data
   cron.schedule("0 0 * * 0", cleanupOldData);
 
   // Run at midnight to check for expiring documents
@@ -60,75 +84,193 @@ function initScheduledTasks() {
   // Run hourly to update project status based on due dates
   cron.schedule("0 * * * *", updateProjectStatuses);
 
+  // Run every 5 minutes to build requested personal data exports
+  cron.schedule("*/5 * * * *", processDataExports);
+
+  // Run every minute to send the invitations of queued employee CSV imports
+  cron.schedule("* * * * *", processEmployeeImports);
+
+  // Run hourly to delete data exports past their download window
+  cron.schedule("30 * * * *", expireDataExports);
+
+  // Run every 15 minutes to carry out right-to-erasure requests
+  cron.schedule("*/15 * * * *", processErasureRequests);
+
+  // Run on December 1st to add next year's public holidays to every calendar
+  cron.schedule("0 1 1 12 *", seedHolidayCalendars);
+
+  // Run nightly to flag cached balances that disagree with the ledger
+  cron.schedule("0 2 * * *", checkLedgerConsistency);
+
+  // Run at midday on the 1st, when it's the 1st in every company's time zone,
+  // to invoice subscriptions for the month just ended
+  cron.schedule("0 12 1 * *", generateSubscriptionInvoices);
+
+  // Run daily to end trials and move unpaid companies through the grace period
+  cron.schedule("0 6 * * *", updateSubscriptions);
+
   console.log("🔄 Scheduled tasks initialized");
 }
 
 /**
- * Schedule employee monitoring for the day
- * Generates random times throughout the workday to take snapshots
+ * Run a daily task for the employees whose local time (their own zone, or
+ * their company's) has just reached `time`. Checked every 15 minutes, so
+ * zones offset by :30 or :45 are covered
+ * @param {string} time - Local time as HH:mm
+ * @param {Function} task - Called with the due employees grouped by company,
+ * as [{ company, employees }], and the current time
  */
-async function scheduleEmployeeMonitoring() {
+async function runAtLocalTime(time, task) {
   try {
-    console.log("📅 Scheduling employee monitoring for today");
+    const now = new Date();
+    const [hour, minute] = time.split(":").map(Number);
+
+    const [companyZones, employeeZones] = await Promise.all([
+      Company.distinct("timezone", { isActive: true }),
+      User.distinct("timezone", { role: "employee", isActive: true }),
+    ]);
+    const dueTimezones = [
+      ...new Set([DEFAULT_TIMEZONE, ...companyZones, ...employeeZones]),
+    ].filter((timezone) => {
+      if (!isValidTimezone(timezone)) return false;
+
+      const local = toLocalTime(now, timezone);
+      const elapsed = local.hour() * 60 + local.minute() - (hour * 60 + minute);
+      return elapsed >= 0 && elapsed < LOCAL_TASK_INTERVAL_MINUTES;
+    });
+    if (dueTimezones.length === 0) return;
 
-    // Clear previous monitoring jobs
-    for (const [employeeId, jobsList] of monitoringJobs.entries()) {
-      jobsList.forEach((job) => job.stop());
+    const groups = await getEmployeesInTimezones(dueTimezones);
+    if (groups.length > 0) {
+      await task(groups, now);
     }
-    monitoringJobs.clear();
+  } catch (error) {
+    console.error(`Error running tasks due at ${time} local time:`, error);
+  }
+}
 
-    // Get all active employees
-    const employees = await User.find({
-      role: "employee",
-      isActive: true,
-      "workSchedule.workingDays": { $exists: true },
-    }).populate("workSchedule");
+/**
+ * Find the active employees whose own zone, or their company's when they
+ * have none, is one of `timezones`
+ * @param {Array} timezones - IANA time zones
+ * @returns {Array} [{ company, employees }] for active companies
+ */
+async function getEmployeesInTimezones(timezones) {
+  // Companies saved before time zones were added have none set
+  const companyZones = timezones.includes(DEFAULT_TIMEZONE)
+    ? [...timezones, null]
+    : timezones;
+  const companyIdsInZone = await Company.distinct("_id", {
+    isActive: true,
+    timezone: { $in: companyZones },
+  });
+
+  const employees = await User.find({
+    role: "employee",
+    isActive: true,
+    companyId: { $ne: null },
+    $or: [
+      { timezone: { $in: timezones } },
+      { timezone: null, companyId: { $in: companyIdsInZone } },
+    ],
+  });
+
+  const companies = await Company.find({
+    _id: { $in: [...new Set(employees.map((e) => e.companyId.toString()))] },
+    isActive: true,
+  });
+
+  return companies.map((company) => ({
+    company,
+    employees: employees.filter((employee) =>
+      employee.companyId.equals(company._id)
+    ),
+  }));
+}
 
-    const today = new Date();
-    const dayOfWeek = today.getDay(); // 0 = Sunday, 1 = Monday, etc.
+/**
+ * Schedule employee monitoring for the day
+ * Generates random times throughout the workday to take snapshots, read in
+ * the employee's time zone (or their company's)
+ * @param {Array} groups - [{ company, employees }] whose day is starting
+ * @param {Date} now - Current time
+ */
+async function scheduleEmployeeMonitoring(groups, now) {
+  try {
+    console.log(
+      `📅 Scheduling employee monitoring for ${groups.length} companies`
+    );
 
-    for (const employee of employees) {
-      // Skip if today is not a working day for this employee
-      if (
-        !employee.workSchedule ||
-        !employee.workSchedule.workingDays.includes(dayOfWeek)
-      ) {
-        continue;
-      }
+    for (const { company, employees } of groups) {
+      // Holidays fall on each employee's own date
+      const holidays = new Map();
 
-      // Generate random monitoring times for this employee
-      const workStartTime = employee.workSchedule.startTime;
-      const workEndTime = employee.workSchedule.endTime;
-      const breakPeriods = employee.workSchedule.breaks || [];
+      for (const employee of employees) {
+        // Clear the employee's jobs from the previous day
+        const previousJobs = monitoringJobs.get(employee._id.toString()) || [];
+        previousJobs.forEach((job) => job.stop());
+        monitoringJobs.delete(employee._id.toString());
+
+        const timezone = employee.timezone || company.timezone;
+        if (!holidays.has(timezone)) {
+          holidays.set(
+            timezone,
+            await holidayService.getHoliday(company, now, timezone)
+          );
+        }
+        const holiday = holidays.get(timezone);
+
+        // Skip if today is not a working day or is a company holiday
+        if (
+          !employee.workSchedule ||
+          !isWorkingDay(
+            now,
+            employee.workSchedule.workingDays,
+            holiday ? [holiday.date] : [],
+            timezone
+          )
+        ) {
+          continue;
+        }
 
-      const monitoringTimes = generateRandomMonitoringTimes(
-        workStartTime,
-        workEndTime,
-        breakPeriods,
-        10 // Number of monitoring attempts
-      );
+        // Generate random monitoring times for this employee
+        const workStartTime = employee.workSchedule.startTime;
+        const workEndTime = employee.workSchedule.endTime;
+        const breakPeriods = employee.workSchedule.breaks || [];
 
-      const employeeJobs = [];
+        const monitoringTimes = generateRandomMonitoringTimes(
+          workStartTime,
+          workEndTime,
+          breakPeriods,
+          10 // Number of monitoring attempts
+        );
 
-      // Schedule monitoring for each time
-      for (const monitoringTime of monitoringTimes) {
-        const [hour, minute] = monitoringTime.split(":");
+        const employeeJobs = [];
 
-        const job = cron.schedule(`${minute} ${hour} * * *`, async () => {
-          await monitorEmployee(employee._id);
-        });
+        // Schedule monitoring for each time
+        for (const monitoringTime of monitoringTimes) {
+          const [hour, minute] = monitoringTime.split(":");
 
-        employeeJobs.push(job);
-      }
+          const job = cron.schedule(
+            `${minute} ${hour} * * *`,
+            async () => {
+              await monitorEmployee(employee._id);
+            },
+            { timezone }
+          );
 
-      monitoringJobs.set(employee._id.toString(), employeeJobs);
+          employeeJobs.push(job);
+        }
 
-      // Log the scheduled times for debugging
-      console.log(
-        `Scheduled monitoring for employee ${
-          employee._id
-        } at: ${monitoringTimes.join(", ")}`
-      );
+        monitoringJobs.set(employee._id.toString(), employeeJobs);
+
+        // Log the scheduled times for debugging
+        console.log(
+          `Scheduled monitoring for employee ${
+            employee._id
+          } at: ${monitoringTimes.join(", ")} (${timezone})`
+        );
+      }
     }
   } catch (error) {
     console.error("Error scheduling employee monitoring:", error);
@@ -144,25 +286,32 @@ async function monitorEmployee(employeeId) {
   try {
     console.log(`📸 Monitoring employee: ${employeeId}`);
 
-    const employee = await User.findById(employeeId)
-      .populate("workSchedule")
-      .populate("company");
+    const employee = await User.findById(employeeId).populate(
+      "companyId",
+      "timezone"
+    );
 
-    if (!employee || !employee.isActive) {
+    if (!employee || !employee.isActive || !employee.companyId) {
       console.log(`Employee ${employeeId} is no longer active`);
       return;
     }
 
-    // Check if employee is clocked in
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const company = employee.companyId;
+    const now = new Date();
+    const timezone = employee.timezone || company.timezone;
+
+    // Jobs scheduled before a holiday was added must not mark anyone absent
+    if (await holidayService.getHoliday(company, now, timezone)) {
+      console.log(`Skipping monitoring for ${employeeId} - company holiday`);
+      return;
+    }
+
+    // Check if employee is clocked in today, in their own time zone
+    const { start: today, end: tomorrow } = getLocalDay(now, timezone);
 
     const attendance = await Attendance.findOne({
-      employee: employeeId,
-      date: {
-        $gte: today,
-        $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000),
-      },
+      employeeId,
+      date: { $gte: today, $lt: tomorrow },
     });
 
     if (!attendance || !attendance.clockInTime) {
@@ -171,25 +320,14 @@ async function monitorEmployee(employeeId) {
       // Create attendance record with absent status
       if (!attendance) {
         await Attendance.create({
-          employee: employeeId,
-          company: employee.company._id,
+          employeeId,
           date: today,
-          isPresent: false,
-          monitoringResults: [
-            {
-              time: new Date(),
-              isPresent: false,
-              imageUrl: null,
-            },
-          ],
+          status: "absent",
+          monitoringCaptures: [{ time: now, present: false }],
         });
       } else {
         // Update existing attendance record
-        attendance.monitoringResults.push({
-          time: new Date(),
-          isPresent: false,
-          imageUrl: null,
-        });
+        attendance.monitoringCaptures.push({ time: now, present: false });
         await attendance.save();
       }
 
@@ -197,7 +335,7 @@ async function monitorEmployee(employeeId) {
     }
 
     // Check if currently in a break period
-    const currentTime = dayjs().format("HH:mm");
+    const currentTime = toLocalTime(now, timezone).format("HH:mm");
     const isInBreak = !isWorkingHour(
       currentTime,
       employee.workSchedule.startTime,
@@ -217,12 +355,7 @@ async function monitorEmployee(employeeId) {
       console.log(`Failed to capture snapshot for employee ${employeeId}`);
 
       // Update attendance record
-      attendance.monitoringResults.push({
-        time: new Date(),
-        isPresent: false,
-        imageUrl: null,
-        notes: "Failed to capture snapshot",
-      });
+      attendance.monitoringCaptures.push({ time: now, present: false });
       await attendance.save();
 
       return;
@@ -235,11 +368,10 @@ async function monitorEmployee(employeeId) {
     );
 
     // Update attendance record
-    attendance.monitoringResults.push({
-      time: new Date(),
-      isPresent: verificationResult.isMatch,
+    attendance.monitoringCaptures.push({
+      time: now,
+      present: verificationResult.isMatch,
       imageUrl: imageResult.imageUrl,
-      confidence: verificationResult.confidence,
     });
 
     await attendance.save();
@@ -254,232 +386,137 @@ async function monitorEmployee(employeeId) {
 
 /**
  * Process daily payments for all employees
- * Runs at the end of business day
+ * Runs at each employee's end of business day, so the day paid is the one
+ * they just worked. Holidays are paid or skipped according to each
+ * company's holiday rule
+ * @param {Array} groups - [{ company, employees }] whose business day is ending
+ * @param {Date} now - Current time
  */
-async function processDailyPayments() {
+async function processDailyPayments(groups, now) {
   try {
     console.log("💰 Processing daily payments");
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const dayOfWeek = today.getDay();
-
-    // Get all active employees
-    const employees = await User.find({
-      role: "employee",
-      isActive: true,
-      "paymentInfo.salary": { $exists: true },
-    })
-      .populate("workSchedule")
-      .populate("company");
-
-    for (const employee of employees) {
-      // Skip if today is not a working day for this employee
-      if (
-        !employee.workSchedule ||
-        !employee.workSchedule.workingDays.includes(dayOfWeek)
-      ) {
-        continue;
-      }
-
-      // Get attendance record for today
-      const attendance = await Attendance.findOne({
-        employee: employee._id,
-        date: {
-          $gte: today,
-          $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000),
-        },
-      });
-
-      // Skip if employee did not clock in or clock out
-      if (!attendance || !attendance.clockInTime || !attendance.clockOutTime) {
-        console.log(
-          `Skipping payment for employee ${employee._id} - incomplete attendance`
-        );
-        continue;
-      }
-
-      // Calculate daily pay rate
-      const monthlySalary = employee.paymentInfo.salary;
-      const workingDaysPerMonth = employee.workSchedule.workingDays.length * 4; // Approximation
-      const dailyRate = calculateDailyPayRate(
-        monthlySalary,
-        workingDaysPerMonth
-      );
-
-      // Calculate efficiency
-      const monitoringResults = attendance.monitoringResults || [];
-      const presentCount = monitoringResults.filter((r) => r.isPresent).length;
-      const efficiency = calculateEfficiency(
-        presentCount,
-        monitoringResults.length
-      );
-
-      // Determine if payment should be automatically approved
-      const autoApprove = efficiency >= 70; // Automatically approve if efficiency is 70% or higher
-
-      // Create payment record
-      const payment = new Payment({
-        employee: employee._id,
-        employer: employee.company.employer,
-        company: employee.company._id,
-        amount: dailyRate,
-        date: today,
-        type: "daily",
-        status: autoApprove ? "pending_approval" : "needs_review",
-        efficiency: efficiency,
-        attendanceRecord: attendance._id,
-        paymentDetails: {
-          workingHours: (
-            (attendance.clockOutTime - attendance.clockInTime) /
-            (1000 * 60 * 60)
-          ).toFixed(2),
-        },
-      });
-
-      await payment.save();
-
-      // Notify employer
-      const employerUser = await User.findById(employee.company.employer);
-
-      if (employerUser) {
-        await emailService.sendDailyPaymentApprovalEmail(employerUser.email, {
-          employeeName: `${employee.firstName} ${employee.lastName}`,
-          date: dayjs(today).format("MMMM D, YYYY"),
-          amount: dailyRate.toFixed(2),
-          efficiency: `${efficiency}%`,
-          paymentId: payment._id,
-        });
-      }
+    const summary = await paymentService.createDailyPayments(
+      now,
+      groups.map(({ company }) => company._id),
+      groups.flatMap(({ employees }) => employees.map((e) => e._id))
+    );
 
-      console.log(
-        `Payment processed for employee ${employee._id} - Efficiency: ${efficiency}%`
-      );
-    }
+    console.log(
+      `Created ${summary.created} daily payments ` +
+        `(${summary.holidayPayments} holiday), skipped ${summary.skipped}`
+    );
   } catch (error) {
     console.error("Error processing daily payments:", error);
   }
 }
 
 /**
- * Send efficiency reports to employers at the end of business day
+ * Send efficiency reports at the end of business day: the company owner gets
+ * every employee whose day just ended and each supervisor gets their direct
+ * reports. Employees in other time zones are reported at the end of their
+ * own day.
+ * @param {Array} groups - [{ company, employees }] whose business day is ending
+ * @param {Date} now - Current time
  */
-async function sendEfficiencyReports() {
+async function sendEfficiencyReports(groups, now) {
   try {
     console.log("📊 Sending efficiency reports");
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    // Get all companies
-    const companies = await Company.find({}).populate("employer");
-
-    for (const company of companies) {
-      // Get all employees for this company
-      const employees = await User.find({
-        company: company._id,
-        role: "employee",
-        isActive: true,
-      });
+    const companies = groups.map(({ company }) => company);
+    await Company.populate(companies, {
+      path: "owner",
+      select: "firstName lastName email",
+    });
 
-      if (employees.length === 0) continue;
+    for (const { company, employees } of groups) {
+      // Every zone due at once shares the same local date
+      const date = toLocalTime(
+        now,
+        employees[0].timezone || company.timezone
+      ).format("MMMM D, YYYY");
 
-      const employeeIds = employees.map((emp) => emp._id);
+      // Attendance is keyed to each employee's local day
+      const days = new Map();
+      for (const employee of employees) {
+        const timezone = employee.timezone || company.timezone;
+        if (!days.has(timezone)) {
+          days.set(timezone, { ...getLocalDay(now, timezone), ids: [] });
+        }
+        days.get(timezone).ids.push(employee._id);
+      }
 
-      // Get attendance records for today
       const attendanceRecords = await Attendance.find({
-        employee: { $in: employeeIds },
-        date: {
-          $gte: today,
-          $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000),
-        },
-      }).populate("employee");
-
-      // Get progress reports for today
-      const progressReports = await mongoose
-        .model("ProgressReport")
-        .find({
-          employee: { $in: employeeIds },
-          date: {
-            $gte: today,
-            $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000),
-          },
-        })
-        .populate("employee");
-
-      // Create efficiency report data
-      const reportData = [];
-
-      for (const employee of employees) {
-        const attendance = attendanceRecords.find(
-          (a) => a.employee._id.toString() === employee._id.toString()
-        );
+        $or: [...days.values()].map(({ start, end, ids }) => ({
+          employeeId: { $in: ids },
+          date: { $gte: start, $lt: end },
+        })),
+      });
 
-        const progressReport = progressReports.find(
-          (p) => p.employee._id.toString() === employee._id.toString()
-        );
+      const reportData = employees.map((employee) =>
+        buildEfficiencyRow(
+          employee,
+          attendanceRecords.find(
+            (a) => a.employeeId.toString() === employee._id.toString()
+          )
+        )
+      );
 
-        let efficiency = 0;
-        let workingHours = 0;
-        let clockInStatus = "Absent";
-
-        if (attendance) {
-          const monitoringResults = attendance.monitoringResults || [];
-          const presentCount = monitoringResults.filter(
-            (r) => r.isPresent
-          ).length;
-          efficiency = calculateEfficiency(
-            presentCount,
-            monitoringResults.length
-          );
+      const recipients = [];
+      if (company.owner && company.owner.email) {
+        recipients.push({ user: company.owner, employees: reportData });
+      }
 
-          if (attendance.clockInTime) {
-            clockInStatus = "Present";
+      // Group rows by supervisor so each only sees their own team
+      const supervisorIds = [
+        ...new Set(
+          employees
+            .filter((emp) => emp.supervisor)
+            .map((emp) => emp.supervisor.toString())
+        ),
+      ];
+      const supervisors = await User.find({
+        _id: { $in: supervisorIds },
+        isActive: true,
+      }).select("firstName lastName email");
 
-            if (attendance.clockOutTime) {
-              workingHours = (
-                (attendance.clockOutTime - attendance.clockInTime) /
-                (1000 * 60 * 60)
-              ).toFixed(2);
-            } else {
-              clockInStatus = "Working (No Clock Out)";
-            }
-          }
+      for (const supervisor of supervisors) {
+        if (company.owner && supervisor._id.equals(company.owner._id)) {
+          continue;
         }
 
-        reportData.push({
-          employeeId: employee._id,
-          employeeName: `${employee.firstName} ${employee.lastName}`,
-          efficiency: efficiency,
-          status: clockInStatus,
-          workingHours: workingHours,
-          tasksCompleted: progressReport
-            ? progressReport.tasks.filter((t) => t.status === "completed")
-                .length
-            : 0,
-          tasksInProgress: progressReport
-            ? progressReport.tasks.filter((t) => t.status === "inProgress")
-                .length
-            : 0,
-          tasksBlocked: progressReport
-            ? progressReport.tasks.filter((t) => t.status === "blocked").length
-            : 0,
-          summary: progressReport
-            ? progressReport.summary
-            : "No progress report submitted",
+        recipients.push({
+          user: supervisor,
+          employees: reportData.filter(
+            (row) =>
+              row.supervisorId &&
+              row.supervisorId.toString() === supervisor._id.toString()
+          ),
         });
       }
 
-      // Send report to employer
-      if (company.employer && company.employer.email) {
-        await emailService.sendDailyEfficiencyReport(company.employer.email, {
-          companyName: company.name,
-          date: dayjs(today).format("MMMM D, YYYY"),
-          employees: reportData,
-        });
-
-        console.log(`Efficiency report sent for company ${company.name}`);
+      for (const recipient of recipients) {
+        try {
+          await emailService.sendTeamEfficiencyReport(
+            recipient.user,
+            {
+              companyName: company.name,
+              date,
+              employees: recipient.employees,
+            },
+            company
+          );
+        } catch (error) {
+          console.error(
+            `Error sending efficiency report to ${recipient.user.email}:`,
+            error
+          );
+        }
       }
+
+      console.log(
+        `Efficiency report sent to ${recipients.length} recipients for company ${company.name}`
+      );
     }
   } catch (error) {
     console.error("Error sending efficiency reports:", error);
@@ -487,87 +524,100 @@ async function sendEfficiencyReports() {
 }
 
 /**
- * Handle pending payments that weren't approved or rejected
- * Processes payments automatically after deadline
+ * Build one employee's row for the daily efficiency report
+ * @param {Object} employee - Employee document
+ * @param {Object} attendance - Today's attendance record, if any
+ * @returns {Object} - Report row
+ */
+function buildEfficiencyRow(employee, attendance) {
+  let efficiency = 0;
+  let workingHours = 0;
+  let status = "Absent";
+
+  if (attendance) {
+    const captures = attendance.monitoringCaptures || [];
+    efficiency =
+      attendance.efficiencyReport && attendance.efficiencyReport.rating != null
+        ? attendance.efficiencyReport.rating
+        : calculateEfficiency(
+            captures.filter((c) => c.present).length,
+            captures.length
+          );
+
+    if (attendance.clockInTime) {
+      status = "Present";
+
+      if (attendance.clockOutTime) {
+        workingHours = (
+          (attendance.clockOutTime - attendance.clockInTime) /
+          (1000 * 60 * 60)
+        ).toFixed(2);
+      } else {
+        status = "Working (No Clock Out)";
+      }
+    }
+  }
+
+  const progress = attendance && attendance.dailyProgress;
+  const tasks = (progress && progress.tasks) || [];
+
+  return {
+    employeeId: employee._id,
+    supervisorId: employee.supervisor,
+    employeeName: `${employee.firstName} ${employee.lastName}`,
+    efficiency,
+    status,
+    workingHours,
+    tasksCompleted: tasks.filter((t) => t.completed).length,
+    tasksOutstanding: tasks.filter((t) => !t.completed).length,
+    summary:
+      progress && progress.description
+        ? progress.description
+        : "No progress report submitted",
+  };
+}
+
+/**
+ * Approve payments the employer didn't act on within the approval window
+ * (1 hour after they're created). They're paid out through the ledger like
+ * any other approval.
  */
 async function handlePendingPayments() {
   try {
     console.log("🔄 Handling pending payments");
 
-    // Get pending payments older than the approval window (1 hour)
     const approvalDeadline = new Date();
     approvalDeadline.setHours(approvalDeadline.getHours() - 1);
 
-    // Find payments that need admin review
     const pendingPayments = await Payment.find({
-      status: "pending_approval",
+      status: "pending",
       createdAt: { $lt: approvalDeadline },
-    })
-      .populate("employee")
-      .populate("employer")
-      .populate("company");
+    }).select("companyId");
 
+    const companies = new Map();
     for (const payment of pendingPayments) {
-      console.log(
-        `Processing pending payment ${payment._id} for employee ${payment.employee._id}`
-      );
-
-      // Process payment through Paystack
-      const paymentResult = await paymentService.processDailyPayment(payment);
-
-      if (paymentResult.success) {
-        payment.status = "paid";
-        payment.transactionReference = paymentResult.reference;
-        payment.paymentDate = new Date();
-        await payment.save();
-
-        // Notify employee of payment
-        await emailService.sendPaymentNotification(payment.employee.email, {
-          employeeName: `${payment.employee.firstName} ${payment.employee.lastName}`,
-          amount: payment.amount.toFixed(2),
-          date: dayjs(payment.date).format("MMMM D, YYYY"),
-          reference: paymentResult.reference,
-        });
-
-        console.log(`Payment ${payment._id} successfully processed`);
-      } else {
-        payment.status = "failed";
-        payment.notes = `Automatic payment failed: ${paymentResult.error}`;
-        await payment.save();
-
-        // Notify admin of failed payment
-        const admins = await User.find({ role: "admin" });
-        for (const admin of admins) {
-          await emailService.sendPaymentFailureNotification(admin.email, {
-            employeeName: `${payment.employee.firstName} ${payment.employee.lastName}`,
-            employerName: `${payment.employer.firstName} ${payment.employer.lastName}`,
-            companyName: payment.company.name,
-            amount: payment.amount.toFixed(2),
-            date: dayjs(payment.date).format("MMMM D, YYYY"),
-            error: paymentResult.error,
-            paymentId: payment._id,
-          });
-        }
-
-        console.log(`Payment ${payment._id} failed: ${paymentResult.error}`);
+      const companyId = payment.companyId.toString();
+      if (!companies.has(companyId)) {
+        companies.set(companyId, await Company.findById(companyId));
       }
-    }
-
-    // Handle payments that need admin review
-    const reviewPayments = await Payment.find({
-      status: "needs_review",
-      createdAt: { $lt: approvalDeadline },
-    });
 
-    // Notify admins of payments needing review
-    if (reviewPayments.length > 0) {
-      const admins = await User.find({ role: "admin" });
+      // Same gates as an employer approval
+      const company = companies.get(companyId);
+      if (
+        !company ||
+        company.status !== "approved" ||
+        billingService.isRestricted(company)
+      ) {
+        continue;
+      }
 
-      for (const admin of admins) {
-        await emailService.sendPaymentsNeedingReviewNotification(admin.email, {
-          paymentCount: reviewPayments.length,
-          date: dayjs().format("MMMM D, YYYY"),
-        });
+      try {
+        await paymentService.approvePayment(payment._id, null, company);
+        console.log(`Payment ${payment._id} approved automatically`);
+      } catch (error) {
+        console.error(
+          `Payment ${payment._id} could not be approved: ${error.message}`
+        );
       }
     }
   } catch (error) {
@@ -576,8 +626,8 @@ async function handlePendingPayments() {
 }
 
 /**
- * Clean up old data that's no longer needed
- * Runs weekly
+ * Clean up old data that's no longer needed, applying each company's
+ * retention policy. Runs weekly
  */
 async function cleanupOldData() {
   try {
@@ -585,27 +635,36 @@ async function cleanupOldData() {
 
     const threeMonthsAgo = dayjs().subtract(3, "month").toDate();
 
-    // Remove old monitoring results but keep attendance records
-    const oldAttendance = await Attendance.find({
-      date: { $lt: threeMonthsAgo },
-    });
+    // Purge captures, videos and reports past each company's retention policy
+    const retentionReports = await retentionService.enforceAll();
 
-    for (const attendance of oldAttendance) {
-      // Keep summary data but remove individual monitoring results
-      attendance.monitoringResults = [];
-      await attendance.save();
+    for (const report of retentionReports) {
+      const counts = Object.entries(report.purged)
+        .filter(([, count]) => count > 0)
+        .map(([dataClass, count]) => `${dataClass}: ${count}`)
+        .join(", ");
+
+      console.log(
+        `Retention purge for ${report.companyName} - ${counts}; ` +
+          `${report.filesDeleted} files deleted, ` +
+          `${report.filesFailed.length} failed`
+      );
     }
 
-    console.log(
-      `Cleaned up monitoring results for ${oldAttendance.length} attendance records`
+    // Expire stale invitations, then drop closed ones after the retention window
+    const expiredCount = await invitationService.expireStaleInvitations();
+    const closedInvitations = {
+      status: { $in: ["expired", "revoked"] },
+      updatedAt: { $lt: threeMonthsAgo },
+    };
+    const staleEmployeeIds = await Invitation.distinct(
+      "employeeId",
+      closedInvitations
     );
+    await User.deleteMany({ _id: { $in: staleEmployeeIds }, isInvited: true });
+    await Invitation.deleteMany(closedInvitations);
 
-    // Remove expired invitation tokens
-    await mongoose.model("Invitation").deleteMany({
-      expiresAt: { $lt: new Date() },
-    });
-
-    console.log("Cleaned up expired invitation tokens");
+    console.log(`Expired ${expiredCount} stale invitations`);
   } catch (error) {
     console.error("Error cleaning up old data:", error);
   }
@@ -735,6 +794,149 @@ async function updateProjectStatuses() {
   }
 }
 
+// A large export can outlast the 5-minute interval
+let dataExportsRunning = false;
+
+/**
+ * Build queued personal data exports and email their download links
+ */
+async function processDataExports() {
+  if (dataExportsRunning) return;
+  dataExportsRunning = true;
+
+  try {
+    const processed = await dataExportService.processPendingExports();
+    if (processed > 0) {
+      console.log(`📦 Built ${processed} personal data exports`);
+    }
+  } catch (error) {
+    console.error("Error processing data exports:", error);
+  } finally {
+    dataExportsRunning = false;
+  }
+}
+
+let employeeImportsRunning = false;
+
+/**
+ * Invite the employees listed in queued CSV imports
+ */
+async function processEmployeeImports() {
+  if (employeeImportsRunning) return;
+  employeeImportsRunning = true;
+
+  try {
+    const processed = await employeeImportService.processPendingImports();
+    if (processed > 0) {
+      console.log(`📥 Processed ${processed} employee imports`);
+    }
+  } catch (error) {
+    console.error("Error processing employee imports:", error);
+  } finally {
+    employeeImportsRunning = false;
+  }
+}
+
+/**
+ * Delete personal data export archives whose links have expired
+ */
+async function expireDataExports() {
+  try {
+    const expired = await dataExportService.expireExports();
+    if (expired > 0) {
+      console.log(`Deleted ${expired} expired personal data exports`);
+    }
+  } catch (error) {
+    console.error("Error expiring data exports:", error);
+  }
+}
+
+let erasuresRunning = false;
+
+/**
+ * Scrub the personal data of users with queued erasure requests
+ */
+async function processErasureRequests() {
+  if (erasuresRunning) return;
+  erasuresRunning = true;
+
+  try {
+    const processed = await anonymizationService.processPendingErasures();
+    if (processed > 0) {
+      console.log(`🧽 Processed ${processed} erasure requests`);
+    }
+  } catch (error) {
+    console.error("Error processing erasure requests:", error);
+  } finally {
+    erasuresRunning = false;
+  }
+}
+
+/**
+ * Import next year's public holidays into every company's calendar
+ */
+async function seedHolidayCalendars() {
+  try {
+    const year = new Date().getFullYear() + 1;
+    const imported = await holidayService.seedAllCompanies(year);
+
+    console.log(`📅 Imported ${imported} public holidays for ${year}`);
+  } catch (error) {
+    console.error("Error seeding holiday calendars:", error);
+  }
+}
+
+/**
+ * Compare every company's cached balance with its ledger balance
+ */
+async function checkLedgerConsistency() {
+  try {
+    const { checked, drifted } = await ledgerService.checkConsistency();
+
+    if (drifted > 0) {
+      console.warn(
+        `⚠️ Ledger drift detected for ${drifted} of ${checked} companies`
+      );
+    } else {
+      console.log(`📒 Ledger balances consistent for ${checked} companies`);
+    }
+  } catch (error) {
+    console.error("Error checking ledger consistency:", error);
+  }
+}
+
+/**
+ * Invoice every company for last month's active employees
+ */
+async function generateSubscriptionInvoices() {
+  try {
+    const { created, skipped, failed } =
+      await billingService.generateMonthlyInvoices();
+
+    console.log(
+      `🧾 Subscription invoices: ${created} created, ${skipped} skipped, ${failed} failed`
+    );
+  } catch (error) {
+    console.error("Error generating subscription invoices:", error);
+  }
+}
+
+/**
+ * End trials, start grace periods and restrict companies with overdue invoices
+ */
+async function updateSubscriptions() {
+  try {
+    const { converted, pastDue, restricted } =
+      await billingService.updateSubscriptions();
+
+    console.log(
+      `💳 Subscriptions updated: ${converted} trials ended, ${pastDue} past due, ${restricted} restricted`
+    );
+  } catch (error) {
+    console.error("Error updating subscriptions:", error);
+  }
+}
+
 module.exports = {
   initScheduledTasks,
 };
@@ -1,13 +1,69 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const sessionService = require("../services/sessionService");
+const apiKeyService = require("../services/apiKeyService");
+const impersonationService = require("../services/impersonationService");
 
 /**
- * Middleware to verify JWT token and attach user to request
+ * Authenticate a company API key and act on behalf of the member who created it
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+  const apiKey = await apiKeyService.authenticate(key, req.ip);
+  if (!apiKey) {
+    return res.status(401).json({ message: "Invalid or revoked API key" });
+  }
+
+  const user = await User.findById(apiKey.createdBy);
+  if (!user || !user.isActive) {
+    return res.status(401).json({ message: "Invalid or revoked API key" });
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+
+  next();
+};
+
+/**
+ * Mark every response of an impersonation session and record the request
+ */
+const trackImpersonation = (req, res, session) => {
+  const marker = {
+    impersonatedBy: session.impersonatedBy,
+    expiresAt: session.expiresAt,
+  };
+
+  res.set("X-Impersonated-By", String(session.impersonatedBy));
+  res.set("X-Impersonation-Expires", session.expiresAt.toISOString());
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && typeof body === "object" && !Array.isArray(body)) {
+      return json({ ...body, impersonation: marker });
+    }
+    return json(body);
+  };
+
+  res.on("finish", () => {
+    impersonationService.recordRequest(req, res).catch((error) => {
+      console.error("Failed to record impersonated request:", error);
+    });
+  });
+};
+
+/**
+ * Middleware to verify a JWT or company API key and attach user to request
  */
 const auth = async (req, res, next) => {
   try {
-    // Get token from Authorization header
+    // Get token from Authorization header (or X-API-Key for integrations)
     const authHeader = req.header("Authorization");
+    const apiKeyHeader = req.header("X-API-Key");
+
+    if (apiKeyHeader) {
+      return await authenticateApiKey(req, res, next, apiKeyHeader);
+    }
+
     if (!authHeader || !authHeader.startsWith("Bearer ")) {
       return res
         .status(401)
@@ -16,9 +72,22 @@ const auth = async (req, res, next) => {
 
     const token = authHeader.replace("Bearer ", "");
 
+    if (apiKeyService.isApiKey(token)) {
+      return await authenticateApiKey(req, res, next, token);
+    }
+
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Access tokens must belong to a session that hasn't been revoked
+    const session = decoded.sessionId
+      ? await sessionService.getActiveSession(decoded.sessionId)
+      : null;
+
+    if (!session || session.userId.toString() !== decoded.userId) {
+      return res.status(401).json({ message: "Session expired or revoked" });
+    }
+
     // Find user
     const user = await User.findById(decoded.userId);
 
@@ -26,12 +95,25 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: "User not found" });
     }
 
-    // Check if token is in user's tokens list (if you maintain a tokens array)
-    // This would be useful for implementing token invalidation on logout
+    if (!user.isActive) {
+      return res.status(401).json({ message: "Account is deactivated" });
+    }
+
+    // Impersonation ends as soon as the admin loses access
+    if (session.impersonatedBy) {
+      const admin = await User.findById(session.impersonatedBy);
+      if (!admin || !admin.isActive || admin.role !== "admin") {
+        return res.status(401).json({ message: "Session expired or revoked" });
+      }
+
+      req.impersonator = admin;
+      trackImpersonation(req, res, session);
+    }
 
     // Attach user to request object
     req.user = user;
     req.token = token;
+    req.session = session;
 
     next();
   } catch (error) {
@@ -47,7 +129,7 @@ const auth = async (req, res, next) => {
 const verifyEmail = async (req, res, next) => {
   try {
     // Check if user email is verified
-    if (!req.user.emailVerified) {
+    if (!req.user.isEmailVerified) {
       return res.status(403).json({
         message: "Email verification required",
         verificationRequired: true,
@@ -60,4 +142,30 @@ const verifyEmail = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, verifyEmail };
+/**
+ * Middleware rejecting API key requests on endpoints meant for people
+ * (account, session and self-service routes)
+ */
+const denyApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return res
+      .status(403)
+      .json({ message: "API keys cannot access this endpoint" });
+  }
+  next();
+};
+
+/**
+ * Middleware rejecting actions an admin may not take while acting as a user
+ * (payment approvals, credential changes)
+ */
+const denyImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res
+      .status(403)
+      .json({ message: "This action is not allowed while impersonating" });
+  }
+  next();
+};
+
+module.exports = { auth, verifyEmail, denyApiKey, denyImpersonation };
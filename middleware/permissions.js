@@ -1,4 +1,7 @@
 const Company = require("../models/Company");
+const permissionService = require("../services/permissionService");
+
+const API_KEY_DENIED = "API keys cannot access this endpoint";
 
 /**
  * Middleware to check user roles
@@ -10,6 +13,11 @@ const checkRole = (roles) => {
       return res.status(401).json({ message: "Unauthorized" });
     }
 
+    // Role checks guard human-facing routes; keys only carry scopes
+    if (req.apiKey) {
+      return res.status(403).json({ message: API_KEY_DENIED });
+    }
+
     if (!roles.includes(req.user.role)) {
       return res
         .status(403)
@@ -27,6 +35,9 @@ const isAdmin = (req, res, next) => {
   if (!req.user || req.user.role !== "admin") {
     return res.status(403).json({ message: "Admin access required" });
   }
+  if (req.apiKey) {
+    return res.status(403).json({ message: API_KEY_DENIED });
+  }
   next();
 };
 
@@ -37,6 +48,9 @@ const isEmployer = (req, res, next) => {
   if (!req.user || req.user.role !== "employer") {
     return res.status(403).json({ message: "Employer access required" });
   }
+  if (req.apiKey) {
+    return res.status(403).json({ message: API_KEY_DENIED });
+  }
   next();
 };
 
@@ -47,9 +61,156 @@ const isEmployee = (req, res, next) => {
   if (!req.user || req.user.role !== "employee") {
     return res.status(403).json({ message: "Employee access required" });
   }
+  if (req.apiKey) {
+    return res.status(403).json({ message: API_KEY_DENIED });
+  }
   next();
 };
 
+/**
+ * Supervisor-only middleware: the user must have at least one direct report
+ */
+const isSupervisor = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    if (req.apiKey) {
+      return res.status(403).json({ message: API_KEY_DENIED });
+    }
+
+    const User = require("../models/User");
+    const hasReports = await User.exists({
+      supervisor: req.user._id,
+      isActive: true,
+    });
+
+    if (!hasReports) {
+      return res.status(403).json({ message: "Supervisor access required" });
+    }
+
+    next();
+  } catch (error) {
+    console.error("Supervisor middleware error:", error.message);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Middleware requiring company-scoped permissions (see config/permissions.js).
+ * Sets req.company and req.permissions for the handlers that follow.
+ * Requests authenticated with an API key are limited to the key's scopes.
+ * @param {...String} permissions - Permission keys that are all required
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ message: "Unauthorized" });
+      }
+
+      const company = await Company.findForUser(req.user);
+      if (!company) {
+        return res
+          .status(403)
+          .json({ message: "Access denied: not a member of a company" });
+      }
+
+      let granted = await permissionService.getPermissions(req.user, company);
+
+      // API keys get their scopes, capped by what their creator still holds
+      if (req.apiKey) {
+        if (!company._id.equals(req.apiKey.companyId)) {
+          return res
+            .status(403)
+            .json({ message: "API key is not valid for this company" });
+        }
+        granted = granted.filter((p) => req.apiKey.scopes.includes(p));
+      }
+
+      const missing = permissions.filter((p) => !granted.includes(p));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          message: `Access denied: missing permission ${missing.join(", ")}`,
+        });
+      }
+
+      req.company = company;
+      req.permissions = granted;
+      next();
+    } catch (error) {
+      console.error("Permission middleware error:", error.message);
+      res.status(500).json({ message: "Server error" });
+    }
+  };
+};
+
+/**
+ * Middleware blocking payroll features until the company has been approved.
+ * Reuses req.company when requirePermission ran first.
+ */
+const requireApprovedCompany = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    const company = req.company || (await Company.findForUser(req.user));
+    if (!company) {
+      return res
+        .status(403)
+        .json({ message: "Access denied: not a member of a company" });
+    }
+
+    if (company.status !== "approved") {
+      return res.status(403).json({
+        message: "Payroll is unavailable until your company is approved",
+        companyStatus: company.status,
+      });
+    }
+
+    req.company = company;
+    next();
+  } catch (error) {
+    console.error("Company approval middleware error:", error.message);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+/**
+ * Middleware blocking payroll approvals and invitations for companies
+ * restricted over unpaid invoices. Reuses req.company when set.
+ */
+const requireActiveSubscription = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    const company = req.company || (await Company.findForUser(req.user));
+    if (!company) {
+      return res
+        .status(403)
+        .json({ message: "Access denied: not a member of a company" });
+    }
+
+    if (company.subscription && company.subscription.status === "restricted") {
+      return res.status(403).json({
+        message: "This feature is unavailable until overdue invoices are paid",
+        subscriptionStatus: company.subscription.status,
+      });
+    }
+
+    req.company = company;
+    next();
+  } catch (error) {
+    console.error("Subscription middleware error:", error.message);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
 /**
  * Middleware to check if employer has access to specific employee
  */
@@ -73,13 +234,14 @@ const canAccessEmployee = async (req, res, next) => {
       return res.status(400).json({ message: "Employee ID required" });
     }
 
-    // Check if employee belongs to employer's company
-    const company = await Company.findOne({
-      owner: req.user._id,
-      employees: { $elemMatch: { $eq: employeeId } },
-    });
+    // Check if employee belongs to the employer's company
+    const User = require("../models/User");
+    const company = await Company.findForUser(req.user);
+    const isInCompany =
+      company &&
+      (await User.exists({ _id: employeeId, companyId: company._id }));
 
-    if (!company) {
+    if (!isInCompany) {
       return res
         .status(403)
         .json({ message: "Access denied: employee not found in your company" });
@@ -111,20 +273,19 @@ const canAccessProject = async (req, res, next) => {
       return res.status(400).json({ message: "Project ID required" });
     }
 
-    // Get the project with populated company field
     const Project = require("../models/Project");
-    const project = await Project.findById(projectId).populate("company");
+    const project = await Project.findById(projectId);
 
     if (!project) {
       return res.status(404).json({ message: "Project not found" });
     }
 
-    if (
-      req.user.role === "employer" &&
-      project.company.owner.toString() === req.user._id.toString()
-    ) {
-      // Employer owns the company that owns the project
-      return next();
+    if (req.user.role === "employer") {
+      // Employer is a member of the company that owns the project
+      const company = await Company.findForUser(req.user);
+      if (company && company._id.equals(project.companyId)) {
+        return next();
+      }
     }
 
     if (
@@ -173,17 +334,17 @@ const canAccessPayment = async (req, res, next) => {
       return res.status(404).json({ message: "Payment not found" });
     }
 
-    if (
-      req.user.role === "employer" &&
-      payment.employer.toString() === req.user._id.toString()
-    ) {
-      // Employer is the one who made the payment
-      return next();
+    if (req.user.role === "employer") {
+      // Employer is a member of the company that made the payment
+      const company = await Company.findForUser(req.user);
+      if (company && company._id.equals(payment.companyId)) {
+        return next();
+      }
     }
 
     if (
       req.user.role === "employee" &&
-      payment.employee.toString() === req.user._id.toString()
+      payment.employeeId.toString() === req.user._id.toString()
     ) {
       // Employee is the recipient of the payment
       return next();
@@ -206,6 +367,10 @@ module.exports = {
   isAdmin,
   isEmployer,
   isEmployee,
+  isSupervisor,
+  requirePermission,
+  requireApprovedCompany,
+  requireActiveSubscription,
   canAccessEmployee,
   canAccessProject,
   canAccessPayment,
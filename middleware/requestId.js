@@ -0,0 +1,22 @@
+const crypto = require("crypto");
+const { runWithContext } = require("../utils/requestContext");
+
+const REQUEST_ID_PATTERN = /^[\w.-]{8,128}$/;
+
+/**
+ * Middleware giving each request an id (reusing a valid incoming X-Request-Id)
+ * and starting the request context used by audit logging
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.requestId =
+    incoming && REQUEST_ID_PATTERN.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+
+  res.set("X-Request-Id", req.requestId);
+
+  runWithContext({ req }, next);
+};
+
+module.exports = requestId;
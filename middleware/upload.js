@@ -100,6 +100,23 @@ const facialCaptureUpload = multer({
   },
 });
 
+// CSV uploads for bulk imports, kept in memory and parsed in the request
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1 * 1024 * 1024 }, // 1MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedMimes = ["text/csv", "application/vnd.ms-excel", "text/plain"];
+    if (
+      allowedMimes.includes(file.mimetype) ||
+      path.extname(file.originalname).toLowerCase() === ".csv"
+    ) {
+      cb(null, true);
+    } else {
+      cb(new Error("Invalid file type. Only CSV files are allowed."));
+    }
+  },
+});
+
 // Error handling for multer
 const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -118,5 +135,6 @@ module.exports = {
   profilePictureUpload,
   logoUpload,
   facialCaptureUpload,
+  csvUpload,
   handleUploadError,
 };
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+const apiKeySchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true
+  },
+  // Public identifier embedded in the key, used for lookup and display
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String, // SHA-256 hash of the full key
+    required: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: API_KEY_SCOPES
+  }],
+  // Requests made with the key act on behalf of this member
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  expiresAt: Date,
+  rotatedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+apiKeySchema.index({ companyId: 1, revokedAt: 1 });
+
+apiKeySchema.methods.isActive = function () {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > Date.now();
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+module.exports = ApiKey;
@@ -38,12 +38,59 @@ const attendanceSchema = new mongoose.Schema({
       completed: Boolean
     }]
   },
+  // Where the employee clocked in and out from
   location: {
-    latitude: String,
-    longitude: String,
+    latitude: Number,
+    longitude: Number,
     address: String
-  }
+  },
+  clockOutLocation: {
+    latitude: Number,
+    longitude: Number,
+    address: String
+  },
+  // Geofence check against the employee's branch; distances in metres
+  geofence: {
+    branchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch'
+    },
+    clockInDistance: Number,
+    clockOutDistance: Number,
+    // Set when either clock was outside the fence under the flag policy
+    outsideFence: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Employee requests to fix clock times, reviewed by their supervisor
+  correctionRequests: [{
+    requestedClockInTime: Date,
+    requestedClockOutTime: Date,
+    reason: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewNote: String
+  }]
 }, { timestamps: true });
 
+attendanceSchema.index({ employeeId: 1, date: -1 });
+attendanceSchema.index({ 'geofence.outsideFence': 1, date: -1 });
+
 const Attendance = mongoose.model('Attendance', attendanceSchema);
 module.exports = Attendance;
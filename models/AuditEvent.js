@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// Append-only record of sensitive changes; written only via auditService
+const auditEventSchema = new mongoose.Schema({
+  // Dotted event name, e.g. "employee.terminated" or "payment.approved"
+  action: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      immutable: true
+    },
+    role: {
+      type: String,
+      immutable: true
+    },
+    // Admin acting as the user (see impersonationService)
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      immutable: true
+    },
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+      immutable: true
+    }
+  },
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    immutable: true
+  },
+  target: {
+    type: {
+      type: String,
+      required: true,
+      immutable: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      immutable: true
+    }
+  },
+  // Fields that changed: [{ field, before, after }]
+  changes: {
+    type: [mongoose.Schema.Types.Mixed],
+    immutable: true
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    immutable: true
+  },
+  ipAddress: {
+    type: String,
+    immutable: true
+  },
+  userAgent: {
+    type: String,
+    immutable: true
+  },
+  requestId: {
+    type: String,
+    immutable: true
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditEventSchema.index({ companyId: 1, createdAt: -1 });
+auditEventSchema.index({ 'actor.userId': 1, createdAt: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ requestId: 1 });
+
+const rejectMutation = function (next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+['updateOne', 'deleteOne'].forEach((operation) => {
+  auditEventSchema.pre(operation, { document: true, query: true }, rejectMutation);
+});
+
+[
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach((operation) => {
+  auditEventSchema.pre(operation, rejectMutation);
+});
+
+auditEventSchema.pre('bulkWrite', rejectMutation);
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+module.exports = AuditEvent;
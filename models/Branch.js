@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Office or site employees clock in at. Clock-ins further than `radius`
+// metres from the coordinates are outside the geofence.
+const branchSchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Branch name is required'],
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  latitude: {
+    type: Number,
+    required: [true, 'Latitude is required'],
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: [true, 'Longitude is required'],
+    min: -180,
+    max: 180
+  },
+  // Geofence radius in metres
+  radius: {
+    type: Number,
+    default: 200,
+    min: 10,
+    max: 10000
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+branchSchema.index({ companyId: 1, name: 1 }, { unique: true });
+
+const Branch = mongoose.model('Branch', branchSchema);
+module.exports = Branch;
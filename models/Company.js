@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const {
+  DEFAULT_TIMEZONE,
+  DEFAULT_CURRENCY,
+  CURRENCIES,
+  isValidTimezone
+} = require('../utils/helpers');
+const { PLANS } = require('../config/plans');
 
 const companySchema = new mongoose.Schema({
   name: {
@@ -9,11 +16,53 @@ const companySchema = new mongoose.Schema({
   logo: {
     type: String
   },
+  // Applied to contracts, reports, payslips and emails sent on the company's
+  // behalf (see getBranding in utils/helpers)
+  branding: {
+    primaryColor: {
+      type: String,
+      match: [/^#[0-9a-fA-F]{6}$/, 'Primary colour must be a hex colour like #1A73E8']
+    },
+    // Letterhead footer, e.g. registered address and RC number
+    footer: {
+      type: String,
+      maxlength: 500
+    },
+    // Display name on outgoing emails; defaults to the company name
+    senderName: {
+      type: String,
+      maxlength: 100
+    },
+    // Cloudinary ID of `logo`, so a replaced logo can be deleted
+    logoPublicId: String,
+    updatedAt: Date
+  },
   owner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Employer accounts that manage the company; the owner is always included
+  members: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['owner', 'employer'],
+      default: 'employer'
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   address: {
     street: String,
     city: String,
@@ -28,15 +77,215 @@ const companySchema = new mongoose.Schema({
   contactPhone: String,
   industry: String,
   registrationNumber: String,
+  // Currency the wallet is held in and wages default to. Fixed once the
+  // wallet has ledger entries.
+  currency: {
+    type: String,
+    enum: Object.keys(CURRENCIES),
+    default: DEFAULT_CURRENCY
+  },
+  // Cache of the company wallet's ledger balance (see services/ledgerService).
+  // Only the ledger service changes it, alongside the entry it posts.
   balance: {
     type: Number,
     default: 0
   },
+  // Set by the nightly ledger check while the cached balance disagrees
+  ledgerDrift: {
+    cachedBalance: Number,
+    ledgerBalance: Number,
+    detectedAt: Date
+  },
+  // IANA zone the company's working hours, payroll and reports run in
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: [isValidTimezone, 'Unknown time zone']
+  },
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Platform subscription (see services/billingService). Restricted
+  // companies can't run payroll or invite employees until they pay.
+  subscription: {
+    plan: {
+      type: String,
+      enum: Object.keys(PLANS)
+    },
+    status: {
+      type: String,
+      enum: ['trialing', 'active', 'past_due', 'restricted']
+    },
+    trialEndsAt: Date,
+    graceEndsAt: Date,
+    restrictedAt: Date
+  },
+  // Know-your-business review. Payroll stays blocked until approved.
+  status: {
+    type: String,
+    enum: ['pending', 'under_review', 'approved', 'rejected', 'suspended'],
+    default: 'pending'
+  },
+  verification: {
+    // CAC registration and supporting documents uploaded by the employer
+    documents: [{
+      type: {
+        type: String,
+        enum: ['cac_certificate', 'cac_status_report', 'memorandum_of_association', 'tax_identification', 'other'],
+        required: true
+      },
+      fileUrl: {
+        type: String,
+        required: true
+      },
+      cloudinaryId: String,
+      fileName: String,
+      mimeType: String,
+      fileSize: Number,
+      uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    submittedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Shown to the employer when the company is rejected or suspended
+    statusReason: String,
+    history: [{
+      status: String,
+      note: String,
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Internal notes between reviewers; never shown to the employer
+    reviewNotes: {
+      type: [{
+        note: {
+          type: String,
+          required: true
+        },
+        author: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now
+        }
+      }],
+      select: false
+    }
+  },
+  security: {
+    twoFactorRequired: {
+      type: Boolean,
+      default: false
+    },
+    // Roles the requirement applies to; empty means every member
+    twoFactorRoles: [{
+      type: String,
+      enum: ['employer', 'employee']
+    }]
+  },
+  // Days on the holiday calendar (see models/Holiday.js) are skipped by
+  // monitoring and absence marking; paid controls whether they earn a day's pay
+  holidayPolicy: {
+    paid: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // What happens when an employee clocks in or out outside their branch's
+  // geofence (see services/branchService.js): flag records it for review,
+  // reject refuses the clock-in
+  geofencePolicy: {
+    enforcement: {
+      type: String,
+      enum: ['flag', 'reject'],
+      default: 'flag'
+    }
+  },
+  // Days to keep each class of personal data; null keeps it indefinitely.
+  // Enforced weekly by the retention job (see services/retentionService.js)
+  retentionPolicy: {
+    faceCapturesDays: {
+      type: Number,
+      default: 90
+    },
+    monitoringResultsDays: {
+      type: Number,
+      default: 90
+    },
+    interviewVideosDays: {
+      type: Number,
+      default: 180
+    },
+    rejectedApplicantsDays: {
+      type: Number,
+      default: 180
+    },
+    dailyReportsDays: {
+      type: Number,
+      default: 365
+    }
   }
 }, { timestamps: true });
 
+companySchema.index({ 'members.userId': 1 });
+companySchema.index({ status: 1, 'verification.submittedAt': 1 });
+
+// Keep the owner in the member list with the owner role
+companySchema.pre('validate', function (next) {
+  if (!this.owner) return next();
+
+  this.members.forEach((member) => {
+    if (member.role === 'owner' && !member.userId.equals(this.owner)) {
+      member.role = 'employer';
+    }
+  });
+
+  const ownerMember = this.getMember(this.owner);
+  if (ownerMember) {
+    ownerMember.role = 'owner';
+  } else {
+    this.members.push({ userId: this.owner, role: 'owner' });
+  }
+  next();
+});
+
+/**
+ * Find a membership entry for a user
+ */
+companySchema.methods.getMember = function (userId) {
+  return this.members.find((member) => member.userId.equals(userId));
+};
+
+/**
+ * Find the company a user belongs to, as an employer member or through companyId
+ */
+companySchema.statics.findForUser = function (user) {
+  // owner covers companies saved before membership was introduced
+  const conditions = [{ 'members.userId': user._id }, { owner: user._id }];
+  if (user.companyId) {
+    conditions.push({ _id: user.companyId });
+  }
+  return this.findOne({ $or: conditions });
+};
+
 const Company = mongoose.model('Company', companySchema);
 module.exports = Company;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Subject access request: an archive of everything held about a user
+const dataExportRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending'
+  },
+  startedAt: Date,
+  completedAt: Date,
+  // Location of the archive on private storage; never served directly
+  filePath: {
+    type: String,
+    select: false
+  },
+  fileSize: Number,
+  downloadTokenHash: {
+    type: String, // SHA-256 hash of the emailed download token
+    select: false
+  },
+  expiresAt: Date,
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  lastDownloadedAt: Date,
+  // Referenced files that could not be fetched into the archive
+  missingFiles: [String],
+  error: String
+}, { timestamps: true });
+
+dataExportRequestSchema.index({ userId: 1, createdAt: -1 });
+dataExportRequestSchema.index({ status: 1, expiresAt: 1 });
+
+const DataExportRequest = mongoose.model('DataExportRequest', dataExportRequestSchema);
+module.exports = DataExportRequest;
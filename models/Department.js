@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const departmentSchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Department name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Employee or employer leading the department
+  head: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Department this one reports into; top-level departments have none
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  costCenter: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+departmentSchema.index({ companyId: 1, name: 1 }, { unique: true });
+departmentSchema.index({ companyId: 1, parent: 1 });
+
+const Department = mongoose.model('Department', departmentSchema);
+module.exports = Department;
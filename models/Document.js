@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/encryptedFields');
 
 const documentSchema = new mongoose.Schema({
   userId: {
@@ -15,6 +16,8 @@ const documentSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Identity number on the document (e.g. the NIN); encrypted at rest
+  documentNumber: String,
   cloudinaryId: String,
   mimeType: String,
   fileName: String,
@@ -40,5 +43,7 @@ const documentSchema = new mongoose.Schema({
   comments: String
 }, { timestamps: true });
 
+documentSchema.plugin(encryptedFields, { fields: ['documentNumber'] });
+
 const Document = mongoose.model('Document', documentSchema);
 module.exports = Document;
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const importRowSchema = new mongoose.Schema({
+  row: { type: Number, required: true }, // 1 is the first row after the header
+  values: [String], // Cells as uploaded, in header order
+  status: {
+    type: String,
+    enum: ['pending', 'invited', 'failed'],
+    default: 'pending'
+  },
+  invitationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invitation' },
+  error: String
+}, { _id: false });
+
+// A CSV of employees being invited in the background
+const employeeImportSchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fileName: String,
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  headers: [String],
+  rows: {
+    type: [importRowSchema],
+    select: false
+  },
+  totalRows: { type: Number, default: 0 },
+  processedRows: { type: Number, default: 0 },
+  invitedRows: { type: Number, default: 0 },
+  failedRows: { type: Number, default: 0 },
+  startedAt: Date,
+  completedAt: Date,
+  error: String
+}, { timestamps: true });
+
+employeeImportSchema.index({ companyId: 1, createdAt: -1 });
+employeeImportSchema.index({ status: 1, createdAt: 1 });
+
+const EmployeeImport = mongoose.model('EmployeeImport', employeeImportSchema);
+module.exports = EmployeeImport;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Right-to-erasure request: the user's personal data is scrubbed in the
+// background while payment and attendance records are kept for accounting
+const erasureRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  startedAt: Date,
+  completedAt: Date,
+  // Counts of what was removed, kept as the record that erasure happened
+  summary: {
+    documentsDeleted: Number,
+    attendanceRecordsScrubbed: Number,
+    applicationsScrubbed: Number,
+    invitationsScrubbed: Number,
+    dataExportsDeleted: Number,
+    filesDeleted: Number,
+    // Stored files that could not be deleted and need manual cleanup
+    filesFailed: [String]
+  },
+  error: String
+}, { timestamps: true });
+
+erasureRequestSchema.index({ status: 1, createdAt: 1 });
+erasureRequestSchema.index({ userId: 1 });
+
+const ErasureRequest = mongoose.model('ErasureRequest', erasureRequestSchema);
+module.exports = ErasureRequest;
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { CURRENCIES } = require('../utils/helpers');
+
+// One unit of base is worth `rate` units of quote from effectiveDate onwards
+const exchangeRateSchema = new mongoose.Schema({
+  base: {
+    type: String,
+    enum: Object.keys(CURRENCIES),
+    required: true
+  },
+  quote: {
+    type: String,
+    enum: Object.keys(CURRENCIES),
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: [0, 'Exchange rate must be positive']
+  },
+  effectiveDate: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    default: 'manual'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+exchangeRateSchema.index({ base: 1, quote: 1, effectiveDate: -1 }, { unique: true });
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+module.exports = ExchangeRate;
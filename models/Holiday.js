@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const holidaySchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  // Calendar day as YYYY-MM-DD, so it doesn't shift with server time zones
+  date: {
+    type: String,
+    required: [true, 'Holiday date is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Holiday date must be in YYYY-MM-DD format']
+  },
+  name: {
+    type: String,
+    required: [true, 'Holiday name is required'],
+    trim: true
+  },
+  // public: imported from the bundled calendar; company: added by an employer
+  type: {
+    type: String,
+    enum: ['public', 'company'],
+    default: 'company'
+  },
+  // Overrides the company's holidayPolicy.paid for this day when set
+  paid: {
+    type: Boolean,
+    default: null
+  },
+  // Lunar holidays in the bundled calendar are estimates until declared
+  estimated: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+holidaySchema.index({ companyId: 1, date: 1 }, { unique: true });
+
+const Holiday = mongoose.model('Holiday', holidaySchema);
+module.exports = Holiday;
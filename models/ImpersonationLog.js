@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Append-only record of impersonation sessions and every request made in them
+const impersonationLogSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['start', 'request', 'end'],
+    required: true
+  },
+  method: String,
+  path: String,
+  statusCode: Number,
+  reason: String,
+  ipAddress: String,
+  userAgent: String
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+impersonationLogSchema.index({ sessionId: 1, createdAt: 1 });
+impersonationLogSchema.index({ adminId: 1, createdAt: -1 });
+impersonationLogSchema.index({ targetUserId: 1, createdAt: -1 });
+
+const ImpersonationLog = mongoose.model('ImpersonationLog', impersonationLogSchema);
+module.exports = ImpersonationLog;
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY, CURRENCIES } = require('../utils/helpers');
+const { PLANS } = require('../config/plans');
+
+const invoiceSchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  plan: {
+    type: String,
+    enum: Object.keys(PLANS),
+    required: true
+  },
+  // Billing month the invoice covers: [periodStart, periodEnd)
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  // Active employees counted when the invoice was generated
+  seats: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unitPrice: {
+    type: Number,
+    required: true
+  },
+  // Share of the period billed, below 1 when a trial ended mid-month
+  proration: {
+    type: Number,
+    default: 1
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    enum: Object.keys(CURRENCIES),
+    default: DEFAULT_CURRENCY
+  },
+  status: {
+    type: String,
+    enum: ['open', 'paid', 'void'],
+    default: 'open'
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  paidAt: Date,
+  // Latest Paystack checkout started for this invoice
+  paymentReference: String,
+  authorizationUrl: String,
+  pdfUrl: String,
+  pdfPublicId: String
+}, { timestamps: true });
+
+invoiceSchema.index({ companyId: 1, periodStart: 1 }, { unique: true });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+module.exports = Invoice;
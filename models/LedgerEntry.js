@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY, CURRENCIES } = require('../utils/helpers');
+
+// Accounts a journal entry moves money between. The company wallet is what
+// the company has available for payroll; the others are its counterparties.
+const ACCOUNTS = ['company_wallet', 'bank', 'employee_payouts', 'platform_fees', 'adjustments'];
+
+const ledgerEntrySchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['topup', 'payroll', 'reversal', 'fee', 'adjustment'],
+    required: true
+  },
+  // Every entry debits one account and credits another by the same amount
+  debitAccount: {
+    type: String,
+    enum: ACCOUNTS,
+    required: true
+  },
+  creditAccount: {
+    type: String,
+    enum: ACCOUNTS,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Ledger amounts must be positive']
+  },
+  // The company's currency at the time of posting
+  currency: {
+    type: String,
+    enum: Object.keys(CURRENCIES),
+    default: DEFAULT_CURRENCY
+  },
+  // Amount and rate for entries converted from another currency
+  original: {
+    amount: Number,
+    currency: String,
+    rate: Number
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  // External reference (e.g. Paystack) so the same event is never posted twice
+  reference: String,
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Entry this one cancels out
+  reverses: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+ledgerEntrySchema.index({ companyId: 1, createdAt: 1 });
+ledgerEntrySchema.index(
+  { type: 1, reference: 1 },
+  { unique: true, partialFilterExpression: { reference: { $exists: true } } }
+);
+ledgerEntrySchema.index(
+  { reverses: 1 },
+  { unique: true, partialFilterExpression: { reverses: { $exists: true } } }
+);
+ledgerEntrySchema.index({ paymentId: 1 });
+// A payment is debited from the wallet at most once
+ledgerEntrySchema.index(
+  { paymentId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'payroll' } }
+);
+
+// Entries are append-only; mistakes are corrected with reversals or adjustments
+const rejectChange = function (next) {
+  next(new Error('Ledger entries cannot be changed or deleted'));
+};
+ledgerEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'],
+  rejectChange
+);
+ledgerEntrySchema.pre(
+  ['deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: true, query: true },
+  rejectChange
+);
+ledgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+ledgerEntrySchema.statics.ACCOUNTS = ACCOUNTS;
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+module.exports = LedgerEntry;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY, CURRENCIES } = require('../utils/helpers');
 
 const paymentSchema = new mongoose.Schema({
   employeeId: {
@@ -20,6 +21,12 @@ const paymentSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Currency the employee is paid in
+  currency: {
+    type: String,
+    enum: Object.keys(CURRENCIES),
+    default: DEFAULT_CURRENCY
+  },
   type: {
     type: String,
     enum: ['daily', 'salary', 'bonus', 'other'],
@@ -32,7 +39,18 @@ const paymentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'declined', 'disputed', 'completed'],
+    enum: [
+      'pending',
+      'processing', // Claimed by an approval while the payout is made
+      'approved',
+      'declined',
+      'disputed',
+      'completed',
+      'failed',
+      'admin_approved',
+      'admin_rejected',
+      'rejected'
+    ],
     default: 'pending'
   },
   approvedBy: {
@@ -40,15 +58,32 @@ const paymentSchema = new mongoose.Schema({
     ref: 'User'
   },
   approvalDate: Date,
+  // Paystack transfer reference and code; transfer webhooks find the
+  // payment by its reference
   paymentReference: String,
   transactionId: String,
   declineReason: String,
+  // Admin review of a payment the employer declined
+  adminReviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  adminReviewedAt: Date,
+  adminReviewNote: String,
   paymentMethod: {
     type: String,
     enum: ['bank_transfer', 'paystack', 'wallet', 'other'],
     default: 'paystack'
+  },
+  // Branded payslip PDF, regenerated when the company's branding changes
+  payslip: {
+    url: String,
+    publicId: String,
+    generatedAt: Date
   }
 }, { timestamps: true });
 
+paymentSchema.index({ paymentReference: 1 }, { sparse: true });
+
 const Payment = mongoose.model('Payment', paymentSchema);
 module.exports = Payment;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Pending authorization-code request, consumed once by the callback
+const ssoAuthRequestSchema = new mongoose.Schema({
+  connectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SsoConnection',
+    required: true
+  },
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true,
+    select: false
+  },
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when a signed-in user is linking their existing account
+  linkUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+// Let MongoDB remove abandoned requests once they expire
+ssoAuthRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SsoAuthRequest = mongoose.model('SsoAuthRequest', ssoAuthRequestSchema);
+module.exports = SsoAuthRequest;
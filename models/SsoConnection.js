@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/encryptedFields');
+
+const ssoConnectionSchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true,
+    unique: true
+  },
+  // OpenID Provider issuer URL; endpoints come from its discovery document
+  issuer: {
+    type: String,
+    required: [true, 'Issuer URL is required'],
+    trim: true
+  },
+  clientId: {
+    type: String,
+    required: [true, 'Client ID is required'],
+    trim: true
+  },
+  clientSecret: {
+    type: String, // Encrypted at rest
+    select: false
+  },
+  scopes: {
+    type: [String],
+    default: ['openid', 'email', 'profile']
+  },
+  // Email domains the company has asked to use with this connection
+  domains: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // Domains proven through a DNS TXT record; only these are routed to the
+  // connection on the login screen and covered by enforcement
+  verifiedDomains: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  domainVerificationToken: {
+    type: String,
+    default: () => crypto.randomBytes(16).toString('hex')
+  },
+  // Create accounts on first sign-in for people not yet in the system
+  jitProvisioning: {
+    type: Boolean,
+    default: true
+  },
+  // Company role given to provisioned users
+  defaultRoleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role'
+  },
+  // Reject password logins for the company's users on its verified domains
+  enforced: {
+    type: Boolean,
+    default: false
+  },
+  isEnabled: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+ssoConnectionSchema.index({ verifiedDomains: 1 }, { unique: true, sparse: true });
+
+ssoConnectionSchema.plugin(encryptedFields, { fields: ['clientSecret'] });
+
+const SsoConnection = mongoose.model('SsoConnection', ssoConnectionSchema);
+module.exports = SsoConnection;
@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const encryptedFields = require('./plugins/encryptedFields');
+const { isValidTimezone, CURRENCIES } = require('../utils/helpers');
 
 const userSchema = new mongoose.Schema(
   {
@@ -17,7 +19,14 @@ const userSchema = new mongoose.Schema(
     },
     password: {
       type: String,
-      required: [true, "Password is required"],
+      // Invited employees choose their password when accepting the invite;
+      // single sign-on users authenticate with their identity provider
+      required: [
+        function () {
+          return !this.isInvited && this.authProvider !== "oidc";
+        },
+        "Password is required",
+      ],
       minlength: [8, "Password must be at least 8 characters long"],
       validate: {
         validator: function (value) {
@@ -82,9 +91,35 @@ const userSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "Company",
     },
+    // Company-defined roles granting permissions (see config/permissions.js)
+    companyRoles: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Role",
+      },
+    ],
     designation: String,
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+    },
+    // Branch whose geofence clock-ins are checked against
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+    },
+    // Exempts the employee from the branch geofence
+    remoteAllowed: {
+      type: Boolean,
+      default: false,
+    },
     salary: Number,
     payPerDay: Number,
+    // Currency salary and payPerDay are in, when not the company's
+    wageCurrency: {
+      type: String,
+      enum: [...Object.keys(CURRENCIES), null],
+    },
     workSchedule: {
       startTime: String,
       endTime: String,
@@ -92,21 +127,98 @@ const userSchema = new mongoose.Schema(
       breakEnd: String,
       workingDays: [String],
     },
+    // Zone the work schedule is read in when it differs from the company's
+    timezone: {
+      type: String,
+      validate: {
+        validator: (value) => value == null || isValidTimezone(value),
+        message: "Unknown time zone",
+      },
+    },
     bankDetails: {
-      accountNumber: String,
+      accountNumber: String, // Encrypted at rest
       bankName: String,
       accountName: String,
+      bankCode: String,
+      recipientCode: String, // Paystack transfer recipient; encrypted at rest
     },
     employmentDate: Date,
+    authProvider: {
+      type: String,
+      enum: ["local", "oidc"],
+      default: "local",
+    },
+    // Identity at the company's OpenID provider, linked on first SSO sign-in
+    sso: {
+      connectionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SsoConnection",
+      },
+      subject: String,
+    },
+    isInvited: {
+      type: Boolean,
+      default: false,
+    },
+    contractUrl: String,
+    contractAcceptedAt: Date,
     supervisor: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
+    terminationDetails: {
+      date: Date,
+      reason: String,
+      terminatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
+    // Set once personal data has been scrubbed under a right-to-erasure request
+    anonymizedAt: Date,
     lastLogin: Date,
+    loginSecurity: {
+      failedAttempts: {
+        type: Number,
+        default: 0,
+      },
+      lastFailedAt: Date,
+      lockUntil: Date,
+      lockCount: {
+        type: Number,
+        default: 0,
+      },
+      unlockToken: {
+        type: String, // SHA-256 hash of the emailed unlock token
+        select: false,
+      },
+      unlockTokenExpiry: Date,
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret generated during enrollment, promoted once a code is confirmed
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      backupCodes: {
+        type: [String], // SHA-256 hashes of unused backup codes
+        select: false,
+      },
+      lastUsedStep: Number, // Prevents replaying a code within its window
+      enrolledAt: Date,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -115,6 +227,20 @@ const userSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+userSchema.index(
+  { 'sso.connectionId': 1, 'sso.subject': 1 },
+  { unique: true, partialFilterExpression: { 'sso.subject': { $exists: true } } }
+);
+
+userSchema.plugin(encryptedFields, {
+  fields: [
+    'bankDetails.accountNumber',
+    'bankDetails.recipientCode',
+    'twoFactor.secret',
+    'twoFactor.pendingSecret',
+  ],
+});
+
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
   this.password = await bcrypt.hash(this.password, 10);
@@ -122,15 +248,19 @@ userSchema.pre('save', async function (next) {
 });
 
 
+userSchema.methods.isLocked = function () {
+  return !!(this.loginSecurity.lockUntil && this.loginSecurity.lockUntil > Date.now());
+};
+
 userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-userSchema.methods.generateAuthToken = function () {
+userSchema.methods.generateAuthToken = function (session, expiresIn) {
   return jwt.sign(
-    { id: this._id, email: this.email, role: this.role },
+    { userId: this._id, role: this.role, sessionId: session._id },
     process.env.JWT_SECRET,
-    { expiresIn: '24h' }
+    { expiresIn: expiresIn || process.env.JWT_ACCESS_EXPIRES_IN || '15m' }
   );
 };
 
@@ -0,0 +1,82 @@
+const {
+  encrypt,
+  decrypt,
+  canDecrypt,
+  mask,
+} = require("../../utils/encryption");
+
+const getPath = (object, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const setPath = (object, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce(
+    (current, key) => (current == null ? undefined : current[key]),
+    object
+  );
+  if (parent != null) parent[last] = value;
+};
+
+/**
+ * Encrypt string paths at rest. Values are encrypted when assigned (including
+ * through update queries) and decrypted when read from a document. JSON output
+ * shows them masked; read the property on the document for the real value.
+ *
+ * Encrypted paths can't be used in query filters, and lean queries return the
+ * stored ciphertext (see decryptFields).
+ *
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - { fields: ["bankDetails.accountNumber", ...] }
+ */
+module.exports = function encryptedFields(schema, { fields }) {
+  fields.forEach((field) => {
+    schema.path(field).set((value) => {
+      if (value === undefined || value === null || value === "") return value;
+      // Ciphertext copied from another document is kept; anything else,
+      // including input that only looks encrypted, is encrypted
+      return canDecrypt(value) ? value : encrypt(value);
+    });
+    schema.path(field).get((value) => decrypt(value));
+  });
+
+  const toJSON = schema.get("toJSON") || {};
+  schema.set("toJSON", {
+    ...toJSON,
+    transform(doc, ret, options) {
+      const result = toJSON.transform
+        ? toJSON.transform(doc, ret, options)
+        : ret;
+
+      fields.forEach((field) => {
+        const value = getPath(result, field);
+        if (value) setPath(result, field, mask(decrypt(value)));
+      });
+
+      return result;
+    },
+  });
+
+  /**
+   * Paths encrypted on this model, for the key rotation script
+   */
+  schema.statics.getEncryptedFields = function () {
+    return [...fields];
+  };
+
+  /**
+   * Decrypt the encrypted paths of a lean result in place
+   */
+  schema.statics.decryptFields = function (object) {
+    if (!object) return object;
+
+    fields.forEach((field) => {
+      const value = getPath(object, field);
+      if (value) setPath(object, field, decrypt(value));
+    });
+
+    return object;
+  };
+};
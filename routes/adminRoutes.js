@@ -1,7 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const adminController = require("../controllers/adminController");
-const auth = require("../middleware/auth");
+const { auth } = require("../middleware/auth");
 const { isAdmin } = require("../middleware/permissions");
 
 // All routes require admin authentication
@@ -14,13 +14,57 @@ router.get("/companies", adminController.getAllCompanies);
 router.get("/companies/:id", adminController.getCompanyById);
 router.put("/companies/:id", adminController.updateCompany);
 router.delete("/companies/:id", adminController.deleteCompany);
+router.put("/companies/:id/security", adminController.updateCompanySecurity);
+
+// Company verification (KYB)
+router.post("/companies/:id/approve", adminController.approveCompany);
+router.post("/companies/:id/reject", adminController.rejectCompany);
+router.post("/companies/:id/suspend", adminController.suspendCompany);
+router.post("/companies/:id/reinstate", adminController.reinstateCompany);
+router.post(
+  "/companies/:id/review-notes",
+  adminController.addCompanyReviewNote
+);
+
+// Company ledger
+router.get("/companies/:id/ledger", adminController.getCompanyLedger);
+router.post(
+  "/companies/:id/ledger/adjustments",
+  adminController.adjustCompanyBalance
+);
+router.post(
+  "/companies/:id/ledger/resync",
+  adminController.resyncCompanyBalance
+);
+
+// Subscription billing
+router.get("/invoices", adminController.getInvoices);
+router.post("/companies/:id/trial", adminController.extendCompanyTrial);
+
+// Company roles and permissions
+router.get("/permissions", adminController.getPermissionCatalogue);
+router.get("/companies/:id/roles", adminController.getCompanyRoles);
+router.post("/companies/:id/roles", adminController.createCompanyRole);
+router.put("/roles/:roleId", adminController.updateCompanyRole);
+router.delete("/roles/:roleId", adminController.deleteCompanyRole);
 
 // User management
 router.get("/users", adminController.getAllUsers);
+router.get("/users/locked", adminController.getLockedAccounts);
 router.get("/users/:id", adminController.getUserById);
 router.put("/users/:id", adminController.updateUser);
 router.delete("/users/:id", adminController.deleteUser);
 router.post("/users/create-employer", adminController.createEmployer);
+router.post("/users/:id/unlock", adminController.unlockUser);
+
+// Impersonation
+router.post("/users/:id/impersonate", adminController.impersonateUser);
+router.get("/impersonations", adminController.getImpersonationSessions);
+router.get("/impersonations/:sessionId", adminController.getImpersonationLog);
+
+// Right to erasure
+router.post("/users/:id/erasure", adminController.requestUserErasure);
+router.get("/erasure-requests", adminController.getErasureRequests);
 
 // Payment review
 router.get(
@@ -29,6 +73,14 @@ router.get(
 );
 router.post("/payments/review", adminController.reviewPayment);
 
+// Exchange rates for cross-currency reporting and conversions
+router.get("/exchange-rates", adminController.getExchangeRates);
+router.post("/exchange-rates", adminController.createExchangeRate);
+
+// Audit log
+router.get("/audit-events", adminController.getAuditEvents);
+router.get("/audit-events/export", adminController.exportAuditEvents);
+
 // Dashboard and analytics
 router.get("/dashboard", adminController.getDashboardStats);
 router.get("/analytics/users", adminController.getUserAnalytics);
@@ -8,6 +8,7 @@ const employerRoutes = require("./employerRoutes");
 const employeeRoutes = require("./employeeRoutes");
 const projectRoutes = require("./projectRoutes");
 const paymentRoutes = require("./paymentRoutes");
+const supervisorRoutes = require("./supervisorRoutes");
 
 // Health check endpoint
 router.get("/health", (req, res) => {
@@ -21,6 +22,7 @@ router.use("/employer", employerRoutes);
 router.use("/employee", employeeRoutes);
 router.use("/projects", projectRoutes);
 router.use("/payments", paymentRoutes);
+router.use("/supervisor", supervisorRoutes);
 
 // Public jobs API endpoint (for job seekers)
 router.get("/jobs", require("../controllers/employerController").getPublicJobs);
@@ -1,7 +1,17 @@
 const express = require("express");
 const router = express.Router();
 const authController = require("../controllers/authController");
-const auth = require("../middleware/auth");
+const {
+  auth,
+  denyApiKey,
+  denyImpersonation,
+} = require("../middleware/auth");
+
+// Account and session endpoints are for people, not integrations
+const userAuth = [auth, denyApiKey];
+
+// Credential changes stay with the account holder, never an impersonating admin
+const ownerAuth = [...userAuth, denyImpersonation];
 
 // Public routes
 router.post("/register", authController.register);
@@ -10,10 +20,32 @@ router.post("/forgot-password", authController.forgotPassword);
 router.post("/reset-password/:token", authController.resetPassword);
 router.post("/verify-email/:token", authController.verifyEmail);
 router.post("/resend-verification", authController.resendVerificationEmail);
+router.post("/refresh", authController.refreshToken);
+router.post("/unlock/:token", authController.unlockAccount);
+router.post("/login/2fa", authController.verifyTwoFactorLogin);
+router.post("/login/2fa/setup", authController.setupTwoFactorAtLogin);
+router.post("/login/2fa/enable", authController.enableTwoFactorAtLogin);
+router.post("/sso/discover", authController.discoverSso);
+router.post("/sso/start", authController.startSso);
+router.post("/sso/callback", authController.completeSso);
+router.get("/invitations/:token", authController.getInvitation);
+router.post("/invitations/:token/accept", authController.acceptInvitation);
 
 // Protected routes
-router.get("/me", auth, authController.getCurrentUser);
-router.put("/update-password", auth, authController.updatePassword);
-router.put("/update-profile", auth, authController.updateProfile);
+router.get("/me", userAuth, authController.getCurrentUser);
+router.put("/update-password", ownerAuth, authController.updatePassword);
+router.put("/update-profile", userAuth, authController.updateProfile);
+router.post("/logout", userAuth, authController.logout);
+router.post("/logout-all", ownerAuth, authController.logoutAll);
+router.get("/sessions", userAuth, authController.getSessions);
+router.delete("/sessions/:sessionId", ownerAuth, authController.revokeSession);
+router.post("/impersonation/end", userAuth, authController.endImpersonation);
+router.post("/sso/link", ownerAuth, authController.linkSso);
+
+// Two-factor authentication
+router.post("/2fa/setup", ownerAuth, authController.setupTwoFactor);
+router.post("/2fa/enable", ownerAuth, authController.enableTwoFactor);
+router.post("/2fa/disable", ownerAuth, authController.disableTwoFactor);
+router.post("/2fa/backup-codes", ownerAuth, authController.regenerateBackupCodes);
 
 module.exports = router;
@@ -1,7 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const employeeController = require("../controllers/employeeController");
-const auth = require("../middleware/auth");
+const { auth, denyImpersonation } = require("../middleware/auth");
 const { isEmployee } = require("../middleware/permissions");
 const upload = require("../middleware/upload");
 
@@ -37,9 +37,21 @@ router.post("/remittance", employeeController.updateRemittanceInfo);
 router.get("/remittance", employeeController.getRemittanceInfo);
 
 // Attendance
-router.post("/attendance/clock-in", employeeController.clockIn);
-router.post("/attendance/clock-out", employeeController.clockOut);
+router.post(
+  "/attendance/clock-in",
+  upload.facialCaptureUpload.single("faceImage"),
+  employeeController.clockIn
+);
+router.post(
+  "/attendance/clock-out",
+  upload.facialCaptureUpload.single("faceImage"),
+  employeeController.clockOut
+);
 router.get("/attendance", employeeController.getAttendanceHistory);
+router.post(
+  "/attendance/:id/corrections",
+  employeeController.requestAttendanceCorrection
+);
 
 // Projects
 router.get("/projects", employeeController.getAssignedProjects);
@@ -54,6 +66,19 @@ router.get("/payments", employeeController.getPaymentHistory);
 router.post("/daily-report", employeeController.submitDailyReport);
 router.get("/daily-reports", employeeController.getDailyReports);
 
+// Personal data export (never on behalf of the employee)
+router.post(
+  "/data-exports",
+  denyImpersonation,
+  employeeController.requestDataExport
+);
+router.get("/data-exports", employeeController.getDataExports);
+router.get(
+  "/data-exports/:id/download",
+  denyImpersonation,
+  employeeController.downloadDataExport
+);
+
 // Face recognition
 router.post(
   "/face-capture",
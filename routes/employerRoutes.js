@@ -1,76 +1,525 @@
 const express = require("express");
 const router = express.Router();
 const employerController = require("../controllers/employerController");
-const auth = require("../middleware/auth");
-const { isEmployer } = require("../middleware/permissions");
+const paymentController = require("../controllers/paymentController");
+const { auth, denyImpersonation } = require("../middleware/auth");
+const {
+  requirePermission,
+  requireApprovedCompany,
+  requireActiveSubscription,
+} = require("../middleware/permissions");
 const upload = require("../middleware/upload");
 
-// All routes require employer authentication
+// All routes require authentication; each route checks company permissions
 router.use(auth);
-router.use(isEmployer);
 
 // Company management
-router.get("/company", employerController.getCompanyDetails);
+router.get(
+  "/company",
+  requirePermission("company:view"),
+  employerController.getCompanyDetails
+);
 router.put(
   "/company",
+  requirePermission("company:manage"),
   upload.single("logo"),
   employerController.updateCompanyDetails
 );
-router.post("/company/balance", employerController.addCompanyBalance);
+router.post(
+  "/company/balance",
+  requirePermission("company:manage"),
+  requireApprovedCompany,
+  employerController.addCompanyBalance
+);
+router.get(
+  "/company/statement",
+  requirePermission("payments:view"),
+  employerController.getCompanyStatement
+);
+router.put(
+  "/company/security",
+  requirePermission("company:manage"),
+  employerController.updateSecurityPolicy
+);
+router.put(
+  "/company/timezone",
+  requirePermission("company:manage"),
+  employerController.updateCompanyTimezone
+);
+router.put(
+  "/company/currency",
+  requirePermission("company:manage"),
+  employerController.updateCompanyCurrency
+);
+router.get(
+  "/company/branding",
+  requirePermission("company:view"),
+  employerController.getCompanyBranding
+);
+router.put(
+  "/company/branding",
+  requirePermission("company:manage"),
+  upload.logoUpload.single("logo"),
+  employerController.updateCompanyBranding
+);
+router.get(
+  "/company/verification",
+  requirePermission("company:view"),
+  employerController.getCompanyVerification
+);
+router.post(
+  "/company/verification/documents",
+  requirePermission("company:manage"),
+  upload.documentUpload.single("document"),
+  employerController.uploadVerificationDocument
+);
+router.delete(
+  "/company/verification/documents/:documentId",
+  requirePermission("company:manage"),
+  employerController.deleteVerificationDocument
+);
+router.post(
+  "/company/verification/submit",
+  requirePermission("company:manage"),
+  employerController.submitCompanyVerification
+);
+router.get(
+  "/company/retention",
+  requirePermission("company:manage"),
+  employerController.getRetentionPolicy
+);
+router.put(
+  "/company/retention",
+  requirePermission("company:manage"),
+  employerController.updateRetentionPolicy
+);
+router.get(
+  "/company/sso",
+  requirePermission("company:manage"),
+  employerController.getSsoConnection
+);
+router.put(
+  "/company/sso",
+  requirePermission("company:manage"),
+  employerController.updateSsoConnection
+);
+router.post(
+  "/company/sso/domains/verify",
+  requirePermission("company:manage"),
+  employerController.verifySsoDomain
+);
+router.delete(
+  "/company/sso",
+  requirePermission("company:manage"),
+  employerController.deleteSsoConnection
+);
+router.post(
+  "/company/transfer-ownership",
+  requirePermission("company:manage"),
+  employerController.transferOwnership
+);
+
+// Subscription billing
+router.get(
+  "/company/subscription",
+  requirePermission("billing:manage"),
+  employerController.getSubscription
+);
+router.get(
+  "/company/invoices",
+  requirePermission("billing:manage"),
+  employerController.getInvoices
+);
+router.get(
+  "/company/invoices/:id",
+  requirePermission("billing:manage"),
+  employerController.getInvoice
+);
+router.post(
+  "/company/invoices/:id/pay",
+  requirePermission("billing:manage"),
+  denyImpersonation,
+  employerController.payInvoice
+);
+
+// Company members
+router.get(
+  "/members",
+  requirePermission("company:view"),
+  employerController.getCompanyMembers
+);
+router.post(
+  "/members",
+  requirePermission("members:manage"),
+  employerController.addCompanyMember
+);
+router.delete(
+  "/members/:userId",
+  requirePermission("members:manage"),
+  employerController.removeCompanyMember
+);
 
 // Employee management
-router.post("/employees/invite", employerController.inviteEmployee);
-router.get("/employees", employerController.getAllEmployees);
-router.get("/employees/:id", employerController.getEmployeeById);
-router.put("/employees/:id", employerController.updateEmployee);
-router.post("/employees/:id/terminate", employerController.terminateEmployee);
+router.post(
+  "/employees/invite",
+  requirePermission("employees:invite"),
+  requireActiveSubscription,
+  employerController.inviteEmployee
+);
+router.post(
+  "/employees/import",
+  requirePermission("employees:invite"),
+  requireActiveSubscription,
+  upload.csvUpload.single("file"),
+  employerController.importEmployees
+);
+router.get(
+  "/employees/import/:id",
+  requirePermission("employees:invite"),
+  employerController.getEmployeeImport
+);
+router.get(
+  "/employees/import/:id/errors",
+  requirePermission("employees:invite"),
+  employerController.downloadEmployeeImportErrors
+);
+router.get(
+  "/invitations",
+  requirePermission("employees:invite"),
+  employerController.getInvitations
+);
+router.post(
+  "/invitations/:id/resend",
+  requirePermission("employees:invite"),
+  requireActiveSubscription,
+  employerController.resendInvitation
+);
+router.post(
+  "/invitations/:id/revoke",
+  requirePermission("employees:invite"),
+  employerController.revokeInvitation
+);
+router.get(
+  "/employees",
+  requirePermission("employees:view"),
+  employerController.getAllEmployees
+);
+router.get(
+  "/employees/:id",
+  requirePermission("employees:view"),
+  employerController.getEmployeeById
+);
+router.put(
+  "/employees/:id",
+  requirePermission("employees:manage"),
+  employerController.updateEmployee
+);
+router.post(
+  "/employees/:id/terminate",
+  requirePermission("employees:terminate"),
+  employerController.terminateEmployee
+);
 router.post(
   "/employees/:id/contract",
+  requirePermission("employees:manage"),
   employerController.generateEmploymentContract
 );
+router.put(
+  "/employees/:id/timezone",
+  requirePermission("employees:manage"),
+  employerController.setEmployeeTimezone
+);
+router.put(
+  "/employees/:id/department",
+  requirePermission("departments:manage"),
+  employerController.assignEmployeeDepartment
+);
+router.put(
+  "/employees/:id/branch",
+  requirePermission("branches:manage"),
+  employerController.assignEmployeeBranch
+);
+
+// Departments
+router.get(
+  "/departments",
+  requirePermission("employees:view"),
+  employerController.getDepartments
+);
+router.post(
+  "/departments",
+  requirePermission("departments:manage"),
+  employerController.createDepartment
+);
+router.put(
+  "/departments/:id",
+  requirePermission("departments:manage"),
+  employerController.updateDepartment
+);
+router.delete(
+  "/departments/:id",
+  requirePermission("departments:manage"),
+  employerController.deleteDepartment
+);
+router.get(
+  "/org-chart",
+  requirePermission("employees:view"),
+  employerController.getOrgChart
+);
+
+// Branches and geofenced clock-in
+router.get(
+  "/branches",
+  requirePermission("employees:view"),
+  employerController.getBranches
+);
+router.post(
+  "/branches",
+  requirePermission("branches:manage"),
+  employerController.createBranch
+);
+router.put(
+  "/branches/policy",
+  requirePermission("branches:manage"),
+  employerController.updateGeofencePolicy
+);
+router.put(
+  "/branches/:id",
+  requirePermission("branches:manage"),
+  employerController.updateBranch
+);
+router.delete(
+  "/branches/:id",
+  requirePermission("branches:manage"),
+  employerController.deleteBranch
+);
+
+// Holiday calendar
+router.get(
+  "/holidays",
+  requirePermission("company:view"),
+  employerController.getHolidays
+);
+router.post(
+  "/holidays",
+  requirePermission("company:manage"),
+  employerController.createHoliday
+);
+router.post(
+  "/holidays/import",
+  requirePermission("company:manage"),
+  employerController.importHolidays
+);
+router.put(
+  "/holidays/policy",
+  requirePermission("company:manage"),
+  employerController.updateHolidayPolicy
+);
+router.put(
+  "/holidays/:id",
+  requirePermission("company:manage"),
+  employerController.updateHoliday
+);
+router.delete(
+  "/holidays/:id",
+  requirePermission("company:manage"),
+  employerController.deleteHoliday
+);
+
+// Roles
+router.get(
+  "/roles",
+  requirePermission("roles:assign"),
+  employerController.getCompanyRoles
+);
+router.put(
+  "/employees/:id/roles",
+  requirePermission("roles:assign"),
+  employerController.assignEmployeeRoles
+);
+
+// Integration API keys
+router.get(
+  "/api-keys",
+  requirePermission("apikeys:manage"),
+  employerController.getApiKeys
+);
+router.post(
+  "/api-keys",
+  requirePermission("apikeys:manage"),
+  denyImpersonation,
+  employerController.createApiKey
+);
+router.post(
+  "/api-keys/:id/rotate",
+  requirePermission("apikeys:manage"),
+  denyImpersonation,
+  employerController.rotateApiKey
+);
+router.delete(
+  "/api-keys/:id",
+  requirePermission("apikeys:manage"),
+  employerController.revokeApiKey
+);
+
+// Audit log
+router.get(
+  "/audit-events",
+  requirePermission("audit:view"),
+  employerController.getAuditEvents
+);
+router.get(
+  "/audit-events/export",
+  requirePermission("audit:view"),
+  employerController.exportAuditEvents
+);
 
 // Working conditions
-router.post("/employees/:id/working-days", employerController.setWorkingDays);
-router.post("/employees/:id/break-time", employerController.setBreakTime);
-router.post("/employees/:id/wages", employerController.setWages);
+router.post(
+  "/employees/:id/working-days",
+  requirePermission("employees:manage"),
+  employerController.setWorkingDays
+);
+router.post(
+  "/employees/:id/break-time",
+  requirePermission("employees:manage"),
+  employerController.setBreakTime
+);
+router.post(
+  "/employees/:id/wages",
+  requirePermission("employees:manage"),
+  requireApprovedCompany,
+  employerController.setWages
+);
 
 // Project management
-router.post("/projects", employerController.createProject);
-router.get("/projects", employerController.getAllProjects);
-router.get("/projects/:id", employerController.getProjectById);
-router.put("/projects/:id", employerController.updateProject);
-router.delete("/projects/:id", employerController.deleteProject);
-router.get("/projects/:id/reports", employerController.getProjectReports);
+router.post(
+  "/projects",
+  requirePermission("projects:manage"),
+  employerController.createProject
+);
+router.get(
+  "/projects",
+  requirePermission("projects:manage"),
+  employerController.getAllProjects
+);
+router.get(
+  "/projects/:id",
+  requirePermission("projects:manage"),
+  employerController.getProjectById
+);
+router.put(
+  "/projects/:id",
+  requirePermission("projects:manage"),
+  employerController.updateProject
+);
+router.delete(
+  "/projects/:id",
+  requirePermission("projects:manage"),
+  employerController.deleteProject
+);
+router.get(
+  "/projects/:id/reports",
+  requirePermission("projects:manage"),
+  employerController.getProjectReports
+);
 
 // Payments
-router.get("/payments", employerController.getCompanyPayments);
-router.post("/payments/:id/approve", employerController.approvePayment);
-router.post("/payments/:id/decline", employerController.declinePayment);
+router.get(
+  "/payments",
+  requirePermission("payments:view"),
+  paymentController.getCompanyPayments
+);
+router.post(
+  "/payments/:id/approve",
+  requirePermission("payments:approve"),
+  requireApprovedCompany,
+  requireActiveSubscription,
+  denyImpersonation,
+  paymentController.approvePayment
+);
+router.post(
+  "/payments/:id/decline",
+  requirePermission("payments:approve"),
+  requireApprovedCompany,
+  denyImpersonation,
+  paymentController.declinePayment
+);
 
 // Automated interviews
-router.post("/interviews", employerController.createInterview);
-router.get("/interviews", employerController.getAllInterviews);
-router.get("/interviews/:id", employerController.getInterviewById);
-router.put("/interviews/:id", employerController.updateInterview);
-router.delete("/interviews/:id", employerController.deleteInterview);
+router.post(
+  "/interviews",
+  requirePermission("recruitment:manage"),
+  employerController.createInterview
+);
+router.get(
+  "/interviews",
+  requirePermission("recruitment:manage"),
+  employerController.getAllInterviews
+);
+router.get(
+  "/interviews/:id",
+  requirePermission("recruitment:manage"),
+  employerController.getInterviewById
+);
+router.put(
+  "/interviews/:id",
+  requirePermission("recruitment:manage"),
+  employerController.updateInterview
+);
+router.delete(
+  "/interviews/:id",
+  requirePermission("recruitment:manage"),
+  employerController.deleteInterview
+);
 router.get(
   "/interviews/:id/responses",
+  requirePermission("recruitment:manage"),
   employerController.getInterviewResponses
 );
 
 // Jobs
-router.post("/jobs", employerController.createJob);
-router.get("/jobs", employerController.getAllJobs);
-router.get("/jobs/:id", employerController.getJobById);
-router.put("/jobs/:id", employerController.updateJob);
-router.delete("/jobs/:id", employerController.deleteJob);
-router.get("/jobs/:id/applications", employerController.getJobApplications);
+router.post(
+  "/jobs",
+  requirePermission("recruitment:manage"),
+  employerController.createJob
+);
+router.get(
+  "/jobs",
+  requirePermission("recruitment:manage"),
+  employerController.getAllJobs
+);
+router.get(
+  "/jobs/:id",
+  requirePermission("recruitment:manage"),
+  employerController.getJobById
+);
+router.put(
+  "/jobs/:id",
+  requirePermission("recruitment:manage"),
+  employerController.updateJob
+);
+router.delete(
+  "/jobs/:id",
+  requirePermission("recruitment:manage"),
+  employerController.deleteJob
+);
+router.get(
+  "/jobs/:id/applications",
+  requirePermission("recruitment:manage"),
+  employerController.getJobApplications
+);
 
 // Reports
 router.get(
   "/reports/efficiency",
+  requirePermission("attendance:view"),
   employerController.getEmployeeEfficiencyReports
 );
-router.get("/reports/attendance", employerController.getAttendanceReports);
+router.get(
+  "/reports/attendance",
+  requirePermission("attendance:view"),
+  employerController.getAttendanceReports
+);
 
 module.exports = router;
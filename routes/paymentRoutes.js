@@ -1,24 +1,59 @@
 const express = require("express");
 const router = express.Router();
 const paymentController = require("../controllers/paymentController");
-const auth = require("../middleware/auth");
-const { isAdmin, isEmployer } = require("../middleware/permissions");
+const {
+  auth,
+  denyApiKey,
+  denyImpersonation,
+} = require("../middleware/auth");
+const {
+  isAdmin,
+  requirePermission,
+  requireApprovedCompany,
+  requireActiveSubscription,
+  canAccessPayment,
+} = require("../middleware/permissions");
 
-// All routes require authentication
+// Paystack webhook; authenticated by its signature instead of a token
+router.post("/webhooks/paystack", paymentController.paystackWebhook);
+
+// All other routes require authentication
 router.use(auth);
 
 // Routes based on role
-router.get("/history", paymentController.getPaymentHistory);
-router.get("/stats", paymentController.getPaymentStats);
+router.get("/history", denyApiKey, paymentController.getPaymentHistory);
+router.get("/stats", denyApiKey, paymentController.getPaymentStats);
 
 // Employee routes
-router.get("/employee", paymentController.getEmployeePayments);
+router.get("/employee", denyApiKey, paymentController.getEmployeePayments);
+router.get(
+  "/:paymentId/payslip",
+  denyApiKey,
+  canAccessPayment,
+  paymentController.getPayslip
+);
 
-// Employer routes
-router.use("/company", isEmployer);
-router.get("/company", paymentController.getCompanyPayments);
-router.post("/company/approve/:id", paymentController.approvePayment);
-router.post("/company/decline/:id", paymentController.declinePayment);
+// Company routes
+router.get(
+  "/company",
+  requirePermission("payments:view"),
+  paymentController.getCompanyPayments
+);
+router.post(
+  "/company/approve/:id",
+  requirePermission("payments:approve"),
+  requireApprovedCompany,
+  requireActiveSubscription,
+  denyImpersonation,
+  paymentController.approvePayment
+);
+router.post(
+  "/company/decline/:id",
+  requirePermission("payments:approve"),
+  requireApprovedCompany,
+  denyImpersonation,
+  paymentController.declinePayment
+);
 
 // Admin routes
 router.use("/admin", isAdmin);
@@ -26,7 +61,4 @@ router.post("/admin/process-daily", paymentController.processDailyPayments);
 router.get("/admin/pending-review", paymentController.getPendingReviewPayments);
 router.post("/admin/finalize", paymentController.finalizePayment);
 
-// Paystack webhook
-router.post("/webhooks/paystack", paymentController.paystackWebhook);
-
 module.exports = router;
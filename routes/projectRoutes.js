@@ -1,9 +1,9 @@
 const express = require("express");
 const router = express.Router();
 const projectController = require("../controllers/projectController");
-const auth = require("../middleware/auth");
+const { auth, denyApiKey } = require("../middleware/auth");
 const {
-  isEmployerOrAdmin,
+  requirePermission,
   isProjectMember,
 } = require("../middleware/permissions");
 const upload = require("../middleware/upload");
@@ -12,37 +12,50 @@ const upload = require("../middleware/upload");
 router.use(auth);
 
 // Routes for everyone with proper access
-router.get("/", projectController.getAllProjects);
-router.get("/:id", projectController.getProjectById);
+router.get("/", denyApiKey, projectController.getAllProjects);
+router.get("/:id", denyApiKey, projectController.getProjectById);
 
-// Routes requiring employer or admin access
-router.post("/", isEmployerOrAdmin, projectController.createProject);
-router.put("/:id", isEmployerOrAdmin, projectController.updateProject);
-router.delete("/:id", isEmployerOrAdmin, projectController.deleteProject);
+// Routes requiring project management permission
+router.post(
+  "/",
+  requirePermission("projects:manage"),
+  projectController.createProject
+);
+router.put(
+  "/:id",
+  requirePermission("projects:manage"),
+  projectController.updateProject
+);
+router.delete(
+  "/:id",
+  requirePermission("projects:manage"),
+  projectController.deleteProject
+);
 router.post(
   "/:id/assign",
-  isEmployerOrAdmin,
+  requirePermission("projects:manage"),
   projectController.assignEmployeesToProject
 );
 router.delete(
   "/:id/unassign/:employeeId",
-  isEmployerOrAdmin,
+  requirePermission("projects:manage"),
   projectController.removeEmployeeFromProject
 );
 
 // Routes requiring project membership
-router.post("/:id/progress", isProjectMember, projectController.updateProgress);
-router.post("/:id/complete", isProjectMember, projectController.markComplete);
+router.post("/:id/progress", denyApiKey, isProjectMember, projectController.updateProgress);
+router.post("/:id/complete", denyApiKey, isProjectMember, projectController.markComplete);
 router.post(
   "/:id/files",
+  denyApiKey,
   isProjectMember,
   upload.array("files", 5),
   projectController.uploadProjectFiles
 );
-router.get("/:id/files", isProjectMember, projectController.getProjectFiles);
+router.get("/:id/files", denyApiKey, isProjectMember, projectController.getProjectFiles);
 
 // Comments and discussions
-router.post("/:id/comments", isProjectMember, projectController.addComment);
-router.get("/:id/comments", isProjectMember, projectController.getComments);
+router.post("/:id/comments", denyApiKey, isProjectMember, projectController.addComment);
+router.get("/:id/comments", denyApiKey, isProjectMember, projectController.getComments);
 
 module.exports = router;
@@ -0,0 +1,46 @@
+const express = require("express");
+const router = express.Router();
+const supervisorController = require("../controllers/supervisorController");
+const { auth, denyImpersonation } = require("../middleware/auth");
+const {
+  isSupervisor,
+  requireApprovedCompany,
+  requireActiveSubscription,
+} = require("../middleware/permissions");
+
+// All routes require a user with direct reports
+router.use(auth);
+router.use(isSupervisor);
+
+// Team
+router.get("/team", supervisorController.getTeam);
+router.get("/team/:id", supervisorController.getTeamMember);
+
+// Attendance, daily reports and efficiency
+router.get("/attendance", supervisorController.getTeamAttendance);
+router.get("/efficiency", supervisorController.getTeamEfficiency);
+
+// Attendance corrections
+router.get("/corrections", supervisorController.getPendingCorrections);
+router.post(
+  "/attendance/:attendanceId/corrections/:correctionId",
+  supervisorController.reviewCorrection
+);
+
+// Daily payments
+router.get("/payments", supervisorController.getPendingPayments);
+router.post(
+  "/payments/:id/approve",
+  requireApprovedCompany,
+  requireActiveSubscription,
+  denyImpersonation,
+  supervisorController.approvePayment
+);
+router.post(
+  "/payments/:id/decline",
+  requireApprovedCompany,
+  denyImpersonation,
+  supervisorController.declinePayment
+);
+
+module.exports = router;
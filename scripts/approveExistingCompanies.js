@@ -0,0 +1,71 @@
+/**
+ * Approve companies that were onboarded before company verification.
+ *
+ * Usage: npm run companies:approve-existing [-- --dry-run]
+ *
+ * Run once when deploying verification, before the first payroll run.
+ * Companies created earlier have no stored status, so they would load as
+ * pending and have payroll blocked. Active ones are marked approved with a
+ * history entry explaining why. Companies that already have a status are
+ * left alone, so it is safe to run again.
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Company = require("../models/Company");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const HISTORY_NOTE =
+  "Approved automatically: onboarded before company verification";
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Read the stored documents, not hydrated ones, which default to pending
+  const filter = { status: { $exists: false }, isActive: { $ne: false } };
+  const companies = await Company.collection
+    .find(filter)
+    .project({ name: 1 })
+    .toArray();
+
+  let approved = 0;
+  for (const company of companies) {
+    if (dryRun) {
+      console.log(`${company.name}: would be approved`);
+      approved++;
+      continue;
+    }
+
+    const now = new Date();
+    const result = await Company.collection.updateOne(
+      { _id: company._id, status: { $exists: false } },
+      {
+        $set: { status: "approved", "verification.reviewedAt": now },
+        $push: {
+          "verification.history": {
+            _id: new mongoose.Types.ObjectId(),
+            status: "approved",
+            note: HISTORY_NOTE,
+            changedAt: now,
+          },
+        },
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`${company.name}: approved`);
+      approved++;
+    }
+  }
+
+  console.log(
+    `${approved} companies ${dryRun ? "would be approved" : "approved"}`
+  );
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error("Approving existing companies failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+/**
+ * Prepare existing SSO connections for domain verification.
+ *
+ * Usage: npm run sso:migrate [-- --dry-run]
+ *
+ * Run once after deploying domain verification. It replaces the old unique
+ * index on `domains` (which let the first company to list a domain keep it)
+ * with one on `verifiedDomains`, and gives every connection a verification
+ * token. Existing domains start unverified: companies must publish the TXT
+ * record shown on their SSO settings before logins are routed or enforced
+ * again. Safe to run again.
+ */
+require("dotenv").config();
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const SsoConnection = require("../models/SsoConnection");
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const missing = await SsoConnection.collection
+    .find({ domainVerificationToken: { $exists: false } })
+    .project({ _id: 1 })
+    .toArray();
+
+  if (dryRun) {
+    const { toDrop } = await SsoConnection.diffIndexes();
+    console.log(`Indexes to drop: ${toDrop.join(", ") || "none"}`);
+    console.log(`${missing.length} connections need a verification token`);
+    await mongoose.disconnect();
+    return;
+  }
+
+  const dropped = await SsoConnection.syncIndexes();
+  console.log(`Dropped indexes: ${dropped.join(", ") || "none"}`);
+
+  for (const { _id } of missing) {
+    await SsoConnection.collection.updateOne(
+      { _id, domainVerificationToken: { $exists: false } },
+      {
+        $set: {
+          domainVerificationToken: crypto.randomBytes(16).toString("hex"),
+          verifiedDomains: [],
+        },
+      }
+    );
+  }
+
+  console.log(`${missing.length} connections given a verification token`);
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error("Migrating SSO domains failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
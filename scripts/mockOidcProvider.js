@@ -0,0 +1,202 @@
+/**
+ * Minimal OpenID Provider for developing and testing company single sign-on.
+ *
+ * Usage: npm run mock:oidc
+ *
+ * Start the API with OIDC_ALLOW_PRIVATE_ISSUERS=true, which lets it reach
+ * providers over http on this machine, and configure a company's SSO with
+ * issuer http://localhost:4000 (or MOCK_OIDC_PORT),
+ * client ID "hr-local" (or MOCK_OIDC_CLIENT_ID) and the client secret, if any,
+ * set in MOCK_OIDC_CLIENT_SECRET. Any email can sign in; it is taken from the
+ * login_hint or a simple form, and the name from the local part of the email.
+ */
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT || "4000", 10);
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || "hr-local";
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET;
+const CODE_TTL_MS = 60 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+const KEY_ID = crypto.randomBytes(8).toString("hex");
+
+// Issued authorization codes: code -> { email, nonce, redirectUri, ... }
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+    scopes_supported: ["openid", "email", "profile"],
+    token_endpoint_auth_methods_supported: ["client_secret_post", "none"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({
+    keys: [
+      {
+        ...publicKey.export({ format: "jwk" }),
+        kid: KEY_ID,
+        use: "sig",
+        alg: "RS256",
+      },
+    ],
+  });
+});
+
+app.get("/authorize", (req, res) => {
+  const {
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    response_type: responseType,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallengeMethod,
+    login_hint: loginHint,
+  } = req.query;
+
+  if (clientId !== CLIENT_ID || !redirectUri || responseType !== "code") {
+    return res.status(400).send("Invalid authorization request");
+  }
+
+  if (!codeChallenge || codeChallengeMethod !== "S256") {
+    return res.status(400).send("PKCE with S256 is required");
+  }
+
+  // Ask for an email when the client didn't pass a login hint
+  if (!loginHint) {
+    const hiddenFields = Object.entries(req.query)
+      .map(
+        ([name, value]) =>
+          `<input type="hidden" name="${escapeHtml(name)}" ` +
+          `value="${escapeHtml(value)}">`
+      )
+      .join("");
+
+    return res.send(
+      `<form method="get">${hiddenFields}` +
+        `<label>Email <input name="login_hint" type="email" required></label>` +
+        `<button type="submit">Sign in</button></form>`
+    );
+  }
+
+  const code = crypto.randomBytes(24).toString("base64url");
+  codes.set(code, {
+    email: String(loginHint).toLowerCase(),
+    nonce,
+    redirectUri,
+    codeChallenge,
+    expiresAt: Date.now() + CODE_TTL_MS,
+  });
+
+  const location = new URL(redirectUri);
+  location.searchParams.set("code", code);
+  if (state) {
+    location.searchParams.set("state", state);
+  }
+
+  res.redirect(location.toString());
+});
+
+app.post("/token", (req, res) => {
+  const {
+    grant_type: grantType,
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+    client_secret: clientSecret,
+    code_verifier: codeVerifier,
+  } = req.body;
+
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  if (
+    grantType !== "authorization_code" ||
+    !grant ||
+    grant.expiresAt < Date.now()
+  ) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  if (
+    clientId !== CLIENT_ID ||
+    (CLIENT_SECRET && clientSecret !== CLIENT_SECRET)
+  ) {
+    return res.status(401).json({ error: "invalid_client" });
+  }
+
+  const challenge = crypto
+    .createHash("sha256")
+    .update(String(codeVerifier || ""))
+    .digest("base64url");
+  if (redirectUri !== grant.redirectUri || challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  const localPart = grant.email.split("@")[0];
+  const [givenName, familyName = "User"] = localPart.split(/[._-]/);
+  const subject = crypto
+    .createHash("sha256")
+    .update(grant.email)
+    .digest("hex")
+    .slice(0, 24);
+
+  const idToken = jwt.sign(
+    {
+      email: grant.email,
+      email_verified: true,
+      name: `${givenName} ${familyName}`,
+      given_name: givenName,
+      family_name: familyName,
+      nonce: grant.nonce,
+    },
+    privateKey,
+    {
+      algorithm: "RS256",
+      keyid: KEY_ID,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      subject,
+      expiresIn: "5m",
+    }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString("base64url"),
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+function escapeHtml(value) {
+  return String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        char
+      ]
+  );
+}
+
+app.listen(PORT, () => {
+  console.log(`Mock OpenID provider running at ${ISSUER}`);
+  console.log(`Client ID: ${CLIENT_ID}`);
+});
@@ -0,0 +1,52 @@
+/**
+ * Post opening ledger entries for company balances held before the ledger.
+ *
+ * Usage: npm run ledger:open [-- --dry-run]
+ *
+ * Run once after deploying the ledger and before the first nightly
+ * consistency check, otherwise every company with a balance is flagged as
+ * drifted. Companies that already have ledger entries are skipped, so it is
+ * safe to run again.
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Company = require("../models/Company");
+const LedgerEntry = require("../models/LedgerEntry");
+const ledgerService = require("../services/ledgerService");
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let opened = 0;
+  const cursor = Company.find({ balance: { $ne: 0 } })
+    .select("name balance currency")
+    .cursor();
+
+  for await (const company of cursor) {
+    if (dryRun) {
+      if (!(await LedgerEntry.exists({ companyId: company._id }))) {
+        console.log(`${company.name}: would open with ${company.balance}`);
+        opened++;
+      }
+      continue;
+    }
+
+    if (await ledgerService.openBalance(company)) {
+      console.log(`${company.name}: opened with ${company.balance}`);
+      opened++;
+    }
+  }
+
+  console.log(
+    `${opened} companies ${dryRun ? "need opening balances" : "opened"}`
+  );
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error("Opening ledger balances failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
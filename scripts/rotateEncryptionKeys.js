@@ -0,0 +1,76 @@
+/**
+ * Re-encrypt sensitive fields with the current field encryption key.
+ *
+ * Usage: npm run encryption:rotate [-- --dry-run]
+ *
+ * To rotate, add the new key to the front of FIELD_ENCRYPTION_KEYS (or set
+ * FIELD_ENCRYPTION_KEY_ID to it), keeping the old key listed, deploy, then run
+ * this script. Once it reports nothing left to update, the old key can be
+ * removed. Plaintext written before encryption was enabled is encrypted too.
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Document = require("../models/Document");
+const SsoConnection = require("../models/SsoConnection");
+const { encrypt, decrypt, needsReencryption } = require("../utils/encryption");
+
+const MODELS = [User, Document, SsoConnection];
+const dryRun = process.argv.includes("--dry-run");
+
+const getPath = (object, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+async function rotateModel(Model) {
+  const fields = Model.getEncryptedFields();
+  let updated = 0;
+
+  // Read and write the raw collection so model getters and setters stay out
+  const cursor = Model.collection.find(
+    { $or: fields.map((field) => ({ [field]: { $exists: true, $ne: null } })) },
+    { projection: Object.fromEntries(fields.map((field) => [field, 1])) }
+  );
+
+  for await (const doc of cursor) {
+    const changes = {};
+
+    for (const field of fields) {
+      const value = getPath(doc, field);
+      if (needsReencryption(value)) {
+        changes[field] = encrypt(decrypt(value));
+      }
+    }
+
+    if (Object.keys(changes).length === 0) continue;
+
+    if (!dryRun) {
+      await Model.collection.updateOne({ _id: doc._id }, { $set: changes });
+    }
+    updated++;
+  }
+
+  return updated;
+}
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  for (const Model of MODELS) {
+    const updated = await rotateModel(Model);
+    console.log(
+      `${Model.modelName}: ${updated} records ${
+        dryRun ? "need re-encryption" : "re-encrypted"
+      }`
+    );
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error("Key rotation failed:", error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -1,4 +1,9 @@
 require("dotenv").config();
+const { assertKeysConfigured } = require("./utils/encryption");
+
+// Sensitive fields can't be saved without encryption keys, so refuse to start
+assertKeysConfigured();
+
 const http = require("http");
 const app = require("./app");
 const connectDB = require("./config/database");
@@ -0,0 +1,360 @@
+const fs = require("fs");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Document = require("../models/Document");
+const Attendance = require("../models/Attendance");
+const Payment = require("../models/Payment");
+const Interview = require("../models/Interview");
+const Invitation = require("../models/Invitation");
+const DataExportRequest = require("../models/DataExportRequest");
+const ErasureRequest = require("../models/ErasureRequest");
+const sessionService = require("./sessionService");
+const auditService = require("./auditService");
+const {
+  deleteFromCloudinary,
+  deleteFromCloudinaryByUrl,
+} = require("../config/cloudinary");
+const { createError } = require("../utils/helpers");
+
+const STALE_PROCESSING_MS = 60 * 60 * 1000;
+// Payments still moving through approval must settle before erasure
+const OPEN_PAYMENT_STATUSES = ["pending", "approved", "disputed"];
+
+class AnonymizationService {
+  /**
+   * Queue the erasure of a former employee's personal data
+   * @param {Object} admin - Admin user document
+   * @param {String} userId - User to erase
+   * @param {Object} data - { reason }
+   * @returns {Object} ErasureRequest document
+   */
+  async requestErasure(admin, userId, { reason }) {
+    if (!mongoose.isValidObjectId(userId)) {
+      throw createError(404, "User not found");
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw createError(404, "User not found");
+    }
+
+    if (user.anonymizedAt) {
+      throw createError(409, "This user's data has already been erased");
+    }
+
+    if (user.role !== "employee") {
+      throw createError(400, "Only employee accounts can be erased");
+    }
+
+    if (user.isActive) {
+      throw createError(
+        400,
+        "Terminate the employee before erasing their personal data"
+      );
+    }
+
+    const openPayment = await Payment.exists({
+      employeeId: user._id,
+      status: { $in: OPEN_PAYMENT_STATUSES },
+    });
+    if (openPayment) {
+      throw createError(
+        409,
+        "Settle this employee's open payments before erasing their data"
+      );
+    }
+
+    const active = await ErasureRequest.exists({
+      userId: user._id,
+      status: { $in: ["pending", "processing"] },
+    });
+    if (active) {
+      throw createError(409, "An erasure is already in progress for this user");
+    }
+
+    return ErasureRequest.create({
+      userId: user._id,
+      requestedBy: admin._id,
+      reason,
+    });
+  }
+
+  /**
+   * List erasure requests, newest first
+   * @param {Object} filters - { status, userId, page, limit }
+   * @returns {Object} Requests and pagination info
+   */
+  async listRequests({ status, userId, page = 1, limit = 20 }) {
+    const query = {};
+    if (status) query.status = String(status);
+    if (userId) query.userId = userId;
+
+    const skip = (page - 1) * limit;
+
+    const [requests, total] = await Promise.all([
+      ErasureRequest.find(query)
+        .populate("requestedBy", "firstName lastName email")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      ErasureRequest.countDocuments(query),
+    ]);
+
+    return {
+      requests,
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+    };
+  }
+
+  /**
+   * Carry out every queued erasure, one at a time
+   * @returns {Number} Number of erasures processed
+   */
+  async processPendingErasures() {
+    // Requeue erasures whose worker died part way. Every step can safely rerun.
+    await ErasureRequest.updateMany(
+      {
+        status: "processing",
+        startedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) },
+      },
+      { $set: { status: "pending" } }
+    );
+
+    let processed = 0;
+    let request;
+
+    while (
+      (request = await ErasureRequest.findOneAndUpdate(
+        { status: "pending" },
+        { $set: { status: "processing", startedAt: new Date() } },
+        { new: true, sort: { createdAt: 1 } }
+      ))
+    ) {
+      await this.eraseUser(request);
+      processed++;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Scrub a user's personal data. Payments and attendance times stay, now
+   * pointing at the anonymized account, so company totals remain correct.
+   * @param {Object} request - ErasureRequest document being processed
+   */
+  async eraseUser(request) {
+    try {
+      const user = await User.findById(request.userId).lean();
+      if (!user) {
+        throw new Error("User no longer exists");
+      }
+
+      const files = { deleted: 0, failed: [] };
+
+      await sessionService.revokeAllForUser(user._id, "erased");
+
+      const documentsDeleted = await this.eraseDocuments(user, files);
+      const attendanceRecordsScrubbed = await this.scrubAttendance(user, files);
+      const applicationsScrubbed = await this.scrubApplications(user, files);
+      const dataExportsDeleted = await this.deleteDataExports(user);
+
+      const invitations = await Invitation.updateMany(
+        { employeeId: user._id },
+        { $set: { email: this.getErasedEmail(user) } }
+      );
+
+      await this.deleteFile(user.profileImage, files);
+      await this.deleteFile(user.contractUrl, files);
+      await this.scrubUser(user);
+
+      const summary = {
+        documentsDeleted,
+        attendanceRecordsScrubbed,
+        applicationsScrubbed,
+        invitationsScrubbed: invitations.modifiedCount,
+        dataExportsDeleted,
+        filesDeleted: files.deleted,
+        filesFailed: files.failed,
+      };
+
+      request.set({ status: "completed", completedAt: new Date(), summary });
+      await request.save();
+
+      const admin = await User.findById(request.requestedBy);
+
+      await auditService.record({
+        action: "user.erased",
+        target: { type: "User", id: user._id },
+        companyId: user.companyId || user.employedBy,
+        metadata: {
+          erasureRequestId: request._id,
+          reason: request.reason,
+          ...summary,
+        },
+        actor: admin,
+      });
+    } catch (error) {
+      console.error(`Error processing erasure ${request._id}:`, error);
+
+      request.status = "failed";
+      request.error = error.message;
+      await request.save();
+    }
+  }
+
+  async scrubUser(user) {
+    // Update directly so the password and email validators don't run
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          email: this.getErasedEmail(user),
+          firstName: "Erased",
+          lastName: "User",
+          profileImage: "",
+          isActive: false,
+          isEmailVerified: false,
+          "twoFactor.enabled": false,
+          anonymizedAt: new Date(),
+        },
+        $unset: {
+          password: "",
+          phoneNumber: "",
+          bankDetails: "",
+          contractUrl: "",
+          sso: "",
+          lastLogin: "",
+          "twoFactor.secret": "",
+          "twoFactor.pendingSecret": "",
+          "twoFactor.backupCodes": "",
+          "twoFactor.enrolledAt": "",
+          "loginSecurity.unlockToken": "",
+          "loginSecurity.unlockTokenExpiry": "",
+        },
+      }
+    );
+  }
+
+  async eraseDocuments(user, files) {
+    const documents = await Document.find({ userId: user._id }).lean();
+
+    for (const document of documents) {
+      await this.deleteFile(document.fileUrl, files, document.cloudinaryId);
+    }
+
+    const result = await Document.deleteMany({ userId: user._id });
+    return result.deletedCount;
+  }
+
+  async scrubAttendance(user, files) {
+    const records = await Attendance.find({ employeeId: user._id })
+      .select("clockInImage clockOutImage monitoringCaptures.imageUrl")
+      .lean();
+
+    for (const record of records) {
+      await this.deleteFile(record.clockInImage, files);
+      await this.deleteFile(record.clockOutImage, files);
+      for (const capture of record.monitoringCaptures || []) {
+        await this.deleteFile(capture.imageUrl, files);
+      }
+    }
+
+    // Clock times, hours and efficiency stay; they back the payments
+    const result = await Attendance.updateMany(
+      { employeeId: user._id },
+      {
+        $unset: {
+          clockInImage: "",
+          clockOutImage: "",
+          location: "",
+          "monitoringCaptures.$[].imageUrl": "",
+        },
+      }
+    );
+    return result.modifiedCount;
+  }
+
+  async scrubApplications(user, files) {
+    // Applicants type their own email, so match it case-insensitively
+    const applicantEmail = new RegExp(
+      `^${user.email.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`,
+      "i"
+    );
+
+    const interviews = await Interview.find({
+      "applications.applicantEmail": applicantEmail,
+    })
+      .select("applications")
+      .lean();
+
+    let scrubbed = 0;
+
+    for (const interview of interviews) {
+      const applications = interview.applications.filter((application) =>
+        applicantEmail.test(application.applicantEmail)
+      );
+
+      for (const application of applications) {
+        await this.deleteFile(application.resume, files);
+        for (const response of application.responses || []) {
+          await this.deleteFile(response.videoUrl, files);
+        }
+      }
+
+      await Interview.updateOne(
+        { _id: interview._id },
+        {
+          $set: {
+            "applications.$[app].applicantName": "Erased applicant",
+            "applications.$[app].applicantEmail": this.getErasedEmail(user),
+          },
+          $unset: {
+            "applications.$[app].resume": "",
+            "applications.$[app].reviewNotes": "",
+            "applications.$[app].responses.$[].videoUrl": "",
+          },
+        },
+        { arrayFilters: [{ "app.applicantEmail": applicantEmail }] }
+      );
+
+      scrubbed += applications.length;
+    }
+
+    return scrubbed;
+  }
+
+  async deleteDataExports(user) {
+    const exports = await DataExportRequest.find({ userId: user._id }).select(
+      "+filePath"
+    );
+
+    for (const request of exports) {
+      if (request.filePath) {
+        await fs.promises.unlink(request.filePath).catch(() => {});
+      }
+    }
+
+    const result = await DataExportRequest.deleteMany({ userId: user._id });
+    return result.deletedCount;
+  }
+
+  async deleteFile(url, files, publicId) {
+    if (!url) return;
+
+    const deleted = publicId
+      ? await deleteFromCloudinary(publicId)
+      : await deleteFromCloudinaryByUrl(url);
+
+    if (deleted) {
+      files.deleted++;
+    } else {
+      files.failed.push(url);
+    }
+  }
+
+  getErasedEmail(user) {
+    return `erased-${user._id}@erased.example.com`;
+  }
+}
+
+module.exports = new AnonymizationService();
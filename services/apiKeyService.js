@@ -0,0 +1,174 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const ApiKey = require("../models/ApiKey");
+const { createError } = require("../utils/helpers");
+
+const KEY_PREFIX = "hrk";
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+const MAX_ROTATION_GRACE_HOURS = 7 * 24;
+
+class ApiKeyService {
+  /**
+   * Check whether a bearer credential looks like an API key rather than a JWT
+   * @param {String} token - Raw credential
+   * @returns {Boolean} Whether it is an API key
+   */
+  isApiKey(token) {
+    return typeof token === "string" && token.startsWith(`${KEY_PREFIX}_`);
+  }
+
+  /**
+   * Create a key for a company. The plaintext key is only returned here.
+   * @param {Object} options - { company, creator, name, scopes, expiresInDays }
+   * @returns {Object} Stored key document and the plaintext key
+   */
+  async createKey({ company, creator, name, scopes, expiresInDays }) {
+    const { prefix, key } = this.generateKey();
+
+    const apiKey = await ApiKey.create({
+      companyId: company._id,
+      name,
+      prefix,
+      keyHash: this.hashKey(key),
+      scopes,
+      createdBy: creator._id,
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : undefined,
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * Resolve an active key from a request credential and record its use
+   * @param {String} key - Plaintext API key
+   * @param {String} ipAddress - Caller's IP address
+   * @returns {Object|null} Key document, or null if invalid
+   */
+  async authenticate(key, ipAddress) {
+    const prefix = key.split("_").slice(0, 2).join("_");
+
+    const apiKey = await ApiKey.findOne({ prefix }).select("+keyHash");
+    if (!apiKey || !apiKey.isActive()) {
+      return null;
+    }
+
+    const expected = Buffer.from(apiKey.keyHash, "hex");
+    const actual = Buffer.from(this.hashKey(key), "hex");
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    // Avoid a write on every request from busy integrations
+    if (
+      !apiKey.lastUsedAt ||
+      Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS
+    ) {
+      await ApiKey.updateOne(
+        { _id: apiKey._id },
+        { $set: { lastUsedAt: new Date(), lastUsedIp: ipAddress } }
+      );
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * List a company's keys, newest first
+   * @param {Object} company - Company document
+   * @returns {Array} Key documents (without hashes)
+   */
+  async listKeys(company) {
+    return ApiKey.find({ companyId: company._id })
+      .populate("createdBy", "firstName lastName email")
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Replace a key with a new one carrying the same name and scopes.
+   * The old key keeps working for a grace period so integrations can switch.
+   * @param {Object} company - Company document
+   * @param {String} keyId - Key to rotate
+   * @param {Object} user - Member performing the rotation
+   * @param {Number} graceHours - Hours the old key stays valid
+   * @returns {Object} New key document and plaintext key
+   */
+  async rotateKey(company, keyId, user, graceHours = 24) {
+    const oldKey = await this.findCompanyKey(company, keyId);
+    if (!oldKey.isActive()) {
+      throw createError(400, "Only active API keys can be rotated");
+    }
+
+    const grace = Math.min(
+      Math.max(Number(graceHours) || 0, 0),
+      MAX_ROTATION_GRACE_HOURS
+    );
+
+    const { apiKey, key } = await this.createKey({
+      company,
+      creator: user,
+      name: oldKey.name,
+      scopes: oldKey.scopes,
+    });
+    apiKey.expiresAt = oldKey.expiresAt;
+    await apiKey.save();
+
+    const graceEnd = new Date(Date.now() + grace * 60 * 60 * 1000);
+    oldKey.rotatedTo = apiKey._id;
+    if (!oldKey.expiresAt || oldKey.expiresAt > graceEnd) {
+      oldKey.expiresAt = graceEnd;
+    }
+    await oldKey.save();
+
+    return { apiKey, key };
+  }
+
+  /**
+   * Revoke a key immediately
+   * @param {Object} company - Company document
+   * @param {String} keyId - Key to revoke
+   * @param {Object} user - Member revoking the key
+   * @returns {Object} Revoked key document
+   */
+  async revokeKey(company, keyId, user) {
+    const apiKey = await this.findCompanyKey(company, keyId);
+    if (apiKey.revokedAt) {
+      throw createError(400, "API key is already revoked");
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = user._id;
+    await apiKey.save();
+
+    return apiKey;
+  }
+
+  async findCompanyKey(company, keyId) {
+    if (!mongoose.isValidObjectId(keyId)) {
+      throw createError(404, "API key not found");
+    }
+
+    const apiKey = await ApiKey.findOne({
+      _id: keyId,
+      companyId: company._id,
+    });
+    if (!apiKey) {
+      throw createError(404, "API key not found");
+    }
+
+    return apiKey;
+  }
+
+  generateKey() {
+    const prefix = `${KEY_PREFIX}_${crypto.randomBytes(6).toString("hex")}`;
+    const secret = crypto.randomBytes(24).toString("hex");
+    return { prefix, key: `${prefix}_${secret}` };
+  }
+
+  hashKey(key) {
+    return crypto.createHash("sha256").update(key).digest("hex");
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,222 @@
+const mongoose = require("mongoose");
+const AuditEvent = require("../models/AuditEvent");
+const { getContext } = require("../utils/requestContext");
+const { toCSVRow } = require("../utils/helpers");
+
+const MAX_EXPORT_ROWS = 50000;
+
+const CSV_COLUMNS = [
+  "createdAt",
+  "action",
+  "actorId",
+  "actorRole",
+  "impersonatedBy",
+  "apiKeyId",
+  "companyId",
+  "targetType",
+  "targetId",
+  "changes",
+  "metadata",
+  "ipAddress",
+  "requestId",
+];
+
+class AuditService {
+  /**
+   * Record a sensitive change. Actor, IP and request id come from the
+   * current request unless given explicitly. Failures are logged, never thrown,
+   * so auditing can't undo a change that already happened.
+   * @param {Object} event - { action, target: { type, id }, companyId, before, after, metadata, actor, req }
+   * @returns {Object|null} Created audit event
+   */
+  async record({
+    action,
+    target,
+    companyId,
+    before,
+    after,
+    metadata,
+    actor,
+    req,
+  }) {
+    try {
+      const request = req || getContext().req;
+      const user = actor || (request && request.user);
+
+      const impersonator = request && request.impersonator;
+      const apiKey = request && request.apiKey;
+
+      return await AuditEvent.create({
+        action,
+        actor: {
+          userId: user && user._id,
+          role: user && user.role,
+          impersonatedBy: impersonator && impersonator._id,
+          apiKeyId: apiKey && apiKey._id,
+        },
+        companyId,
+        target,
+        changes: this.diff(before, after),
+        metadata,
+        ipAddress: request && request.ip,
+        userAgent: request && request.get("User-Agent"),
+        requestId: request && request.requestId,
+      });
+    } catch (error) {
+      console.error(`Failed to record audit event ${action}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * List the fields whose values differ between two snapshots
+   * @param {Object} before - Values before the change
+   * @param {Object} after - Values after the change
+   * @returns {Array} [{ field, before, after }]
+   */
+  diff(before = {}, after = {}) {
+    const fields = new Set([
+      ...Object.keys(before || {}),
+      ...Object.keys(after || {}),
+    ]);
+
+    return [...fields]
+      .map((field) => ({
+        field,
+        before: this.toPlain(before && before[field]),
+        after: this.toPlain(after && after[field]),
+      }))
+      .filter(
+        (change) =>
+          JSON.stringify(change.before) !== JSON.stringify(change.after)
+      );
+  }
+
+  /**
+   * Find audit events matching filters, newest first
+   * @param {Object} filters - See buildQuery
+   * @param {Object} pagination - { page, limit }
+   * @returns {Object} Events and pagination info
+   */
+  async listEvents(filters, { page = 1, limit = 50 } = {}) {
+    const query = this.buildQuery(filters);
+    const skip = (page - 1) * limit;
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .populate("actor.userId", "firstName lastName email")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditEvent.countDocuments(query),
+    ]);
+
+    return {
+      events,
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+    };
+  }
+
+  /**
+   * Stream matching audit events to a response as CSV
+   * @param {Object} filters - See buildQuery
+   * @param {Object} res - Express response
+   */
+  async exportCsv(filters, res) {
+    const cursor = AuditEvent.find(this.buildQuery(filters))
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean()
+      .cursor();
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="audit-events-${Date.now()}.csv"`
+    );
+    res.write(toCSVRow(CSV_COLUMNS));
+
+    for await (const event of cursor) {
+      res.write(
+        toCSVRow([
+          event.createdAt,
+          event.action,
+          event.actor && event.actor.userId,
+          event.actor && event.actor.role,
+          event.actor && event.actor.impersonatedBy,
+          event.actor && event.actor.apiKeyId,
+          event.companyId,
+          event.target && event.target.type,
+          event.target && event.target.id,
+          event.changes && event.changes.length
+            ? JSON.stringify(event.changes)
+            : "",
+          event.metadata ? JSON.stringify(event.metadata) : "",
+          event.ipAddress,
+          event.requestId,
+        ])
+      );
+    }
+
+    res.end();
+  }
+
+  /**
+   * Build a query from endpoint filters
+   * @param {Object} filters - { companyId, actorId, action, targetType, targetId, requestId, startDate, endDate }
+   * @returns {Object} MongoDB query
+   */
+  buildQuery({
+    companyId,
+    actorId,
+    action,
+    targetType,
+    targetId,
+    requestId,
+    startDate,
+    endDate,
+  } = {}) {
+    const query = {};
+
+    if (companyId) query.companyId = this.toObjectId(companyId);
+    if (actorId) query["actor.userId"] = this.toObjectId(actorId);
+    if (targetType) query["target.type"] = String(targetType);
+    if (targetId) query["target.id"] = this.toObjectId(targetId);
+    if (requestId) query.requestId = String(requestId);
+
+    // "payment.*" matches every payment event
+    if (action) {
+      const value = String(action);
+      if (value.endsWith(".*")) {
+        const prefix = value.slice(0, -2).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        query.action = { $regex: `^${prefix}\\.` };
+      } else {
+        query.action = value;
+      }
+    }
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    return query;
+  }
+
+  toObjectId(value) {
+    // An invalid id should match nothing rather than everything
+    return mongoose.isValidObjectId(value)
+      ? new mongoose.Types.ObjectId(String(value))
+      : new mongoose.Types.ObjectId("000000000000000000000000");
+  }
+
+  toPlain(value) {
+    if (value === undefined) return null;
+    if (value && typeof value.toObject === "function") return value.toObject();
+    if (value && typeof value.toJSON === "function") return value.toJSON();
+    return value;
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,502 @@
+const mongoose = require("mongoose");
+const paystack = require("../config/paystack");
+const Company = require("../models/Company");
+const Invoice = require("../models/Invoice");
+const User = require("../models/User");
+const emailService = require("./emailService");
+const pdfService = require("./pdfService");
+const auditService = require("./auditService");
+const {
+  PLANS,
+  DEFAULT_PLAN,
+  PAID_PLAN,
+  INVOICE_DUE_DAYS,
+  GRACE_PERIOD_DAYS,
+} = require("../config/plans");
+const {
+  createError,
+  getLocalMonth,
+  roundAmount,
+  fromMinorUnits,
+  DEFAULT_CURRENCY,
+} = require("../utils/helpers");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class BillingService {
+  /**
+   * Put a new company on the free trial. The caller saves the company.
+   * @param {Object} company - Company document
+   * @param {Date} now - Trial start (defaults to now)
+   * @returns {Object} The company
+   */
+  startTrial(company, now = new Date()) {
+    company.subscription = {
+      plan: DEFAULT_PLAN,
+      status: "trialing",
+      trialEndsAt: new Date(now.getTime() + PLANS.trial.trialDays * DAY_MS),
+    };
+    return company;
+  }
+
+  /**
+   * Get a company's subscription with its price and this month's estimate
+   * @param {Object} company - Company document
+   * @returns {Object} Subscription summary
+   */
+  async getSubscription(company) {
+    const subscription = company.subscription || {};
+    const currency = company.currency || DEFAULT_CURRENCY;
+    const unitPrice = this.getUnitPrice(currency);
+    const seats = await this.countSeats(company);
+
+    return {
+      plan: subscription.plan,
+      planName: subscription.plan && PLANS[subscription.plan].name,
+      status: subscription.status,
+      trialEndsAt: subscription.trialEndsAt,
+      graceEndsAt: subscription.graceEndsAt,
+      restrictedAt: subscription.restrictedAt,
+      currency,
+      pricePerSeat: unitPrice,
+      seats,
+      estimatedMonthlyAmount: roundAmount(seats * unitPrice, currency),
+    };
+  }
+
+  /**
+   * List a company's invoices, newest first
+   * @param {Object} company - Company document
+   * @param {Object} filters - { status }
+   * @returns {Array} Invoices
+   */
+  async listInvoices(company, { status } = {}) {
+    const query = { companyId: company._id };
+    if (status) query.status = status;
+
+    return Invoice.find(query).sort({ periodStart: -1 });
+  }
+
+  /**
+   * Get one of a company's invoices
+   * @param {Object} company - Company document
+   * @param {String} invoiceId - Invoice ID
+   * @returns {Object} Invoice
+   */
+  async getInvoice(company, invoiceId) {
+    if (!mongoose.isValidObjectId(invoiceId)) {
+      throw createError(404, "Invoice not found");
+    }
+
+    const invoice = await Invoice.findOne({
+      _id: invoiceId,
+      companyId: company._id,
+    });
+    if (!invoice) {
+      throw createError(404, "Invoice not found");
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Start a Paystack checkout for an open invoice
+   * @param {Object} company - Company document
+   * @param {String} invoiceId - Invoice ID
+   * @returns {Object} { authorizationUrl, reference }
+   */
+  async payInvoice(company, invoiceId) {
+    const invoice = await this.getInvoice(company, invoiceId);
+    if (invoice.status !== "open") {
+      throw createError(400, `This invoice is ${invoice.status}`);
+    }
+
+    await this.startCheckout(company, invoice);
+
+    return {
+      authorizationUrl: invoice.authorizationUrl,
+      reference: invoice.paymentReference,
+    };
+  }
+
+  /**
+   * Invoice every active company for the month before `now`, in each
+   * company's time zone. Months already invoiced are skipped, so the job
+   * can safely run again.
+   * @param {Date} now - Instant in the month after the one billed
+   * @returns {Object} { created, skipped, failed }
+   */
+  async generateMonthlyInvoices(now = new Date()) {
+    const summary = { created: 0, skipped: 0, failed: 0 };
+    const cursor = Company.find({ isActive: true }).cursor();
+
+    for await (const company of cursor) {
+      try {
+        // Companies from before billing start their trial now
+        if (!company.subscription || !company.subscription.status) {
+          this.startTrial(company, now);
+          await company.save();
+          summary.skipped++;
+          continue;
+        }
+
+        const invoice = await this.createInvoice(company, now);
+        if (invoice) {
+          summary.created++;
+        } else {
+          summary.skipped++;
+        }
+      } catch (error) {
+        summary.failed++;
+        console.error(`Error invoicing company ${company._id}:`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Invoice a company for the month before `now`. Active employees are
+   * counted at billing time; a month the trial ended in is prorated.
+   * @param {Object} company - Company document
+   * @param {Date} now - Instant in the month after the one billed
+   * @returns {Object|null} Invoice, or null when there's nothing to bill
+   */
+  async createInvoice(company, now = new Date()) {
+    const current = getLocalMonth(now, company.timezone);
+    const period = getLocalMonth(
+      new Date(current.start.getTime() - 1),
+      company.timezone
+    );
+
+    // Nothing is owed for the trial or for days before the company existed
+    const billableFrom = new Date(
+      Math.max(
+        period.start,
+        company.subscription.trialEndsAt || 0,
+        company.createdAt || 0
+      )
+    );
+    if (billableFrom >= period.end) return null;
+
+    const currency = company.currency || DEFAULT_CURRENCY;
+    const seats = await this.countSeats(company);
+    const unitPrice = this.getUnitPrice(currency);
+    const proration =
+      Math.round(
+        ((period.end - billableFrom) / (period.end - period.start)) * 10000
+      ) / 10000;
+
+    let invoice;
+    try {
+      invoice = await Invoice.create({
+        companyId: company._id,
+        number: this.getInvoiceNumber(company, period.key),
+        plan: PAID_PLAN,
+        periodStart: period.start,
+        periodEnd: period.end,
+        seats,
+        unitPrice,
+        proration,
+        amount: roundAmount(seats * unitPrice * proration, currency),
+        currency,
+        dueDate: new Date(now.getTime() + INVOICE_DUE_DAYS * DAY_MS),
+      });
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    // Nothing to collect when the company had no active employees
+    if (invoice.amount === 0) {
+      invoice.status = "paid";
+      invoice.paidAt = now;
+      await invoice.save();
+    }
+
+    try {
+      const pdf = await pdfService.generateInvoice(invoice, company);
+      invoice.pdfUrl = pdf.url;
+      invoice.pdfPublicId = pdf.publicId;
+      await invoice.save();
+    } catch (error) {
+      console.error(
+        `Error generating PDF for invoice ${invoice.number}:`,
+        error
+      );
+    }
+
+    if (invoice.status === "open") {
+      try {
+        await this.startCheckout(company, invoice);
+      } catch (error) {
+        // The employer can start a checkout from the billing page instead
+        console.error(`Error starting checkout for ${invoice.number}:`, error);
+      }
+    }
+
+    await this.notifyMembers(company, (member) =>
+      emailService.sendInvoice(member, company, invoice)
+    );
+
+    return invoice;
+  }
+
+  /**
+   * Mark an invoice paid from a successful Paystack charge, and lift any
+   * restriction once nothing is overdue. Repeat webhooks are ignored.
+   * @param {Object} transaction - Paystack charge data
+   * @returns {Object|null} Paid invoice
+   */
+  async recordPayment(transaction) {
+    const invoiceId = transaction.metadata && transaction.metadata.invoice_id;
+    if (!mongoose.isValidObjectId(invoiceId)) return null;
+
+    const invoice = await Invoice.findById(invoiceId);
+    if (!invoice || invoice.status !== "open") return null;
+
+    const currency = transaction.currency || DEFAULT_CURRENCY;
+    const paid = fromMinorUnits(transaction.amount, currency);
+    if (currency !== invoice.currency || paid < invoice.amount) {
+      console.error(
+        `Payment ${transaction.reference} does not cover invoice ${invoice.number}`
+      );
+      return null;
+    }
+
+    // Paystack can deliver the same charge more than once; only the first
+    // delivery marks the invoice paid
+    const paidInvoice = await Invoice.findOneAndUpdate(
+      { _id: invoice._id, status: "open" },
+      {
+        $set: {
+          status: "paid",
+          paidAt: new Date(),
+          paymentReference: transaction.reference,
+        },
+      },
+      { new: true }
+    );
+    if (!paidInvoice) return null;
+
+    await auditService.record({
+      action: "invoice.paid",
+      target: { type: "Invoice", id: paidInvoice._id },
+      companyId: paidInvoice.companyId,
+      metadata: {
+        number: paidInvoice.number,
+        amount: paidInvoice.amount,
+        currency: paidInvoice.currency,
+        reference: transaction.reference,
+      },
+    });
+
+    const company = await Company.findById(paidInvoice.companyId);
+    if (company) {
+      await this.reinstateIfSettled(company);
+    }
+
+    return paidInvoice;
+  }
+
+  /**
+   * Move subscriptions along: trials that have ended become paid, companies
+   * with overdue invoices enter the grace period, and those still unpaid
+   * when it ends are restricted
+   * @param {Date} now - Current time (defaults to now)
+   * @returns {Object} { converted, pastDue, restricted }
+   */
+  async updateSubscriptions(now = new Date()) {
+    const summary = { converted: 0, pastDue: 0, restricted: 0 };
+
+    const trials = await Company.updateMany(
+      {
+        "subscription.status": "trialing",
+        "subscription.trialEndsAt": { $lte: now },
+      },
+      {
+        $set: {
+          "subscription.plan": PAID_PLAN,
+          "subscription.status": "active",
+        },
+      }
+    );
+    summary.converted = trials.modifiedCount;
+
+    const overdueCompanyIds = await Invoice.distinct("companyId", {
+      status: "open",
+      dueDate: { $lt: now },
+    });
+    const overdue = await Company.find({
+      _id: { $in: overdueCompanyIds },
+      "subscription.status": "active",
+    });
+
+    for (const company of overdue) {
+      const oldest = await Invoice.findOne({
+        companyId: company._id,
+        status: "open",
+        dueDate: { $lt: now },
+      }).sort({ dueDate: 1 });
+
+      company.subscription.status = "past_due";
+      company.subscription.graceEndsAt = new Date(
+        oldest.dueDate.getTime() + GRACE_PERIOD_DAYS * DAY_MS
+      );
+      await company.save();
+      summary.pastDue++;
+
+      await this.notifyMembers(company, (member) =>
+        emailService.sendSubscriptionUpdate(member, company)
+      );
+    }
+
+    const lapsed = await Company.find({
+      "subscription.status": "past_due",
+      "subscription.graceEndsAt": { $lte: now },
+    });
+
+    for (const company of lapsed) {
+      company.subscription.status = "restricted";
+      company.subscription.restrictedAt = now;
+      await company.save();
+      summary.restricted++;
+
+      await auditService.record({
+        action: "company.subscription_restricted",
+        target: { type: "Company", id: company._id },
+        companyId: company._id,
+        after: { status: "restricted" },
+      });
+
+      await this.notifyMembers(company, (member) =>
+        emailService.sendSubscriptionUpdate(member, company)
+      );
+    }
+
+    return summary;
+  }
+
+  /**
+   * Extend or restart a company's free trial
+   * @param {Object} company - Company document
+   * @param {Date} trialEndsAt - New trial end
+   * @param {Object} admin - Admin making the change
+   * @returns {Object} Updated subscription
+   */
+  async extendTrial(company, trialEndsAt, admin) {
+    const before = company.toObject().subscription || null;
+
+    company.subscription = {
+      plan: DEFAULT_PLAN,
+      status: "trialing",
+      trialEndsAt,
+    };
+    await company.save();
+
+    await auditService.record({
+      action: "company.trial_extended",
+      actor: admin,
+      target: { type: "Company", id: company._id },
+      companyId: company._id,
+      before,
+      after: { status: "trialing", trialEndsAt },
+    });
+
+    return company.subscription;
+  }
+
+  /**
+   * Check whether a company's subscription has been restricted for non-payment
+   * @param {Object} company - Company document
+   * @returns {Boolean} Whether the company is restricted
+   */
+  isRestricted(company) {
+    return (
+      !!company.subscription && company.subscription.status === "restricted"
+    );
+  }
+
+  async startCheckout(company, invoice) {
+    const reference = `${invoice.number}-${Date.now()}`;
+    const response = await paystack.initiateTransaction({
+      email: company.contactEmail,
+      amount: invoice.amount,
+      currency: invoice.currency,
+      reference,
+      callbackUrl: `${process.env.CLIENT_URL}/company/billing`,
+      metadata: {
+        invoice_id: invoice._id.toString(),
+        company_id: company._id.toString(),
+      },
+    });
+
+    if (!response.status) {
+      throw createError(502, response.message || "Could not start payment");
+    }
+
+    invoice.paymentReference = reference;
+    invoice.authorizationUrl = response.data.authorization_url;
+    await invoice.save();
+  }
+
+  async reinstateIfSettled(company) {
+    const status = company.subscription && company.subscription.status;
+    if (!["past_due", "restricted"].includes(status)) return;
+
+    const stillOverdue = await Invoice.exists({
+      companyId: company._id,
+      status: "open",
+      dueDate: { $lt: new Date() },
+    });
+    if (stillOverdue) return;
+
+    company.subscription.status = "active";
+    company.subscription.graceEndsAt = undefined;
+    company.subscription.restrictedAt = undefined;
+    await company.save();
+
+    if (status === "restricted") {
+      await this.notifyMembers(company, (member) =>
+        emailService.sendSubscriptionUpdate(member, company)
+      );
+    }
+  }
+
+  async countSeats(company) {
+    return User.countDocuments({
+      companyId: company._id,
+      role: "employee",
+      isActive: true,
+    });
+  }
+
+  getUnitPrice(currency) {
+    return PLANS[PAID_PLAN].pricePerSeat[currency] || 0;
+  }
+
+  getInvoiceNumber(company, monthKey) {
+    const suffix = company._id.toString().slice(-6).toUpperCase();
+    return `INV-${monthKey.replace("-", "")}-${suffix}`;
+  }
+
+  async notifyMembers(company, send) {
+    const members = await User.find({
+      _id: { $in: company.members.map((member) => member.userId) },
+      isActive: true,
+    }).select("firstName email");
+
+    for (const member of members) {
+      try {
+        await send(member);
+      } catch (error) {
+        console.error(
+          `Failed to send billing email to ${member.email}:`,
+          error
+        );
+      }
+    }
+  }
+}
+
+module.exports = new BillingService();
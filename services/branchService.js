@@ -0,0 +1,256 @@
+const mongoose = require("mongoose");
+const Branch = require("../models/Branch");
+const User = require("../models/User");
+const auditService = require("./auditService");
+const { createError, getDistanceMeters } = require("../utils/helpers");
+
+const AUDITED_FIELDS = ["name", "address", "latitude", "longitude", "radius"];
+
+class BranchService {
+  /**
+   * List a company's branches with their employee counts
+   * @param {Object} company - Company document
+   * @returns {Array} Branches
+   */
+  async listBranches(company) {
+    const [branches, counts] = await Promise.all([
+      Branch.find({ companyId: company._id }).sort({ name: 1 }).lean(),
+      User.aggregate([
+        {
+          $match: {
+            companyId: company._id,
+            isActive: true,
+            branch: { $exists: true },
+          },
+        },
+        { $group: { _id: "$branch", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const countsById = new Map(counts.map((c) => [c._id.toString(), c.count]));
+
+    return branches.map((branch) => ({
+      ...branch,
+      employeeCount: countsById.get(branch._id.toString()) || 0,
+    }));
+  }
+
+  /**
+   * Create a branch
+   * @param {Object} company - Company document
+   * @param {Object} user - Creating member
+   * @param {Object} data - Validated branchSchema payload
+   * @returns {Object} Created branch
+   */
+  async createBranch(company, user, data) {
+    const branch = new Branch({
+      ...data,
+      companyId: company._id,
+      createdBy: user._id,
+    });
+    await this.save(branch);
+
+    await auditService.record({
+      action: "branch.created",
+      target: { type: "Branch", id: branch._id },
+      companyId: company._id,
+      after: this.snapshot(branch),
+    });
+
+    return branch;
+  }
+
+  /**
+   * Update a branch's name, address, coordinates or radius
+   * @param {Object} company - Company document
+   * @param {String} branchId - Branch ID
+   * @param {Object} data - Validated branchUpdateSchema payload
+   * @returns {Object} Updated branch
+   */
+  async updateBranch(company, branchId, data) {
+    const branch = await this.findBranch(company, branchId);
+
+    const before = this.snapshot(branch);
+    branch.set(data);
+    await this.save(branch);
+
+    await auditService.record({
+      action: "branch.updated",
+      target: { type: "Branch", id: branch._id },
+      companyId: company._id,
+      before,
+      after: this.snapshot(branch),
+    });
+
+    return branch;
+  }
+
+  /**
+   * Delete a branch. Its employees become unassigned and stop being
+   * geofenced.
+   * @param {Object} company - Company document
+   * @param {String} branchId - Branch ID
+   */
+  async deleteBranch(company, branchId) {
+    const branch = await this.findBranch(company, branchId);
+
+    const { modifiedCount } = await User.updateMany(
+      { companyId: company._id, branch: branch._id },
+      { $unset: { branch: "" } }
+    );
+    await branch.deleteOne();
+
+    await auditService.record({
+      action: "branch.deleted",
+      target: { type: "Branch", id: branch._id },
+      companyId: company._id,
+      before: this.snapshot(branch),
+      metadata: { employeesUnassigned: modifiedCount },
+    });
+  }
+
+  /**
+   * Assign an employee to a branch and/or set their remote work exemption
+   * @param {Object} company - Company document
+   * @param {String} employeeId - Employee's user ID
+   * @param {Object} data - Validated branchAssignmentSchema payload; a null
+   * branchId unassigns the employee
+   * @returns {Object} Updated employee
+   */
+  async assignEmployee(company, employeeId, data) {
+    if (!mongoose.isValidObjectId(employeeId)) {
+      throw createError(404, "Employee not found");
+    }
+
+    const employee = await User.findOne({
+      _id: employeeId,
+      companyId: company._id,
+      role: "employee",
+    });
+    if (!employee) {
+      throw createError(404, "Employee not found");
+    }
+
+    const before = {
+      branch: employee.branch || null,
+      remoteAllowed: employee.remoteAllowed,
+    };
+
+    if (data.branchId !== undefined) {
+      const branch = data.branchId
+        ? await this.findBranch(company, data.branchId)
+        : null;
+      employee.branch = branch ? branch._id : undefined;
+    }
+    if (data.remoteAllowed !== undefined) {
+      employee.remoteAllowed = data.remoteAllowed;
+    }
+    await employee.save();
+
+    await auditService.record({
+      action: "employee.branch_changed",
+      target: { type: "User", id: employee._id },
+      companyId: company._id,
+      before,
+      after: {
+        branch: employee.branch || null,
+        remoteAllowed: employee.remoteAllowed,
+      },
+    });
+
+    return employee;
+  }
+
+  /**
+   * Get a company's geofence enforcement rule
+   * @param {Object} company - Company document
+   * @returns {Object} { enforcement }
+   */
+  getPolicy(company) {
+    const policy = company.geofencePolicy || {};
+    return { enforcement: policy.enforcement || "flag" };
+  }
+
+  /**
+   * Change whether clock-ins outside the geofence are flagged or rejected
+   * @param {Object} company - Company document
+   * @param {Object} data - Validated geofencePolicySchema payload
+   * @returns {Object} { before, after } policies
+   */
+  async updatePolicy(company, data) {
+    const before = this.getPolicy(company);
+
+    company.set("geofencePolicy.enforcement", data.enforcement);
+    await company.save();
+
+    return { before, after: this.getPolicy(company) };
+  }
+
+  /**
+   * Check a clock-in or clock-out position against the employee's branch.
+   * Employees without a branch, or allowed to work remotely, aren't checked.
+   * @param {Object} employee - Employee user document
+   * @param {Object} company - Company document
+   * @param {Object|null} position - { latitude, longitude } reported by the
+   * device; a missing position counts as outside the fence
+   * @returns {Object|null} { branch, distance, withinFence, enforcement },
+   * or null when the employee isn't geofenced
+   */
+  async checkPosition(employee, company, position) {
+    if (!employee.branch || employee.remoteAllowed) return null;
+
+    const branch = await Branch.findOne({
+      _id: employee.branch,
+      companyId: company._id,
+    });
+    if (!branch) return null;
+
+    const distance = position
+      ? Math.round(getDistanceMeters(branch, position))
+      : null;
+
+    return {
+      branch,
+      distance,
+      withinFence: distance !== null && distance <= branch.radius,
+      enforcement: this.getPolicy(company).enforcement,
+    };
+  }
+
+  async findBranch(company, branchId) {
+    if (!mongoose.isValidObjectId(branchId)) {
+      throw createError(404, "Branch not found");
+    }
+
+    const branch = await Branch.findOne({
+      _id: branchId,
+      companyId: company._id,
+    });
+    if (!branch) {
+      throw createError(404, "Branch not found");
+    }
+
+    return branch;
+  }
+
+  async save(branch) {
+    try {
+      await branch.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createError(409, "A branch with this name already exists");
+      }
+      throw error;
+    }
+  }
+
+  snapshot(branch) {
+    return AUDITED_FIELDS.reduce((result, field) => {
+      const value = branch[field];
+      result[field] = value === undefined ? null : value;
+      return result;
+    }, {});
+  }
+}
+
+module.exports = new BranchService();
@@ -0,0 +1,173 @@
+const mongoose = require("mongoose");
+const Company = require("../models/Company");
+const User = require("../models/User");
+const holidayService = require("./holidayService");
+const billingService = require("./billingService");
+const { createError } = require("../utils/helpers");
+
+class CompanyService {
+  /**
+   * Create a company managed by one or more employer accounts
+   * @param {Object} data - Validated companyRegistrationSchema payload
+   * @returns {Object} Created company
+   */
+  async createCompany(data) {
+    const employerIds = [...new Set(data.employerIds || [])];
+    if (employerIds.length === 0) {
+      throw createError(400, "At least one employer is required");
+    }
+
+    const ownerId = data.ownerId || employerIds[0];
+    if (!employerIds.includes(ownerId)) {
+      throw createError(400, "Owner must be one of the company's employers");
+    }
+
+    const employers = await User.find({
+      _id: { $in: employerIds },
+      role: "employer",
+    });
+    if (employers.length !== employerIds.length) {
+      throw createError(400, "Every employerId must be an employer account");
+    }
+
+    for (const employer of employers) {
+      await this.assertNotInOtherCompany(employer);
+    }
+
+    const company = new Company({
+      name: data.name,
+      industry: data.industry,
+      address:
+        typeof data.address === "string"
+          ? { street: data.address }
+          : data.address,
+      contactEmail: data.contactEmail,
+      contactPhone: data.contactPhone,
+      logo: data.logo,
+      currency: data.currency,
+      owner: ownerId,
+      members: employerIds.map((userId) => ({ userId })),
+    });
+    billingService.startTrial(company);
+    await company.save();
+
+    await User.updateMany(
+      { _id: { $in: employerIds } },
+      { $set: { companyId: company._id } }
+    );
+
+    // Start the holiday calendar with this and next year's public holidays
+    const year = new Date().getFullYear();
+    for (const calendarYear of [year, year + 1]) {
+      if (holidayService.getPublicHolidays(calendarYear)) {
+        await holidayService.importPublicHolidays(company, calendarYear);
+      }
+    }
+
+    return company;
+  }
+
+  /**
+   * Add an existing employer account to a company
+   * @param {Object} company - Company document
+   * @param {String} email - Email of the employer to add
+   * @param {Object} addedBy - User adding the member
+   * @returns {Object} Added user
+   */
+  async addMember(company, email, addedBy) {
+    const user = await User.findOne({
+      email: String(email).toLowerCase(),
+      role: "employer",
+      isActive: true,
+    });
+    if (!user) {
+      throw createError(404, "No active employer account with that email");
+    }
+
+    if (company.getMember(user._id)) {
+      throw createError(400, "User is already a member of this company");
+    }
+
+    await this.assertNotInOtherCompany(user, company);
+
+    company.members.push({ userId: user._id, addedBy: addedBy._id });
+    await company.save();
+
+    user.companyId = company._id;
+    await user.save();
+
+    return user;
+  }
+
+  /**
+   * Remove an employer account from a company
+   * @param {Object} company - Company document
+   * @param {String} userId - Member's user ID
+   */
+  async removeMember(company, userId) {
+    if (!mongoose.isValidObjectId(userId) || !company.getMember(userId)) {
+      throw createError(404, "Member not found");
+    }
+
+    if (company.owner.equals(userId)) {
+      throw createError(
+        400,
+        "The owner cannot be removed. Transfer ownership first."
+      );
+    }
+
+    company.members = company.members.filter(
+      (member) => !member.userId.equals(userId)
+    );
+    await company.save();
+
+    await User.updateOne(
+      { _id: userId, companyId: company._id },
+      { $unset: { companyId: 1 }, $set: { companyRoles: [] } }
+    );
+  }
+
+  /**
+   * Hand ownership to another employer member
+   * @param {Object} company - Company document
+   * @param {String} newOwnerId - User ID of the new owner
+   * @returns {Object} Updated company
+   */
+  async transferOwnership(company, newOwnerId) {
+    const member = company.getMember(newOwnerId);
+    if (!member) {
+      throw createError(400, "New owner must be a member of the company");
+    }
+
+    if (company.owner.equals(newOwnerId)) {
+      throw createError(400, "User already owns this company");
+    }
+
+    const newOwner = await User.findOne({
+      _id: newOwnerId,
+      role: "employer",
+      isActive: true,
+    });
+    if (!newOwner) {
+      throw createError(400, "New owner must be an active employer account");
+    }
+
+    // The pre-validate hook demotes the previous owner to employer
+    company.owner = newOwner._id;
+    await company.save();
+
+    return company;
+  }
+
+  async assertNotInOtherCompany(user, company) {
+    const existing = await Company.findForUser(user);
+    if (existing && (!company || !existing._id.equals(company._id))) {
+      throw createError(
+        400,
+        `${user.email} already belongs to another company`
+      );
+    }
+  }
+}
+
+module.exports = new CompanyService();
@@ -0,0 +1,258 @@
+const mongoose = require("mongoose");
+const Company = require("../models/Company");
+const User = require("../models/User");
+const emailService = require("./emailService");
+const auditService = require("./auditService");
+const { deleteFromCloudinary } = require("../config/cloudinary");
+const { createError } = require("../utils/helpers");
+
+const MAX_DOCUMENTS = 10;
+// Documents a company must upload before it can be reviewed
+const REQUIRED_DOCUMENTS = ["cac_certificate"];
+// Employers can only change their documents while the company isn't in review
+const EDITABLE_STATUSES = ["pending", "rejected"];
+
+// Status changes reviewers can make; pending -> under_review is the employer's
+const REVIEW_TRANSITIONS = {
+  under_review: ["approved", "rejected"],
+  approved: ["suspended"],
+  suspended: ["approved"],
+};
+
+class CompanyVerificationService {
+  /**
+   * Get a company's verification status as the employer sees it
+   * @param {Object} company - Company document
+   * @returns {Object} Status, documents and status history
+   */
+  getVerification(company) {
+    const verification = company.verification || {};
+
+    return {
+      status: company.status,
+      statusReason: verification.statusReason,
+      submittedAt: verification.submittedAt,
+      reviewedAt: verification.reviewedAt,
+      documents: verification.documents || [],
+      history: (verification.history || []).map((entry) => ({
+        status: entry.status,
+        note: entry.note,
+        changedAt: entry.changedAt,
+      })),
+      requiredDocuments: REQUIRED_DOCUMENTS,
+    };
+  }
+
+  /**
+   * Attach an uploaded registration document to the company
+   * @param {Object} company - Company document
+   * @param {Object} file - Multer file stored on Cloudinary
+   * @param {String} type - Document type
+   * @param {Object} user - Uploading member
+   * @returns {Object} Added document
+   */
+  async addDocument(company, file, type, user) {
+    this.assertEditable(company);
+
+    if (company.verification.documents.length >= MAX_DOCUMENTS) {
+      throw createError(
+        400,
+        `A company can have at most ${MAX_DOCUMENTS} verification documents`
+      );
+    }
+
+    company.verification.documents.push({
+      type,
+      fileUrl: file.path,
+      cloudinaryId: file.filename,
+      fileName: file.originalname,
+      mimeType: file.mimetype,
+      fileSize: file.size,
+      uploadedBy: user._id,
+    });
+    await company.save();
+
+    return company.verification.documents[
+      company.verification.documents.length - 1
+    ];
+  }
+
+  /**
+   * Remove a verification document and its stored file
+   * @param {Object} company - Company document
+   * @param {String} documentId - Document subdocument ID
+   */
+  async removeDocument(company, documentId) {
+    this.assertEditable(company);
+
+    const document =
+      mongoose.isValidObjectId(documentId) &&
+      company.verification.documents.id(documentId);
+    if (!document) {
+      throw createError(404, "Document not found");
+    }
+
+    if (document.cloudinaryId) {
+      await deleteFromCloudinary(document.cloudinaryId);
+    }
+
+    document.deleteOne();
+    await company.save();
+  }
+
+  /**
+   * Send the company's documents for review
+   * @param {Object} company - Company document
+   * @param {Object} user - Submitting member
+   * @returns {Object} Updated company
+   */
+  async submitForReview(company, user) {
+    this.assertEditable(company);
+
+    const uploaded = company.verification.documents.map((d) => d.type);
+    const missing = REQUIRED_DOCUMENTS.filter(
+      (type) => !uploaded.includes(type)
+    );
+    if (missing.length > 0) {
+      throw createError(
+        400,
+        `Upload these documents before submitting: ${missing.join(", ")}`
+      );
+    }
+
+    const before = company.status;
+    company.verification.submittedAt = new Date();
+    this.setStatus(company, "under_review", user);
+    await company.save();
+
+    await auditService.record({
+      action: "company.verification_submitted",
+      target: { type: "Company", id: company._id },
+      companyId: company._id,
+      before: { status: before },
+      after: { status: company.status },
+    });
+
+    await this.notifyMembers(company);
+
+    return company;
+  }
+
+  /**
+   * Move a company to a new status as a reviewer
+   * @param {Object} admin - Reviewing admin
+   * @param {String} companyId - Company ID
+   * @param {Object} data - { status, note }
+   * @returns {Object} Updated company
+   */
+  async reviewCompany(admin, companyId, { status, note }) {
+    const company = await this.findCompany(companyId);
+
+    const allowed = REVIEW_TRANSITIONS[company.status] || [];
+    if (!allowed.includes(status)) {
+      throw createError(
+        400,
+        `A ${company.status} company cannot be moved to ${status}`
+      );
+    }
+
+    const before = company.status;
+    company.verification.reviewedAt = new Date();
+    company.verification.reviewedBy = admin._id;
+    this.setStatus(company, status, admin, note);
+    await company.save();
+
+    await auditService.record({
+      action: `company.${status}`,
+      target: { type: "Company", id: company._id },
+      companyId: company._id,
+      before: { status: before },
+      after: { status },
+      metadata: note ? { note } : undefined,
+      actor: admin,
+    });
+
+    await this.notifyMembers(company);
+
+    return company;
+  }
+
+  /**
+   * Add an internal reviewer note to a company
+   * @param {Object} admin - Reviewing admin
+   * @param {String} companyId - Company ID
+   * @param {String} note - Note text
+   * @returns {Array} All review notes
+   */
+  async addReviewNote(admin, companyId, note) {
+    const company = await this.findCompany(companyId);
+
+    // Notes aren't loaded by default, so push without rewriting the array
+    const updated = await Company.findByIdAndUpdate(
+      company._id,
+      { $push: { "verification.reviewNotes": { note, author: admin._id } } },
+      { new: true }
+    )
+      .select("+verification.reviewNotes")
+      .populate("verification.reviewNotes.author", "firstName lastName email");
+
+    return updated.verification.reviewNotes;
+  }
+
+  async findCompany(companyId) {
+    if (!mongoose.isValidObjectId(companyId)) {
+      throw createError(404, "Company not found");
+    }
+
+    const company = await Company.findById(companyId);
+    if (!company) {
+      throw createError(404, "Company not found");
+    }
+
+    return company;
+  }
+
+  setStatus(company, status, user, note) {
+    // Only rejections and suspensions carry a reason for the employer
+    const hasReason = ["rejected", "suspended"].includes(status);
+
+    company.status = status;
+    company.verification.statusReason = hasReason ? note : undefined;
+    company.verification.history.push({
+      status,
+      note,
+      changedBy: user._id,
+    });
+  }
+
+  assertEditable(company) {
+    if (!EDITABLE_STATUSES.includes(company.status)) {
+      throw createError(
+        409,
+        company.status === "under_review"
+          ? "Documents can't be changed while the company is under review"
+          : "This company has already been reviewed"
+      );
+    }
+  }
+
+  async notifyMembers(company) {
+    const members = await User.find({
+      _id: { $in: company.members.map((member) => member.userId) },
+      isActive: true,
+    }).select("firstName email");
+
+    for (const member of members) {
+      try {
+        await emailService.sendCompanyVerificationUpdate(member, company);
+      } catch (error) {
+        console.error(
+          `Failed to send verification update to ${member.email}:`,
+          error
+        );
+      }
+    }
+  }
+}
+
+module.exports = new CompanyVerificationService();
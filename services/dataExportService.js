@@ -0,0 +1,488 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const archiver = require("archiver");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Document = require("../models/Document");
+const Attendance = require("../models/Attendance");
+const Payment = require("../models/Payment");
+const Project = require("../models/Project");
+const Interview = require("../models/Interview");
+const DataExportRequest = require("../models/DataExportRequest");
+const emailService = require("./emailService");
+const { createError, toCSVRow } = require("../utils/helpers");
+
+const EXPORT_DIR =
+  process.env.DATA_EXPORT_DIR || path.join(__dirname, "../uploads/exports");
+const DOWNLOAD_TTL_HOURS = parseInt(
+  process.env.DATA_EXPORT_TTL_HOURS || "72",
+  10
+);
+const STALE_PROCESSING_MS = 60 * 60 * 1000;
+const FILE_DOWNLOAD_TIMEOUT_MS = 30 * 1000;
+const MAX_FILE_BYTES = 50 * 1024 * 1024;
+// Where uploads are served from (see config/cloudinary)
+const CLOUDINARY_HOST = "res.cloudinary.com";
+
+class DataExportService {
+  /**
+   * Queue an export of everything held about a user
+   * @param {Object} user - User document
+   * @returns {Object} DataExportRequest document
+   */
+  async requestExport(user) {
+    const active = await DataExportRequest.exists({
+      userId: user._id,
+      status: { $in: ["pending", "processing"] },
+    });
+    if (active) {
+      throw createError(409, "An export is already being prepared");
+    }
+
+    return DataExportRequest.create({ userId: user._id });
+  }
+
+  /**
+   * List a user's export requests, newest first
+   * @param {Object} user - User document
+   * @returns {Array} DataExportRequest documents
+   */
+  async listRequests(user) {
+    return DataExportRequest.find({ userId: user._id })
+      .sort({ createdAt: -1 })
+      .limit(20);
+  }
+
+  /**
+   * Check a download link and return the archive to send
+   * @param {Object} user - Signed-in user
+   * @param {String} requestId - DataExportRequest ID
+   * @param {String} token - Token from the emailed link
+   * @returns {Object} { filePath, fileName }
+   */
+  async getDownload(user, requestId, token) {
+    if (!mongoose.isValidObjectId(requestId) || !token) {
+      throw createError(404, "Export not found");
+    }
+
+    const request = await DataExportRequest.findOne({
+      _id: requestId,
+      userId: user._id,
+    }).select("+filePath +downloadTokenHash");
+    if (!request) {
+      throw createError(404, "Export not found");
+    }
+
+    if (request.status !== "ready" || request.expiresAt < Date.now()) {
+      throw createError(410, "This download link has expired");
+    }
+
+    const expected = Buffer.from(request.downloadTokenHash, "hex");
+    const actual = Buffer.from(this.hashToken(String(token)), "hex");
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      throw createError(404, "Export not found");
+    }
+
+    request.downloadCount += 1;
+    request.lastDownloadedAt = new Date();
+    await request.save();
+
+    return {
+      filePath: request.filePath,
+      fileName: `personal-data-${request.createdAt
+        .toISOString()
+        .slice(0, 10)}.zip`,
+    };
+  }
+
+  /**
+   * Build every queued export, one at a time
+   * @returns {Number} Number of exports processed
+   */
+  async processPendingExports() {
+    // Requeue exports whose worker died mid-build
+    await DataExportRequest.updateMany(
+      {
+        status: "processing",
+        startedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) },
+      },
+      { $set: { status: "pending" } }
+    );
+
+    let processed = 0;
+    let request;
+
+    while (
+      (request = await DataExportRequest.findOneAndUpdate(
+        { status: "pending" },
+        { $set: { status: "processing", startedAt: new Date() } },
+        { new: true, sort: { createdAt: 1 } }
+      ))
+    ) {
+      await this.buildExport(request);
+      processed++;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Delete archives whose download window has passed
+   * @returns {Number} Number of exports expired
+   */
+  async expireExports() {
+    const expired = await DataExportRequest.find({
+      status: "ready",
+      expiresAt: { $lt: new Date() },
+    }).select("+filePath");
+
+    for (const request of expired) {
+      await this.removeFile(request.filePath);
+
+      request.status = "expired";
+      request.filePath = undefined;
+      request.downloadTokenHash = undefined;
+      await request.save();
+    }
+
+    return expired.length;
+  }
+
+  async buildExport(request) {
+    const filePath = path.join(EXPORT_DIR, `${request._id}.zip`);
+
+    try {
+      const stored = await User.findById(request.userId)
+        .select("-password")
+        .lean();
+      if (!stored) {
+        throw new Error("User no longer exists");
+      }
+      const user = User.decryptFields(stored);
+
+      const data = await this.collectData(user);
+
+      await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+      const missingFiles = await this.writeArchive(filePath, data);
+      const { size } = await fs.promises.stat(filePath);
+
+      const token = crypto.randomBytes(32).toString("hex");
+
+      request.set({
+        status: "ready",
+        completedAt: new Date(),
+        filePath,
+        fileSize: size,
+        downloadTokenHash: this.hashToken(token),
+        expiresAt: new Date(
+          Date.now() + DOWNLOAD_TTL_HOURS * 60 * 60 * 1000
+        ),
+        missingFiles,
+      });
+      await request.save();
+
+      const downloadLink = `${process.env.CLIENT_URL}/data-exports/${request._id}/download?token=${token}`;
+
+      try {
+        await emailService.sendDataExportReady(
+          user,
+          downloadLink,
+          request.expiresAt
+        );
+      } catch (error) {
+        console.error(`Failed to email data export ${request._id}:`, error);
+      }
+    } catch (error) {
+      console.error(`Error building data export ${request._id}:`, error);
+
+      await this.removeFile(filePath);
+      request.status = "failed";
+      request.error = error.message;
+      await request.save();
+    }
+  }
+
+  async collectData(user) {
+    const email = user.email.toLowerCase();
+    // Applicants type their own email, so match it case-insensitively
+    const applicantEmail = new RegExp(
+      `^${email.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`,
+      "i"
+    );
+
+    const [documents, attendance, payments, projects, interviews] =
+      await Promise.all([
+        Document.find({ userId: user._id })
+          .lean()
+          .then((documents) => documents.map(Document.decryptFields)),
+        Attendance.find({ employeeId: user._id }).sort({ date: 1 }).lean(),
+        Payment.find({ employeeId: user._id }).sort({ date: 1 }).lean(),
+        Project.find({ "progressReports.reportedBy": user._id })
+          .select("name progressReports")
+          .lean(),
+        Interview.find({ "applications.applicantEmail": applicantEmail })
+          .select("jobTitle companyId applications")
+          .lean(),
+      ]);
+
+    const projectReports = projects.flatMap((project) =>
+      project.progressReports
+        .filter((report) => String(report.reportedBy) === String(user._id))
+        .map((report) => ({
+          projectId: project._id,
+          projectName: project.name,
+          ...report,
+        }))
+    );
+
+    const applications = interviews.flatMap((interview) =>
+      interview.applications
+        .filter(
+          (application) => application.applicantEmail.toLowerCase() === email
+        )
+        .map((application) => ({
+          interviewId: interview._id,
+          jobTitle: interview.jobTitle,
+          companyId: interview.companyId,
+          ...application,
+        }))
+    );
+
+    return {
+      exportedAt: new Date(),
+      profile: user,
+      documents,
+      attendance,
+      payments,
+      projectReports,
+      applications,
+    };
+  }
+
+  async writeArchive(filePath, data) {
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver("zip", { zlib: { level: 9 } });
+
+    const closed = new Promise((resolve, reject) => {
+      output.on("close", resolve);
+      output.on("error", reject);
+      archive.on("error", reject);
+    });
+    archive.pipe(output);
+
+    archive.append(JSON.stringify(data, null, 2), { name: "data.json" });
+    for (const [name, csv] of Object.entries(this.buildCsvFiles(data))) {
+      archive.append(csv, { name: `csv/${name}` });
+    }
+
+    // Fetch referenced files one at a time so only one is held in memory.
+    // Only files in our own Cloudinary account are fetched: applicants supply
+    // resume and video links themselves, and fetching those would let them
+    // make the server request any address.
+    const missingFiles = [];
+    const externalFiles = [];
+    for (const file of this.collectFiles(data)) {
+      if (!this.isStoredFile(file.url)) {
+        externalFiles.push(file.url);
+        continue;
+      }
+
+      let content;
+      try {
+        const response = await axios.get(file.url, {
+          responseType: "arraybuffer",
+          timeout: FILE_DOWNLOAD_TIMEOUT_MS,
+          maxContentLength: MAX_FILE_BYTES,
+          maxRedirects: 0,
+        });
+        content = Buffer.from(response.data);
+      } catch (error) {
+        missingFiles.push(file.url);
+        continue;
+      }
+
+      await this.appendAndWait(archive, content, `files/${file.name}`);
+    }
+
+    if (missingFiles.length > 0) {
+      archive.append(
+        `These files could not be retrieved:\n${missingFiles.join("\n")}\n`,
+        { name: "files/MISSING.txt" }
+      );
+    }
+
+    if (externalFiles.length > 0) {
+      archive.append(
+        `These files are stored outside our service and were not downloaded:\n${externalFiles.join("\n")}\n`,
+        { name: "files/EXTERNAL.txt" }
+      );
+    }
+
+    await archive.finalize();
+    await closed;
+
+    return missingFiles;
+  }
+
+  appendAndWait(archive, content, name) {
+    return new Promise((resolve) => {
+      const onEntry = (entry) => {
+        if (entry.name === name) {
+          archive.off("entry", onEntry);
+          resolve();
+        }
+      };
+
+      archive.on("entry", onEntry);
+      archive.append(content, { name });
+    });
+  }
+
+  buildCsvFiles(data) {
+    const csv = (columns, rows) =>
+      toCSVRow(columns) + rows.map((row) => toCSVRow(row)).join("");
+
+    return {
+      "documents.csv": csv(
+        ["id", "type", "fileName", "status", "uploadedAt", "fileUrl"],
+        data.documents.map((d) => [
+          d._id,
+          d.type,
+          d.fileName,
+          d.status,
+          d.uploadedAt,
+          d.fileUrl,
+        ])
+      ),
+      "attendance.csv": csv(
+        [
+          "date",
+          "status",
+          "clockInTime",
+          "clockOutTime",
+          "workingHours",
+          "efficiencyRating",
+          "monitoringCaptures",
+          "dailyProgress",
+        ],
+        data.attendance.map((a) => [
+          a.date,
+          a.status,
+          a.clockInTime,
+          a.clockOutTime,
+          a.workingHours,
+          a.efficiencyReport && a.efficiencyReport.rating,
+          (a.monitoringCaptures || []).length,
+          a.dailyProgress && a.dailyProgress.description,
+        ])
+      ),
+      "payments.csv": csv(
+        [
+          "id",
+          "date",
+          "type",
+          "amount",
+          "currency",
+          "status",
+          "reference",
+          "declineReason",
+        ],
+        data.payments.map((p) => [
+          p._id,
+          p.date,
+          p.type,
+          p.amount,
+          p.currency,
+          p.status,
+          p.paymentReference,
+          p.declineReason,
+        ])
+      ),
+      "project-reports.csv": csv(
+        ["projectId", "projectName", "date", "progress", "description"],
+        data.projectReports.map((r) => [
+          r.projectId,
+          r.projectName,
+          r.date,
+          r.progress,
+          r.description,
+        ])
+      ),
+      "applications.csv": csv(
+        ["interviewId", "jobTitle", "applicationDate", "status", "rating"],
+        data.applications.map((a) => [
+          a.interviewId,
+          a.jobTitle,
+          a.applicationDate,
+          a.status,
+          a.rating,
+        ])
+      ),
+    };
+  }
+
+  collectFiles(data) {
+    const files = [];
+    const add = (url, name) => {
+      if (url && /^https?:\/\//.test(url)) {
+        const extension = path.extname(new URL(url).pathname);
+        files.push({
+          url,
+          name: `${name}${extension}`.replace(/[^\w./-]/g, "_"),
+        });
+      }
+    };
+
+    add(data.profile.profileImage, "profile/profile-image");
+    add(data.profile.contractUrl, "profile/employment-contract");
+
+    data.documents.forEach((d) => add(d.fileUrl, `documents/${d._id}-${d.type}`));
+
+    data.attendance.forEach((a) => {
+      const day = new Date(a.date).toISOString().slice(0, 10);
+      add(a.clockInImage, `attendance/${day}-clock-in`);
+      add(a.clockOutImage, `attendance/${day}-clock-out`);
+      (a.monitoringCaptures || []).forEach((capture, index) =>
+        add(capture.imageUrl, `attendance/${day}-capture-${index + 1}`)
+      );
+    });
+
+    data.applications.forEach((a) => {
+      add(a.resume, `applications/${a.interviewId}-resume`);
+      (a.responses || []).forEach((response, index) =>
+        add(response.videoUrl, `applications/${a.interviewId}-answer-${index + 1}`)
+      );
+    });
+
+    return files;
+  }
+
+  isStoredFile(url) {
+    const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+    if (!cloudName) return false;
+
+    try {
+      const { protocol, hostname, pathname } = new URL(url);
+      return (
+        protocol === "https:" &&
+        hostname === CLOUDINARY_HOST &&
+        pathname.startsWith(`/${cloudName}/`)
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async removeFile(filePath) {
+    if (!filePath) return;
+    await fs.promises.unlink(filePath).catch(() => {});
+  }
+
+  hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  }
+}
+
+module.exports = new DataExportService();
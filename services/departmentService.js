@@ -0,0 +1,429 @@
+const mongoose = require("mongoose");
+const Department = require("../models/Department");
+const User = require("../models/User");
+const auditService = require("./auditService");
+const { createError } = require("../utils/helpers");
+
+const PERSON_FIELDS =
+  "firstName lastName email designation profileImage department supervisor";
+const AUDITED_FIELDS = ["name", "description", "head", "parent", "costCenter"];
+
+class DepartmentService {
+  /**
+   * List a company's departments with their heads and employee counts
+   * @param {Object} company - Company document
+   * @returns {Array} Departments
+   */
+  async listDepartments(company) {
+    const departments = await Department.find({ companyId: company._id })
+      .populate("head", "firstName lastName email designation")
+      .sort({ name: 1 })
+      .lean();
+
+    const counts = await this.countEmployees(company);
+
+    return departments.map((department) => ({
+      ...department,
+      employeeCount: counts.get(department._id.toString()) || 0,
+    }));
+  }
+
+  /**
+   * Create a department
+   * @param {Object} company - Company document
+   * @param {Object} user - Creating member
+   * @param {Object} data - Validated departmentSchema payload
+   * @returns {Object} Created department
+   */
+  async createDepartment(company, user, data) {
+    await this.assertHead(company, data.head);
+    if (data.parent) {
+      await this.findDepartment(company, data.parent);
+    }
+
+    const department = new Department({
+      ...data,
+      companyId: company._id,
+      createdBy: user._id,
+    });
+    await this.save(department);
+
+    await auditService.record({
+      action: "department.created",
+      target: { type: "Department", id: department._id },
+      companyId: company._id,
+      after: this.snapshot(department),
+    });
+
+    return department;
+  }
+
+  /**
+   * Update a department. Passing null for head or parent clears it.
+   * @param {Object} company - Company document
+   * @param {String} departmentId - Department ID
+   * @param {Object} data - Validated departmentSchema payload
+   * @returns {Object} Updated department
+   */
+  async updateDepartment(company, departmentId, data) {
+    const department = await this.findDepartment(company, departmentId);
+
+    if (data.head) {
+      await this.assertHead(company, data.head);
+    }
+    if (data.parent) {
+      await this.assertParent(company, department, data.parent);
+    }
+
+    const before = this.snapshot(department);
+    department.set(data);
+    await this.save(department);
+
+    await auditService.record({
+      action: "department.updated",
+      target: { type: "Department", id: department._id },
+      companyId: company._id,
+      before,
+      after: this.snapshot(department),
+    });
+
+    return department;
+  }
+
+  /**
+   * Delete a department without sub-departments. Its employees become
+   * unassigned.
+   * @param {Object} company - Company document
+   * @param {String} departmentId - Department ID
+   */
+  async deleteDepartment(company, departmentId) {
+    const department = await this.findDepartment(company, departmentId);
+
+    if (await Department.exists({ parent: department._id })) {
+      throw createError(
+        409,
+        "Move or delete this department's sub-departments first"
+      );
+    }
+
+    const { modifiedCount } = await User.updateMany(
+      { companyId: company._id, department: department._id },
+      { $unset: { department: "" } }
+    );
+    await department.deleteOne();
+
+    await auditService.record({
+      action: "department.deleted",
+      target: { type: "Department", id: department._id },
+      companyId: company._id,
+      before: this.snapshot(department),
+      metadata: { employeesUnassigned: modifiedCount },
+    });
+  }
+
+  /**
+   * Move an employee into a department, or out of any department
+   * @param {Object} company - Company document
+   * @param {String} employeeId - Employee's user ID
+   * @param {String|null} departmentId - Department ID, or null to unassign
+   * @returns {Object} Updated employee
+   */
+  async assignEmployee(company, employeeId, departmentId) {
+    if (!mongoose.isValidObjectId(employeeId)) {
+      throw createError(404, "Employee not found");
+    }
+
+    const employee = await User.findOne({
+      _id: employeeId,
+      companyId: company._id,
+      role: "employee",
+    });
+    if (!employee) {
+      throw createError(404, "Employee not found");
+    }
+
+    const department = departmentId
+      ? await this.findDepartment(company, departmentId)
+      : null;
+    const before = employee.department;
+
+    employee.department = department ? department._id : undefined;
+    await employee.save();
+
+    await auditService.record({
+      action: "employee.department_changed",
+      target: { type: "User", id: employee._id },
+      companyId: company._id,
+      before: { department: before || null },
+      after: { department: employee.department || null },
+    });
+
+    return employee;
+  }
+
+  /**
+   * Resolve the department an invitation names, by ID or by name
+   * @param {Object} company - Company document
+   * @param {String} value - Department ID or name
+   * @returns {Object} Department
+   */
+  async resolveDepartment(company, value) {
+    const department = await Department.findOne({
+      companyId: company._id,
+      ...(mongoose.isValidObjectId(value) ? { _id: value } : { name: value }),
+    });
+    if (!department) {
+      throw createError(400, `Department "${value}" does not exist`);
+    }
+
+    return department;
+  }
+
+  /**
+   * Get the IDs of everyone in a department or any of its sub-departments,
+   * for filtering reports
+   * @param {Object} company - Company document
+   * @param {String} departmentId - Department ID
+   * @returns {Array} User IDs
+   */
+  async getEmployeeIds(company, departmentId) {
+    const department = await this.findDepartment(company, departmentId);
+    const departmentIds = await this.getSubtreeIds(company, department._id);
+
+    return User.distinct("_id", {
+      companyId: company._id,
+      department: { $in: departmentIds },
+    });
+  }
+
+  /**
+   * Build the company's org chart: the department hierarchy, and the
+   * reporting tree of active people following User.supervisor
+   * @param {Object} company - Company document
+   * @returns {Object} { departments, reporting }
+   */
+  async getOrgChart(company) {
+    const [departments, people] = await Promise.all([
+      Department.find({ companyId: company._id })
+        .select("name description head parent costCenter")
+        .sort({ name: 1 })
+        .lean(),
+      User.find({
+        $or: [
+          { companyId: company._id },
+          { _id: { $in: company.members.map((member) => member.userId) } },
+        ],
+        isActive: true,
+      })
+        .select(PERSON_FIELDS)
+        .sort({ firstName: 1 })
+        .lean(),
+    ]);
+
+    const departmentsById = new Map(
+      departments.map((department) => [department._id.toString(), department])
+    );
+
+    const nodes = new Map(
+      people.map((person) => {
+        const department =
+          person.department &&
+          departmentsById.get(person.department.toString());
+
+        return [
+          person._id.toString(),
+          {
+            _id: person._id,
+            firstName: person.firstName,
+            lastName: person.lastName,
+            email: person.email,
+            designation: person.designation,
+            profileImage: person.profileImage,
+            department: department
+              ? { _id: department._id, name: department.name }
+              : null,
+            supervisor: person.supervisor || null,
+            reports: [],
+          },
+        ];
+      })
+    );
+
+    const reporting = this.buildTree(
+      [...nodes.values()],
+      (node) => node.supervisor && nodes.get(node.supervisor.toString()),
+      "reports"
+    );
+
+    const headcount = new Map();
+    people.forEach((person) => {
+      if (!person.department) return;
+      const key = person.department.toString();
+      headcount.set(key, (headcount.get(key) || 0) + 1);
+    });
+
+    const departmentNodes = departments.map((department) => {
+      const head = department.head && nodes.get(department.head.toString());
+
+      return {
+        _id: department._id,
+        name: department.name,
+        description: department.description,
+        costCenter: department.costCenter,
+        head: head
+          ? {
+              _id: head._id,
+              firstName: head.firstName,
+              lastName: head.lastName,
+              designation: head.designation,
+            }
+          : null,
+        parent: department.parent || null,
+        employeeCount: headcount.get(department._id.toString()) || 0,
+        children: [],
+      };
+    });
+    const departmentNodesById = new Map(
+      departmentNodes.map((node) => [node._id.toString(), node])
+    );
+
+    return {
+      departments: this.buildTree(
+        departmentNodes,
+        (node) =>
+          node.parent && departmentNodesById.get(node.parent.toString()),
+        "children"
+      ),
+      reporting,
+    };
+  }
+
+  async findDepartment(company, departmentId) {
+    if (!mongoose.isValidObjectId(departmentId)) {
+      throw createError(404, "Department not found");
+    }
+
+    const department = await Department.findOne({
+      _id: departmentId,
+      companyId: company._id,
+    });
+    if (!department) {
+      throw createError(404, "Department not found");
+    }
+
+    return department;
+  }
+
+  async assertHead(company, headId) {
+    if (!headId) return;
+
+    const head =
+      mongoose.isValidObjectId(headId) &&
+      (await User.exists({
+        _id: headId,
+        isActive: true,
+        $or: [{ companyId: company._id }, { _id: company.owner }],
+      }));
+    if (!head) {
+      throw createError(400, "Department head must belong to your company");
+    }
+  }
+
+  async assertParent(company, department, parentId) {
+    const parent = await this.findDepartment(company, parentId);
+
+    // Walk up from the new parent; meeting the department means a cycle
+    let current = parent;
+    while (current) {
+      if (current._id.equals(department._id)) {
+        throw createError(
+          400,
+          "A department cannot be placed under itself or its sub-departments"
+        );
+      }
+      current = current.parent
+        ? await Department.findById(current.parent).select("parent")
+        : null;
+    }
+  }
+
+  async getSubtreeIds(company, departmentId) {
+    const departments = await Department.find({ companyId: company._id })
+      .select("parent")
+      .lean();
+
+    const ids = [departmentId];
+    for (let i = 0; i < ids.length; i++) {
+      departments
+        .filter((d) => d.parent && d.parent.equals(ids[i]))
+        .forEach((d) => ids.push(d._id));
+    }
+
+    return ids;
+  }
+
+  async countEmployees(company) {
+    const counts = await User.aggregate([
+      {
+        $match: {
+          companyId: company._id,
+          isActive: true,
+          department: { $exists: true },
+        },
+      },
+      { $group: { _id: "$department", count: { $sum: 1 } } },
+    ]);
+
+    return new Map(counts.map((c) => [c._id.toString(), c.count]));
+  }
+
+  buildTree(nodes, getParent, childKey) {
+    const roots = [];
+
+    nodes.forEach((node) => {
+      const parent = getParent(node);
+      // Anyone whose chain loops back to themselves is shown at the top level
+      if (parent && !this.isAncestor(node, parent, getParent)) {
+        parent[childKey].push(node);
+      } else {
+        roots.push(node);
+      }
+    });
+
+    return roots;
+  }
+
+  isAncestor(node, candidate, getParent) {
+    const seen = new Set();
+    let current = candidate;
+
+    while (current && !seen.has(current)) {
+      if (current === node) return true;
+      seen.add(current);
+      current = getParent(current);
+    }
+
+    return false;
+  }
+
+  snapshot(department) {
+    return AUDITED_FIELDS.reduce((result, field) => {
+      const value = department[field];
+      result[field] = value === undefined ? null : value;
+      return result;
+    }, {});
+  }
+
+  async save(department) {
+    try {
+      await department.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createError(409, "A department with this name already exists");
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new DepartmentService();
@@ -3,6 +3,7 @@ const config = require("../config/emailConfig");
 const ejs = require("ejs");
 const path = require("path");
 const fs = require("fs");
+const { formatCurrency, getBranding } = require("../utils/helpers");
 
 class EmailService {
   constructor() {
@@ -17,17 +18,31 @@ class EmailService {
     });
   }
 
-  async sendEmail(to, subject, template, data) {
+  /**
+   * Render a template inside the email layout and send it
+   * @param {String|Array} to - Recipient address(es)
+   * @param {String} subject - Subject line
+   * @param {String} template - Template name in views/emails
+   * @param {Object} data - Template data
+   * @param {Object} company - Company the email is sent on behalf of, whose
+   * branding it carries (omit for platform emails)
+   */
+  async sendEmail(to, subject, template, data, company) {
     try {
-      const templatePath = path.join(
-        __dirname,
-        "../views/emails",
-        `${template}.ejs`
+      const viewsDir = path.join(__dirname, "../views/emails");
+      const brand = getBranding(company);
+
+      const body = await ejs.renderFile(
+        path.join(viewsDir, `${template}.ejs`),
+        { ...data, brand }
       );
-      const html = await ejs.renderFile(templatePath, data);
+      const html = await ejs.renderFile(path.join(viewsDir, "layout.ejs"), {
+        brand,
+        body,
+      });
 
       const mailOptions = {
-        from: `"HR Management" <${config.user}>`,
+        from: { name: brand.senderName, address: config.user },
         to,
         subject,
         html,
@@ -40,19 +55,20 @@ class EmailService {
     }
   }
 
-  async sendEmployeeInvitation(employee, company, password, invitationLink) {
+  async sendEmployeeInvitation(employee, company, invitationLink, expiresAt) {
     const data = {
       employee,
       company,
-      password,
       invitationLink,
+      expiresAt,
     };
 
     return this.sendEmail(
       employee.email,
       `Invitation to join ${company.name}`,
       "employeeInvitation",
-      data
+      data,
+      company
     );
   }
 
@@ -68,7 +84,8 @@ class EmailService {
       employee.email,
       `Termination of Employment with ${company.name}`,
       "employeeTermination",
-      data
+      data,
+      company
     );
   }
 
@@ -88,10 +105,27 @@ class EmailService {
     );
   }
 
-  async sendPaymentNotification(employee, amount, date) {
+  async sendTeamEfficiencyReport(recipient, report, company) {
+    const data = {
+      recipient,
+      ...report,
+    };
+
+    return this.sendEmail(
+      recipient.email,
+      `Daily Efficiency Report: ${report.companyName} - ${report.date}`,
+      "teamEfficiencyReport",
+      data,
+      company
+    );
+  }
+
+  async sendPaymentNotification(employee, amount, date, currency, company) {
     const data = {
       employee,
       amount,
+      currency,
+      formattedAmount: formatCurrency(amount, currency),
       date,
     };
 
@@ -99,11 +133,17 @@ class EmailService {
       employee.email,
       "Daily Payment Notification",
       "paymentNotification",
-      data
+      data,
+      company
     );
   }
 
-  async sendPaymentDeclinedNotification(employee, employer, reason) {
+  async sendPaymentDeclinedNotification(
+    employee,
+    employer,
+    reason,
+    company
+  ) {
     const data = {
       employee,
       employer,
@@ -115,7 +155,8 @@ class EmailService {
       [employee.email, employer.email],
       "Payment Declined Notification",
       "paymentDeclined",
-      data
+      data,
+      company
     );
   }
 
@@ -135,6 +176,100 @@ class EmailService {
     );
   }
 
+  async sendAccountLockedEmail(user, unlockLink, lockUntil) {
+    const data = {
+      user,
+      unlockLink,
+      lockUntil,
+    };
+
+    return this.sendEmail(
+      user.email,
+      "Your account has been temporarily locked",
+      "accountLocked",
+      data
+    );
+  }
+
+  async sendDataExportReady(user, downloadLink, expiresAt) {
+    const data = {
+      user,
+      downloadLink,
+      expiresAt,
+    };
+
+    return this.sendEmail(
+      user.email,
+      "Your personal data export is ready",
+      "dataExportReady",
+      data
+    );
+  }
+
+  async sendCompanyVerificationUpdate(user, company) {
+    const subjects = {
+      under_review: `${company.name} is under review`,
+      approved: `${company.name} has been approved`,
+      rejected: `${company.name} needs attention before approval`,
+      suspended: `${company.name} has been suspended`,
+    };
+
+    const data = {
+      user,
+      company,
+      status: company.status,
+      reason: company.verification.statusReason,
+      dashboardLink: `${process.env.CLIENT_URL}/company/verification`,
+    };
+
+    return this.sendEmail(
+      user.email,
+      subjects[company.status] || `${company.name} verification update`,
+      "companyVerificationUpdate",
+      data
+    );
+  }
+
+  async sendInvoice(user, company, invoice) {
+    const data = {
+      user,
+      company,
+      invoice,
+      formattedAmount: formatCurrency(invoice.amount, invoice.currency),
+      billingLink: `${process.env.CLIENT_URL}/company/billing`,
+    };
+
+    return this.sendEmail(
+      user.email,
+      `${company.name} invoice ${invoice.number}`,
+      "invoiceIssued",
+      data
+    );
+  }
+
+  async sendSubscriptionUpdate(user, company) {
+    const subjects = {
+      past_due: `${company.name} has an overdue invoice`,
+      restricted: `${company.name} has been restricted for non-payment`,
+      active: `${company.name} subscription is active again`,
+    };
+
+    const data = {
+      user,
+      company,
+      status: company.subscription.status,
+      graceEndsAt: company.subscription.graceEndsAt,
+      billingLink: `${process.env.CLIENT_URL}/company/billing`,
+    };
+
+    return this.sendEmail(
+      user.email,
+      subjects[data.status] || `${company.name} subscription update`,
+      "subscriptionUpdate",
+      data
+    );
+  }
+
   async sendVerificationCode(email, code) {
     const data = {
       code,
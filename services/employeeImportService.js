@@ -0,0 +1,482 @@
+const mongoose = require("mongoose");
+const EmployeeImport = require("../models/EmployeeImport");
+const Company = require("../models/Company");
+const User = require("../models/User");
+const invitationService = require("./invitationService");
+const departmentService = require("./departmentService");
+const billingService = require("./billingService");
+const { createError, parseCSV, toCSVRow } = require("../utils/helpers");
+const {
+  validateData,
+  employeeInvitationSchema,
+  isValidTimeFormat,
+} = require("../utils/validators");
+
+const MAX_ROWS = 500;
+// Every processed row touches updatedAt, so only an import whose worker has
+// died goes this long without an update
+const STALE_PROCESSING_MS = 15 * 60 * 1000;
+const DEFAULT_WORK_PERIOD = { startTime: "09:00", endTime: "17:00" };
+
+// Accepted headers, compared ignoring case, spaces, underscores and hyphens
+const COLUMNS = {
+  name: "name",
+  fullname: "name",
+  firstname: "firstName",
+  lastname: "lastName",
+  email: "email",
+  designation: "position",
+  position: "position",
+  jobtitle: "position",
+  wages: "salary",
+  salary: "salary",
+  currency: "currency",
+  workingdays: "workingDays",
+  starttime: "startTime",
+  endtime: "endTime",
+  supervisoremail: "supervisorEmail",
+  department: "department",
+};
+const REQUIRED_COLUMNS = {
+  email: "email",
+  position: "designation",
+  salary: "wages",
+  workingDays: "working days",
+  supervisorEmail: "supervisor email",
+};
+const DAY_ABBREVIATIONS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+class EmployeeImportService {
+  /**
+   * Validate a CSV of employees without inviting anyone
+   * @param {Object} company - Company document
+   * @param {String} csv - Uploaded CSV
+   * @returns {Object} { totalRows, validRows, invalidRows, rows } where each
+   * row is { row, email, valid, errors }
+   */
+  async previewImport(company, csv) {
+    const { headers, rows } = this.parseFile(csv);
+    const results = await this.validateRows(company, headers, rows);
+
+    const report = results.map(({ row, email, errors }) => ({
+      row,
+      email,
+      valid: errors.length === 0,
+      errors,
+    }));
+    const validRows = report.filter((row) => row.valid).length;
+
+    return {
+      totalRows: report.length,
+      validRows,
+      invalidRows: report.length - validRows,
+      rows: report,
+    };
+  }
+
+  /**
+   * Queue a CSV of employees to be invited in the background. Rows are
+   * validated again when processed, and those that fail are kept for the
+   * error report.
+   * @param {Object} company - Company document
+   * @param {Object} user - Member uploading the file
+   * @param {Object} file - { csv, fileName }
+   * @returns {Object} Queued import
+   */
+  async startImport(company, user, { csv, fileName }) {
+    const { headers, rows } = this.parseFile(csv);
+
+    const employeeImport = await EmployeeImport.create({
+      companyId: company._id,
+      createdBy: user._id,
+      fileName,
+      headers,
+      rows,
+      totalRows: rows.length,
+    });
+
+    return this.getImport(company, employeeImport._id);
+  }
+
+  /**
+   * Get an import and its progress
+   * @param {Object} company - Company document
+   * @param {String} importId - Import ID
+   * @returns {Object} Import, without its rows
+   */
+  async getImport(company, importId) {
+    return this.findImport(company, importId);
+  }
+
+  /**
+   * Build a CSV of the rows that couldn't be invited: the uploaded columns
+   * plus the reason, so the file can be corrected and uploaded again
+   * @param {Object} company - Company document
+   * @param {String} importId - Import ID
+   * @returns {Object} { fileName, csv }
+   */
+  async getErrorCsv(company, importId) {
+    const employeeImport = await this.findImport(company, importId, "+rows");
+
+    let csv = toCSVRow([...employeeImport.headers, "error"]);
+    employeeImport.rows
+      .filter((row) => row.status === "failed")
+      .forEach((row) => {
+        csv += toCSVRow([...row.values, row.error]);
+      });
+
+    return {
+      fileName: `employee-import-${employeeImport._id}-errors.csv`,
+      csv,
+    };
+  }
+
+  /**
+   * Invite the employees of every queued import, one import at a time
+   * @returns {Number} Number of imports processed
+   */
+  async processPendingImports() {
+    // Requeue imports whose worker died; rows already handled are kept
+    await EmployeeImport.updateMany(
+      {
+        status: "processing",
+        updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) },
+      },
+      { $set: { status: "pending" } }
+    );
+
+    let processed = 0;
+    let employeeImport;
+
+    while (
+      (employeeImport = await EmployeeImport.findOneAndUpdate(
+        { status: "pending" },
+        { $set: { status: "processing", startedAt: new Date() } },
+        { new: true, sort: { createdAt: 1 } }
+      ))
+    ) {
+      await this.runImport(employeeImport);
+      processed++;
+    }
+
+    return processed;
+  }
+
+  async runImport(employeeImport) {
+    try {
+      const [{ rows }, company, inviter] = await Promise.all([
+        EmployeeImport.findById(employeeImport._id).select("+rows").lean(),
+        Company.findById(employeeImport.companyId),
+        User.findById(employeeImport.createdBy),
+      ]);
+      if (!company || !inviter) {
+        throw new Error("Company or importing member no longer exists");
+      }
+      if (billingService.isRestricted(company)) {
+        throw new Error(
+          "Invitations are unavailable until overdue invoices are paid"
+        );
+      }
+
+      const pending = rows
+        .map((row, index) => ({ ...row, index }))
+        .filter((row) => row.status === "pending");
+      const results = await this.validateRows(
+        company,
+        employeeImport.headers,
+        pending
+      );
+
+      for (const [i, result] of results.entries()) {
+        const outcome = await this.inviteRow(company, inviter, result);
+        const path = `rows.${pending[i].index}`;
+
+        await EmployeeImport.updateOne(
+          { _id: employeeImport._id },
+          {
+            $set: {
+              [`${path}.status`]: outcome.status,
+              [`${path}.invitationId`]: outcome.invitationId,
+              [`${path}.error`]: outcome.error,
+            },
+            $inc: {
+              processedRows: 1,
+              [outcome.status === "invited" ? "invitedRows" : "failedRows"]: 1,
+            },
+          }
+        );
+      }
+
+      await EmployeeImport.updateOne(
+        { _id: employeeImport._id },
+        { $set: { status: "completed", completedAt: new Date() } }
+      );
+    } catch (error) {
+      console.error(
+        `Error running employee import ${employeeImport._id}:`,
+        error
+      );
+      await EmployeeImport.updateOne(
+        { _id: employeeImport._id },
+        {
+          $set: {
+            status: "failed",
+            completedAt: new Date(),
+            error: error.message,
+          },
+        }
+      );
+    }
+  }
+
+  async inviteRow(company, inviter, { row, data, errors }) {
+    if (errors.length > 0) {
+      return { status: "failed", error: errors.join("; ") };
+    }
+
+    try {
+      const { invitation } = await invitationService.createInvitation({
+        company,
+        inviter,
+        data,
+      });
+      return { status: "invited", invitationId: invitation._id };
+    } catch (error) {
+      if (!error.statusCode) {
+        console.error(`Error inviting employee import row ${row}:`, error);
+      }
+      return {
+        status: "failed",
+        error: error.statusCode
+          ? error.message
+          : "The invitation could not be created",
+      };
+    }
+  }
+
+  parseFile(csv) {
+    const records = parseCSV(csv || "");
+    if (records.length === 0) {
+      throw createError(400, "The CSV has no employee rows");
+    }
+    if (records.length > MAX_ROWS) {
+      throw createError(400, `A CSV can contain at most ${MAX_ROWS} employees`);
+    }
+
+    const headers = Object.keys(records[0]);
+    const fields = headers.map((header) => this.getField(header));
+
+    const missing = Object.keys(REQUIRED_COLUMNS)
+      .filter((field) => !fields.includes(field))
+      .map((field) => REQUIRED_COLUMNS[field]);
+    if (
+      !fields.includes("name") &&
+      !(fields.includes("firstName") && fields.includes("lastName"))
+    ) {
+      missing.unshift("name");
+    }
+    if (missing.length > 0) {
+      throw createError(400, `Missing CSV columns: ${missing.join(", ")}`);
+    }
+
+    return {
+      headers,
+      rows: records.map((record, index) => ({
+        row: index + 1,
+        values: headers.map((header) => record[header] || ""),
+      })),
+    };
+  }
+
+  async validateRows(company, headers, rows) {
+    const entries = rows.map((row) => ({
+      row: row.row,
+      fields: this.mapFields(headers, row.values),
+    }));
+
+    const emails = entries
+      .map(({ fields }) => (fields.email || "").toLowerCase())
+      .filter(Boolean);
+    const supervisorEmails = entries
+      .map(({ fields }) => (fields.supervisorEmail || "").toLowerCase())
+      .filter(Boolean);
+
+    const [registered, supervisors, departments] = await Promise.all([
+      User.distinct("email", { email: { $in: emails } }),
+      User.find({
+        email: { $in: supervisorEmails },
+        isActive: true,
+        $or: [{ companyId: company._id }, { _id: company.owner }],
+      }).select("email"),
+      this.resolveDepartments(company, entries),
+    ]);
+
+    const registeredEmails = new Set(registered);
+    const supervisorsByEmail = new Map(
+      supervisors.map((supervisor) => [supervisor.email, supervisor])
+    );
+    // Later rows repeating an email are rejected; the first is kept
+    const firstRows = new Map();
+    entries.forEach(({ row, fields }) => {
+      const email = (fields.email || "").toLowerCase();
+      if (email && !firstRows.has(email)) firstRows.set(email, row);
+    });
+
+    return entries.map(({ row, fields }) => {
+      const email = (fields.email || "").toLowerCase();
+      const supervisor = supervisorsByEmail.get(
+        (fields.supervisorEmail || "").toLowerCase()
+      );
+      const { days, unknownDays } = this.parseWorkingDays(fields.workingDays);
+      const data = this.toInvitation(company, fields, supervisor, days);
+
+      const { errors } = validateData(data, employeeInvitationSchema);
+
+      if (fields.supervisorEmail && !supervisor) {
+        errors.push(
+          `Supervisor ${fields.supervisorEmail} is not an active member of your company`
+        );
+      }
+      unknownDays.forEach((day) => errors.push(`Unknown working day "${day}"`));
+      if (days.length === 0 && unknownDays.length === 0) {
+        errors.push("At least one working day is required");
+      }
+      ["startTime", "endTime"].forEach((field) => {
+        if (!isValidTimeFormat(data.workPeriod[field])) {
+          const time = data.workPeriod[field];
+          errors.push(`"${time}" is not a valid time (HH:mm)`);
+        }
+      });
+      if (fields.department && !departments.get(fields.department)) {
+        errors.push(`Department "${fields.department}" does not exist`);
+      }
+      if (registeredEmails.has(email)) {
+        errors.push("Email already registered");
+      }
+      if (email && firstRows.get(email) !== row) {
+        errors.push(`Email already appears in row ${firstRows.get(email)}`);
+      }
+
+      return { row, email: email || null, data, errors };
+    });
+  }
+
+  async resolveDepartments(company, entries) {
+    const names = [
+      ...new Set(
+        entries.map(({ fields }) => fields.department).filter(Boolean)
+      ),
+    ];
+    const departments = new Map();
+
+    for (const name of names) {
+      try {
+        departments.set(
+          name,
+          await departmentService.resolveDepartment(company, name)
+        );
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        departments.set(name, null);
+      }
+    }
+
+    return departments;
+  }
+
+  toInvitation(company, fields, supervisor, workingDays) {
+    let { firstName, lastName } = fields;
+    if (!firstName && fields.name) {
+      const [first, ...rest] = fields.name.split(/\s+/);
+      firstName = first;
+      lastName = rest.join(" ");
+    }
+
+    const salary = fields.salary
+      ? Number(fields.salary.replace(/[,\s]/g, ""))
+      : undefined;
+
+    return {
+      email: fields.email || undefined,
+      firstName: firstName || undefined,
+      lastName: lastName || undefined,
+      role: "employee",
+      workPeriod: {
+        startTime: fields.startTime || DEFAULT_WORK_PERIOD.startTime,
+        endTime: fields.endTime || DEFAULT_WORK_PERIOD.endTime,
+        workingDays,
+      },
+      // An unknown supervisor is reported separately, so keep the email
+      supervisor: supervisor
+        ? String(supervisor._id)
+        : fields.supervisorEmail || undefined,
+      salary,
+      currency: fields.currency ? fields.currency.toUpperCase() : undefined,
+      position: fields.position || undefined,
+      department: fields.department || undefined,
+      companyId: String(company._id),
+    };
+  }
+
+  // Days are numbers (0 is Sunday) or names, separated by commas, semicolons,
+  // pipes or spaces; ranges such as "Mon-Fri" wrap around the week
+  parseWorkingDays(value) {
+    const days = new Set();
+    const unknownDays = [];
+
+    const toDay = (token) => {
+      if (/^[0-6]$/.test(token)) return Number(token);
+      const index = DAY_ABBREVIATIONS.indexOf(token.slice(0, 3).toLowerCase());
+      return index === -1 ? null : index;
+    };
+
+    (value || "")
+      .split(/[,;|\s]+/)
+      .filter(Boolean)
+      .forEach((token) => {
+        const [start, end = start] = token.split("-").map(toDay);
+        if (start === null || end === null || token.split("-").length > 2) {
+          unknownDays.push(token);
+          return;
+        }
+        for (let day = start; ; day = (day + 1) % 7) {
+          days.add(day);
+          if (day === end) break;
+        }
+      });
+
+    return { days: [...days].sort((a, b) => a - b), unknownDays };
+  }
+
+  mapFields(headers, values) {
+    return headers.reduce((fields, header, index) => {
+      const field = this.getField(header);
+      if (field && fields[field] === undefined) {
+        fields[field] = values[index] || "";
+      }
+      return fields;
+    }, {});
+  }
+
+  getField(header) {
+    return COLUMNS[header.toLowerCase().replace(/[\s_-]/g, "")] || null;
+  }
+
+  async findImport(company, importId, select = "") {
+    if (!mongoose.isValidObjectId(importId)) {
+      throw createError(404, "Import not found");
+    }
+
+    const employeeImport = await EmployeeImport.findOne({
+      _id: importId,
+      companyId: company._id,
+    }).select(select);
+    if (!employeeImport) {
+      throw createError(404, "Import not found");
+    }
+
+    return employeeImport;
+  }
+}
+
+module.exports = new EmployeeImportService();
@@ -0,0 +1,113 @@
+const ExchangeRate = require("../models/ExchangeRate");
+const auditService = require("./auditService");
+const { createError, roundAmount } = require("../utils/helpers");
+
+class ExchangeRateService {
+  /**
+   * List stored exchange rates, newest first
+   * @param {Object} filters - { base, quote }
+   * @returns {Array} Exchange rates
+   */
+  async listRates({ base, quote } = {}) {
+    const query = {};
+    if (base) query.base = base;
+    if (quote) query.quote = quote;
+
+    return ExchangeRate.find(query)
+      .populate("createdBy", "firstName lastName email")
+      .sort({ effectiveDate: -1, base: 1, quote: 1 });
+  }
+
+  /**
+   * Store the rate between two currencies from a date onwards
+   * @param {Object} user - Admin recording the rate
+   * @param {Object} data - Validated exchangeRateSchema payload
+   * @returns {Object} Created exchange rate
+   */
+  async setRate(user, data) {
+    if (data.base === data.quote) {
+      throw createError(400, "Base and quote currencies must differ");
+    }
+
+    let rate;
+    try {
+      rate = await ExchangeRate.create({
+        base: data.base,
+        quote: data.quote,
+        rate: data.rate,
+        effectiveDate: data.effectiveDate || new Date(),
+        source: data.source,
+        createdBy: user._id,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createError(409, "A rate for this pair and date already exists");
+      }
+      throw error;
+    }
+
+    await auditService.record({
+      action: "exchange_rate.created",
+      actor: user,
+      target: { type: "ExchangeRate", id: rate._id },
+      after: {
+        base: rate.base,
+        quote: rate.quote,
+        rate: rate.rate,
+        effectiveDate: rate.effectiveDate,
+      },
+    });
+
+    return rate;
+  }
+
+  /**
+   * Get the rate in force between two currencies at a point in time. Falls
+   * back to the inverse of the opposite pair.
+   * @param {String} from - Currency converted from
+   * @param {String} to - Currency converted to
+   * @param {Date} at - Instant the rate applies to (defaults to now)
+   * @returns {Number} Units of `to` per unit of `from`
+   */
+  async getRate(from, to, at = new Date()) {
+    if (from === to) return 1;
+
+    const [direct, inverse] = await Promise.all([
+      this.findLatest(from, to, at),
+      this.findLatest(to, from, at),
+    ]);
+
+    // Prefer whichever pair was quoted most recently
+    if (direct && (!inverse || direct.effectiveDate >= inverse.effectiveDate)) {
+      return direct.rate;
+    }
+    if (inverse) {
+      return 1 / inverse.rate;
+    }
+
+    throw createError(400, `No exchange rate from ${from} to ${to} is on file`);
+  }
+
+  /**
+   * Convert an amount between currencies at the stored rate
+   * @param {Number} amount - Amount in `from`
+   * @param {String} from - Currency converted from
+   * @param {String} to - Currency converted to
+   * @param {Date} at - Instant the rate applies to (defaults to now)
+   * @returns {Object} { amount, rate }
+   */
+  async convert(amount, from, to, at) {
+    const rate = await this.getRate(from, to, at);
+    return { amount: roundAmount(amount * rate, to), rate };
+  }
+
+  async findLatest(base, quote, at) {
+    return ExchangeRate.findOne({
+      base,
+      quote,
+      effectiveDate: { $lte: at },
+    }).sort({ effectiveDate: -1 });
+  }
+}
+
+module.exports = new ExchangeRateService();
@@ -0,0 +1,268 @@
+const mongoose = require("mongoose");
+const Holiday = require("../models/Holiday");
+const Company = require("../models/Company");
+const auditService = require("./auditService");
+const { createError, getLocalDay } = require("../utils/helpers");
+
+// Bundled public-holiday calendars, keyed by lowercase country code
+const CALENDARS = {
+  ng: require("../data/holidays/ng.json"),
+};
+const DEFAULT_CALENDAR = "ng";
+
+class HolidayService {
+  /**
+   * List a company's holidays for a year
+   * @param {Object} company - Company document
+   * @param {Number} year - Calendar year
+   * @returns {Array} Holidays in date order
+   */
+  async listHolidays(company, year) {
+    return Holiday.find({
+      companyId: company._id,
+      date: { $gte: `${year}-01-01`, $lte: `${year}-12-31` },
+    }).sort({ date: 1 });
+  }
+
+  /**
+   * Add a company holiday
+   * @param {Object} company - Company document
+   * @param {Object} user - Creating member
+   * @param {Object} data - Validated holidaySchema payload
+   * @returns {Object} Created holiday
+   */
+  async createHoliday(company, user, data) {
+    const holiday = new Holiday({
+      ...data,
+      companyId: company._id,
+      type: "company",
+      createdBy: user._id,
+    });
+    await this.save(holiday);
+
+    await auditService.record({
+      action: "holiday.created",
+      target: { type: "Holiday", id: holiday._id },
+      companyId: company._id,
+      after: this.snapshot(holiday),
+    });
+
+    return holiday;
+  }
+
+  /**
+   * Update a holiday's name, date or pay rule. Editing an imported public
+   * holiday clears its estimated flag.
+   * @param {Object} company - Company document
+   * @param {String} holidayId - Holiday ID
+   * @param {Object} data - Validated holidayUpdateSchema payload
+   * @returns {Object} Updated holiday
+   */
+  async updateHoliday(company, holidayId, data) {
+    const holiday = await this.findHoliday(company, holidayId);
+    const before = this.snapshot(holiday);
+
+    holiday.set({ ...data, estimated: false });
+    await this.save(holiday);
+
+    await auditService.record({
+      action: "holiday.updated",
+      target: { type: "Holiday", id: holiday._id },
+      companyId: company._id,
+      before,
+      after: this.snapshot(holiday),
+    });
+
+    return holiday;
+  }
+
+  /**
+   * Remove a holiday so the day is worked as normal
+   * @param {Object} company - Company document
+   * @param {String} holidayId - Holiday ID
+   */
+  async deleteHoliday(company, holidayId) {
+    const holiday = await this.findHoliday(company, holidayId);
+    await holiday.deleteOne();
+
+    await auditService.record({
+      action: "holiday.deleted",
+      target: { type: "Holiday", id: holiday._id },
+      companyId: company._id,
+      before: this.snapshot(holiday),
+    });
+  }
+
+  /**
+   * Copy a year's public holidays from the bundled calendar. Days the
+   * company already has on its calendar are left untouched.
+   * @param {Object} company - Company document
+   * @param {Number} year - Calendar year
+   * @returns {Object} { imported, skipped }
+   */
+  async importPublicHolidays(company, year) {
+    const holidays = this.getPublicHolidays(year);
+    if (!holidays) {
+      throw createError(
+        404,
+        `No public holiday calendar is available for ${year}`
+      );
+    }
+
+    const result = await Holiday.bulkWrite(
+      holidays.map((holiday) => ({
+        updateOne: {
+          filter: { companyId: company._id, date: holiday.date },
+          update: {
+            $setOnInsert: {
+              companyId: company._id,
+              date: holiday.date,
+              name: holiday.name,
+              type: "public",
+              estimated: !!holiday.estimated,
+            },
+          },
+          upsert: true,
+        },
+      }))
+    );
+
+    const imported = result.upsertedCount;
+    if (imported > 0) {
+      await auditService.record({
+        action: "holiday.imported",
+        target: { type: "Company", id: company._id },
+        companyId: company._id,
+        metadata: { year, imported },
+      });
+    }
+
+    return { imported, skipped: holidays.length - imported };
+  }
+
+  /**
+   * Import a year's public holidays for every active company
+   * @param {Number} year - Calendar year
+   * @returns {Number} Holidays imported across all companies
+   */
+  async seedAllCompanies(year) {
+    if (!this.getPublicHolidays(year)) return 0;
+
+    let imported = 0;
+    const cursor = Company.find({ isActive: true }).select("_id").cursor();
+
+    for await (const company of cursor) {
+      try {
+        const result = await this.importPublicHolidays(company, year);
+        imported += result.imported;
+      } catch (error) {
+        console.error(
+          `Error importing holidays for company ${company._id}:`,
+          error
+        );
+      }
+    }
+
+    return imported;
+  }
+
+  /**
+   * Get a company's holiday pay rule
+   * @param {Object} company - Company document
+   * @returns {Object} { paid }
+   */
+  getPolicy(company) {
+    const policy = company.holidayPolicy || {};
+    return { paid: policy.paid !== false };
+  }
+
+  /**
+   * Change whether holidays are paid by default
+   * @param {Object} company - Company document
+   * @param {Object} data - Validated holidayPolicySchema payload
+   * @returns {Object} { before, after } policies
+   */
+  async updatePolicy(company, data) {
+    const before = this.getPolicy(company);
+
+    company.set("holidayPolicy.paid", data.paid);
+    await company.save();
+
+    return { before, after: this.getPolicy(company) };
+  }
+
+  /**
+   * Get the company holiday falling on a date, if any
+   * @param {Object} company - Company document
+   * @param {Date} date - Instant within the day
+   * @param {String} timezone - Zone the day is read in (defaults to the
+   * company's; employees in another zone observe it on their own date)
+   * @returns {Object|null} Holiday
+   */
+  async getHoliday(company, date, timezone = company.timezone) {
+    return Holiday.findOne({
+      companyId: company._id,
+      date: this.getDateKey(date, timezone),
+    });
+  }
+
+  /**
+   * Check whether employees earn a day's pay on a holiday
+   * @param {Object} company - Company document
+   * @param {Object} holiday - Holiday document
+   * @returns {Boolean} Whether the holiday is paid
+   */
+  isPaid(company, holiday) {
+    if (holiday.paid !== null && holiday.paid !== undefined) {
+      return holiday.paid;
+    }
+    return this.getPolicy(company).paid;
+  }
+
+  getDateKey(date, timezone) {
+    return getLocalDay(date, timezone).key;
+  }
+
+  getPublicHolidays(year, country = DEFAULT_CALENDAR) {
+    const calendar = CALENDARS[country];
+    return (calendar && calendar.holidays[year]) || null;
+  }
+
+  async findHoliday(company, holidayId) {
+    if (!mongoose.isValidObjectId(holidayId)) {
+      throw createError(404, "Holiday not found");
+    }
+
+    const holiday = await Holiday.findOne({
+      _id: holidayId,
+      companyId: company._id,
+    });
+    if (!holiday) {
+      throw createError(404, "Holiday not found");
+    }
+
+    return holiday;
+  }
+
+  snapshot(holiday) {
+    return {
+      date: holiday.date,
+      name: holiday.name,
+      type: holiday.type,
+      paid: holiday.paid,
+    };
+  }
+
+  async save(holiday) {
+    try {
+      await holiday.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createError(409, "There is already a holiday on this date");
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new HolidayService();
@@ -0,0 +1,170 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const ImpersonationLog = require("../models/ImpersonationLog");
+const sessionService = require("./sessionService");
+const { createError } = require("../utils/helpers");
+
+const DEFAULT_DURATION_MINUTES = 30;
+const MAX_DURATION_MINUTES = 60;
+
+class ImpersonationService {
+  /**
+   * Start a time-boxed session in which an admin acts as another user.
+   * The session has no usable refresh token, so it ends when it expires.
+   * @param {Object} admin - Admin user document
+   * @param {String} targetUserId - User to act as
+   * @param {Object} options - { reason, durationMinutes }
+   * @param {Object} req - Express request (for user agent and IP)
+   * @returns {Object} Access token, session and target user
+   */
+  async startImpersonation(
+    admin,
+    targetUserId,
+    { reason, durationMinutes },
+    req
+  ) {
+    if (!mongoose.isValidObjectId(targetUserId)) {
+      throw createError(404, "User not found");
+    }
+
+    const user = await User.findById(targetUserId);
+    if (!user) {
+      throw createError(404, "User not found");
+    }
+
+    if (user.role === "admin") {
+      throw createError(403, "Admins cannot be impersonated");
+    }
+
+    if (!user.isActive || user.isInvited) {
+      throw createError(400, "Only active accounts can be impersonated");
+    }
+
+    const minutes = Math.min(
+      durationMinutes || DEFAULT_DURATION_MINUTES,
+      MAX_DURATION_MINUTES
+    );
+
+    const session = await Session.create({
+      userId: user._id,
+      refreshTokenHash: sessionService.hashToken(
+        crypto.randomBytes(48).toString("hex")
+      ),
+      userAgent: req.get("User-Agent"),
+      ipAddress: req.ip,
+      impersonatedBy: admin._id,
+      impersonationReason: reason,
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+    });
+
+    await ImpersonationLog.create({
+      sessionId: session._id,
+      adminId: admin._id,
+      targetUserId: user._id,
+      action: "start",
+      reason,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    return {
+      accessToken: user.generateAuthToken(session, minutes * 60),
+      session,
+      user,
+    };
+  }
+
+  /**
+   * End an impersonation session early
+   * @param {Object} session - Impersonation session document
+   * @param {Object} req - Express request
+   */
+  async endImpersonation(session, req) {
+    if (!session.impersonatedBy) {
+      throw createError(400, "This session is not an impersonation session");
+    }
+
+    await sessionService.revokeSession(session._id, "impersonation_ended");
+
+    await ImpersonationLog.create({
+      sessionId: session._id,
+      adminId: session.impersonatedBy,
+      targetUserId: session.userId,
+      action: "end",
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+  }
+
+  /**
+   * Record a request made during an impersonation session once it completes
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async recordRequest(req, res) {
+    await ImpersonationLog.create({
+      sessionId: req.session._id,
+      adminId: req.session.impersonatedBy,
+      targetUserId: req.session.userId,
+      action: "request",
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+  }
+
+  /**
+   * List impersonation sessions, newest first. Read from the log, which
+   * outlives the sessions themselves.
+   * @param {Object} filters - { adminId, userId, page, limit }
+   * @returns {Object} Session start entries and pagination info
+   */
+  async listSessions({ adminId, userId, page = 1, limit = 20 }) {
+    const query = { action: "start" };
+    if (adminId) query.adminId = adminId;
+    if (userId) query.targetUserId = userId;
+
+    const skip = (page - 1) * limit;
+
+    const [sessions, total] = await Promise.all([
+      ImpersonationLog.find(query)
+        .populate("adminId", "firstName lastName email")
+        .populate("targetUserId", "firstName lastName email role")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      ImpersonationLog.countDocuments(query),
+    ]);
+
+    return {
+      sessions,
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+    };
+  }
+
+  /**
+   * Get everything recorded for one impersonation session
+   * @param {String} sessionId - Session ID
+   * @returns {Array} Log entries in the order they happened
+   */
+  async getSessionLog(sessionId) {
+    if (!mongoose.isValidObjectId(sessionId)) {
+      throw createError(404, "Impersonation session not found");
+    }
+
+    const logs = await ImpersonationLog.find({ sessionId }).sort({
+      createdAt: 1,
+    });
+    if (logs.length === 0) {
+      throw createError(404, "Impersonation session not found");
+    }
+
+    return logs;
+  }
+}
+
+module.exports = new ImpersonationService();
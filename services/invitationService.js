@@ -0,0 +1,335 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Invitation = require("../models/Invitation");
+const User = require("../models/User");
+const emailService = require("./emailService");
+const pdfService = require("./pdfService");
+const departmentService = require("./departmentService");
+const {
+  createError,
+  generateInvitationToken,
+  calculateDailyPayRate,
+} = require("../utils/helpers");
+const { validatePasswordStrength } = require("../utils/validators");
+
+const DAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+const WORKING_DAYS_PER_MONTH_FACTOR = 4;
+
+class InvitationService {
+  /**
+   * Invite a new employee: create the pending user, generate the contract
+   * and email a one-time acceptance link
+   * @param {Object} company - Company document
+   * @param {Object} inviter - User sending the invitation
+   * @param {Object} data - Validated employeeInvitationSchema payload
+   * @returns {Object} Invitation and placeholder employee
+   */
+  async createInvitation({ company, inviter, data }) {
+    const email = data.email.toLowerCase();
+
+    if (await User.exists({ email })) {
+      throw createError(400, "Email already registered");
+    }
+
+    const supervisor = await this.findSupervisor(company, data.supervisor);
+    const department = data.department
+      ? await departmentService.resolveDepartment(company, data.department)
+      : null;
+    const { workingDays } = data.workPeriod;
+
+    const employee = new User({
+      email,
+      firstName: data.firstName,
+      lastName: data.lastName,
+      role: "employee",
+      isInvited: true,
+      isActive: false,
+      companyId: company._id,
+      supervisor: supervisor._id,
+      designation: data.position,
+      department: department ? department._id : undefined,
+      salary: data.salary,
+      wageCurrency: data.currency,
+      payPerDay: calculateDailyPayRate(
+        data.salary,
+        workingDays.length * WORKING_DAYS_PER_MONTH_FACTOR
+      ),
+      workSchedule: {
+        startTime: data.workPeriod.startTime,
+        endTime: data.workPeriod.endTime,
+        workingDays,
+      },
+    });
+
+    const contract = await pdfService.generateEmploymentContract(
+      {
+        _id: employee._id,
+        firstName: data.firstName,
+        lastName: data.lastName,
+        designation: data.position,
+        supervisorName: `${supervisor.firstName} ${supervisor.lastName}`,
+        startDate: new Date(),
+        contractType: "permanent",
+        workingDays: workingDays.map((day) => DAY_NAMES[day]),
+        workPeriod: {
+          start: data.workPeriod.startTime,
+          end: data.workPeriod.endTime,
+        },
+        monthlySalary: data.salary,
+        wageCurrency: data.currency,
+        benefits: (data.benefits || []).map((name) => ({
+          name,
+          description: "Included",
+        })),
+        leaves: (data.leaves || []).map((leave) => ({
+          type: leave.type,
+          daysPerYear: leave.daysAllowed,
+        })),
+      },
+      company
+    );
+
+    employee.contractUrl = contract.url;
+    await employee.save();
+
+    const { token, expires } = generateInvitationToken();
+    const invitation = await Invitation.create({
+      email,
+      tokenHash: this.hashToken(token),
+      companyId: company._id,
+      employeeId: employee._id,
+      invitedBy: inviter._id,
+      contractUrl: contract.url,
+      expiresAt: expires,
+    });
+
+    await this.sendInvitationEmail(invitation, employee, company, token);
+
+    return { invitation, employee };
+  }
+
+  /**
+   * Issue a fresh link for a pending or expired invitation
+   * @param {Object} company - Company document
+   * @param {String} invitationId - Invitation ID
+   * @returns {Object} Updated invitation
+   */
+  async resendInvitation(company, invitationId) {
+    const invitation = await this.findCompanyInvitation(company, invitationId);
+
+    if (!["pending", "expired"].includes(invitation.status)) {
+      throw createError(
+        400,
+        `Invitation has already been ${invitation.status}`
+      );
+    }
+
+    const employee = await User.findById(invitation.employeeId);
+    if (!employee || !employee.isInvited) {
+      throw createError(400, "Invited employee no longer exists");
+    }
+
+    // Rotating the token invalidates any link sent previously
+    const { token, expires } = generateInvitationToken();
+    invitation.tokenHash = this.hashToken(token);
+    invitation.expiresAt = expires;
+    invitation.status = "pending";
+    invitation.sentCount += 1;
+    invitation.lastSentAt = new Date();
+    await invitation.save();
+
+    await this.sendInvitationEmail(invitation, employee, company, token);
+
+    return invitation;
+  }
+
+  /**
+   * Revoke an outstanding invitation and remove the placeholder employee
+   * @param {Object} company - Company document
+   * @param {String} invitationId - Invitation ID
+   * @param {Object} revokedBy - User revoking the invitation
+   * @returns {Object} Updated invitation
+   */
+  async revokeInvitation(company, invitationId, revokedBy) {
+    const invitation = await this.findCompanyInvitation(company, invitationId);
+
+    if (!["pending", "expired"].includes(invitation.status)) {
+      throw createError(
+        400,
+        `Invitation has already been ${invitation.status}`
+      );
+    }
+
+    invitation.status = "revoked";
+    invitation.revokedAt = new Date();
+    invitation.revokedBy = revokedBy._id;
+    await invitation.save();
+
+    await User.deleteOne({ _id: invitation.employeeId, isInvited: true });
+
+    return invitation;
+  }
+
+  /**
+   * Look up a pending invitation from the raw emailed token, enforcing expiry
+   * @param {String} token - Raw invitation token
+   * @returns {Object} Invitation with company and employee populated
+   */
+  async getByToken(token) {
+    const invitation = await Invitation.findOne({
+      tokenHash: this.hashToken(token),
+    })
+      .populate("companyId", "name logo address")
+      .populate(
+        "employeeId",
+        "firstName lastName email designation salary workSchedule contractUrl"
+      )
+      .populate("invitedBy", "firstName lastName");
+
+    if (!invitation) {
+      throw createError(404, "Invalid invitation link");
+    }
+
+    if (invitation.status === "pending" && invitation.expiresAt < new Date()) {
+      invitation.status = "expired";
+      await invitation.save();
+    }
+
+    if (invitation.status !== "pending") {
+      throw createError(410, `This invitation has ${invitation.status}`);
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Accept an invitation: set the password, confirm the contract and
+   * activate the employee
+   * @param {String} token - Raw invitation token
+   * @param {Object} details - { password, acceptContract }
+   * @returns {Object} Activated user
+   */
+  async acceptInvitation(token, { password, acceptContract }) {
+    const invitation = await this.getByToken(token);
+
+    if (acceptContract !== true) {
+      throw createError(400, "You must accept the employment contract");
+    }
+
+    const passwordCheck = validatePasswordStrength(password);
+    if (!passwordCheck.isValid) {
+      throw createError(400, passwordCheck.message);
+    }
+
+    const user = await User.findById(invitation.employeeId._id);
+    if (!user || !user.isInvited) {
+      throw createError(410, "This invitation is no longer valid");
+    }
+
+    user.password = password;
+    user.isInvited = false;
+    user.isActive = true;
+    // The emailed link proves ownership of the address
+    user.isEmailVerified = true;
+    user.contractAcceptedAt = new Date();
+    user.employmentDate = new Date();
+    await user.save();
+
+    invitation.status = "accepted";
+    invitation.acceptedAt = new Date();
+    await invitation.save();
+
+    return user;
+  }
+
+  /**
+   * List a company's invitations, newest first
+   * @param {Object} company - Company document
+   * @param {String} status - Optional status filter
+   * @returns {Array} Invitations
+   */
+  async listInvitations(company, status) {
+    const query = { companyId: company._id };
+    if (status) {
+      query.status = status;
+    }
+
+    return Invitation.find(query)
+      .populate("employeeId", "firstName lastName designation")
+      .populate("invitedBy", "firstName lastName")
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Mark pending invitations past their expiry as expired
+   * @returns {Number} Number of invitations expired
+   */
+  async expireStaleInvitations() {
+    const result = await Invitation.updateMany(
+      { status: "pending", expiresAt: { $lt: new Date() } },
+      { $set: { status: "expired" } }
+    );
+    return result.modifiedCount;
+  }
+
+  async findSupervisor(company, supervisorId) {
+    if (!mongoose.isValidObjectId(supervisorId)) {
+      throw createError(400, "Invalid supervisor");
+    }
+
+    const supervisor = await User.findOne({
+      _id: supervisorId,
+      isActive: true,
+      $or: [{ companyId: company._id }, { _id: company.owner }],
+    });
+    if (!supervisor) {
+      throw createError(400, "Supervisor must belong to your company");
+    }
+
+    return supervisor;
+  }
+
+  async findCompanyInvitation(company, invitationId) {
+    if (!mongoose.isValidObjectId(invitationId)) {
+      throw createError(404, "Invitation not found");
+    }
+
+    const invitation = await Invitation.findOne({
+      _id: invitationId,
+      companyId: company._id,
+    });
+    if (!invitation) {
+      throw createError(404, "Invitation not found");
+    }
+
+    return invitation;
+  }
+
+  async sendInvitationEmail(invitation, employee, company, token) {
+    try {
+      await emailService.sendEmployeeInvitation(
+        employee,
+        company,
+        `${process.env.CLIENT_URL}/accept-invitation/${token}`,
+        invitation.expiresAt
+      );
+    } catch (error) {
+      // The employer can resend once mail delivery recovers
+      console.error("Error sending invitation email:", error);
+    }
+  }
+
+  hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  }
+}
+
+module.exports = new InvitationService();
@@ -0,0 +1,468 @@
+const mongoose = require("mongoose");
+const LedgerEntry = require("../models/LedgerEntry");
+const Company = require("../models/Company");
+const auditService = require("./auditService");
+const exchangeRateService = require("./exchangeRateService");
+const {
+  createError,
+  roundAmount,
+  DEFAULT_CURRENCY,
+} = require("../utils/helpers");
+
+const WALLET = "company_wallet";
+const DEFAULT_STATEMENT_DAYS = 30;
+const MAX_STATEMENT_DAYS = 366;
+// Differences below half a minor unit are rounding, not drift
+const DRIFT_TOLERANCE = 0.005;
+
+/**
+ * Company balances are derived from an append-only journal. Every entry moves
+ * an amount from one account to another; the company wallet's balance is
+ * everything credited to it minus everything debited from it.
+ * Company.balance is kept as a cache of that figure so funds can be reserved
+ * atomically, and the nightly consistency check compares the two.
+ * Entries are in the company's currency; amounts in another currency are
+ * converted at the stored exchange rate when posted.
+ */
+class LedgerService {
+  /**
+   * Credit money paid into a company's wallet
+   * @param {Object} company - Company document or ID
+   * @param {Number} amount - Amount paid
+   * @param {Object} options - { currency, reference, description, user }
+   * @returns {Object} Ledger entry
+   */
+  async recordTopUp(company, amount, options = {}) {
+    return this.post(company, {
+      type: "topup",
+      debitAccount: "bank",
+      creditAccount: WALLET,
+      amount,
+      currency: options.currency,
+      reference: options.reference,
+      description: options.description || "Wallet top-up",
+      createdBy: options.user && options.user._id,
+    });
+  }
+
+  /**
+   * Debit a payment to an employee from the company wallet. Fails with 400
+   * when the wallet cannot cover it.
+   * @param {Object} payment - Payment document
+   * @param {Object} user - User approving the payment
+   * @returns {Object} Ledger entry
+   */
+  async recordPayroll(payment, user) {
+    return this.post(payment.companyId, {
+      type: "payroll",
+      debitAccount: WALLET,
+      creditAccount: "employee_payouts",
+      amount: payment.amount,
+      currency: payment.currency,
+      paymentId: payment._id,
+      description: payment.description || `Payment ${payment._id}`,
+      createdBy: user && user._id,
+    });
+  }
+
+  /**
+   * Charge a platform fee to the company wallet
+   * @param {Object} company - Company document or ID
+   * @param {Number} amount - Fee amount
+   * @param {Object} options - { currency, reference, description, user }
+   * @returns {Object} Ledger entry
+   */
+  async recordFee(company, amount, options = {}) {
+    return this.post(company, {
+      type: "fee",
+      debitAccount: WALLET,
+      creditAccount: "platform_fees",
+      amount,
+      currency: options.currency,
+      reference: options.reference,
+      description: options.description || "Platform fee",
+      createdBy: options.user && options.user._id,
+    });
+  }
+
+  /**
+   * Correct a company's balance by hand. Positive amounts credit the
+   * wallet, negative amounts debit it.
+   * @param {Object} company - Company document or ID
+   * @param {Number} amount - Signed amount in the company's currency
+   * @param {Object} options - { reason, user }
+   * @returns {Object} Ledger entry
+   */
+  async recordAdjustment(company, amount, { reason, user } = {}) {
+    const entry = await this.post(company, {
+      type: "adjustment",
+      debitAccount: amount > 0 ? "adjustments" : WALLET,
+      creditAccount: amount > 0 ? WALLET : "adjustments",
+      amount: Math.abs(amount),
+      description: reason,
+      createdBy: user && user._id,
+    });
+
+    await auditService.record({
+      action: "ledger.adjusted",
+      actor: user,
+      target: { type: "LedgerEntry", id: entry._id },
+      companyId: entry.companyId,
+      metadata: { amount, reason },
+    });
+
+    return entry;
+  }
+
+  /**
+   * Cancel an entry by posting the same amount the other way. An entry can
+   * only be reversed once.
+   * @param {Object} entry - Ledger entry to reverse
+   * @param {Object} options - { reason, user }
+   * @returns {Object} Reversing entry
+   */
+  async reverse(entry, { reason, user } = {}) {
+    if (entry.type === "reversal") {
+      throw createError(400, "A reversal cannot itself be reversed");
+    }
+
+    return this.post(entry.companyId, {
+      type: "reversal",
+      debitAccount: entry.creditAccount,
+      creditAccount: entry.debitAccount,
+      amount: entry.amount,
+      currency: entry.currency,
+      paymentId: entry.paymentId,
+      reverses: entry._id,
+      description: reason || `Reversal of ${entry.description}`,
+      createdBy: user && user._id,
+    });
+  }
+
+  /**
+   * Reverse a payment's latest payroll debit, unless it has been reversed
+   * already
+   * @param {Object} payment - Payment document
+   * @param {Object} options - { reason, user }
+   * @returns {Object|null} Reversing entry
+   */
+  async reversePayroll(payment, options = {}) {
+    const entry = await LedgerEntry.findOne({
+      type: "payroll",
+      paymentId: payment._id,
+    }).sort({ createdAt: -1 });
+    if (!entry || (await LedgerEntry.exists({ reverses: entry._id }))) {
+      return null;
+    }
+
+    return this.reverse(entry, options);
+  }
+
+  /**
+   * Work out a company's balance from its ledger entries
+   * @param {Object} company - Company document or ID
+   * @param {Date} before - Only count entries made before this instant
+   * @returns {Number} Balance in the company's currency
+   */
+  async getBalance(company, before) {
+    const match = { companyId: this.getId(company) };
+    if (before) {
+      match.createdAt = { $lt: before };
+    }
+
+    const [result] = await LedgerEntry.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          balance: {
+            $sum: {
+              $switch: {
+                branches: [
+                  {
+                    case: { $eq: ["$creditAccount", WALLET] },
+                    then: "$amount",
+                  },
+                  {
+                    case: { $eq: ["$debitAccount", WALLET] },
+                    then: { $multiply: ["$amount", -1] },
+                  },
+                ],
+                default: 0,
+              },
+            },
+          },
+        },
+      },
+    ]);
+
+    return this.round(result ? result.balance : 0);
+  }
+
+  /**
+   * Build a statement of a company's wallet over a period
+   * @param {Object} company - Company document
+   * @param {Object} filters - { startDate, endDate }, at most a year apart
+   * @returns {Object} Opening and closing balances, and entries with the
+   * running balance after each
+   */
+  async getStatement(company, { startDate, endDate } = {}) {
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate
+      ? new Date(startDate)
+      : new Date(end.getTime() - DEFAULT_STATEMENT_DAYS * 24 * 60 * 60 * 1000);
+
+    if (isNaN(start) || isNaN(end) || start > end) {
+      throw createError(400, "Provide a valid statement period");
+    }
+    if (end - start > MAX_STATEMENT_DAYS * 24 * 60 * 60 * 1000) {
+      throw createError(
+        400,
+        `Statements can cover at most ${MAX_STATEMENT_DAYS} days`
+      );
+    }
+
+    const [openingBalance, entries] = await Promise.all([
+      this.getBalance(company, start),
+      LedgerEntry.find({
+        companyId: company._id,
+        createdAt: { $gte: start, $lte: end },
+      })
+        .populate("createdBy", "firstName lastName email")
+        .sort({ createdAt: 1, _id: 1 })
+        .lean(),
+    ]);
+
+    let balance = openingBalance;
+    const lines = entries.map((entry) => {
+      const change = this.getWalletChange(entry);
+      balance = this.round(balance + change);
+
+      return {
+        ...entry,
+        direction: change >= 0 ? "credit" : "debit",
+        balanceAfter: balance,
+      };
+    });
+
+    return {
+      currency: company.currency || DEFAULT_CURRENCY,
+      startDate: start,
+      endDate: end,
+      openingBalance,
+      closingBalance: balance,
+      entries: lines,
+    };
+  }
+
+  /**
+   * Compare every company's cached balance with its ledger, flagging
+   * companies that have drifted and clearing the flag on those that no
+   * longer do
+   * @returns {Object} { checked, drifted }
+   */
+  async checkConsistency() {
+    const summary = { checked: 0, drifted: 0 };
+    const cursor = Company.find().select("balance ledgerDrift").cursor();
+
+    for await (const company of cursor) {
+      try {
+        const ledgerBalance = await this.getBalance(company);
+        const cachedBalance = company.balance || 0;
+        summary.checked++;
+
+        if (Math.abs(cachedBalance - ledgerBalance) < DRIFT_TOLERANCE) {
+          if (company.ledgerDrift && company.ledgerDrift.detectedAt) {
+            await Company.updateOne(
+              { _id: company._id },
+              { $unset: { ledgerDrift: "" } }
+            );
+          }
+          continue;
+        }
+
+        summary.drifted++;
+        await Company.updateOne(
+          { _id: company._id },
+          {
+            $set: {
+              ledgerDrift: {
+                cachedBalance,
+                ledgerBalance,
+                detectedAt: new Date(),
+              },
+            },
+          }
+        );
+
+        await auditService.record({
+          action: "ledger.drift_detected",
+          target: { type: "Company", id: company._id },
+          companyId: company._id,
+          metadata: {
+            cachedBalance,
+            ledgerBalance,
+            difference: this.round(cachedBalance - ledgerBalance),
+          },
+        });
+      } catch (error) {
+        console.error(
+          `Error checking ledger for company ${company._id}:`,
+          error
+        );
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Overwrite a company's cached balance with the ledger balance, once
+   * drift has been investigated
+   * @param {Object} company - Company document
+   * @param {Object} user - Admin resyncing the balance
+   * @returns {Object} { before, after } balances
+   */
+  async resync(company, user) {
+    const before = company.balance || 0;
+    const after = await this.getBalance(company);
+
+    await Company.updateOne(
+      { _id: company._id },
+      { $set: { balance: after }, $unset: { ledgerDrift: "" } }
+    );
+
+    await auditService.record({
+      action: "ledger.resynced",
+      actor: user,
+      target: { type: "Company", id: company._id },
+      companyId: company._id,
+      before: { balance: before },
+      after: { balance: after },
+    });
+
+    return { before, after };
+  }
+
+  /**
+   * Post an opening adjustment for a balance held before the ledger
+   * existed. Companies that already have entries are left alone.
+   * @param {Object} company - Company document
+   * @returns {Object|null} Opening entry
+   */
+  async openBalance(company) {
+    if (
+      !company.balance ||
+      (await LedgerEntry.exists({ companyId: company._id }))
+    ) {
+      return null;
+    }
+
+    const amount = this.round(company.balance);
+    return LedgerEntry.create({
+      companyId: company._id,
+      currency: company.currency || DEFAULT_CURRENCY,
+      type: "adjustment",
+      debitAccount: amount > 0 ? "adjustments" : WALLET,
+      creditAccount: amount > 0 ? WALLET : "adjustments",
+      amount: Math.abs(amount),
+      description: "Opening balance",
+    });
+  }
+
+  async post(company, { currency, ...data }) {
+    const companyId = this.getId(company);
+    const walletCurrency = await this.getCurrency(company);
+
+    let { amount } = data;
+    let original;
+    if (currency && currency !== walletCurrency) {
+      const converted = await exchangeRateService.convert(
+        amount,
+        currency,
+        walletCurrency
+      );
+      original = { amount, currency, rate: converted.rate };
+      amount = converted.amount;
+    }
+
+    amount = roundAmount(amount, walletCurrency);
+    if (!(amount > 0)) {
+      throw createError(400, "Amount must be greater than zero");
+    }
+
+    const change = this.getWalletChange({ ...data, amount });
+
+    // Reserve debits against the cached balance first, so two debits can't
+    // both spend the same money
+    if (change < 0) {
+      const reserved = await Company.findOneAndUpdate(
+        { _id: companyId, balance: { $gte: amount } },
+        { $inc: { balance: change } }
+      );
+      if (!reserved) {
+        throw createError(400, "Insufficient balance to process payment");
+      }
+    }
+
+    let entry;
+    try {
+      entry = await LedgerEntry.create({
+        ...data,
+        companyId,
+        amount,
+        currency: walletCurrency,
+        original,
+      });
+    } catch (error) {
+      if (change < 0) {
+        await Company.updateOne(
+          { _id: companyId },
+          { $inc: { balance: -change } }
+        );
+      }
+      if (error.code === 11000) {
+        throw createError(409, "This transaction has already been recorded");
+      }
+      throw error;
+    }
+
+    if (change > 0) {
+      await Company.updateOne(
+        { _id: companyId },
+        { $inc: { balance: change } }
+      );
+    }
+
+    return entry;
+  }
+
+  async getCurrency(company) {
+    if (company.currency) return company.currency;
+
+    const found = await Company.findById(this.getId(company)).select(
+      "currency"
+    );
+    return (found && found.currency) || DEFAULT_CURRENCY;
+  }
+
+  getWalletChange(entry) {
+    if (entry.creditAccount === WALLET) return entry.amount;
+    if (entry.debitAccount === WALLET) return -entry.amount;
+    return 0;
+  }
+
+  getId(company) {
+    if (company instanceof mongoose.Types.ObjectId) return company;
+    if (typeof company === "string") {
+      return new mongoose.Types.ObjectId(company);
+    }
+    return company._id;
+  }
+
+  round(amount) {
+    return Math.round(Number(amount) * 100) / 100;
+  }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,177 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const emailService = require("./emailService");
+
+const MAX_FAILED_ATTEMPTS = parseInt(
+  process.env.LOGIN_MAX_FAILED_ATTEMPTS || "5",
+  10
+);
+const BASE_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES || "15", 10);
+const MAX_LOCK_MINUTES = 24 * 60;
+const MAX_DELAY_SECONDS = 30;
+
+class LoginProtectionService {
+  /**
+   * Seconds a user has to wait before the next attempt is evaluated.
+   * Starts after the second consecutive failure and doubles each time.
+   * @param {Object} user - User document
+   * @returns {Number} Remaining wait in seconds (0 when allowed)
+   */
+  getRemainingDelay(user) {
+    const { failedAttempts, lastFailedAt } = user.loginSecurity;
+    if (failedAttempts < 2 || !lastFailedAt) {
+      return 0;
+    }
+
+    const delaySeconds = Math.min(
+      2 ** (failedAttempts - 2),
+      MAX_DELAY_SECONDS
+    );
+    const allowedAt = lastFailedAt.getTime() + delaySeconds * 1000;
+
+    return Math.max(0, Math.ceil((allowedAt - Date.now()) / 1000));
+  }
+
+  /**
+   * Record a failed login attempt and lock the account once the limit is hit.
+   * Counters are updated atomically so parallel guesses can't overwrite each
+   * other's increments.
+   * @param {Object} user - User document
+   * @returns {Object} Whether the account is now locked and until when
+   */
+  async recordFailure(user) {
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      {
+        $inc: { "loginSecurity.failedAttempts": 1 },
+        $set: { "loginSecurity.lastFailedAt": new Date() },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return { locked: false, attemptsRemaining: 0 };
+    }
+
+    const { failedAttempts, lockCount } = updated.loginSecurity;
+    if (failedAttempts < MAX_FAILED_ATTEMPTS) {
+      return {
+        locked: false,
+        attemptsRemaining: MAX_FAILED_ATTEMPTS - failedAttempts,
+      };
+    }
+
+    // Each consecutive lockout doubles in length
+    const lockMinutes = Math.min(
+      BASE_LOCK_MINUTES * 2 ** lockCount,
+      MAX_LOCK_MINUTES
+    );
+    const unlockToken = crypto.randomBytes(32).toString("hex");
+    const lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+
+    // Only the request that reached the limit applies the lock
+    const locked = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        "loginSecurity.failedAttempts": { $gte: MAX_FAILED_ATTEMPTS },
+      },
+      {
+        $set: {
+          "loginSecurity.lockUntil": lockUntil,
+          "loginSecurity.failedAttempts": 0,
+          "loginSecurity.unlockToken": this.hashToken(unlockToken),
+          "loginSecurity.unlockTokenExpiry": lockUntil,
+        },
+        $inc: { "loginSecurity.lockCount": 1 },
+      },
+      { new: true }
+    );
+    if (!locked) {
+      const current = await User.findById(user._id).select(
+        "loginSecurity.lockUntil"
+      );
+      return {
+        locked: true,
+        lockUntil: current && current.loginSecurity.lockUntil,
+      };
+    }
+
+    try {
+      await emailService.sendAccountLockedEmail(
+        locked,
+        `${process.env.CLIENT_URL}/unlock-account/${unlockToken}`,
+        lockUntil
+      );
+    } catch (error) {
+      console.error("Error sending account locked email:", error);
+    }
+
+    return { locked: true, lockUntil };
+  }
+
+  /**
+   * Clear failure counters after a successful login
+   * @param {Object} user - User document
+   */
+  async recordSuccess(user) {
+    const security = user.loginSecurity;
+    if (!security.failedAttempts && !security.lockCount) {
+      return;
+    }
+
+    security.failedAttempts = 0;
+    security.lastFailedAt = undefined;
+    security.lockCount = 0;
+    await user.save();
+  }
+
+  /**
+   * Unlock an account using the token from the lockout email
+   * @param {String} token - Raw unlock token
+   * @returns {Object|null} Unlocked user, or null if the token is invalid
+   */
+  async unlockWithToken(token) {
+    const user = await User.findOne({
+      "loginSecurity.unlockToken": this.hashToken(token),
+      "loginSecurity.unlockTokenExpiry": { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return null;
+    }
+
+    await this.unlock(user);
+    return user;
+  }
+
+  /**
+   * Remove a lock and reset counters
+   * @param {Object} user - User document
+   */
+  async unlock(user) {
+    user.loginSecurity.failedAttempts = 0;
+    user.loginSecurity.lastFailedAt = undefined;
+    user.loginSecurity.lockUntil = undefined;
+    user.loginSecurity.lockCount = 0;
+    user.loginSecurity.unlockToken = undefined;
+    user.loginSecurity.unlockTokenExpiry = undefined;
+    await user.save();
+  }
+
+  /**
+   * Find accounts that are currently locked
+   * @returns {Array} Locked users
+   */
+  async findLockedAccounts() {
+    return User.find({ "loginSecurity.lockUntil": { $gt: new Date() } })
+      .select(
+        "firstName lastName email role loginSecurity.lockUntil loginSecurity.lockCount loginSecurity.lastFailedAt"
+      )
+      .sort({ "loginSecurity.lockUntil": -1 });
+  }
+
+  hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  }
+}
+
+module.exports = new LoginProtectionService();
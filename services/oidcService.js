@@ -0,0 +1,695 @@
+const crypto = require("crypto");
+const dns = require("dns").promises;
+const { lookup } = require("dns");
+const https = require("https");
+const net = require("net");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const Role = require("../models/Role");
+const Company = require("../models/Company");
+const SsoConnection = require("../models/SsoConnection");
+const SsoAuthRequest = require("../models/SsoAuthRequest");
+const { createError } = require("../utils/helpers");
+
+const AUTH_REQUEST_TTL_MS = 10 * 60 * 1000;
+const METADATA_CACHE_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+const DOMAIN_RECORD_PREFIX = "_hr-verification";
+const DOMAIN_RECORD_VALUE_PREFIX = "hr-domain-verification=";
+
+// Provider URLs come from employers, so they may not point the server at
+// itself or the internal network. Set OIDC_ALLOW_PRIVATE_ISSUERS=true to use
+// the local mock provider (see scripts/mockOidcProvider.js).
+const ALLOW_PRIVATE_ISSUERS = process.env.OIDC_ALLOW_PRIVATE_ISSUERS === "true";
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+].forEach(([network, prefix]) =>
+  PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv6")
+);
+
+class OidcService {
+  constructor() {
+    // Discovery documents and JWKS keyed by URL: { value, fetchedAt }
+    this.cache = new Map();
+
+    // Checks the address each hostname resolves to when connecting, so a
+    // name can't resolve to a public address when checked and a private one
+    // when fetched
+    this.httpsAgent = new https.Agent({
+      lookup: (hostname, options, callback) =>
+        lookup(hostname, options, (error, address, family) => {
+          if (error) return callback(error);
+
+          const addresses = Array.isArray(address) ? address : [{ address }];
+          if (addresses.some((entry) => this.isPrivateAddress(entry.address))) {
+            return callback(
+              createError(400, `${hostname} resolves to a private address`)
+            );
+          }
+          callback(null, address, family);
+        }),
+    });
+  }
+
+  /**
+   * Describe how a user with this email signs in, for the login screen
+   * @param {String} email - Email typed on the login screen
+   * @returns {Object} { sso, enforced, company }
+   */
+  async discover(email) {
+    const connection = await this.findConnectionForEmail(email);
+    if (!connection) {
+      return { sso: false };
+    }
+
+    const company = await Company.findById(connection.companyId).select(
+      "name logo"
+    );
+
+    return {
+      sso: true,
+      enforced: connection.enforced,
+      company: company ? { name: company.name, logo: company.logo } : null,
+    };
+  }
+
+  /**
+   * Check whether password logins are disabled for a user. Enforcement only
+   * covers members of the company that owns the connection, and accounts
+   * that must confirm linking keep their password until they have linked.
+   * @param {Object} user - User document
+   * @returns {Boolean} Whether the user must sign in through SSO
+   */
+  async isEnforcedFor(user) {
+    const connection = await this.findConnectionForEmail(user.email);
+    if (!connection || !connection.enforced) {
+      return false;
+    }
+
+    const company = await Company.findForUser(user);
+    if (!company || !company._id.equals(connection.companyId)) {
+      return false;
+    }
+
+    return (
+      this.isLinked(user, connection) ||
+      !this.requiresLinkConfirmation(user, company)
+    );
+  }
+
+  /**
+   * Start an authorization-code + PKCE login with the company's provider
+   * @param {String} email - User's email, used for routing and as login_hint
+   * @returns {Object} { authorizationUrl, state }
+   */
+  async startLogin(email) {
+    const connection = await this.findConnectionForEmail(email);
+    if (!connection) {
+      throw createError(
+        404,
+        "Single sign-on is not configured for this email domain"
+      );
+    }
+
+    return this.createAuthRequest(connection, email);
+  }
+
+  /**
+   * Start an SSO login that links the signed-in user's existing account to
+   * their identity at the company's provider
+   * @param {Object} user - Signed-in user
+   * @returns {Object} { authorizationUrl, state }
+   */
+  async startLink(user) {
+    const connection = await this.findConnectionForEmail(user.email);
+    const company = connection && (await Company.findForUser(user));
+    if (!company || !company._id.equals(connection.companyId)) {
+      throw createError(
+        404,
+        "Single sign-on is not configured for your company"
+      );
+    }
+
+    return this.createAuthRequest(connection, user.email, user._id);
+  }
+
+  async createAuthRequest(connection, email, linkUserId) {
+    const metadata = await this.getProviderMetadata(connection.issuer);
+
+    const state = this.randomToken();
+    const nonce = this.randomToken();
+    const codeVerifier = this.randomToken(32);
+    const redirectUri = this.getRedirectUri();
+
+    await SsoAuthRequest.create({
+      connectionId: connection._id,
+      state,
+      nonce,
+      codeVerifier,
+      redirectUri,
+      expiresAt: new Date(Date.now() + AUTH_REQUEST_TTL_MS),
+      linkUserId,
+    });
+
+    const params = new URLSearchParams({
+      response_type: "code",
+      client_id: connection.clientId,
+      redirect_uri: redirectUri,
+      scope: connection.scopes.join(" "),
+      state,
+      nonce,
+      code_challenge: this.createCodeChallenge(codeVerifier),
+      code_challenge_method: "S256",
+      login_hint: email,
+    });
+
+    return {
+      authorizationUrl: `${metadata.authorization_endpoint}?${params}`,
+      state,
+    };
+  }
+
+  /**
+   * Finish a login from the provider's redirect and resolve the local user
+   * @param {Object} params - { state, code } from the callback query
+   * @returns {Object} Signed-in user
+   */
+  async completeLogin({ state, code }) {
+    const request = await SsoAuthRequest.findOneAndDelete({ state }).select(
+      "+codeVerifier"
+    );
+    if (!request || request.expiresAt < Date.now()) {
+      throw createError(400, "Sign-in request is invalid or has expired");
+    }
+
+    const connection = await SsoConnection.findById(
+      request.connectionId
+    ).select("+clientSecret");
+    if (!connection || !connection.isEnabled) {
+      throw createError(400, "Single sign-on is not enabled for this company");
+    }
+
+    const metadata = await this.getProviderMetadata(connection.issuer);
+    const tokens = await this.exchangeCode(metadata, connection, request, code);
+    const claims = await this.verifyIdToken(
+      tokens.id_token,
+      metadata,
+      connection,
+      request.nonce
+    );
+
+    return this.provisionUser(connection, claims, request.linkUserId);
+  }
+
+  /**
+   * Find or create the local account for a verified identity. Existing
+   * accounts of owners and 2FA-enrolled users are only linked when the user
+   * started the sign-in from their own session (see startLink).
+   * @param {Object} connection - SsoConnection document
+   * @param {Object} claims - Verified ID token claims
+   * @param {ObjectId} linkUserId - User who asked to link their account
+   * @returns {Object} User document
+   */
+  async provisionUser(connection, claims, linkUserId) {
+    const email = claims.email.toLowerCase();
+    if (!connection.verifiedDomains.includes(this.getEmailDomain(email))) {
+      throw createError(403, "Email domain is not allowed for this company");
+    }
+
+    const user =
+      (await User.findOne({
+        "sso.connectionId": connection._id,
+        "sso.subject": claims.sub,
+      })) || (await User.findOne({ email }));
+
+    if (linkUserId && (!user || !user._id.equals(linkUserId))) {
+      throw createError(
+        403,
+        "The identity provider signed you in as a different user"
+      );
+    }
+
+    if (user) {
+      const company = await Company.findForUser(user);
+      if (!company || !company._id.equals(connection.companyId)) {
+        throw createError(403, "This account belongs to a different company");
+      }
+
+      if (!user.isActive) {
+        throw createError(403, "Your account has been deactivated");
+      }
+
+      if (user.isInvited) {
+        throw createError(
+          403,
+          "Accept your invitation before signing in with single sign-on"
+        );
+      }
+
+      if (user.sso && user.sso.subject && user.sso.subject !== claims.sub) {
+        throw createError(
+          403,
+          "This account is linked to a different identity"
+        );
+      }
+
+      if (
+        !this.isLinked(user, connection) &&
+        !linkUserId &&
+        this.requiresLinkConfirmation(user, company)
+      ) {
+        throw createError(
+          403,
+          "Sign in with your password and link single sign-on from your account"
+        );
+      }
+
+      user.sso = { connectionId: connection._id, subject: claims.sub };
+      user.isEmailVerified = true;
+      await user.save();
+
+      return user;
+    }
+
+    if (!connection.jitProvisioning) {
+      throw createError(
+        403,
+        "No account exists for this email. Ask your employer for an invitation."
+      );
+    }
+
+    const [firstName, ...rest] = (claims.name || email.split("@")[0]).split(
+      " "
+    );
+
+    return User.create({
+      email,
+      firstName: claims.given_name || firstName,
+      lastName: claims.family_name || rest.join(" ") || firstName,
+      role: "employee",
+      authProvider: "oidc",
+      sso: { connectionId: connection._id, subject: claims.sub },
+      companyId: connection.companyId,
+      employedBy: connection.companyId,
+      companyRoles: connection.defaultRoleId ? [connection.defaultRoleId] : [],
+      isEmailVerified: true,
+      employmentDate: new Date(),
+    });
+  }
+
+  /**
+   * Get a company's SSO configuration
+   * @param {Object} company - Company document
+   * @returns {Object|null} SsoConnection document
+   */
+  async getConnection(company) {
+    return SsoConnection.findOne({ companyId: company._id }).populate(
+      "defaultRoleId",
+      "name"
+    );
+  }
+
+  /**
+   * Describe the DNS TXT record that proves ownership of each domain
+   * @param {Object} connection - SsoConnection document
+   * @returns {Array} [{ domain, verified, recordName, recordValue }]
+   */
+  getDomainVerification(connection) {
+    return connection.domains.map((domain) => ({
+      domain,
+      verified: connection.verifiedDomains.includes(domain),
+      recordName: `${DOMAIN_RECORD_PREFIX}.${domain}`,
+      recordValue: this.getDomainRecordValue(connection),
+    }));
+  }
+
+  /**
+   * Verify a domain by looking up its DNS TXT record. Verified domains are
+   * routed to the connection and covered by enforcement.
+   * @param {Object} company - Company document
+   * @param {String} domain - Domain listed on the connection
+   * @returns {Object} Updated SsoConnection document
+   */
+  async verifyDomain(company, domain) {
+    const connection = await SsoConnection.findOne({ companyId: company._id });
+    if (!connection) {
+      throw createError(404, "Single sign-on is not configured");
+    }
+
+    const name = String(domain || "").toLowerCase();
+    if (!connection.domains.includes(name)) {
+      throw createError(
+        400,
+        "Add the domain to your single sign-on configuration first"
+      );
+    }
+    if (connection.verifiedDomains.includes(name)) {
+      return connection;
+    }
+
+    const recordName = `${DOMAIN_RECORD_PREFIX}.${name}`;
+    const expected = this.getDomainRecordValue(connection);
+
+    let records = [];
+    try {
+      records = await dns.resolveTxt(recordName);
+    } catch (error) {
+      // No record yet; reported below
+    }
+    if (!records.some((chunks) => chunks.join("") === expected)) {
+      throw createError(
+        400,
+        `TXT record "${expected}" was not found at ${recordName}`
+      );
+    }
+
+    connection.verifiedDomains.push(name);
+    try {
+      await connection.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createError(409, "This domain is verified by another company");
+      }
+      throw error;
+    }
+
+    return connection;
+  }
+
+  /**
+   * Create or update a company's SSO configuration.
+   * The issuer is checked by fetching its discovery document. Domains must be
+   * verified (see verifyDomain) before they are used.
+   * @param {Object} company - Company document
+   * @param {Object} data - Validated ssoConnectionSchema payload
+   * @param {Object} user - Member saving the configuration
+   * @returns {Object} Saved SsoConnection document
+   */
+  async saveConnection(company, data, user) {
+    if (data.defaultRoleId) {
+      const role = await Role.exists({
+        _id: data.defaultRoleId,
+        companyId: company._id,
+      });
+      if (!role) {
+        throw createError(400, "Default role does not belong to your company");
+      }
+    }
+
+    const issuer = data.issuer.replace(/\/+$/, "");
+    await this.getProviderMetadata(issuer);
+
+    let connection = await SsoConnection.findOne({
+      companyId: company._id,
+    });
+    if (!connection) {
+      connection = new SsoConnection({
+        companyId: company._id,
+        createdBy: user._id,
+      });
+    }
+
+    const domains = [...new Set(data.domains.map((d) => d.toLowerCase()))];
+
+    connection.set({
+      ...data,
+      issuer,
+      domains,
+      // Removing a domain drops its verification
+      verifiedDomains: connection.verifiedDomains.filter((domain) =>
+        domains.includes(domain)
+      ),
+    });
+
+    if (connection.enforced && connection.verifiedDomains.length === 0) {
+      throw createError(
+        400,
+        "Verify at least one domain before enforcing single sign-on"
+      );
+    }
+
+    await connection.save();
+
+    return connection;
+  }
+
+  /**
+   * Remove a company's SSO configuration. SSO-only users must reset a password.
+   * @param {Object} company - Company document
+   */
+  async deleteConnection(company) {
+    const result = await SsoConnection.deleteOne({ companyId: company._id });
+    if (result.deletedCount === 0) {
+      throw createError(404, "Single sign-on is not configured");
+    }
+  }
+
+  async findConnectionForEmail(email) {
+    const domain = this.getEmailDomain(email);
+    if (!domain) {
+      return null;
+    }
+
+    return SsoConnection.findOne({ verifiedDomains: domain, isEnabled: true });
+  }
+
+  getDomainRecordValue(connection) {
+    return `${DOMAIN_RECORD_VALUE_PREFIX}${connection.domainVerificationToken}`;
+  }
+
+  isLinked(user, connection) {
+    return !!(
+      user.sso &&
+      user.sso.subject &&
+      user.sso.connectionId &&
+      user.sso.connectionId.equals(connection._id)
+    );
+  }
+
+  requiresLinkConfirmation(user, company) {
+    return (
+      company.owner.equals(user._id) ||
+      !!(user.twoFactor && user.twoFactor.enabled)
+    );
+  }
+
+  async exchangeCode(metadata, connection, request, code) {
+    const body = new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: request.redirectUri,
+      client_id: connection.clientId,
+      code_verifier: request.codeVerifier,
+    });
+    if (connection.clientSecret) {
+      body.append("client_secret", connection.clientSecret);
+    }
+
+    let data;
+    try {
+      ({ data } = await axios.post(
+        this.checkProviderUrl(metadata.token_endpoint),
+        body.toString(),
+        {
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          ...this.getRequestOptions(),
+        }
+      ));
+    } catch (error) {
+      console.error(
+        "OIDC token exchange failed:",
+        error.response ? error.response.data : error.message
+      );
+      throw createError(401, "Identity provider rejected the sign-in");
+    }
+
+    if (!data || !data.id_token) {
+      throw createError(502, "Identity provider did not return an ID token");
+    }
+
+    return data;
+  }
+
+  async verifyIdToken(idToken, metadata, connection, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw createError(401, "Invalid ID token");
+    }
+
+    const key = await this.getSigningKey(metadata.jwks_uri, decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ["RS256", "ES256"],
+        issuer: metadata.issuer,
+        audience: connection.clientId,
+        clockTolerance: CLOCK_TOLERANCE_SECONDS,
+      });
+    } catch (error) {
+      throw createError(401, `Invalid ID token: ${error.message}`);
+    }
+
+    if (claims.nonce !== nonce) {
+      throw createError(401, "Invalid ID token: nonce mismatch");
+    }
+
+    if (!claims.email || claims.email_verified === false) {
+      throw createError(
+        403,
+        "Identity provider did not supply a verified email address"
+      );
+    }
+
+    return claims;
+  }
+
+  async getProviderMetadata(issuer) {
+    const normalizedIssuer = issuer.replace(/\/+$/, "");
+    const url = `${normalizedIssuer}/.well-known/openid-configuration`;
+    this.checkProviderUrl(url);
+
+    let metadata;
+    try {
+      metadata = await this.fetchCached(url);
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw createError(
+        502,
+        `Could not load OpenID configuration from ${issuer}`
+      );
+    }
+
+    if (String(metadata.issuer).replace(/\/+$/, "") !== normalizedIssuer) {
+      throw createError(502, "OpenID configuration issuer does not match");
+    }
+
+    if (
+      !metadata.authorization_endpoint ||
+      !metadata.token_endpoint ||
+      !metadata.jwks_uri
+    ) {
+      throw createError(502, "OpenID configuration is missing endpoints");
+    }
+
+    return metadata;
+  }
+
+  async getSigningKey(jwksUri, kid) {
+    const findKey = (jwks) =>
+      (jwks.keys || []).find(
+        (jwk) => (!kid || jwk.kid === kid) && (!jwk.use || jwk.use === "sig")
+      );
+
+    let jwk = findKey(await this.fetchCached(jwksUri));
+    if (!jwk) {
+      // The provider may have rotated its keys since we cached them
+      jwk = findKey(await this.fetchCached(jwksUri, true));
+    }
+    if (!jwk) {
+      throw createError(401, "Invalid ID token: unknown signing key");
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+  }
+
+  async fetchCached(url, refresh = false) {
+    const cached = this.cache.get(url);
+    if (
+      !refresh &&
+      cached &&
+      Date.now() - cached.fetchedAt < METADATA_CACHE_TTL_MS
+    ) {
+      return cached.value;
+    }
+
+    const { data } = await axios.get(
+      this.checkProviderUrl(url),
+      this.getRequestOptions()
+    );
+    this.cache.set(url, { value: data, fetchedAt: Date.now() });
+
+    return data;
+  }
+
+  // Provider endpoints must be https and not name a private address directly;
+  // names are checked as they resolve (see httpsAgent)
+  checkProviderUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw createError(400, "Identity provider URL is invalid");
+    }
+    if (ALLOW_PRIVATE_ISSUERS) return url;
+
+    if (parsed.protocol !== "https:") {
+      throw createError(400, "Identity provider URLs must use https");
+    }
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+    if (
+      hostname === "localhost" ||
+      (net.isIP(hostname) && this.isPrivateAddress(hostname))
+    ) {
+      throw createError(
+        400,
+        "Identity provider URLs may not point to a private network"
+      );
+    }
+
+    return url;
+  }
+
+  getRequestOptions() {
+    return {
+      timeout: HTTP_TIMEOUT_MS,
+      maxRedirects: 0,
+      ...(!ALLOW_PRIVATE_ISSUERS && { httpsAgent: this.httpsAgent }),
+    };
+  }
+
+  isPrivateAddress(address) {
+    // IPv4 addresses mapped into IPv6, e.g. ::ffff:127.0.0.1
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return this.isPrivateAddress(mapped[1]);
+
+    const type = net.isIP(address) === 6 ? "ipv6" : "ipv4";
+    return PRIVATE_NETWORKS.check(address, type);
+  }
+
+  getRedirectUri() {
+    return (
+      process.env.OIDC_REDIRECT_URI ||
+      `${process.env.CLIENT_URL}/auth/sso/callback`
+    );
+  }
+
+  getEmailDomain(email) {
+    return String(email || "").toLowerCase().split("@")[1] || "";
+  }
+
+  createCodeChallenge(codeVerifier) {
+    return crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+  }
+
+  randomToken(bytes = 16) {
+    return crypto.randomBytes(bytes).toString("base64url");
+  }
+}
+
+module.exports = new OidcService();
@@ -1,9 +1,25 @@
+const mongoose = require("mongoose");
 const paystack = require("../config/paystack");
 const Payment = require("../models/Payment");
 const User = require("../models/User");
 const Company = require("../models/Company");
+const Attendance = require("../models/Attendance");
 const emailService = require("./emailService");
-const { format } = require("date-fns");
+const auditService = require("./auditService");
+const holidayService = require("./holidayService");
+const ledgerService = require("./ledgerService");
+const pdfService = require("./pdfService");
+const billingService = require("./billingService");
+const { deleteFromCloudinary } = require("../config/cloudinary");
+const {
+  createError,
+  isWorkingDay,
+  getLocalDay,
+  fromMinorUnits,
+  formatCurrency,
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+} = require("../utils/helpers");
 
 class PaymentService {
   /**
@@ -15,15 +31,15 @@ class PaymentService {
    */
   async createRecipient(employeeData, bankCode, accountNumber) {
     try {
+      // Recipients can only be paid in the currency they're created with
+      const currency = await this.getWageCurrency(employeeData);
+
       const response = await paystack.createTransferRecipient({
-        type: "nuban",
+        type: CURRENCIES[currency].recipientType,
         name: `${employeeData.firstName} ${employeeData.lastName}`,
-        account_number: accountNumber,
-        bank_code: bankCode,
-        currency: "NGN",
-        metadata: {
-          employee_id: employeeData._id.toString(),
-        },
+        accountNumber,
+        bankCode,
+        currency,
       });
 
       if (!response.status) {
@@ -64,117 +80,156 @@ class PaymentService {
   }
 
   /**
-   * Process daily payment to an employee
-   * @param {Object} employeeData - Employee information
-   * @param {Object} employerData - Employer information
-   * @param {Object} companyData - Company information
-   * @param {Date} date - Payment date (defaults to today)
-   * @returns {Object} Payment data
+   * Create the day's pending payments for approved companies. Employees
+   * are paid for scheduled days they clocked in and out of, and for holidays
+   * on their schedule when the company pays holidays. Each employee's day,
+   * and the holiday falling on it, is read in their own time zone, falling
+   * back to the company's.
+   * @param {Date} date - Instant within the day to pay (defaults to now)
+   * @param {Array} companyIds - Limit to these companies (defaults to all)
+   * @param {Array} employeeIds - Limit to these employees (defaults to all)
+   * @returns {Object} { created, holidayPayments, skipped }
    */
-  async processDailyPayment(
-    employeeData,
-    employerData,
-    companyData,
-    date = new Date()
-  ) {
-    try {
-      // Calculate daily amount
-      const dailyAmount = await this.calculateDailyAmount(employeeData);
-
-      // Check if employer has sufficient balance
-      if (employerData.balance < dailyAmount) {
-        throw new Error("Insufficient balance to process payment");
+  async createDailyPayments(date = new Date(), companyIds, employeeIds) {
+    const summary = { created: 0, holidayPayments: 0, skipped: 0 };
+    const companies = await Company.find({
+      isActive: true,
+      status: "approved",
+      ...(companyIds && { _id: { $in: companyIds } }),
+    }).select("owner timezone holidayPolicy currency");
+
+    for (const company of companies) {
+      const employees = await User.find({
+        companyId: company._id,
+        role: "employee",
+        isActive: true,
+        payPerDay: { $gt: 0 },
+        ...(employeeIds && { _id: { $in: employeeIds } }),
+      }).select("payPerDay wageCurrency workSchedule timezone");
+
+      // Attendance is keyed to each employee's local day, so employees are
+      // paid in groups sharing a time zone
+      const byTimezone = new Map();
+      for (const employee of employees) {
+        const timezone = employee.timezone || company.timezone;
+        if (!byTimezone.has(timezone)) byTimezone.set(timezone, []);
+        byTimezone.get(timezone).push(employee);
       }
 
-      // Create payment record (pending status)
-      const payment = await Payment.create({
-        employee: employeeData._id,
-        employer: employerData._id,
-        company: companyData._id,
-        amount: dailyAmount,
-        type: "daily",
-        status: "pending",
-        date: date,
-        description: `Daily payment for ${format(date, "yyyy-MM-dd")}`,
-      });
-
-      // Notify employer about pending payment
-      await emailService.sendDailyPaymentPendingNotification(
-        employerData,
-        employeeData,
-        dailyAmount,
-        payment._id
-      );
+      for (const [timezone, group] of byTimezone) {
+        const holiday = await holidayService.getHoliday(
+          company,
+          date,
+          timezone
+        );
+        if (holiday && !holidayService.isPaid(company, holiday)) continue;
 
-      return payment;
-    } catch (error) {
-      console.error("Error processing daily payment:", error);
-      throw new Error("Failed to process daily payment");
+        await this.createPaymentsForDay(
+          company,
+          group,
+          { date, timezone, holiday },
+          summary
+        );
+      }
     }
+
+    return summary;
   }
 
   /**
    * Approve a pending payment
    * @param {String} paymentId - Payment ID
-   * @param {Object} employerData - Employer information
+   * @param {Object|null} approver - User approving the payment, or null when
+   * it's approved automatically after the approval window
+   * @param {Object} company - Company the payment belongs to
    * @returns {Object} Updated payment data
    */
-  async approvePayment(paymentId, employerData) {
+  async approvePayment(paymentId, approver, company) {
     try {
-      // Find payment record
-      const payment = await Payment.findById(paymentId)
-        .populate("employee")
-        .populate("employer")
-        .populate("company");
+      // Claim the payment before any money moves, so concurrent approvals
+      // can't both pay it out. Scoping the lookup to the company is the
+      // authorization check.
+      const payment = await Payment.findOneAndUpdate(
+        { _id: paymentId, companyId: company._id, status: "pending" },
+        { $set: { status: "processing" } },
+        { new: true }
+      ).populate("employeeId");
 
       if (!payment) {
-        throw new Error("Payment not found");
-      }
-
-      if (payment.status !== "pending") {
-        throw new Error("Payment is not in pending status");
+        if (await Payment.exists({ _id: paymentId, companyId: company._id })) {
+          throw createError(400, "Payment is not in pending status");
+        }
+        throw createError(404, "Payment not found");
       }
 
-      if (payment.employer._id.toString() !== employerData._id.toString()) {
-        throw new Error("Unauthorized to approve this payment");
+      const employee = payment.employeeId;
+      const recipientCode = this.getRecipientCode(employee);
+      if (!recipientCode) {
+        await this.releasePayment(payment, "pending");
+        throw createError(
+          400,
+          "Employee has not added bank details for payouts"
+        );
       }
 
-      // Check if employer has sufficient balance
-      if (employerData.balance < payment.amount) {
-        throw new Error("Insufficient balance to process payment");
+      // Debit the wallet before paying out; fails if the balance is too low
+      let entry;
+      try {
+        entry = await ledgerService.recordPayroll(payment, approver);
+      } catch (error) {
+        await this.releasePayment(payment, "pending");
+        throw error;
       }
 
       // Process payment via Paystack
-      const transferResult = await this.initiateTransfer(
-        payment.employee.paymentRecipientCode,
-        payment.amount,
-        `Daily payment for ${payment.employee.firstName} ${payment.employee.lastName}`
-      );
+      let transferResult;
+      try {
+        transferResult = await this.initiateTransfer(
+          recipientCode,
+          payment.amount,
+          `Daily payment for ${employee.firstName} ${employee.lastName}`,
+          payment.currency
+        );
+      } catch (error) {
+        await this.failPayment(payment, entry, approver);
+        throw error;
+      }
 
       // Update payment record
       payment.status = "approved";
-      payment.reference = transferResult.reference;
-      payment.transferCode = transferResult.transfer_code;
-      payment.approvedAt = new Date();
-      payment.approvedBy = employerData._id;
+      payment.paymentReference = transferResult.reference;
+      payment.transactionId = transferResult.transfer_code;
+      payment.approvalDate = new Date();
+      payment.approvedBy = approver && approver._id;
 
       await payment.save();
 
-      // Update employer balance
-      await User.findByIdAndUpdate(employerData._id, {
-        $inc: { balance: -payment.amount },
+      await auditService.record({
+        action: "payment.approved",
+        actor: approver,
+        target: { type: "Payment", id: payment._id },
+        companyId: company._id,
+        before: { status: "pending" },
+        after: { status: payment.status, approvedBy: payment.approvedBy },
+        metadata: {
+          amount: payment.amount,
+          paymentReference: payment.paymentReference,
+        },
       });
 
       // Send notification to employee
       await emailService.sendPaymentNotification(
-        payment.employee,
+        employee,
         payment.amount,
-        payment.date
+        payment.date,
+        payment.currency,
+        company
       );
 
       return payment;
     } catch (error) {
       console.error("Error approving payment:", error);
+      if (error.statusCode) throw error;
       throw new Error("Failed to approve payment");
     }
   }
@@ -182,48 +237,56 @@ class PaymentService {
   /**
    * Decline a pending payment
    * @param {String} paymentId - Payment ID
-   * @param {Object} employerData - Employer information
+   * @param {Object} approver - User declining the payment
+   * @param {Object} company - Company the payment belongs to
    * @param {String} reason - Reason for declining
    * @returns {Object} Updated payment data
    */
-  async declinePayment(paymentId, employerData, reason) {
+  async declinePayment(paymentId, approver, company, reason) {
     try {
-      // Find payment record
-      const payment = await Payment.findById(paymentId)
-        .populate("employee")
-        .populate("employer")
-        .populate("company");
+      const payment = await Payment.findOne({
+        _id: paymentId,
+        companyId: company._id,
+      }).populate("employeeId");
 
       if (!payment) {
-        throw new Error("Payment not found");
+        throw createError(404, "Payment not found");
       }
 
       if (payment.status !== "pending") {
-        throw new Error("Payment is not in pending status");
-      }
-
-      if (payment.employer._id.toString() !== employerData._id.toString()) {
-        throw new Error("Unauthorized to decline this payment");
+        throw createError(400, "Payment is not in pending status");
       }
 
       // Update payment record
       payment.status = "declined";
-      payment.declinedAt = new Date();
-      payment.declinedBy = employerData._id;
+      payment.approvedBy = approver._id;
+      payment.approvalDate = new Date();
       payment.declineReason = reason;
 
       await payment.save();
 
+      await auditService.record({
+        action: "payment.declined",
+        actor: approver,
+        target: { type: "Payment", id: payment._id },
+        companyId: company._id,
+        before: { status: "pending" },
+        after: { status: payment.status, approvedBy: approver._id },
+        metadata: { amount: payment.amount, reason },
+      });
+
       // Send notification to employee and admin
       await emailService.sendPaymentDeclinedNotification(
-        payment.employee,
-        employerData,
-        reason
+        payment.employeeId,
+        approver,
+        reason,
+        company
       );
 
       return payment;
     } catch (error) {
       console.error("Error declining payment:", error);
+      if (error.statusCode) throw error;
       throw new Error("Failed to decline payment");
     }
   }
@@ -238,58 +301,87 @@ class PaymentService {
    */
   async processAdminPaymentReview(paymentId, adminData, approve, reason) {
     try {
-      // Find payment record
-      const payment = await Payment.findById(paymentId)
-        .populate("employee")
-        .populate("employer")
-        .populate("company");
+      // Claim the payment so it can't be reviewed or approved twice at once
+      const payment = await Payment.findOneAndUpdate(
+        { _id: paymentId, status: "declined" },
+        { $set: { status: "processing" } },
+        { new: true }
+      )
+        .populate("employeeId")
+        .populate("employerId");
 
       if (!payment) {
-        throw new Error("Payment not found");
-      }
-
-      if (payment.status !== "declined") {
-        throw new Error("Payment is not in declined status");
+        if (await Payment.exists({ _id: paymentId })) {
+          throw createError(400, "Payment is not in declined status");
+        }
+        throw createError(404, "Payment not found");
       }
 
       if (approve) {
-        // Check if employer has sufficient balance
-        const employer = await User.findById(payment.employer._id);
-
-        if (employer.balance < payment.amount) {
-          throw new Error(
-            "Employer has insufficient balance to process payment"
+        const employee = payment.employeeId;
+        const recipientCode = this.getRecipientCode(employee);
+        if (!recipientCode) {
+          await this.releasePayment(payment, "declined");
+          throw createError(
+            400,
+            "Employee has not added bank details for payouts"
           );
         }
 
+        // Debit the company wallet; fails if the balance is too low
+        let entry;
+        try {
+          entry = await ledgerService.recordPayroll(payment, adminData);
+        } catch (error) {
+          await this.releasePayment(payment, "declined");
+          throw error;
+        }
+
         // Process payment via Paystack
-        const transferResult = await this.initiateTransfer(
-          payment.employee.paymentRecipientCode,
-          payment.amount,
-          `Daily payment for ${payment.employee.firstName} ${payment.employee.lastName} (Admin approved)`
-        );
+        let transferResult;
+        try {
+          transferResult = await this.initiateTransfer(
+            recipientCode,
+            payment.amount,
+            `Daily payment for ${employee.firstName} ${employee.lastName} (Admin approved)`,
+            payment.currency
+          );
+        } catch (error) {
+          await this.failPayment(payment, entry, adminData);
+          throw error;
+        }
 
         // Update payment record
         payment.status = "admin_approved";
-        payment.reference = transferResult.reference;
-        payment.transferCode = transferResult.transfer_code;
+        payment.paymentReference = transferResult.reference;
+        payment.transactionId = transferResult.transfer_code;
         payment.adminReviewedAt = new Date();
         payment.adminReviewedBy = adminData._id;
         payment.adminReviewNote = reason || "Approved by admin";
 
         await payment.save();
 
-        // Update employer balance
-        await User.findByIdAndUpdate(payment.employer._id, {
-          $inc: { balance: -payment.amount },
+        await auditService.record({
+          action: "payment.admin_approved",
+          actor: adminData,
+          target: { type: "Payment", id: payment._id },
+          companyId: payment.companyId,
+          before: { status: "declined" },
+          after: { status: payment.status },
+          metadata: {
+            amount: payment.amount,
+            note: payment.adminReviewNote,
+            paymentReference: payment.paymentReference,
+          },
         });
 
-        // Send notification to employee and employer
-        await emailService.sendAdminPaymentApprovalNotification(
-          payment.employee,
-          payment.employer,
+        // Send notification to employee
+        await emailService.sendPaymentNotification(
+          employee,
           payment.amount,
-          reason || "Approved by admin"
+          payment.date,
+          payment.currency,
+          await Company.findById(payment.companyId)
         );
       } else {
         // Update payment record
@@ -300,78 +392,138 @@ class PaymentService {
 
         await payment.save();
 
+        await auditService.record({
+          action: "payment.admin_rejected",
+          actor: adminData,
+          target: { type: "Payment", id: payment._id },
+          companyId: payment.companyId,
+          before: { status: "declined" },
+          after: { status: payment.status },
+          metadata: { amount: payment.amount, note: payment.adminReviewNote },
+        });
+
         // Send notification to employee and employer
-        await emailService.sendAdminPaymentRejectionNotification(
-          payment.employee,
-          payment.employer,
-          reason || "Rejected by admin"
+        await emailService.sendPaymentDeclinedNotification(
+          payment.employeeId,
+          payment.employerId,
+          payment.adminReviewNote,
+          await Company.findById(payment.companyId)
         );
       }
 
       return payment;
     } catch (error) {
       console.error("Error processing admin payment review:", error);
+      if (error.statusCode) throw error;
       throw new Error("Failed to process admin payment review");
     }
   }
 
   /**
-   * Add balance to employer account
-   * @param {String} userId - Employer user ID
-   * @param {Number} amount - Amount to add
-   * @param {String} reference - Payment reference
-   * @returns {Object} Updated employer data
+   * Start a Paystack checkout to top up a company's wallet. Nothing is
+   * credited until Paystack confirms the charge (see verifyPaymentWebhook).
+   * @param {Object} company - Company document
+   * @param {Object} user - Member paying the top-up
+   * @param {Number} amount - Amount in the company's currency
+   * @returns {Object} { authorizationUrl, reference }
    */
-  async addEmployerBalance(userId, amount, reference) {
-    try {
-      // Update employer balance
-      const employer = await User.findByIdAndUpdate(
-        userId,
-        { $inc: { balance: amount } },
-        { new: true }
-      );
+  async startTopUp(company, user, amount) {
+    // The webhook recognises top-ups by this prefix
+    const reference = `topup_${user._id}_${Date.now()}`;
+    const response = await paystack.initiateTransaction({
+      email: user.email,
+      amount,
+      currency: company.currency,
+      reference,
+      callbackUrl: `${process.env.CLIENT_URL}/company/balance`,
+      metadata: {
+        reference_id: reference,
+        company_id: company._id.toString(),
+        user_id: user._id.toString(),
+      },
+    });
+
+    if (!response.status) {
+      throw createError(502, response.message || "Could not start payment");
+    }
 
-      // Create payment record
-      await Payment.create({
-        employer: userId,
-        amount: amount,
-        type: "topup",
-        status: "completed",
-        date: new Date(),
-        reference: reference,
-        description: `Account top-up of ${amount}`,
-      });
+    return { authorizationUrl: response.data.authorization_url, reference };
+  }
 
-      return employer;
-    } catch (error) {
-      console.error("Error adding employer balance:", error);
-      throw new Error("Failed to add employer balance");
-    }
+  /**
+   * Credit a top-up to a company's wallet. A reference is only ever
+   * credited once.
+   * @param {Object} company - Company document
+   * @param {Number} amount - Amount to add
+   * @param {String} reference - Payment reference
+   * @param {Object} user - User who paid the top-up
+   * @param {String} currency - Currency paid in (defaults to the company's)
+   * @returns {Object} Ledger entry
+   */
+  async addCompanyBalance(company, amount, reference, user, currency) {
+    return ledgerService.recordTopUp(company, amount, {
+      currency,
+      reference,
+      user,
+      description: `Account top-up of ${formatCurrency(
+        amount,
+        currency || company.currency
+      )}`,
+    });
   }
 
   /**
-   * Calculate daily payment amount for an employee
-   * @param {Object} employeeData - Employee information
-   * @returns {Number} Daily payment amount
+   * Get the payslip PDF for an approved or completed payment, generating it
+   * with the company's branding on first request or after branding changes
+   * @param {String} paymentId - Payment ID
+   * @returns {Object} { url, generatedAt }
    */
-  async calculateDailyAmount(employeeData) {
-    try {
-      const monthlySalary = employeeData.monthlySalary || 0;
-      const workingDaysPerMonth = employeeData.workingDays?.length * 4 || 20; // Assuming 4 weeks per month
+  async getPayslip(paymentId) {
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      throw createError(404, "Payment not found");
+    }
+    if (!["approved", "completed"].includes(payment.status)) {
+      throw createError(400, "Payslips are only available for paid payments");
+    }
+
+    const company = await Company.findById(payment.companyId);
+    const brandedAt = company.branding && company.branding.updatedAt;
+
+    const current =
+      payment.payslip &&
+      payment.payslip.url &&
+      (!brandedAt || payment.payslip.generatedAt >= brandedAt);
 
-      const dailyAmount = parseFloat(
-        (monthlySalary / workingDaysPerMonth).toFixed(2)
+    if (!current) {
+      const employee = await User.findById(payment.employeeId).select(
+        "firstName lastName designation"
       );
+      const pdf = await pdfService.generatePayslip(payment, employee, company);
 
-      return dailyAmount;
-    } catch (error) {
-      console.error("Error calculating daily amount:", error);
-      throw new Error("Failed to calculate daily payment amount");
+      // Drop the payslip rendered with the old branding
+      if (payment.payslip && payment.payslip.publicId) {
+        await deleteFromCloudinary(payment.payslip.publicId, "raw").catch(
+          (error) => console.error("Error deleting old payslip:", error)
+        );
+      }
+
+      payment.payslip = {
+        url: pdf.url,
+        publicId: pdf.publicId,
+        generatedAt: new Date(),
+      };
+      await payment.save();
     }
+
+    return {
+      url: payment.payslip.url,
+      generatedAt: payment.payslip.generatedAt,
+    };
   }
 
   /**
-   * Verify payment webhook from Paystack
+   * Apply a Paystack webhook whose signature has been checked
    * @param {Object} data - Webhook data
    * @returns {Boolean} Success status
    */
@@ -384,10 +536,37 @@ class PaymentService {
         const metadataRef = data.data.metadata?.reference_id;
 
         if (metadataRef && metadataRef.startsWith("topup_")) {
-          const userId = metadataRef.split("_")[1];
-          const amount = data.data.amount / 100; // Convert from kobo to naira
+          // Credit the company the checkout was started for, not whichever
+          // company the payer belongs to now
+          const { company_id: companyId, user_id: userId } = data.data.metadata;
+          const company = mongoose.isValidObjectId(companyId)
+            ? await Company.findById(companyId)
+            : null;
+          const user = mongoose.isValidObjectId(userId)
+            ? await User.findById(userId)
+            : null;
+          const { currency } = data.data;
+          const amount = fromMinorUnits(data.data.amount, currency);
+
+          if (company) {
+            try {
+              await this.addCompanyBalance(
+                company,
+                amount,
+                reference,
+                user,
+                currency
+              );
+            } catch (error) {
+              // Paystack retries webhooks; the top-up is already credited
+              if (error.statusCode !== 409) throw error;
+            }
+          }
+        }
 
-          await this.addEmployerBalance(userId, amount, reference);
+        // Subscription invoice paid through billingService checkout
+        if (data.data.metadata?.invoice_id) {
+          await billingService.recordPayment(data.data);
         }
 
         return true;
@@ -396,14 +575,13 @@ class PaymentService {
       if (data.event === "transfer.success") {
         const reference = data.data.reference;
 
-        // Update payment status
+        // Complete the payout, whether the employer or an admin approved it
         await Payment.findOneAndUpdate(
-          { reference: reference },
           {
-            status: "completed",
-            completedAt: new Date(),
-            transferData: data.data,
+            paymentReference: reference,
+            status: { $in: ["approved", "admin_approved"] },
           },
+          { status: "completed" },
           { new: true }
         );
         return true;
@@ -424,12 +602,19 @@ class PaymentService {
         const reference = data.data.reference;
 
         // Update payment status to failed
-        await findOneAndUpdate(
-          { reference: reference },
-          { status: "failed", failedAt: new Date(), transferData: data.data },
+        const payment = await Payment.findOneAndUpdate(
+          { paymentReference: reference, status: { $ne: "failed" } },
+          { status: "failed" },
           { new: true }
         );
 
+        // Return the money to the company wallet
+        if (payment) {
+          await ledgerService.reversePayroll(payment, {
+            reason: "Transfer failed",
+          });
+        }
+
         return true;
       }
       return false;
@@ -444,19 +629,17 @@ class PaymentService {
    * @param {String} recipientCode - Paystack recipient code
    * @param {Number} amount - Amount to transfer
    * @param {String} reason - Reason for transfer
+   * @param {String} currency - Currency to pay out in (default: NGN)
    * @returns {Object} Transfer response
    */
-  async initiateTransfer(recipientCode, amount, reason) {
+  async initiateTransfer(recipientCode, amount, reason, currency) {
     try {
-      const transferData = {
-        source: "balance",
-        amount: amount * 100, // Convert to kobo
-        recipient: recipientCode,
-        reason: reason,
-        currency: "NGN",
-      };
-
-      const response = await paystackTransfer(transferData);
+      const response = await paystack.transferFunds({
+        amount,
+        recipientCode,
+        reason,
+        currency: currency || DEFAULT_CURRENCY,
+      });
 
       if (!response.status) {
         throw new Error(response.message || "Transfer initiation failed");
@@ -468,6 +651,103 @@ class PaymentService {
       throw new Error("Failed to initiate transfer");
     }
   }
+
+  async getWageCurrency(employee) {
+    if (employee.wageCurrency) return employee.wageCurrency;
+
+    const company =
+      employee.companyId &&
+      (await Company.findById(employee.companyId).select("currency"));
+    return (company && company.currency) || DEFAULT_CURRENCY;
+  }
+
+  async createPaymentsForDay(company, employees, options, summary) {
+    const { date, timezone, holiday } = options;
+    const { key, start, end } = getLocalDay(date, timezone);
+    const day = { $gte: start, $lt: end };
+
+    const employeeIds = employees.map((employee) => employee._id);
+
+    const paid = await Payment.distinct("employeeId", {
+      employeeId: { $in: employeeIds },
+      type: "daily",
+      date: day,
+    });
+    // Nobody clocks in on a holiday, so attendance only matters otherwise
+    const attended = holiday
+      ? []
+      : await Attendance.distinct("employeeId", {
+          employeeId: { $in: employeeIds },
+          date: day,
+          clockInTime: { $exists: true },
+          clockOutTime: { $exists: true },
+        });
+
+    const paidIds = new Set(paid.map((id) => id.toString()));
+    const attendedIds = new Set(attended.map((id) => id.toString()));
+
+    for (const employee of employees) {
+      const id = employee._id.toString();
+      const scheduled = isWorkingDay(
+        date,
+        employee.workSchedule && employee.workSchedule.workingDays,
+        [],
+        timezone
+      );
+
+      if (
+        !scheduled ||
+        paidIds.has(id) ||
+        (!holiday && !attendedIds.has(id))
+      ) {
+        summary.skipped++;
+        continue;
+      }
+
+      await Payment.create({
+        employeeId: employee._id,
+        employerId: company.owner,
+        companyId: company._id,
+        amount: employee.payPerDay,
+        currency: employee.wageCurrency || company.currency,
+        type: "daily",
+        date: start,
+        description: holiday
+          ? `Holiday pay for ${holiday.name} (${holiday.date})`
+          : `Daily payment for ${key}`,
+      });
+
+      summary.created++;
+      if (holiday) summary.holidayPayments++;
+    }
+  }
+
+  // Paystack recipient registered with the employee's bank details; the
+  // getter decrypts it
+  getRecipientCode(employee) {
+    return (employee.bankDetails && employee.bankDetails.recipientCode) || null;
+  }
+
+  // Hand a claimed payment back when nothing was paid out
+  async releasePayment(payment, status) {
+    await Payment.updateOne(
+      { _id: payment._id, status: "processing" },
+      { $set: { status } }
+    );
+  }
+
+  // Return the money when the transfer couldn't start. A payment is only
+  // ever debited once, so it can't be approved again afterwards.
+  async failPayment(payment, entry, user) {
+    await ledgerService.reverse(entry, {
+      reason: "Transfer could not be initiated",
+      user,
+    });
+    await Payment.updateOne(
+      { _id: payment._id, status: "processing" },
+      { $set: { status: "failed" } }
+    );
+  }
 }
 
 module.exports = new PaymentService();
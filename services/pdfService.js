@@ -3,6 +3,8 @@ const fs = require("fs");
 const path = require("path");
 const cloudinary = require("../config/cloudinary");
 const { format } = require("date-fns");
+const { formatCurrency, getBranding } = require("../utils/helpers");
+const { PLANS } = require("../config/plans");
 
 class PDFService {
   constructor() {
@@ -21,35 +23,18 @@ class PDFService {
           employeeData._id
         }_${Date.now()}.pdf`;
         const filePath = path.join(this.tempDir, fileName);
+        const brand = getBranding(companyData);
 
         // Create a new PDF document
-        const doc = new PDFDocument({ margin: 50 });
+        const doc = new PDFDocument({ margin: 50, bufferPages: true });
         const stream = fs.createWriteStream(filePath);
 
         // Pipe PDF to writable stream
         doc.pipe(stream);
 
-        // Add company logo if available
-        if (companyData.logoUrl) {
-          try {
-            const logoPath = await this.downloadImage(companyData.logoUrl);
-            doc.image(logoPath, {
-              fit: [150, 150],
-              align: "center",
-            });
-            // Clean up downloaded image
-            fs.unlinkSync(logoPath);
-          } catch (error) {
-            console.error("Error adding logo to PDF:", error);
-            // Continue without logo
-          }
-        }
-
-        // Add document title
-        doc
-          .fontSize(20)
-          .text("EMPLOYMENT CONTRACT", { align: "center" })
-          .moveDown(2);
+        // Add company letterhead and document title
+        await this.addLetterhead(doc, brand);
+        this.addTitle(doc, "EMPLOYMENT CONTRACT", brand);
 
         // Add document date
         doc
@@ -71,7 +56,7 @@ class PDFService {
           .fontSize(12)
           .text(`${companyData.name}`, { continued: true, bold: true })
           .text(', hereafter referred to as "Employer"')
-          .text(`${companyData.address}`)
+          .text(this.formatAddress(companyData.address))
           .moveDown();
 
         doc.text("and").moveDown();
@@ -157,11 +142,14 @@ class PDFService {
           .text("4. COMPENSATION", { underline: true })
           .moveDown();
 
+        const salary = formatCurrency(
+          employeeData.monthlySalary,
+          employeeData.wageCurrency || companyData.currency
+        );
+
         doc
           .fontSize(12)
-          .text(
-            `4.1 The Employee will receive a monthly salary of ${employeeData.monthlySalary}.`
-          )
+          .text(`4.1 The Employee will receive a monthly salary of ${salary}.`)
           .text(`4.2 Payment will be made daily at the Close of Business.`)
           .text(
             `4.3 The daily rate is calculated based on the monthly salary divided by the number of working days in a month.`
@@ -253,6 +241,7 @@ class PDFService {
           .text("Date: ____________________________", { align: "left" });
 
         // Finalize PDF
+        this.addFooters(doc, brand);
         doc.end();
 
         // Wait for stream to finish
@@ -295,7 +284,8 @@ class PDFService {
   async generateEfficiencyReport(
     employeeData,
     attendanceData,
-    progressReports
+    progressReports,
+    companyData
   ) {
     return new Promise(async (resolve, reject) => {
       try {
@@ -303,19 +293,18 @@ class PDFService {
           employeeData._id
         }_${Date.now()}.pdf`;
         const filePath = path.join(this.tempDir, fileName);
+        const brand = getBranding(companyData);
 
         // Create a new PDF document
-        const doc = new PDFDocument({ margin: 50 });
+        const doc = new PDFDocument({ margin: 50, bufferPages: true });
         const stream = fs.createWriteStream(filePath);
 
         // Pipe PDF to writable stream
         doc.pipe(stream);
 
-        // Add report title
-        doc
-          .fontSize(20)
-          .text("EMPLOYEE DAILY EFFICIENCY REPORT", { align: "center" })
-          .moveDown(2);
+        // Add company letterhead and report title
+        await this.addLetterhead(doc, brand);
+        this.addTitle(doc, "EMPLOYEE DAILY EFFICIENCY REPORT", brand);
 
         // Add report date
         doc
@@ -542,6 +531,7 @@ class PDFService {
           .text("Date: ____________________________", { align: "left" });
 
         // Finalize PDF
+        this.addFooters(doc, brand);
         doc.end();
 
         // Wait for stream to finish
@@ -581,6 +571,288 @@ class PDFService {
     });
   }
 
+  async generateInvoice(invoice, companyData) {
+    return new Promise(async (resolve, reject) => {
+      try {
+        const fileName = `invoice_${invoice.number}.pdf`;
+        const filePath = path.join(this.tempDir, fileName);
+        const money = (amount) => formatCurrency(amount, invoice.currency);
+        const day = (date) => format(new Date(date), "MMMM dd, yyyy");
+
+        const doc = new PDFDocument({ margin: 50 });
+        const stream = fs.createWriteStream(filePath);
+
+        doc.pipe(stream);
+
+        doc.fontSize(20).text("INVOICE", { align: "center" }).moveDown(2);
+
+        doc
+          .fontSize(12)
+          .text(`Invoice number: ${invoice.number}`, { align: "right" })
+          .text(`Issued: ${day(invoice.createdAt)}`, { align: "right" })
+          .text(`Due: ${day(invoice.dueDate)}`, { align: "right" })
+          .moveDown(2);
+
+        // Bill to
+        doc.fontSize(14).text("BILL TO", { underline: true }).moveDown();
+
+        doc
+          .fontSize(12)
+          .text(companyData.name)
+          .text(this.formatAddress(companyData.address))
+          .text(companyData.contactEmail)
+          .moveDown(2);
+
+        // Line items
+        doc.fontSize(14).text("SUBSCRIPTION", { underline: true }).moveDown();
+
+        // periodEnd is exclusive, so the last billed day is the one before
+        const lastDay = new Date(invoice.periodEnd).getTime() - 1;
+        doc
+          .fontSize(12)
+          .text(
+            `Billing period: ${day(invoice.periodStart)} to ${day(lastDay)}`
+          )
+          .text(`Plan: ${PLANS[invoice.plan].name}`)
+          .text(`Active employees: ${invoice.seats}`)
+          .text(`Price per employee per month: ${money(invoice.unitPrice)}`);
+
+        if (invoice.proration < 1) {
+          doc.text(
+            `Billed for ${Math.round(
+              invoice.proration * 100
+            )}% of the period, after the free trial ended`
+          );
+        }
+
+        doc
+          .moveDown()
+          .fontSize(16)
+          .text(`Amount due: ${money(invoice.amount)}`, { underline: true })
+          .moveDown(2);
+
+        doc
+          .fontSize(10)
+          .text(
+            invoice.status === "paid"
+              ? "This invoice has been paid. Thank you."
+              : "Pay online from the billing page of your dashboard. Payroll and employee invitations are restricted when invoices remain unpaid after the grace period."
+          );
+
+        doc.end();
+
+        stream.on("finish", async () => {
+          try {
+            const result = await cloudinary.uploader.upload(filePath, {
+              folder: `companies/${companyData._id}/invoices`,
+              resource_type: "raw",
+            });
+
+            fs.unlinkSync(filePath);
+
+            resolve({
+              fileName,
+              url: result.secure_url,
+              publicId: result.public_id,
+              size: result.bytes,
+              format: result.format,
+            });
+          } catch (uploadError) {
+            console.error("Error uploading PDF to Cloudinary:", uploadError);
+            reject(new Error("Failed to upload invoice PDF"));
+          }
+        });
+
+        stream.on("error", (error) => {
+          console.error("Error generating PDF:", error);
+          reject(new Error("Failed to generate invoice PDF"));
+        });
+      } catch (error) {
+        console.error("Error in generateInvoice:", error);
+        reject(error);
+      }
+    });
+  }
+
+  async generatePayslip(payment, employeeData, companyData) {
+    return new Promise(async (resolve, reject) => {
+      try {
+        const fileName = `payslip_${payment._id}_${Date.now()}.pdf`;
+        const filePath = path.join(this.tempDir, fileName);
+        const brand = getBranding(companyData);
+        const currency = payment.currency || companyData.currency;
+
+        const doc = new PDFDocument({ margin: 50, bufferPages: true });
+        const stream = fs.createWriteStream(filePath);
+
+        doc.pipe(stream);
+
+        await this.addLetterhead(doc, brand);
+        this.addTitle(doc, "PAYSLIP", brand);
+
+        const payDate = format(new Date(payment.date), "MMMM dd, yyyy");
+        doc
+          .fontSize(12)
+          .text(`Pay date: ${payDate}`, { align: "right" })
+          .text(`Reference: ${payment.paymentReference || payment._id}`, {
+            align: "right",
+          })
+          .moveDown(2);
+
+        // Employer and employee
+        doc.fontSize(14).text("EMPLOYER", { underline: true }).moveDown();
+
+        doc
+          .fontSize(12)
+          .text(companyData.name)
+          .text(this.formatAddress(companyData.address))
+          .moveDown(2);
+
+        doc.fontSize(14).text("EMPLOYEE", { underline: true }).moveDown();
+
+        doc
+          .fontSize(12)
+          .text(`Name: ${employeeData.firstName} ${employeeData.lastName}`)
+          .text(`Position: ${employeeData.designation || "N/A"}`)
+          .text(`Employee ID: ${employeeData._id}`)
+          .moveDown(2);
+
+        // Earnings
+        doc.fontSize(14).text("EARNINGS", { underline: true }).moveDown();
+
+        doc
+          .fontSize(12)
+          .text(`Type: ${payment.type} pay`)
+          .text(`Description: ${payment.description || "N/A"}`)
+          .text(`Status: ${payment.status}`)
+          .moveDown();
+
+        doc
+          .fontSize(16)
+          .fillColor(brand.primaryColor)
+          .text(`Net pay: ${formatCurrency(payment.amount, currency)}`)
+          .fillColor("black")
+          .moveDown(2);
+
+        doc
+          .fontSize(10)
+          .text(
+            "Paid by bank transfer to the account on file. Contact your employer if any of these details are incorrect."
+          );
+
+        this.addFooters(doc, brand);
+        doc.end();
+
+        stream.on("finish", async () => {
+          try {
+            const result = await cloudinary.uploader.upload(filePath, {
+              folder: `companies/${companyData._id}/payslips`,
+              resource_type: "raw",
+            });
+
+            fs.unlinkSync(filePath);
+
+            resolve({
+              fileName,
+              url: result.secure_url,
+              publicId: result.public_id,
+              size: result.bytes,
+              format: result.format,
+            });
+          } catch (uploadError) {
+            console.error("Error uploading PDF to Cloudinary:", uploadError);
+            reject(new Error("Failed to upload payslip PDF"));
+          }
+        });
+
+        stream.on("error", (error) => {
+          console.error("Error generating PDF:", error);
+          reject(new Error("Failed to generate payslip PDF"));
+        });
+      } catch (error) {
+        console.error("Error in generatePayslip:", error);
+        reject(error);
+      }
+    });
+  }
+
+  async addLetterhead(doc, brand) {
+    if (brand.logo) {
+      try {
+        const logoPath = await this.downloadImage(brand.logo);
+        doc.image(logoPath, { fit: [150, 60], align: "center" });
+        // Clean up downloaded image
+        fs.unlinkSync(logoPath);
+      } catch (error) {
+        console.error("Error adding logo to PDF:", error);
+        // Continue without logo
+      }
+    }
+
+    doc
+      .fontSize(10)
+      .fillColor(brand.primaryColor)
+      .text(brand.name, { align: "center" })
+      .moveDown(0.5);
+
+    // Rule across the page under the letterhead
+    doc
+      .strokeColor(brand.primaryColor)
+      .lineWidth(2)
+      .moveTo(doc.page.margins.left, doc.y)
+      .lineTo(doc.page.width - doc.page.margins.right, doc.y)
+      .stroke()
+      .fillColor("black")
+      .moveDown(2);
+  }
+
+  addTitle(doc, title, brand) {
+    doc
+      .fontSize(20)
+      .fillColor(brand.primaryColor)
+      .text(title, { align: "center" })
+      .fillColor("black")
+      .moveDown(2);
+  }
+
+  // Documents must be created with bufferPages so every page can be revisited
+  addFooters(doc, brand) {
+    const { start, count } = doc.bufferedPageRange();
+
+    for (let i = start; i < start + count; i++) {
+      doc.switchToPage(i);
+
+      // Writing inside the bottom margin would otherwise add a page
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+
+      const width = doc.page.width - doc.page.margins.left * 2;
+      const footer = [brand.footer, `Page ${i - start + 1} of ${count}`]
+        .filter(Boolean)
+        .join("\n");
+
+      doc
+        .fontSize(8)
+        .fillColor("#777777")
+        .text(footer, doc.page.margins.left, doc.page.height - 45, {
+          width,
+          align: "center",
+        })
+        .fillColor("black");
+
+      doc.page.margins.bottom = bottomMargin;
+    }
+  }
+
+  formatAddress(address) {
+    if (!address) return "";
+    if (typeof address === "string") return address;
+
+    return [address.street, address.city, address.state, address.country]
+      .filter(Boolean)
+      .join(", ");
+  }
+
   async downloadImage(url) {
     const axios = require("axios");
     const { v4: uuidv4 } = require("uuid");
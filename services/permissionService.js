@@ -0,0 +1,43 @@
+const Role = require("../models/Role");
+const {
+  ALL_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+} = require("../config/permissions");
+
+class PermissionService {
+  /**
+   * Resolve the permissions a user holds within a company
+   * @param {Object} user - User document
+   * @param {Object} company - Company the user belongs to
+   * @returns {Array<String>} Permission keys
+   */
+  async getPermissions(user, company) {
+    if (user.role === "admin" || this.isOwner(user, company)) {
+      return ALL_PERMISSIONS;
+    }
+
+    if (!user.companyRoles || user.companyRoles.length === 0) {
+      return DEFAULT_ROLE_PERMISSIONS[user.role] || [];
+    }
+
+    // Only roles defined by this company count
+    const roles = await Role.find({
+      _id: { $in: user.companyRoles },
+      companyId: company._id,
+    }).select("permissions");
+
+    return [...new Set(roles.flatMap((role) => role.permissions))];
+  }
+
+  /**
+   * Check whether a user owns a company
+   * @param {Object} user - User document
+   * @param {Object} company - Company document
+   * @returns {Boolean} Whether the user is the owner
+   */
+  isOwner(user, company) {
+    return !!company && company.owner.toString() === user._id.toString();
+  }
+}
+
+module.exports = new PermissionService();
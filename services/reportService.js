@@ -0,0 +1,199 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Attendance = require("../models/Attendance");
+const Payment = require("../models/Payment");
+const departmentService = require("./departmentService");
+const exchangeRateService = require("./exchangeRateService");
+const {
+  createError,
+  isSupportedCurrency,
+  roundAmount,
+  DEFAULT_CURRENCY,
+} = require("../utils/helpers");
+
+const EMPLOYEE_FIELDS = "firstName lastName email designation department";
+const DEFAULT_PERIOD_DAYS = 30;
+
+class ReportService {
+  /**
+   * Get attendance records for a company's employees
+   * @param {Object} company - Company document
+   * @param {Object} filters - { employeeId, department, startDate, endDate }
+   * @returns {Array} Attendance records
+   */
+  async getAttendanceReport(company, filters) {
+    const employeeIds = await this.getEmployeeIds(company, filters);
+
+    return Attendance.find({
+      employeeId: { $in: employeeIds },
+      date: this.buildDateRange(filters.startDate, filters.endDate),
+    })
+      .select("-monitoringCaptures")
+      .populate({
+        path: "employeeId",
+        select: EMPLOYEE_FIELDS,
+        populate: { path: "department", select: "name" },
+      })
+      .sort({ date: -1 });
+  }
+
+  /**
+   * Summarise attendance and efficiency per employee over a period
+   * @param {Object} company - Company document
+   * @param {Object} filters - { department, startDate, endDate }
+   * @returns {Array} Per-employee averages
+   */
+  async getEfficiencyReport(company, filters) {
+    const employeeIds = await this.getEmployeeIds(company, filters);
+
+    const [employees, stats] = await Promise.all([
+      User.find({ _id: { $in: employeeIds } })
+        .select(EMPLOYEE_FIELDS)
+        .populate("department", "name")
+        .sort({ firstName: 1 }),
+      Attendance.aggregate([
+        {
+          $match: {
+            employeeId: { $in: employeeIds },
+            date: this.buildDateRange(filters.startDate, filters.endDate),
+          },
+        },
+        {
+          $group: {
+            _id: "$employeeId",
+            averageEfficiency: { $avg: "$efficiencyReport.rating" },
+            totalHours: { $sum: "$workingHours" },
+            daysPresent: {
+              $sum: { $cond: [{ $ne: ["$status", "absent"] }, 1, 0] },
+            },
+            daysRecorded: { $sum: 1 },
+          },
+        },
+      ]),
+    ]);
+
+    return employees.map((employee) => {
+      const stat = stats.find(
+        (s) => s._id.toString() === employee._id.toString()
+      );
+
+      return {
+        employee,
+        averageEfficiency: stat ? Math.round(stat.averageEfficiency || 0) : 0,
+        totalHours: stat ? Number((stat.totalHours || 0).toFixed(2)) : 0,
+        daysPresent: stat ? stat.daysPresent : 0,
+        daysRecorded: stat ? stat.daysRecorded : 0,
+      };
+    });
+  }
+
+  /**
+   * Total payments in each currency, and across currencies converted into
+   * one reporting currency at the stored exchange rates
+   * @param {Object} match - Payment filter
+   * @param {String} currency - Currency to report in
+   * @param {Date} at - Instant whose exchange rates apply (defaults to now)
+   * @returns {Object} { currency, total, count, byCurrency, byStatus }
+   */
+  async getPaymentTotals(match, currency = DEFAULT_CURRENCY, at = new Date()) {
+    if (!isSupportedCurrency(currency)) {
+      throw createError(400, `Unsupported currency ${currency}`);
+    }
+
+    const groups = await Payment.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            currency: { $ifNull: ["$currency", DEFAULT_CURRENCY] },
+            status: "$status",
+          },
+          total: { $sum: "$amount" },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const rates = new Map();
+    for (const group of groups) {
+      const from = group._id.currency;
+      if (!rates.has(from)) {
+        rates.set(from, await exchangeRateService.getRate(from, currency, at));
+      }
+    }
+
+    const report = {
+      currency,
+      total: 0,
+      count: 0,
+      byCurrency: {},
+      byStatus: {},
+    };
+    groups.forEach((group) => {
+      const { currency: from, status } = group._id;
+      const rate = rates.get(from);
+      const converted = group.total * rate;
+
+      const byCurrency = report.byCurrency[from] || {
+        total: 0,
+        count: 0,
+        rate,
+        converted: 0,
+      };
+      byCurrency.total += group.total;
+      byCurrency.count += group.count;
+      byCurrency.converted += converted;
+      report.byCurrency[from] = byCurrency;
+
+      const byStatus = report.byStatus[status] || { total: 0, count: 0 };
+      byStatus.total += converted;
+      byStatus.count += group.count;
+      report.byStatus[status] = byStatus;
+
+      report.total += converted;
+      report.count += group.count;
+    });
+
+    // Round once at the end so per-group rounding doesn't accumulate
+    report.total = roundAmount(report.total, currency);
+    Object.entries(report.byCurrency).forEach(([from, totals]) => {
+      totals.total = roundAmount(totals.total, from);
+      totals.converted = roundAmount(totals.converted, currency);
+    });
+    Object.values(report.byStatus).forEach((totals) => {
+      totals.total = roundAmount(totals.total, currency);
+    });
+
+    return report;
+  }
+
+  async getEmployeeIds(company, { employeeId, department }) {
+    const query = { companyId: company._id, role: "employee" };
+
+    if (department) {
+      query._id = {
+        $in: await departmentService.getEmployeeIds(company, department),
+      };
+    }
+
+    if (employeeId) {
+      if (!mongoose.isValidObjectId(employeeId)) {
+        throw createError(404, "Employee not found");
+      }
+      query._id = query._id ? { ...query._id, $eq: employeeId } : employeeId;
+    }
+
+    return User.distinct("_id", query);
+  }
+
+  buildDateRange(startDate, endDate) {
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate
+      ? new Date(startDate)
+      : new Date(end.getTime() - DEFAULT_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+
+    return { $gte: start, $lte: end };
+  }
+}
+
+module.exports = new ReportService();
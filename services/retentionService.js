@@ -0,0 +1,333 @@
+const User = require("../models/User");
+const Company = require("../models/Company");
+const Attendance = require("../models/Attendance");
+const Interview = require("../models/Interview");
+const auditService = require("./auditService");
+const { deleteFromCloudinaryByUrl } = require("../config/cloudinary");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 200;
+const MAX_REPORTED_FAILURES = 100;
+
+// Data classes a company can set a retention period for
+const DATA_CLASSES = [
+  "faceCaptures",
+  "monitoringResults",
+  "interviewVideos",
+  "rejectedApplicants",
+  "dailyReports",
+];
+
+class RetentionService {
+  /**
+   * Get a company's retention periods, in days (null keeps data indefinitely)
+   * @param {Object} company - Company document
+   * @returns {Object} { faceCapturesDays, monitoringResultsDays, ... }
+   */
+  getPolicy(company) {
+    const policy = company.retentionPolicy || {};
+
+    return DATA_CLASSES.reduce((result, dataClass) => {
+      const value = policy[`${dataClass}Days`];
+      result[`${dataClass}Days`] = value === undefined ? null : value;
+      return result;
+    }, {});
+  }
+
+  /**
+   * Update some or all of a company's retention periods
+   * @param {Object} company - Company document
+   * @param {Object} data - Validated retentionPolicySchema payload
+   * @returns {Object} { before, after } retention periods
+   */
+  async updatePolicy(company, data) {
+    const before = this.getPolicy(company);
+
+    Object.entries(data).forEach(([field, value]) => {
+      company.set(`retentionPolicy.${field}`, value);
+    });
+    await company.save();
+
+    return { before, after: this.getPolicy(company) };
+  }
+
+  /**
+   * Apply every company's retention policy
+   * @returns {Array} Purge report for each company where something was removed
+   */
+  async enforceAll() {
+    const reports = [];
+    const cursor = Company.find().select("name retentionPolicy").cursor();
+
+    for await (const company of cursor) {
+      try {
+        const report = await this.enforceForCompany(company);
+        if (report.total > 0) {
+          reports.push(report);
+        }
+      } catch (error) {
+        console.error(
+          `Error enforcing retention for company ${company._id}:`,
+          error
+        );
+      }
+    }
+
+    return reports;
+  }
+
+  /**
+   * Delete a company's data that has outlived its retention period,
+   * together with the stored files, and record what was purged
+   * @param {Object} company - Company document
+   * @returns {Object} Purge report with counts per data class
+   */
+  async enforceForCompany(company) {
+    const policy = this.getPolicy(company);
+    const files = { deleted: 0, failed: [] };
+    const purged = {};
+
+    // Attendance has no company field, so select it through the employees
+    const employeeIds = await User.distinct("_id", {
+      companyId: company._id,
+      role: "employee",
+    });
+
+    const cutoff = (dataClass) => {
+      const days = policy[`${dataClass}Days`];
+      return days === null ? null : new Date(Date.now() - days * DAY_MS);
+    };
+
+    purged.faceCaptures = await this.purgeFaceCaptures(
+      employeeIds,
+      cutoff("faceCaptures"),
+      files
+    );
+    purged.monitoringResults = await this.purgeMonitoringResults(
+      employeeIds,
+      cutoff("monitoringResults"),
+      files
+    );
+    purged.dailyReports = await this.purgeDailyReports(
+      employeeIds,
+      cutoff("dailyReports")
+    );
+    purged.rejectedApplicants = await this.purgeRejectedApplicants(
+      company,
+      cutoff("rejectedApplicants"),
+      files
+    );
+    purged.interviewVideos = await this.purgeInterviewVideos(
+      company,
+      cutoff("interviewVideos"),
+      files
+    );
+
+    const report = {
+      companyId: company._id,
+      companyName: company.name,
+      purged,
+      total: Object.values(purged).reduce((sum, count) => sum + count, 0),
+      filesDeleted: files.deleted,
+      filesFailed: files.failed,
+    };
+
+    if (report.total > 0) {
+      await auditService.record({
+        action: "retention.purged",
+        target: { type: "Company", id: company._id },
+        companyId: company._id,
+        metadata: {
+          policy,
+          purged,
+          filesDeleted: files.deleted,
+          filesFailedCount: files.failed.length,
+          filesFailed: files.failed.slice(0, MAX_REPORTED_FAILURES),
+        },
+      });
+    }
+
+    return report;
+  }
+
+  async purgeFaceCaptures(employeeIds, before, files) {
+    if (!before) return 0;
+
+    return this.scrubAttendance(
+      {
+        employeeId: { $in: employeeIds },
+        date: { $lt: before },
+        $or: [
+          { clockInImage: { $exists: true, $ne: null } },
+          { clockOutImage: { $exists: true, $ne: null } },
+        ],
+      },
+      (record) => [record.clockInImage, record.clockOutImage],
+      { $unset: { clockInImage: "", clockOutImage: "" } },
+      files
+    );
+  }
+
+  async purgeMonitoringResults(employeeIds, before, files) {
+    if (!before) return 0;
+
+    // The efficiency report summarising the captures is kept
+    return this.scrubAttendance(
+      {
+        employeeId: { $in: employeeIds },
+        date: { $lt: before },
+        "monitoringCaptures.0": { $exists: true },
+      },
+      (record) => record.monitoringCaptures.map((capture) => capture.imageUrl),
+      { $set: { monitoringCaptures: [] } },
+      files
+    );
+  }
+
+  async purgeDailyReports(employeeIds, before) {
+    if (!before) return 0;
+
+    const result = await Attendance.updateMany(
+      {
+        employeeId: { $in: employeeIds },
+        date: { $lt: before },
+        dailyProgress: { $exists: true },
+      },
+      { $unset: { dailyProgress: "" } }
+    );
+    return result.modifiedCount;
+  }
+
+  async purgeRejectedApplicants(company, before, files) {
+    if (!before) return 0;
+
+    const isExpired = (application) =>
+      application.status === "rejected" && application.applicationDate < before;
+
+    const interviews = await Interview.find({
+      companyId: company._id,
+      applications: {
+        $elemMatch: { status: "rejected", applicationDate: { $lt: before } },
+      },
+    })
+      .select("applications")
+      .lean();
+
+    let purged = 0;
+
+    for (const interview of interviews) {
+      const applications = interview.applications.filter(isExpired);
+
+      for (const application of applications) {
+        await this.deleteFiles(
+          [
+            application.resume,
+            ...(application.responses || []).map((r) => r.videoUrl),
+          ],
+          files
+        );
+      }
+
+      await Interview.updateOne(
+        { _id: interview._id },
+        {
+          $pull: {
+            applications: {
+              status: "rejected",
+              applicationDate: { $lt: before },
+            },
+          },
+        }
+      );
+
+      purged += applications.length;
+    }
+
+    return purged;
+  }
+
+  async purgeInterviewVideos(company, before, files) {
+    if (!before) return 0;
+
+    const interviews = await Interview.find({
+      companyId: company._id,
+      applications: {
+        $elemMatch: {
+          applicationDate: { $lt: before },
+          "responses.videoUrl": { $exists: true, $ne: null },
+        },
+      },
+    })
+      .select("applications")
+      .lean();
+
+    let purged = 0;
+
+    for (const interview of interviews) {
+      const videoUrls = interview.applications
+        .filter((application) => application.applicationDate < before)
+        .flatMap((application) =>
+          (application.responses || []).map((r) => r.videoUrl)
+        )
+        .filter(Boolean);
+
+      await this.deleteFiles(videoUrls, files);
+
+      // Answer durations and review outcomes stay; only the recordings go
+      await Interview.updateOne(
+        { _id: interview._id },
+        { $unset: { "applications.$[app].responses.$[].videoUrl": "" } },
+        { arrayFilters: [{ "app.applicationDate": { $lt: before } }] }
+      );
+
+      purged += videoUrls.length;
+    }
+
+    return purged;
+  }
+
+  async scrubAttendance(query, getFileUrls, update, files) {
+    const cursor = Attendance.find(query)
+      .select("clockInImage clockOutImage monitoringCaptures.imageUrl")
+      .lean()
+      .cursor();
+
+    let batch = [];
+    let purged = 0;
+
+    const flush = async () => {
+      await Attendance.updateMany({ _id: { $in: batch } }, update);
+      purged += batch.length;
+      batch = [];
+    };
+
+    for await (const record of cursor) {
+      await this.deleteFiles(getFileUrls(record), files);
+
+      batch.push(record._id);
+      if (batch.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+
+    if (batch.length > 0) {
+      await flush();
+    }
+
+    return purged;
+  }
+
+  async deleteFiles(urls, files) {
+    for (const url of urls) {
+      if (!url) continue;
+
+      if (await deleteFromCloudinaryByUrl(url)) {
+        files.deleted++;
+      } else {
+        files.failed.push(url);
+      }
+    }
+  }
+}
+
+module.exports = new RetentionService();
@@ -0,0 +1,182 @@
+const crypto = require("crypto");
+const Session = require("../models/Session");
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(
+  process.env.REFRESH_TOKEN_TTL_DAYS || "30",
+  10
+);
+// Rotated-out tokens remembered per session. Replaying any of them revokes
+// the session; older ones are only rejected as invalid.
+const MAX_PREVIOUS_TOKENS = 100;
+
+class SessionService {
+  /**
+   * Hash a refresh token secret for storage
+   * @param {String} secret - Raw refresh token secret
+   * @returns {String} SHA-256 hex digest
+   */
+  hashToken(secret) {
+    return crypto.createHash("sha256").update(secret).digest("hex");
+  }
+
+  /**
+   * Sign a short-lived access token bound to a session
+   * @param {Object} user - User document
+   * @param {Object} session - Session document
+   * @returns {String} Signed JWT
+   */
+  generateAccessToken(user, session) {
+    return user.generateAuthToken(session);
+  }
+
+  /**
+   * Start a new session for a user after a successful login
+   * @param {Object} user - User document
+   * @param {Object} req - Express request (for user agent and IP)
+   * @returns {Object} Access token, refresh token and session
+   */
+  async createSession(user, req) {
+    const secret = crypto.randomBytes(48).toString("hex");
+
+    const session = await Session.create({
+      userId: user._id,
+      refreshTokenHash: this.hashToken(secret),
+      userAgent: req.get("User-Agent"),
+      ipAddress: req.ip,
+      expiresAt: new Date(
+        Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+      ),
+    });
+
+    return {
+      accessToken: this.generateAccessToken(user, session),
+      refreshToken: `${session._id}.${secret}`,
+      session,
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair.
+   * Presenting a refresh token that was already rotated out revokes the
+   * whole session, since it means the token was copied.
+   * @param {String} refreshToken - Refresh token in "<sessionId>.<secret>" form
+   * @param {Object} req - Express request
+   * @returns {Object} Rotated session and its new refresh token
+   */
+  async rotateRefreshToken(refreshToken, req) {
+    const [sessionId, secret] = (refreshToken || "").split(".");
+    if (!sessionId || !secret || !/^[0-9a-fA-F]{24}$/.test(sessionId)) {
+      throw new Error("Invalid refresh token");
+    }
+
+    const session = await Session.findById(sessionId).select(
+      "+refreshTokenHash +previousTokenHashes"
+    );
+    if (!session || !session.isActive()) {
+      throw new Error("Session expired or revoked");
+    }
+
+    const presentedHash = this.hashToken(secret);
+
+    if (session.previousTokenHashes.includes(presentedHash)) {
+      await this.revokeSession(session._id, "token_reuse");
+      throw new Error("Refresh token reuse detected");
+    }
+
+    if (presentedHash !== session.refreshTokenHash) {
+      throw new Error("Invalid refresh token");
+    }
+
+    // Rotate only if the presented token is still current, so two requests
+    // replaying the same token can't both receive a new pair
+    const newSecret = crypto.randomBytes(48).toString("hex");
+    const rotated = await Session.findOneAndUpdate(
+      {
+        _id: session._id,
+        refreshTokenHash: presentedHash,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      {
+        $set: {
+          refreshTokenHash: this.hashToken(newSecret),
+          lastUsedAt: new Date(),
+          ipAddress: req.ip,
+          userAgent: req.get("User-Agent"),
+        },
+        $push: {
+          previousTokenHashes: {
+            $each: [presentedHash],
+            $slice: -MAX_PREVIOUS_TOKENS,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      // Another request rotated this token first: treat it as reuse
+      await this.revokeSession(session._id, "token_reuse");
+      throw new Error("Refresh token reuse detected");
+    }
+
+    return {
+      session: rotated,
+      refreshToken: `${rotated._id}.${newSecret}`,
+    };
+  }
+
+  /**
+   * Check whether the session behind an access token is still usable
+   * @param {String} sessionId - Session ID
+   * @returns {Object|null} Active session or null
+   */
+  async getActiveSession(sessionId) {
+    const session = await Session.findById(sessionId);
+    if (!session || !session.isActive()) {
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Revoke a single session
+   * @param {String} sessionId - Session ID
+   * @param {String} reason - Revocation reason
+   */
+  async revokeSession(sessionId, reason = "logout") {
+    await Session.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+  }
+
+  /**
+   * Revoke every active session of a user ("log out everywhere")
+   * @param {String} userId - User ID
+   * @param {String} reason - Revocation reason
+   * @returns {Number} Number of sessions revoked
+   */
+  async revokeAllForUser(userId, reason = "logout_all") {
+    const result = await Session.updateMany(
+      { userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * List a user's active sessions
+   * @param {String} userId - User ID
+   * @returns {Array} Active sessions, most recently used first
+   */
+  async listActiveSessions(userId) {
+    return Session.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+  }
+}
+
+module.exports = new SessionService();
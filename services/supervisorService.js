@@ -0,0 +1,300 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Company = require("../models/Company");
+const Attendance = require("../models/Attendance");
+const Payment = require("../models/Payment");
+const paymentService = require("./paymentService");
+const auditService = require("./auditService");
+const { createError } = require("../utils/helpers");
+
+const REPORT_FIELDS = "firstName lastName email designation profileImage";
+
+class SupervisorService {
+  /**
+   * Get the active employees reporting directly to a supervisor
+   * @param {String} supervisorId - Supervisor's user ID
+   * @returns {Array} Direct reports
+   */
+  async getDirectReports(supervisorId) {
+    return User.find({ supervisor: supervisorId, isActive: true })
+      .select(REPORT_FIELDS)
+      .sort({ firstName: 1 });
+  }
+
+  /**
+   * Get one direct report, failing if the employee reports to someone else
+   * @param {String} supervisorId - Supervisor's user ID
+   * @param {String} employeeId - Employee's user ID
+   * @returns {Object} Employee
+   */
+  async getDirectReport(supervisorId, employeeId) {
+    if (!mongoose.isValidObjectId(employeeId)) {
+      throw createError(404, "Employee not found in your team");
+    }
+
+    const employee = await User.findOne({
+      _id: employeeId,
+      supervisor: supervisorId,
+    }).select(`${REPORT_FIELDS} workSchedule employmentDate companyId`);
+
+    if (!employee) {
+      throw createError(404, "Employee not found in your team");
+    }
+
+    return employee;
+  }
+
+  /**
+   * Get attendance records, daily progress and efficiency for direct reports
+   * @param {String} supervisorId - Supervisor's user ID
+   * @param {Object} filters - { employeeId, startDate, endDate, outsideFence }
+   * @returns {Array} Attendance records
+   */
+  async getTeamAttendance(
+    supervisorId,
+    { employeeId, startDate, endDate, outsideFence }
+  ) {
+    const employeeIds = await this.getReportIds(supervisorId, employeeId);
+
+    const query = {
+      employeeId: { $in: employeeIds },
+      date: this.buildDateRange(startDate, endDate),
+    };
+    // Clock-ins flagged outside the branch geofence, for review
+    if (outsideFence) query["geofence.outsideFence"] = true;
+
+    return Attendance.find(query)
+      .select("-monitoringCaptures")
+      .populate("employeeId", "firstName lastName")
+      .sort({ date: -1 });
+  }
+
+  /**
+   * Summarise efficiency per direct report over a period
+   * @param {String} supervisorId - Supervisor's user ID
+   * @param {Object} filters - { startDate, endDate }
+   * @returns {Array} Per-employee averages
+   */
+  async getTeamEfficiency(supervisorId, { startDate, endDate }) {
+    const reports = await this.getDirectReports(supervisorId);
+
+    const stats = await Attendance.aggregate([
+      {
+        $match: {
+          employeeId: { $in: reports.map((r) => r._id) },
+          date: this.buildDateRange(startDate, endDate),
+        },
+      },
+      {
+        $group: {
+          _id: "$employeeId",
+          averageEfficiency: { $avg: "$efficiencyReport.rating" },
+          totalHours: { $sum: "$workingHours" },
+          daysPresent: {
+            $sum: { $cond: [{ $ne: ["$status", "absent"] }, 1, 0] },
+          },
+          daysRecorded: { $sum: 1 },
+        },
+      },
+    ]);
+
+    return reports.map((employee) => {
+      const stat = stats.find(
+        (s) => s._id.toString() === employee._id.toString()
+      );
+
+      return {
+        employee,
+        averageEfficiency: stat ? Math.round(stat.averageEfficiency || 0) : 0,
+        totalHours: stat ? Number(stat.totalHours.toFixed(2)) : 0,
+        daysPresent: stat ? stat.daysPresent : 0,
+        daysRecorded: stat ? stat.daysRecorded : 0,
+      };
+    });
+  }
+
+  /**
+   * Get pending daily payments for direct reports
+   * @param {String} supervisorId - Supervisor's user ID
+   * @returns {Array} Pending payments
+   */
+  async getPendingPayments(supervisorId) {
+    const employeeIds = await this.getReportIds(supervisorId);
+
+    return Payment.find({
+      employeeId: { $in: employeeIds },
+      status: "pending",
+    })
+      .populate("employeeId", "firstName lastName")
+      .sort({ date: -1 });
+  }
+
+  /**
+   * Approve or decline a direct report's pending payment
+   * @param {Object} supervisor - Supervisor user document
+   * @param {String} paymentId - Payment ID
+   * @param {String} action - "approve" or "decline"
+   * @param {String} reason - Required when declining
+   * @returns {Object} Updated payment
+   */
+  async reviewPayment(supervisor, paymentId, action, reason) {
+    if (!mongoose.isValidObjectId(paymentId)) {
+      throw createError(404, "Payment not found");
+    }
+
+    const payment = await Payment.findById(paymentId).select(
+      "employeeId companyId"
+    );
+    if (!payment) {
+      throw createError(404, "Payment not found");
+    }
+
+    await this.getDirectReport(supervisor._id, payment.employeeId);
+
+    const company = await Company.findById(payment.companyId);
+
+    if (action === "approve") {
+      return paymentService.approvePayment(payment._id, supervisor, company);
+    }
+
+    return paymentService.declinePayment(
+      payment._id,
+      supervisor,
+      company,
+      reason
+    );
+  }
+
+  /**
+   * Get attendance records with pending correction requests from direct reports
+   * @param {String} supervisorId - Supervisor's user ID
+   * @returns {Array} Attendance records
+   */
+  async getPendingCorrections(supervisorId) {
+    const employeeIds = await this.getReportIds(supervisorId);
+
+    return Attendance.find({
+      employeeId: { $in: employeeIds },
+      "correctionRequests.status": "pending",
+    })
+      .select("employeeId date clockInTime clockOutTime correctionRequests")
+      .populate("employeeId", "firstName lastName")
+      .sort({ date: -1 });
+  }
+
+  /**
+   * Approve or reject a correction request, applying the requested times
+   * @param {Object} supervisor - Supervisor user document
+   * @param {String} attendanceId - Attendance record ID
+   * @param {String} correctionId - Correction request ID
+   * @param {Object} decision - { action, note }
+   * @returns {Object} Updated attendance record
+   */
+  async reviewCorrection(
+    supervisor,
+    attendanceId,
+    correctionId,
+    { action, note }
+  ) {
+    if (!mongoose.isValidObjectId(attendanceId)) {
+      throw createError(404, "Attendance record not found");
+    }
+
+    const attendance = await Attendance.findById(attendanceId);
+    if (!attendance) {
+      throw createError(404, "Attendance record not found");
+    }
+
+    const employee = await this.getDirectReport(
+      supervisor._id,
+      attendance.employeeId
+    );
+
+    const correction = attendance.correctionRequests.id(correctionId);
+    if (!correction) {
+      throw createError(404, "Correction request not found");
+    }
+
+    if (correction.status !== "pending") {
+      throw createError(
+        400,
+        `Correction has already been ${correction.status}`
+      );
+    }
+
+    correction.status = action === "approve" ? "approved" : "rejected";
+    correction.reviewedBy = supervisor._id;
+    correction.reviewedAt = new Date();
+    correction.reviewNote = note;
+
+    // Corrected times change the hours worked, and so the day's pay
+    const before = {
+      clockInTime: attendance.clockInTime,
+      clockOutTime: attendance.clockOutTime,
+      workingHours: attendance.workingHours,
+    };
+
+    if (action === "approve") {
+      if (correction.requestedClockInTime) {
+        attendance.clockInTime = correction.requestedClockInTime;
+      }
+      if (correction.requestedClockOutTime) {
+        attendance.clockOutTime = correction.requestedClockOutTime;
+      }
+
+      if (attendance.clockInTime && attendance.clockOutTime) {
+        attendance.workingHours = Number(
+          (
+            (attendance.clockOutTime - attendance.clockInTime) /
+            (1000 * 60 * 60)
+          ).toFixed(2)
+        );
+      }
+    }
+
+    await attendance.save();
+
+    await auditService.record({
+      action: `attendance.correction_${correction.status}`,
+      actor: supervisor,
+      target: { type: "Attendance", id: attendance._id },
+      companyId: employee.companyId,
+      before: { ...before, correctionStatus: "pending" },
+      after: {
+        clockInTime: attendance.clockInTime,
+        clockOutTime: attendance.clockOutTime,
+        workingHours: attendance.workingHours,
+        correctionStatus: correction.status,
+      },
+      metadata: {
+        employeeId: attendance.employeeId,
+        correctionId: correction._id,
+        reason: correction.reason,
+        note,
+      },
+    });
+
+    return attendance;
+  }
+
+  async getReportIds(supervisorId, employeeId) {
+    if (employeeId) {
+      const employee = await this.getDirectReport(supervisorId, employeeId);
+      return [employee._id];
+    }
+
+    const reports = await this.getDirectReports(supervisorId);
+    return reports.map((report) => report._id);
+  }
+
+  buildDateRange(startDate, endDate) {
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate
+      ? new Date(startDate)
+      : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    return { $gte: start, $lte: end };
+  }
+}
+
+module.exports = new SupervisorService();
@@ -0,0 +1,228 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const Company = require("../models/Company");
+const {
+  generateSecret,
+  verifyCode,
+  buildProvisioningUri,
+} = require("../utils/totp");
+
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TOKEN_TTL = "5m";
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "HR Management";
+
+class TwoFactorService {
+  /**
+   * Roles that must use 2FA platform-wide (TWO_FACTOR_REQUIRED_ROLES=admin,employer)
+   * @returns {Array<String>} Role names
+   */
+  getRequiredRoles() {
+    return (process.env.TWO_FACTOR_REQUIRED_ROLES || "admin")
+      .split(",")
+      .map((role) => role.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Check whether a user is required to use 2FA, by role or by company policy
+   * @param {Object} user - User document
+   * @returns {Boolean} Whether 2FA is mandatory
+   */
+  async isRequired(user) {
+    if (this.getRequiredRoles().includes(user.role)) {
+      return true;
+    }
+
+    if (user.role === "admin") {
+      return false;
+    }
+
+    const company = await Company.findForUser(user);
+    if (!company || !company.security || !company.security.twoFactorRequired) {
+      return false;
+    }
+
+    const roles = company.security.twoFactorRoles || [];
+    return roles.length === 0 || roles.includes(user.role);
+  }
+
+  /**
+   * Issue a short-lived token proving the password step succeeded
+   * @param {Object} user - User document
+   * @param {String} purpose - "2fa_verify" or "2fa_setup"
+   * @returns {String} Signed JWT
+   */
+  createChallengeToken(user, purpose) {
+    return jwt.sign({ userId: user._id, purpose }, process.env.JWT_SECRET, {
+      expiresIn: CHALLENGE_TOKEN_TTL,
+    });
+  }
+
+  /**
+   * Resolve the user behind a challenge token
+   * @param {String} token - Challenge token from the login step
+   * @param {String} purpose - Expected purpose
+   * @returns {Object} User document
+   */
+  async verifyChallengeToken(token, purpose) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new Error("Invalid or expired challenge token");
+    }
+
+    if (decoded.purpose !== purpose) {
+      throw new Error("Invalid or expired challenge token");
+    }
+
+    const user = await User.findById(decoded.userId).select(
+      "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes"
+    );
+    if (!user || !user.isActive) {
+      throw new Error("User not found");
+    }
+
+    return user;
+  }
+
+  /**
+   * Start enrollment: generate a secret and its provisioning URI
+   * @param {Object} user - User document
+   * @returns {Object} Secret and otpauth:// URI for the QR code
+   */
+  async beginEnrollment(user) {
+    if (user.twoFactor.enabled) {
+      throw new Error("Two-factor authentication is already enabled");
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    return {
+      secret,
+      otpauthUrl: buildProvisioningUri({
+        secret,
+        accountName: user.email,
+        issuer: ISSUER,
+      }),
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {Object} user - User document (with pendingSecret selected)
+   * @param {String} code - 6-digit TOTP code
+   * @returns {Array<String>} Plaintext backup codes, shown once
+   */
+  async confirmEnrollment(user, code) {
+    const pendingSecret = user.twoFactor.pendingSecret;
+    if (!pendingSecret) {
+      throw new Error("Two-factor enrollment has not been started");
+    }
+
+    const step = verifyCode(pendingSecret, code);
+    if (step === null) {
+      throw new Error("Invalid verification code");
+    }
+
+    const backupCodes = this.generateBackupCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.backupCodes = backupCodes.map((c) => this.hashCode(c));
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enrolledAt = new Date();
+    await user.save();
+
+    return backupCodes;
+  }
+
+  /**
+   * Verify a second factor: a TOTP code or a single-use backup code
+   * @param {Object} user - User document (with secret and backupCodes selected)
+   * @param {Object} factor - { code } or { backupCode }
+   * @returns {Boolean} Whether the factor is valid
+   */
+  async verifySecondFactor(user, { code, backupCode }) {
+    if (!user.twoFactor.enabled) {
+      return false;
+    }
+
+    if (code) {
+      const step = verifyCode(user.twoFactor.secret, code);
+
+      // Reject codes at or before the last accepted step (replay)
+      if (
+        step === null ||
+        (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)
+      ) {
+        return false;
+      }
+
+      user.twoFactor.lastUsedStep = step;
+      await user.save();
+      return true;
+    }
+
+    if (backupCode) {
+      const hash = this.hashCode(backupCode);
+      const remaining = user.twoFactor.backupCodes || [];
+
+      if (!remaining.includes(hash)) {
+        return false;
+      }
+
+      user.twoFactor.backupCodes = remaining.filter((c) => c !== hash);
+      await user.save();
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Replace all backup codes
+   * @param {Object} user - User document
+   * @returns {Array<String>} New plaintext backup codes
+   */
+  async regenerateBackupCodes(user) {
+    const backupCodes = this.generateBackupCodes();
+    user.twoFactor.backupCodes = backupCodes.map((c) => this.hashCode(c));
+    await user.save();
+    return backupCodes;
+  }
+
+  /**
+   * Turn 2FA off for a user
+   * @param {Object} user - User document
+   */
+  async disable(user) {
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.backupCodes = undefined;
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.enrolledAt = undefined;
+    await user.save();
+  }
+
+  generateBackupCodes() {
+    return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString("hex");
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  hashCode(code) {
+    return crypto
+      .createHash("sha256")
+      .update(String(code).trim().toLowerCase())
+      .digest("hex");
+  }
+}
+
+module.exports = new TwoFactorService();
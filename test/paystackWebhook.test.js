@@ -0,0 +1,122 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+process.env.PAYSTACK_SECRET_KEY = "sk_test_webhook";
+
+const Invoice = require("../models/Invoice");
+const Company = require("../models/Company");
+const auditService = require("../services/auditService");
+const paymentController = require("../controllers/paymentController");
+
+const sign = (body) =>
+  crypto
+    .createHmac("sha512", process.env.PAYSTACK_SECRET_KEY)
+    .update(body)
+    .digest("hex");
+
+const sendWebhook = async (event, signature) => {
+  const rawBody = Buffer.from(JSON.stringify(event));
+  const req = {
+    rawBody,
+    body: JSON.parse(rawBody),
+    headers: { "x-paystack-signature": signature || sign(rawBody) },
+  };
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+
+  await paymentController.paystackWebhook(req, res);
+  return res;
+};
+
+describe("Paystack webhook", () => {
+  let invoice;
+
+  beforeEach(() => {
+    invoice = new Invoice({
+      companyId: new mongoose.Types.ObjectId(),
+      number: "INV-202609-ABC123",
+      plan: "per_seat",
+      periodStart: new Date("2026-09-01"),
+      periodEnd: new Date("2026-10-01"),
+      seats: 4,
+      unitPrice: 2500,
+      amount: 10000,
+      currency: "NGN",
+      dueDate: new Date("2026-10-15"),
+    });
+
+    mock.method(Invoice, "findById", async () => invoice);
+    mock.method(Invoice, "findOneAndUpdate", async (filter, update) => {
+      if (invoice.status !== filter.status) return null;
+      invoice.set(update.$set);
+      return invoice;
+    });
+    mock.method(Company, "findById", async () => null);
+    mock.method(auditService, "record", async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const charge = () => ({
+    event: "charge.success",
+    data: {
+      reference: "INV-202609-ABC123-1760000000000",
+      amount: 1000000,
+      currency: "NGN",
+      metadata: {
+        invoice_id: invoice._id.toString(),
+        company_id: invoice.companyId.toString(),
+      },
+    },
+  });
+
+  it("marks the invoice paid for a confirmed charge", async () => {
+    const res = await sendWebhook(charge());
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(invoice.status, "paid");
+    assert.strictEqual(
+      invoice.paymentReference,
+      "INV-202609-ABC123-1760000000000"
+    );
+    assert.ok(invoice.paidAt instanceof Date);
+    assert.strictEqual(auditService.record.mock.callCount(), 1);
+  });
+
+  it("ignores a repeated delivery of the same charge", async () => {
+    await sendWebhook(charge());
+    const res = await sendWebhook(charge());
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(auditService.record.mock.callCount(), 1);
+  });
+
+  it("leaves the invoice open when the charge is short", async () => {
+    const event = charge();
+    event.data.amount = 500000;
+
+    await sendWebhook(event);
+
+    assert.strictEqual(invoice.status, "open");
+  });
+
+  it("rejects a webhook without a valid signature", async () => {
+    const res = await sendWebhook(charge(), sign(Buffer.from("forged")));
+
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(invoice.status, "open");
+    assert.strictEqual(Invoice.findById.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Application-level encryption for sensitive fields stored in MongoDB
+ *
+ * Values are encrypted with AES-256-GCM and stored as
+ * "enc:<keyId>:<iv>:<authTag>:<ciphertext>" (base64url parts), so each value
+ * records the key that encrypted it and old keys can be retired by running
+ * scripts/rotateEncryptionKeys.js.
+ *
+ * Keys come from FIELD_ENCRYPTION_KEYS, a comma-separated list of
+ * "<keyId>:<base64 32-byte key>". New values use FIELD_ENCRYPTION_KEY_ID,
+ * or the first key listed.
+ */
+
+const crypto = require("crypto");
+
+const ALGORITHM = "aes-256-gcm";
+const PREFIX = "enc";
+const IV_BYTES = 12;
+const AUTH_TAG_BYTES = 16;
+const BASE64URL = /^[A-Za-z0-9_-]*$/;
+
+let keyring = null;
+
+/**
+ * Load the configured keys once
+ * @returns {Object} - { currentKeyId, keys: Map<keyId, Buffer> }
+ */
+const getKeyring = () => {
+  if (keyring) return keyring;
+
+  const entries = (process.env.FIELD_ENCRYPTION_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    throw new Error("FIELD_ENCRYPTION_KEYS is not configured");
+  }
+
+  const keys = new Map();
+  for (const entry of entries) {
+    const [keyId, encodedKey] = entry.split(":");
+    const key = Buffer.from(encodedKey || "", "base64");
+
+    if (!/^[\w-]+$/.test(keyId) || key.length !== 32) {
+      throw new Error(
+        `Invalid encryption key "${keyId}": expected <keyId>:<base64 32-byte key>`
+      );
+    }
+    keys.set(keyId, key);
+  }
+
+  const currentKeyId =
+    process.env.FIELD_ENCRYPTION_KEY_ID || entries[0].split(":")[0];
+  if (!keys.has(currentKeyId)) {
+    throw new Error(
+      `Current encryption key "${currentKeyId}" is not configured`
+    );
+  }
+
+  keyring = { currentKeyId, keys };
+  return keyring;
+};
+
+/**
+ * Check that the configured keys load, so a missing or malformed
+ * FIELD_ENCRYPTION_KEYS stops the server at startup instead of failing
+ * every save. Throws when they don't.
+ */
+const assertKeysConfigured = () => {
+  getKeyring();
+};
+
+/**
+ * Check whether a stored value is an encryption envelope: the prefix, a key
+ * id, a 12-byte IV, a 16-byte auth tag and the ciphertext. Other strings,
+ * even ones starting with "enc:", are plaintext.
+ * @param {*} value - Stored value
+ * @returns {boolean} - True for encrypted strings
+ */
+const isEncrypted = (value) => {
+  if (typeof value !== "string") return false;
+
+  const parts = value.split(":");
+  if (parts.length !== 5) return false;
+
+  const [prefix, keyId, iv, authTag, ciphertext] = parts;
+  return (
+    prefix === PREFIX &&
+    /^[\w-]+$/.test(keyId) &&
+    [iv, authTag, ciphertext].every((part) => BASE64URL.test(part)) &&
+    Buffer.from(iv, "base64url").length === IV_BYTES &&
+    Buffer.from(authTag, "base64url").length === AUTH_TAG_BYTES
+  );
+};
+
+/**
+ * Check whether a value was encrypted with one of the configured keys, by
+ * decrypting it. Input shaped like an envelope but not produced by us fails
+ * the auth tag check.
+ * @param {*} value - Value to check
+ * @returns {boolean} - True when the value decrypts
+ */
+const canDecrypt = (value) => {
+  if (!isEncrypted(value)) return false;
+
+  try {
+    decrypt(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Encrypt a value with the current key
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} - Encrypted value
+ */
+const encrypt = (plaintext) => {
+  const { currentKeyId, keys } = getKeyring();
+  const iv = crypto.randomBytes(IV_BYTES);
+
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentKeyId), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(String(plaintext), "utf8"),
+    cipher.final(),
+  ]);
+
+  return [
+    PREFIX,
+    currentKeyId,
+    iv.toString("base64url"),
+    cipher.getAuthTag().toString("base64url"),
+    ciphertext.toString("base64url"),
+  ].join(":");
+};
+
+/**
+ * Decrypt a stored value. Plaintext written before encryption was enabled
+ * is returned unchanged.
+ * @param {string} value - Stored value
+ * @returns {string} - Plaintext
+ */
+const decrypt = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [, keyId, iv, authTag, ciphertext] = value.split(":");
+  const key = getKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Encryption key "${keyId}" is not configured`);
+  }
+
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    key,
+    Buffer.from(iv, "base64url")
+  );
+  decipher.setAuthTag(Buffer.from(authTag, "base64url"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64url")),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
+/**
+ * Check whether a stored value should be re-encrypted with the current key
+ * @param {*} value - Stored value
+ * @returns {boolean} - True for plaintext or values under an older key
+ */
+const needsReencryption = (value) => {
+  if (value === undefined || value === null || value === "") return false;
+  if (!isEncrypted(value)) return true;
+  return value.split(":")[1] !== getKeyring().currentKeyId;
+};
+
+/**
+ * Mask a sensitive value for display, keeping only its last characters
+ * @param {string} value - Plaintext value
+ * @param {number} visible - Number of trailing characters to show
+ * @returns {string} - Masked value, e.g. "******7890"
+ */
+const mask = (value, visible = 4) => {
+  if (value === undefined || value === null || value === "") return value;
+
+  const text = String(value);
+  if (text.length <= visible) return "*".repeat(text.length);
+  return "*".repeat(text.length - visible) + text.slice(-visible);
+};
+
+module.exports = {
+  assertKeysConfigured,
+  isEncrypted,
+  canDecrypt,
+  encrypt,
+  decrypt,
+  needsReencryption,
+  mask,
+};
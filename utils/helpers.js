@@ -3,8 +3,56 @@
  */
 
 const dayjs = require("dayjs");
+const utcPlugin = require("dayjs/plugin/utc");
+const timezonePlugin = require("dayjs/plugin/timezone");
 const crypto = require("crypto");
 
+dayjs.extend(utcPlugin);
+dayjs.extend(timezonePlugin);
+
+// Zone used for companies that haven't set one (West Africa Time)
+const DEFAULT_TIMEZONE = "Africa/Lagos";
+
+// Currencies companies can hold balances and pay wages in. minorUnits is the
+// number of decimal places in the subunit Paystack counts amounts in (kobo,
+// pesewas, cents); recipientType is Paystack's bank transfer recipient type.
+const CURRENCIES = {
+  NGN: {
+    name: "Nigerian Naira",
+    locale: "en-NG",
+    minorUnits: 2,
+    recipientType: "nuban",
+  },
+  GHS: {
+    name: "Ghanaian Cedi",
+    locale: "en-GH",
+    minorUnits: 2,
+    recipientType: "ghipss",
+  },
+  KES: {
+    name: "Kenyan Shilling",
+    locale: "en-KE",
+    minorUnits: 2,
+    recipientType: "kepss",
+  },
+  ZAR: {
+    name: "South African Rand",
+    locale: "en-ZA",
+    minorUnits: 2,
+    recipientType: "basa",
+  },
+};
+
+// Currency for companies that haven't set one
+const DEFAULT_CURRENCY = "NGN";
+
+// Look of PDFs and emails for companies without brand settings, and of
+// platform emails that aren't sent on a company's behalf
+const DEFAULT_BRANDING = {
+  primaryColor: "#2196F3",
+  senderName: "HR Management",
+};
+
 /**
  * Generate a random string for tokens, temporary passwords, etc.
  * @param {number} length - Length of the random string
@@ -14,6 +62,18 @@ const generateRandomString = (length = 32) => {
   return crypto.randomBytes(length).toString("hex").slice(0, length);
 };
 
+/**
+ * Create an error carrying an HTTP status code for the error handler
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode set
+ */
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
 /**
  * Calculate daily pay rate based on monthly salary and working days
  * @param {number} monthlySalary - Monthly salary amount
@@ -128,14 +188,145 @@ const generateInvitationToken = () => {
 };
 
 /**
- * Check if a date is a working day based on employee's working days
+ * Check whether a string is an IANA time zone name, e.g. "Africa/Lagos"
+ * @param {string} timezone - Time zone to check
+ * @returns {boolean} - Whether the zone is known
+ */
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== "string" || !timezone) return false;
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Convert an instant to wall-clock time in a time zone
+ * @param {Date} date - Instant to convert
+ * @param {string} timezone - IANA time zone (default: DEFAULT_TIMEZONE)
+ * @returns {Object} - dayjs object in that zone
+ */
+const toLocalTime = (date, timezone) =>
+  dayjs(date).tz(timezone || DEFAULT_TIMEZONE);
+
+/**
+ * Get the local calendar day containing an instant
+ * @param {Date} date - Instant within the day
+ * @param {string} timezone - IANA time zone (default: DEFAULT_TIMEZONE)
+ * @returns {Object} - { key: "YYYY-MM-DD", start: Date, end: Date }
+ */
+const getLocalDay = (date, timezone) => {
+  const zone = timezone || DEFAULT_TIMEZONE;
+  const local = toLocalTime(date, zone);
+  const key = local.format("YYYY-MM-DD");
+  const nextKey = local.add(1, "day").format("YYYY-MM-DD");
+
+  // Parse the day boundaries in the zone so DST changes are respected
+  return {
+    key,
+    start: dayjs.tz(key, zone).toDate(),
+    end: dayjs.tz(nextKey, zone).toDate(),
+  };
+};
+
+/**
+ * Get the local calendar month containing an instant
+ * @param {Date} date - Instant within the month
+ * @param {string} timezone - IANA time zone (default: DEFAULT_TIMEZONE)
+ * @returns {Object} - { key: "YYYY-MM", start: Date, end: Date }
+ */
+const getLocalMonth = (date, timezone) => {
+  const zone = timezone || DEFAULT_TIMEZONE;
+  const local = toLocalTime(date, zone);
+
+  return {
+    key: local.format("YYYY-MM"),
+    start: dayjs.tz(local.format("YYYY-MM-01"), zone).toDate(),
+    end: dayjs.tz(local.add(1, "month").format("YYYY-MM-01"), zone).toDate(),
+  };
+};
+
+/**
+ * Check if a date is a working day based on employee's working days and
+ * the company's holiday calendar
  * @param {Date} date - Date to check
  * @param {Array<number>} workingDays - Array of working days (0-6, where 0 is Sunday)
+ * @param {Array<string>} holidays - Holiday dates as YYYY-MM-DD
+ * @param {string} timezone - Zone whose calendar day is checked (default: server time)
  * @returns {boolean} - Whether the date is a working day
  */
-const isWorkingDay = (date, workingDays) => {
-  const dayOfWeek = dayjs(date).day();
-  return workingDays.includes(dayOfWeek);
+const isWorkingDay = (date, workingDays, holidays = [], timezone) => {
+  const day = timezone ? toLocalTime(date, timezone) : dayjs(date);
+  if (holidays.includes(day.format("YYYY-MM-DD"))) {
+    return false;
+  }
+  // Schedules store days as strings, so compare them as numbers
+  return (workingDays || []).map(Number).includes(day.day());
+};
+
+/**
+ * Great-circle distance between two coordinates (haversine formula)
+ * @param {Object} from - { latitude, longitude } in degrees
+ * @param {Object} to - { latitude, longitude } in degrees
+ * @returns {number} - Distance in metres
+ */
+const getDistanceMeters = (from, to) => {
+  const EARTH_RADIUS_METERS = 6371000;
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) *
+      Math.cos(toRadians(to.latitude)) *
+      Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Check whether a currency code is one companies can use
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {boolean} - Whether the currency is supported
+ */
+const isSupportedCurrency = (currency) => {
+  return Object.prototype.hasOwnProperty.call(CURRENCIES, currency);
+};
+
+/**
+ * Round an amount to the smallest unit its currency has
+ * @param {number} amount - Amount in major units (e.g. naira)
+ * @param {string} currency - Currency code (default: NGN)
+ * @returns {number} - Rounded amount
+ */
+const roundAmount = (amount, currency = DEFAULT_CURRENCY) => {
+  return fromMinorUnits(toMinorUnits(amount, currency), currency);
+};
+
+/**
+ * Convert an amount to the integer subunits payment providers expect
+ * @param {number} amount - Amount in major units (e.g. naira)
+ * @param {string} currency - Currency code (default: NGN)
+ * @returns {number} - Amount in minor units (e.g. kobo)
+ */
+const toMinorUnits = (amount, currency = DEFAULT_CURRENCY) => {
+  const { minorUnits } = CURRENCIES[currency] || CURRENCIES[DEFAULT_CURRENCY];
+  return Math.round(Number(amount) * 10 ** minorUnits);
+};
+
+/**
+ * Convert subunits from a payment provider back to major units
+ * @param {number} amount - Amount in minor units (e.g. kobo)
+ * @param {string} currency - Currency code (default: NGN)
+ * @returns {number} - Amount in major units (e.g. naira)
+ */
+const fromMinorUnits = (amount, currency = DEFAULT_CURRENCY) => {
+  const { minorUnits } = CURRENCIES[currency] || CURRENCIES[DEFAULT_CURRENCY];
+  return Number(amount) / 10 ** minorUnits;
 };
 
 /**
@@ -144,24 +335,90 @@ const isWorkingDay = (date, workingDays) => {
  * @param {string} currency - Currency code (default: NGN)
  * @returns {string} - Formatted currency amount
  */
-const formatCurrency = (amount, currency = "NGN") => {
-  return new Intl.NumberFormat("en-NG", {
+const formatCurrency = (amount, currency = DEFAULT_CURRENCY) => {
+  const { locale } = CURRENCIES[currency] || CURRENCIES[DEFAULT_CURRENCY];
+  return new Intl.NumberFormat(locale, {
     style: "currency",
     currency,
   }).format(amount);
 };
 
 /**
- * Parse CSV data for bulk operations
+ * Resolve the brand settings documents and emails are rendered with
+ * @param {Object} company - Company (omit for platform emails)
+ * @returns {Object} - { name, logo, primaryColor, footer, senderName }
+ */
+const getBranding = (company) => {
+  if (!company) {
+    return {
+      name: DEFAULT_BRANDING.senderName,
+      logo: null,
+      primaryColor: DEFAULT_BRANDING.primaryColor,
+      footer: null,
+      senderName: DEFAULT_BRANDING.senderName,
+    };
+  }
+
+  const branding = company.branding || {};
+  return {
+    name: company.name,
+    logo: company.logo || null,
+    primaryColor: branding.primaryColor || DEFAULT_BRANDING.primaryColor,
+    footer: branding.footer || null,
+    senderName: branding.senderName || company.name,
+  };
+};
+
+/**
+ * Parse CSV data for bulk operations. Handles quoted cells (with embedded
+ * commas, quotes and line breaks), CRLF line endings and a leading byte order
+ * mark; blank lines are skipped.
  * @param {string} csvData - CSV data as string
  * @returns {Array<Object>} - Array of objects representing CSV rows
  */
 const parseCSV = (csvData) => {
-  const lines = csvData.split("\n");
-  const headers = lines[0].split(",").map((header) => header.trim());
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+
+  const text = csvData.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
 
-  return lines.slice(1).map((line) => {
-    const values = line.split(",").map((value) => value.trim());
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  record.push(cell);
+  records.push(record);
+
+  const [headers = [], ...lines] = records
+    .map((values) => values.map((value) => value.trim()))
+    .filter((values) => values.some((value) => value !== ""));
+
+  return lines.map((values) => {
     const row = {};
 
     headers.forEach((header, index) => {
@@ -172,6 +429,29 @@ const parseCSV = (csvData) => {
   });
 };
 
+/**
+ * Build one CSV line, quoting values as needed. Values that spreadsheets
+ * would treat as formulas are prefixed with a quote.
+ * @param {Array} values - Cell values
+ * @returns {string} - CSV line including the trailing newline
+ */
+const toCSVRow = (values) => {
+  return (
+    values
+      .map((value) => {
+        if (value === null || value === undefined) return "";
+
+        let cell = value instanceof Date ? value.toISOString() : String(value);
+        if (typeof value === "string" && /^[=+\-@\t\r]/.test(cell)) {
+          cell = `'${cell}`;
+        }
+
+        return /[",\n\r]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+      })
+      .join(",") + "\n"
+  );
+};
+
 /**
  * Generate a pagination object
  * @param {number} totalItems - Total number of items
@@ -223,15 +503,31 @@ const calculateWorkingHours = (clockIn, clockOut, breaks = []) => {
 };
 
 module.exports = {
+  DEFAULT_TIMEZONE,
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  DEFAULT_BRANDING,
   generateRandomString,
+  createError,
   calculateDailyPayRate,
   isWorkingHour,
   generateRandomMonitoringTimes,
   calculateEfficiency,
   generateInvitationToken,
+  isValidTimezone,
+  toLocalTime,
+  getLocalDay,
+  getLocalMonth,
   isWorkingDay,
+  getDistanceMeters,
+  isSupportedCurrency,
+  roundAmount,
+  toMinorUnits,
+  fromMinorUnits,
   formatCurrency,
+  getBranding,
   parseCSV,
+  toCSVRow,
   getPagination,
   calculateWorkingHours,
 };
@@ -0,0 +1,20 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Per-request context, so services can reach request details (request id,
+// IP, authenticated user) without threading req through every call
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run the rest of a request inside a context
+ * @param {Object} context - Values for the request, e.g. { req }
+ * @param {Function} callback - Continuation (usually Express's next)
+ */
+const runWithContext = (context, callback) => storage.run(context, callback);
+
+/**
+ * Get the current request's context
+ * @returns {Object} Context, or an empty object outside a request
+ */
+const getContext = () => storage.getStore() || {};
+
+module.exports = { runWithContext, getContext };
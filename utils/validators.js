@@ -3,6 +3,8 @@
  */
 
 const Joi = require("joi");
+const { ALL_PERMISSIONS, API_KEY_SCOPES } = require("../config/permissions");
+const { isValidTimezone, CURRENCIES } = require("./helpers");
 
 /**
  * Validate email format
@@ -80,6 +82,12 @@ const userRegistrationSchema = Joi.object({
   phone: Joi.string().optional(),
 });
 
+const currency = Joi.string()
+  .valid(...Object.keys(CURRENCIES))
+  .messages({
+    "any.only": `currency must be one of ${Object.keys(CURRENCIES).join(", ")}`,
+  });
+
 /**
  * Validation schema for company registration
  */
@@ -90,9 +98,373 @@ const companyRegistrationSchema = Joi.object({
   contactEmail: Joi.string().email().required(),
   contactPhone: Joi.string().required(),
   logo: Joi.string().optional(),
-  employerIds: Joi.array().items(Joi.string()).optional(),
+  currency: currency.optional(),
+  employerIds: Joi.array().items(Joi.string().hex().length(24)).optional(),
+  ownerId: Joi.string().hex().length(24).optional(),
+});
+
+/**
+ * Validation schema for company verification (KYB) document uploads
+ */
+const companyDocumentSchema = Joi.object({
+  type: Joi.string()
+    .valid(
+      "cac_certificate",
+      "cac_status_report",
+      "memorandum_of_association",
+      "tax_identification",
+      "other"
+    )
+    .required(),
+});
+
+/**
+ * Validation schema for approving or reinstating a company
+ */
+const companyReviewSchema = Joi.object({
+  note: Joi.string().trim().max(1000).optional(),
+});
+
+/**
+ * Validation schema for rejecting or suspending a company
+ */
+const companyRejectionSchema = Joi.object({
+  reason: Joi.string().trim().min(5).max(1000).required(),
+});
+
+/**
+ * Validation schema for internal reviewer notes on a company
+ */
+const companyReviewNoteSchema = Joi.object({
+  note: Joi.string().trim().min(1).max(2000).required(),
+});
+
+/**
+ * Validation schema for an admin correction to a company's balance.
+ * Positive amounts credit the wallet, negative amounts debit it.
+ */
+const ledgerAdjustmentSchema = Joi.object({
+  amount: Joi.number().precision(2).invalid(0).required(),
+  reason: Joi.string().trim().min(5).max(500).required(),
+});
+
+/**
+ * Validation schema for an admin extending a company's free trial
+ */
+const trialExtensionSchema = Joi.object({
+  trialEndsAt: Joi.date().greater("now").required(),
+});
+
+/**
+ * Validation schema for transferring company ownership
+ */
+const ownershipTransferSchema = Joi.object({
+  userId: Joi.string().hex().length(24).required(),
+  password: Joi.string().required(),
+});
+
+/**
+ * Validation schema for a company's two-factor policy
+ */
+const twoFactorPolicySchema = Joi.object({
+  twoFactorRequired: Joi.boolean().required(),
+  twoFactorRoles: Joi.array()
+    .items(Joi.string().valid("employer", "employee"))
+    .optional(),
+});
+
+/**
+ * Validation schema for a company's data retention periods, in days.
+ * null keeps that class of data indefinitely.
+ */
+const retentionDays = Joi.number().integer().min(7).max(3650).allow(null);
+const retentionPolicySchema = Joi.object({
+  faceCapturesDays: retentionDays.optional(),
+  monitoringResultsDays: retentionDays.optional(),
+  interviewVideosDays: retentionDays.optional(),
+  rejectedApplicantsDays: retentionDays.optional(),
+  dailyReportsDays: retentionDays.optional(),
+}).min(1);
+
+const timezone = Joi.string()
+  .custom((value, helpers) =>
+    isValidTimezone(value) ? value : helpers.error("any.invalid")
+  )
+  .messages({
+    "any.invalid": "timezone must be an IANA zone like Africa/Lagos",
+  });
+
+/**
+ * Validation schema for a company's time zone
+ */
+const companyTimezoneSchema = Joi.object({
+  timezone: timezone.required(),
+});
+
+/**
+ * Validation schema for a company's wallet and default wage currency
+ */
+const companyCurrencySchema = Joi.object({
+  currency: currency.required(),
+});
+
+/**
+ * Validation schema for a company's brand settings. Empty strings reset a
+ * setting to the default.
+ */
+const companyBrandingSchema = Joi.object({
+  primaryColor: Joi.string()
+    .pattern(/^#[0-9a-fA-F]{6}$/)
+    .allow("")
+    .messages({
+      "string.pattern.base": "primaryColor must be a hex colour like #1A73E8",
+    }),
+  footer: Joi.string().trim().max(500).allow(""),
+  senderName: Joi.string().trim().max(100).allow(""),
+});
+
+/**
+ * Validation schema for recording an exchange rate: one unit of base is
+ * worth `rate` units of quote from effectiveDate (default now)
+ */
+const exchangeRateSchema = Joi.object({
+  base: currency.required(),
+  quote: currency.required(),
+  rate: Joi.number().positive().required(),
+  effectiveDate: Joi.date().iso().optional(),
+  source: Joi.string().trim().max(100).optional(),
+});
+
+/**
+ * Validation schema for an employee's time zone; null follows the company's
+ */
+const employeeTimezoneSchema = Joi.object({
+  timezone: timezone.allow(null).required(),
+});
+
+/**
+ * Validation schema for a company's OpenID Connect single sign-on settings
+ */
+const ssoConnectionSchema = Joi.object({
+  issuer: Joi.string()
+    .uri({ scheme: ["https", "http"] })
+    .required(),
+  clientId: Joi.string().required(),
+  clientSecret: Joi.string().optional(),
+  scopes: Joi.array().items(Joi.string()).has("openid").optional(),
+  domains: Joi.array().items(Joi.string().domain()).min(1).unique().required(),
+  jitProvisioning: Joi.boolean().optional(),
+  defaultRoleId: Joi.string().hex().length(24).allow(null).optional(),
+  enforced: Joi.boolean().optional(),
+  isEnabled: Joi.boolean().optional(),
+});
+
+/**
+ * Validation schema for verifying an SSO domain
+ */
+const ssoDomainVerificationSchema = Joi.object({
+  domain: Joi.string().domain().required(),
+});
+
+/**
+ * Validation schema for starting an admin impersonation session
+ */
+const impersonationSchema = Joi.object({
+  reason: Joi.string().min(5).max(500).required(),
+  durationMinutes: Joi.number().integer().min(5).max(60).optional(),
+});
+
+/**
+ * Validation schema for right-to-erasure requests
+ */
+const erasureRequestSchema = Joi.object({
+  reason: Joi.string().min(5).max(500).required(),
 });
 
+/**
+ * Validation schema for company role definitions
+ */
+const roleSchema = Joi.object({
+  name: Joi.string().min(2).max(50).required(),
+  description: Joi.string().max(200).allow("").optional(),
+  permissions: Joi.array()
+    .items(Joi.string().valid(...ALL_PERMISSIONS))
+    .unique()
+    .required(),
+});
+
+/**
+ * Validation schema for assigning company roles to a member
+ */
+const roleAssignmentSchema = Joi.object({
+  roleIds: Joi.array().items(Joi.string().hex().length(24)).unique().required(),
+});
+
+const departmentFields = {
+  name: Joi.string().min(2).max(100),
+  description: Joi.string().max(500).allow(""),
+  head: Joi.string().hex().length(24).allow(null),
+  parent: Joi.string().hex().length(24).allow(null),
+  costCenter: Joi.string().max(50).allow(""),
+};
+
+/**
+ * Validation schema for creating a department
+ */
+const departmentSchema = Joi.object({
+  ...departmentFields,
+  name: departmentFields.name.required(),
+});
+
+/**
+ * Validation schema for updating a department
+ */
+const departmentUpdateSchema = Joi.object(departmentFields).min(1);
+
+/**
+ * Validation schema for moving an employee into a department
+ */
+const departmentAssignmentSchema = Joi.object({
+  departmentId: Joi.string().hex().length(24).allow(null).required(),
+});
+
+const latitude = Joi.number().min(-90).max(90);
+const longitude = Joi.number().min(-180).max(180);
+
+const branchFields = {
+  name: Joi.string().min(2).max(100),
+  address: Joi.string().max(300).allow(""),
+  latitude,
+  longitude,
+  radius: Joi.number().integer().min(10).max(10000),
+};
+
+/**
+ * Validation schema for creating a branch
+ */
+const branchSchema = Joi.object({
+  ...branchFields,
+  name: branchFields.name.required(),
+  latitude: latitude.required(),
+  longitude: longitude.required(),
+});
+
+/**
+ * Validation schema for updating a branch
+ */
+const branchUpdateSchema = Joi.object(branchFields).min(1);
+
+/**
+ * Validation schema for assigning an employee to a branch or exempting them
+ * from its geofence
+ */
+const branchAssignmentSchema = Joi.object({
+  branchId: Joi.string().hex().length(24).allow(null),
+  remoteAllowed: Joi.boolean(),
+}).or("branchId", "remoteAllowed");
+
+/**
+ * Validation schema for a company's geofence enforcement rule
+ */
+const geofencePolicySchema = Joi.object({
+  enforcement: Joi.string().valid("flag", "reject").required(),
+});
+
+/**
+ * Validation schema for the device position sent with clock-in and clock-out
+ */
+const clockPositionSchema = Joi.object({
+  latitude,
+  longitude,
+  address: Joi.string().max(300).allow(""),
+})
+  .and("latitude", "longitude")
+  .unknown(true);
+
+const holidayFields = {
+  date: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .custom((value, helpers) => {
+      // Rejects days that don't exist, such as 2026-02-31
+      const date = new Date(`${value}T00:00:00Z`);
+      return !Number.isNaN(date.getTime()) &&
+        date.toISOString().startsWith(value)
+        ? value
+        : helpers.error("any.invalid");
+    })
+    .messages({ "string.pattern.base": "date must be in YYYY-MM-DD format" }),
+  name: Joi.string().min(2).max(100),
+  paid: Joi.boolean().allow(null),
+};
+
+/**
+ * Validation schema for adding a company holiday
+ */
+const holidaySchema = Joi.object({
+  date: holidayFields.date.required(),
+  name: holidayFields.name.required(),
+  paid: holidayFields.paid.optional(),
+});
+
+/**
+ * Validation schema for updating a company holiday
+ */
+const holidayUpdateSchema = Joi.object(holidayFields).min(1);
+
+/**
+ * Validation schema for importing a year of public holidays
+ */
+const holidayImportSchema = Joi.object({
+  year: Joi.number().integer().min(2000).max(2100).required(),
+});
+
+/**
+ * Validation schema for a company's holiday pay rule
+ */
+const holidayPolicySchema = Joi.object({
+  paid: Joi.boolean().required(),
+});
+
+/**
+ * Validation schema for creating an integration API key
+ */
+const apiKeySchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...API_KEY_SCOPES))
+    .min(1)
+    .unique()
+    .required(),
+  expiresInDays: Joi.number().integer().min(1).max(730).optional(),
+});
+
+/**
+ * Validation schema for attendance correction requests
+ */
+const attendanceCorrectionSchema = Joi.object({
+  clockInTime: Joi.date().iso().optional(),
+  clockOutTime: Joi.date().iso().optional(),
+  reason: Joi.string().min(5).max(500).required(),
+}).or("clockInTime", "clockOutTime");
+
+/**
+ * Validation schema for supervisor review decisions
+ */
+const reviewDecisionSchema = Joi.object({
+  action: Joi.string().valid("approve", "reject").required(),
+  note: Joi.string().max(500).allow("").optional(),
+});
+
+/**
+ * Validation schema for changing an employee's wages
+ */
+const wageSchema = Joi.object({
+  salary: Joi.number().positive().optional(),
+  payPerDay: Joi.number().positive().optional(),
+  // null pays the employee in the company's currency
+  currency: currency.allow(null).optional(),
+}).or("salary", "payPerDay", "currency");
+
 /**
  * Validation schema for employer profile update
  */
@@ -130,8 +502,9 @@ const employeeInvitationSchema = Joi.object({
     .optional(),
   benefits: Joi.array().items(Joi.string()).optional(),
   salary: Joi.number().required(),
+  currency: currency.optional(), // Defaults to the company's currency
   position: Joi.string().required(),
-  department: Joi.string().optional(),
+  department: Joi.string().optional(), // Department ID or name
   companyId: Joi.string().required(),
 });
 
@@ -310,6 +683,42 @@ module.exports = {
   validatePasswordStrength,
   userRegistrationSchema,
   companyRegistrationSchema,
+  companyDocumentSchema,
+  companyReviewSchema,
+  companyRejectionSchema,
+  companyReviewNoteSchema,
+  ledgerAdjustmentSchema,
+  trialExtensionSchema,
+  ownershipTransferSchema,
+  twoFactorPolicySchema,
+  retentionPolicySchema,
+  companyTimezoneSchema,
+  employeeTimezoneSchema,
+  companyCurrencySchema,
+  companyBrandingSchema,
+  exchangeRateSchema,
+  ssoConnectionSchema,
+  ssoDomainVerificationSchema,
+  impersonationSchema,
+  erasureRequestSchema,
+  roleSchema,
+  roleAssignmentSchema,
+  departmentSchema,
+  departmentUpdateSchema,
+  departmentAssignmentSchema,
+  branchSchema,
+  branchUpdateSchema,
+  branchAssignmentSchema,
+  geofencePolicySchema,
+  clockPositionSchema,
+  holidaySchema,
+  holidayUpdateSchema,
+  holidayImportSchema,
+  holidayPolicySchema,
+  apiKeySchema,
+  attendanceCorrectionSchema,
+  reviewDecisionSchema,
+  wageSchema,
   employerProfileSchema,
   employeeInvitationSchema,
   projectSchema,